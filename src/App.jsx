@@ -4,13 +4,31 @@ import { Toolbar } from './components/Toolbar.jsx';
 import { FileList } from './components/FileList.jsx';
 import { StatusBar } from './components/StatusBar.jsx';
 import { QuickLook } from './components/QuickLook.jsx';
-import { formatTotalSize, getFileType, parseRSDTextureRefs } from './utils/fileTypes.ts';
+import { HistoryPanel } from './components/HistoryPanel.jsx';
+import { IntegrityPanel } from './components/IntegrityPanel.jsx';
+import { ComparePanel } from './components/ComparePanel.jsx';
+import { ContentSearchPanel } from './components/ContentSearchPanel.jsx';
+import { DialogSearchPanel } from './components/DialogSearchPanel.jsx';
+import { VariableSearchPanel } from './components/VariableSearchPanel.jsx';
+import { FieldMapPanel } from './components/FieldMapPanel.jsx';
+import { EncounterReportPanel } from './components/EncounterReportPanel.jsx';
+import { formatTotalSize, getFileType, isFieldFile, parseRSDTextureRefs } from './utils/fileTypes.ts';
 import { usePersistedState } from './utils/settings.ts';
-import { buildHierarchy, flattenHierarchy, getAllParentIndices, filterHierarchyBySearch } from './utils/hierarchy.ts';
+import { flattenHierarchy, getAllParentIndices, filterHierarchyBySearch } from './utils/hierarchy.ts';
+import { buildArchiveHierarchy, parseArchiveData, searchArchiveContent, indexArchiveDialogs, indexArchiveVariables, buildArchiveFieldMap, readArchiveEncounters, isAbortError } from './utils/workerService.ts';
+import { preloadFieldFile } from './utils/fieldCache.ts';
+import { compareArchives } from './utils/archiveDiff.ts';
+import { readIro, writeIro, createModXml, MOD_XML } from './utils/iro.ts';
+import { getArchiveFolderName, getModifiedFiles, getModFilesForArchive, applyModFiles } from './utils/modPackage.ts';
+import { ArchiveHistory } from './utils/history.ts';
 import { Analytics } from "@vercel/analytics/react";
 import {
+  openArchive,
   openFile,
+  openFolder,
+  saveArchive,
   saveFile,
+  saveFolder,
   extractSingleFile,
   extractMultipleFiles,
   openFileForReplace,
@@ -30,6 +48,29 @@ function getDisplayName(filename, archiveType) {
   return null;
 }
 
+// Parse an opened archive, lazily through its reader on Tauri or in the worker on web
+async function parseArchive(result, signal) {
+  if (!result.reader) return parseArchiveData(result.data, undefined, signal);
+  try {
+    return await LGP.open(result.reader);
+  } catch (err) {
+    // Check what's wrong with the archive, then release the file handle
+    err.report = await LGP.verify(result.reader).catch(() => null);
+    await result.reader.close();
+    throw err;
+  }
+}
+
+const CONTENT_SEARCH_LIMIT = 1000;
+
+// Read a file for previewing. Field files are decompressed in the worker up front
+// so the preview finds them already parsed.
+async function loadPreviewData(lgp, file) {
+  const data = await lgp.loadFile(file.path);
+  if (data && isFieldFile(file.filename)) await preloadFieldFile(data);
+  return data;
+}
+
 function App() {
   const [lgp, setLgp] = useState(null);
   const [archiveVersion, setArchiveVersion] = useState(0);
@@ -52,6 +93,24 @@ function App() {
     error: null,
   });
   const [hierarchyProgress, setHierarchyProgress] = useState(null);
+  // Folders created in the UI that don't contain any files yet (not stored in the archive)
+  const [pendingFolders, setPendingFolders] = useState(new Set());
+  const [creatingFolder, setCreatingFolder] = useState(false);
+  const [renamingIndex, setRenamingIndex] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [activeTask, setActiveTask] = useState(null); // AbortController of the open/save in progress
+  const [integrity, setIntegrity] = useState(null); // { report, name, canRebuild } of the last verify
+  const [compare, setCompare] = useState(null); // { lgp, name, entries } of the archive compared against
+  const [showContentSearch, setShowContentSearch] = useState(false);
+  const [contentSearchResults, setContentSearchResults] = useState(null); // { hits, length, limitReached }
+  const [showDialogSearch, setShowDialogSearch] = useState(false);
+  const [dialogIndex, setDialogIndex] = useState(null); // { entries, version } - archiveVersion it was built at
+  const [showVariableSearch, setShowVariableSearch] = useState(false);
+  const [variableIndex, setVariableIndex] = useState(null); // { usages, version }
+  const [showFieldMap, setShowFieldMap] = useState(false);
+  const [fieldMap, setFieldMap] = useState(null); // { map, version }
+  const [showEncounterReport, setShowEncounterReport] = useState(false);
+  const [encounterReport, setEncounterReport] = useState(null); // { results, version }
   const hierarchyBuildRef = useRef(null); // Track current build to prevent race conditions
   const lastSelectedIndex = useRef(null);
   const dragCounter = useRef(0);
@@ -64,6 +123,8 @@ function App() {
   const prevViewModeStateRef = useRef({ viewMode: 'list', hierarchyStatus: 'idle' });
   const justLoadedHierarchyRef = useRef(false);
   const prevExpandedNodesRef = useRef(null);
+  const dockedPreviewPathRef = useRef(null);
+  const [history] = useState(() => new ArchiveHistory());
 
   // Track window width for responsive layout
   const [windowWidth, setWindowWidth] = useState(window.innerWidth);
@@ -95,19 +156,9 @@ function App() {
     const fileList = [];
     let total = 0;
 
-    // Build path lookup from pathGroups
-    const pathLookup = new Map();
-    lgp.archive.pathGroups.forEach((group) => {
-      group.paths.forEach(pathEntry => {
-        pathLookup.set(pathEntry.tocIndex, pathEntry.folderName);
-      });
-    });
-
     lgp.archive.toc.forEach((entry, index) => {
-      const folderPath = entry.pathIndex > 0 
-        ? pathLookup.get(index) || '' 
-        : '';
-      
+      const folderPath = entry.folder;
+
       total += entry.filesize;
 
       // Track folders
@@ -136,6 +187,8 @@ function App() {
         tocIndex: index,
         displayIndex: index + 1,
         folderPath,
+        path: lgp.getFilePath(entry),
+        modified: lgp.isModified(lgp.getFilePath(entry)),
       });
     });
 
@@ -148,24 +201,42 @@ function App() {
     return { folders: folderMap, files: fileList, filesByTocIndex, totalSize: total };
   }, [lgp, archiveVersion]);
 
+  // Merge empty folders created in the UI into the archive folder structure
+  const allFolders = useMemo(() => {
+    if (pendingFolders.size === 0) return folders;
+    const merged = new Map(folders);
+    for (const folderPath of pendingFolders) {
+      const parts = folderPath.split('/');
+      let path = '';
+      for (const part of parts) {
+        const parentPath = path;
+        path = path ? `${path}/${part}` : part;
+        if (!merged.has(path)) {
+          merged.set(path, { name: part, parentPath, fullPath: path, fileCount: 0 });
+        }
+      }
+    }
+    return merged;
+  }, [folders, pendingFolders]);
+
   // Build hierarchy when switching to hierarchy view
   // Note: We separate the "start build" logic from the effect to avoid cleanup issues
   const startHierarchyBuild = useCallback(() => {
     if (!lgp || hierarchyBuildRef.current) return; // Already building
 
-    const buildId = Date.now();
-    hierarchyBuildRef.current = buildId;
+    const controller = new AbortController();
+    hierarchyBuildRef.current = controller;
 
     setHierarchyState({ status: 'building', tree: null, error: null });
     setHierarchyProgress(null);
 
     const onProgress = (progress) => {
-      if (hierarchyBuildRef.current !== buildId) return;
+      if (hierarchyBuildRef.current !== controller) return;
       setHierarchyProgress(progress);
     };
 
-    buildHierarchy(lgp, onProgress).then(tree => {
-      if (hierarchyBuildRef.current !== buildId) return;
+    buildArchiveHierarchy(lgp, onProgress, controller.signal).then(tree => {
+      if (hierarchyBuildRef.current !== controller) return;
       hierarchyBuildRef.current = null;
       setHierarchyState({ status: 'ready', tree, error: null });
       setHierarchyProgress(null);
@@ -173,13 +244,22 @@ function App() {
       // Start with all nodes collapsed
       setExpandedNodes(new Set());
     }).catch(err => {
-      if (hierarchyBuildRef.current !== buildId) return;
+      if (hierarchyBuildRef.current !== controller) return;
       hierarchyBuildRef.current = null;
       setHierarchyState({ status: 'idle', tree: null, error: err.message });
       setHierarchyProgress(null);
     });
   }, [lgp]);
 
+  // Stop an in-progress build and go back to the list
+  const handleCancelHierarchy = useCallback(() => {
+    hierarchyBuildRef.current?.abort();
+    hierarchyBuildRef.current = null;
+    setHierarchyState({ status: 'idle', tree: null, error: null });
+    setHierarchyProgress(null);
+    setViewMode('list');
+  }, [setViewMode]);
+
   // Trigger hierarchy build when switching to hierarchy view
   useEffect(() => {
     if (viewMode === 'hierarchy' && hierarchyState.status === 'idle' && lgp) {
@@ -192,7 +272,8 @@ function App() {
   useEffect(() => {
     if (prevLgpRef.current !== lgp) {
       prevLgpRef.current = lgp;
-      hierarchyBuildRef.current = null; // Cancel any in-progress build
+      hierarchyBuildRef.current?.abort(); // Cancel any in-progress build
+      hierarchyBuildRef.current = null;
       setHierarchyState({ status: 'idle', tree: null, error: null });
       setHierarchyProgress(null);
       setExpandedNodes(new Set());
@@ -231,7 +312,7 @@ function App() {
 
     // Get subfolders at current level
     const subfolders = [];
-    for (const [, folder] of folders) {
+    for (const [, folder] of allFolders) {
       if (folder.parentPath === currentPath) {
         subfolders.push({
           isFolder: true,
@@ -290,18 +371,73 @@ function App() {
     });
 
     return [...subfolders, ...sortedFiles];
-  }, [files, folders, currentPath, searchQuery, sortColumn, sortDirection, viewMode, hierarchyItems, hierarchyState.tree, archiveType]);
+  }, [files, allFolders, currentPath, searchQuery, sortColumn, sortDirection, viewMode, hierarchyItems, hierarchyState.tree, archiveType]);
+
+  // Reload the previewed file after the archive changed underneath it
+  const refreshQuickLook = useCallback(() => {
+    const path = quickLookFile?.path;
+    const filename = quickLookFile?.filename;
+    if (!lgp || !path) return;
+    loadPreviewData(lgp, { path, filename }).then(data => {
+      setQuickLookFile(prev => {
+        if (prev?.path !== path) return prev;
+        return data ? { ...prev, data } : null;
+      });
+    });
+  }, [lgp, quickLookFile?.path, quickLookFile?.filename]);
+
+  // Loader for files a preview depends on (textures, models, animations).
+  // Lazy archives fetch missing files in the background; once a batch arrives the
+  // loader changes identity so previews run again and pick them up from the cache.
+  const [lazyLoadVersion, setLazyLoadVersion] = useState(0);
+  const pendingLoadsRef = useRef(new Set());
+  const handleLoadFile = useCallback((name) => {
+    if (!lgp) return null;
+    void lazyLoadVersion;
+    const data = lgp.getFile(name);
+    if (data || !lgp.isLazy || lgp.findIndex(name) === -1) return data;
+
+    const pending = pendingLoadsRef.current;
+    if (!pending.has(name)) {
+      pending.add(name);
+      lgp.loadFile(name).catch(err => {
+        console.error(`Error loading ${name}:`, err);
+      }).finally(() => {
+        pending.delete(name);
+        if (pending.size === 0) setLazyLoadVersion(v => v + 1);
+      });
+    }
+    return null;
+  }, [lgp, lazyLoadVersion]);
+
+  // Replace the open archive, releasing the previous one's file handle
+  const loadArchive = useCallback((archive, name) => {
+    lgp?.close();
+    setLgp(archive);
+    setArchiveName(name);
+    setIntegrity(null);
+    compare?.lgp.close();
+    setCompare(null);
+    setContentSearchResults(null);
+    setDialogIndex(null);
+    setVariableIndex(null);
+    setFieldMap(null);
+    setEncounterReport(null);
+  }, [lgp, compare]);
 
   const handleOpen = useCallback(async () => {
-    const result = await openFile([{ name: 'LGP Archive', extensions: ['lgp'] }]);
+    const result = await openArchive([{ name: 'LGP Archive', extensions: ['lgp'] }]);
     if (!result) return;
 
+    const controller = new AbortController();
+    setActiveTask(controller);
     setStatus(`Loading ${result.name}...`);
     try {
-      const archive = new LGP(result.data);
-      setLgp(archive);
-      setArchiveName(result.name);
+      const archive = await parseArchive(result, controller.signal);
+      loadArchive(archive, result.name);
       setCurrentPath('');
+      setPendingFolders(new Set());
+      history.clear();
       setSelectedIndices(new Set());
       setSearchQuery('');
       setViewMode('list');
@@ -309,28 +445,34 @@ function App() {
       setPreviewMode('hidden');
       setStatus(`Loaded ${result.name}`);
     } catch (err) {
-      setStatus(`Error: ${err.message}`);
+      setStatus(isAbortError(err) ? 'Loading cancelled' : `Error: ${err.message}`);
+      if (err.report) setIntegrity({ report: err.report, name: result.name, canRebuild: false });
     }
-  }, [setViewMode]);
+    setActiveTask(null);
+  }, [setViewMode, history, loadArchive]);
 
   const handleSave = useCallback(async () => {
     if (!lgp) return;
 
+    const controller = new AbortController();
+    setActiveTask(controller);
     setStatus('Saving archive...');
     try {
-      const data = lgp.writeArchive();
-      const success = await saveFile(data, {
+      const success = await saveArchive(lgp, {
         defaultName: archiveName || 'archive.lgp',
         filters: [{ name: 'LGP Archive', extensions: ['lgp'] }],
-      });
+      }, (progress) => {
+        setStatus(`Saving archive... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
       if (success) {
         setStatus('Archive saved');
       } else {
         setStatus('Save cancelled');
       }
     } catch (err) {
-      setStatus(`Error saving: ${err.message}`);
+      setStatus(isAbortError(err) ? 'Save cancelled' : `Error saving: ${err.message}`);
     }
+    setActiveTask(null);
   }, [lgp, archiveName]);
 
   const handleExtract = useCallback(async () => {
@@ -341,7 +483,7 @@ function App() {
     if (selectedFiles.length === 1) {
       // Single file: download directly
       const file = selectedFiles[0];
-      const data = lgp.getFile(file.filename);
+      const data = await lgp.loadFile(file.path);
       if (!data) {
         setStatus(`Error: Could not read ${file.filename}`);
         return;
@@ -359,7 +501,7 @@ function App() {
 
       const filesToExtract = [];
       for (const file of selectedFiles) {
-        const data = lgp.getFile(file.filename);
+        const data = await lgp.loadFile(file.path);
         if (data) {
           filesToExtract.push({ filename: file.filename, data });
         }
@@ -389,13 +531,16 @@ function App() {
     if (!result) return;
 
     try {
-      lgp.setFile(targetFile.filename, result.data);
+      history.record(lgp, 'replace', `Replace ${targetFile.path}`, () =>
+        lgp.setFile(targetFile.path, result.data)
+      );
       setStatus(`Replaced ${targetFile.filename} with ${result.name}`);
       setArchiveVersion(v => v + 1);
+      refreshQuickLook();
     } catch (err) {
       setStatus(`Error: ${err.message}`);
     }
-  }, [lgp, files, selectedIndices]);
+  }, [lgp, files, selectedIndices, refreshQuickLook, history]);
 
   const handleAdd = useCallback(async () => {
     if (!lgp) return;
@@ -404,51 +549,630 @@ function App() {
     if (!inputFiles || inputFiles.length === 0) return;
 
     setStatus(`Inserting ${inputFiles.length} file(s)...`);
-    let inserted = 0;
-    let skipped = 0;
 
-    for (const file of inputFiles) {
-      try {
-        if (lgp.insertFile(file.name, file.data)) {
-          inserted++;
-        } else {
-          skipped++;
+    const { inserted, skipped, refused } = history.record(lgp, 'insert', `Add ${inputFiles.length} file(s)`, () => {
+      let inserted = 0;
+      let skipped = 0;
+      const refused = [];
+      for (const file of inputFiles) {
+        try {
+          if (lgp.insertFile(file.name, file.data, currentPath)) {
+            inserted++;
+          } else {
+            skipped++;
+          }
+        } catch (err) {
+          console.error(`Error inserting ${file.name}:`, err);
+          refused.push(err.message);
         }
-      } catch (err) {
-        console.error(`Error inserting ${file.name}:`, err);
       }
-    }
+      return { inserted, skipped, refused };
+    });
 
     const skippedMsg = skipped > 0 ? ` (${skipped} skipped - already exist)` : '';
-    setStatus(`Inserted ${inserted} file(s)${skippedMsg}`);
+    const refusedMsg = refused.length > 0
+      ? ` - ${refused.length} refused: ${refused[0]}${refused.length > 1 ? ` and ${refused.length - 1} more` : ''}`
+      : '';
+    setStatus(`Inserted ${inserted} file(s)${skippedMsg}${refusedMsg}`);
+    setArchiveVersion(v => v + 1);
+  }, [lgp, currentPath, history]);
+
+  const handleCreateFolder = useCallback((name) => {
+    setCreatingFolder(false);
+    if (!lgp || !name) return;
+
+    try {
+      const folderPath = lgp.normalizeFolder(currentPath ? `${currentPath}/${name}` : name);
+      if (!folderPath || allFolders.has(folderPath)) {
+        setStatus(`Folder already exists: ${name}`);
+        return;
+      }
+      setPendingFolders(prev => new Set(prev).add(folderPath));
+      setStatus(`Created folder ${folderPath} - folders are only saved once they contain files`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, currentPath, allFolders]);
+
+  const handleRename = useCallback((tocIndex, newName) => {
+    setRenamingIndex(null);
+    const file = filesByTocIndex.get(tocIndex);
+    if (!lgp || !file || !newName || newName.toLowerCase() === file.filename.toLowerCase()) return;
+
+    try {
+      const renamed = history.record(lgp, 'rename', `Rename ${file.path} to ${newName.toLowerCase()}`, () =>
+        lgp.renameFile(file.path, newName)
+      );
+      if (!renamed) {
+        setStatus(`Could not rename: ${newName} already exists`);
+        return;
+      }
+
+      // Keep the file selected, its TOC position changes if it moved to another hash bucket
+      const newPath = file.folderPath ? `${file.folderPath}/${newName}` : newName;
+      const newIndex = lgp.findIndex(newPath);
+      setSelectedIndices(new Set([newIndex]));
+      lastSelectedIndex.current = newIndex;
+      setStatus(`Renamed ${file.filename} to ${newName.toLowerCase()}`);
+      setArchiveVersion(v => v + 1);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, filesByTocIndex, history]);
+
+  const handleRevert = useCallback(() => {
+    if (!lgp || selectedIndices.size === 0) return;
+
+    const selectedFiles = [...selectedIndices].map(i => filesByTocIndex.get(i)).filter(f => f?.modified);
+    if (selectedFiles.length === 0) {
+      setStatus('Selected files are unmodified');
+      return;
+    }
+
+    const label = selectedFiles.length === 1 ? `Revert ${selectedFiles[0].path}` : `Revert ${selectedFiles.length} files`;
+    const reverted = history.record(lgp, 'revert', label, () =>
+      selectedFiles.filter(file => lgp.revertFile(file.path)).length
+    );
+
+    const skipped = selectedFiles.length - reverted;
+    const skippedMsg = skipped > 0 ? ` (${skipped} skipped - not in the original archive)` : '';
+    setStatus(`Reverted ${reverted} file(s) to original${skippedMsg}`);
     setArchiveVersion(v => v + 1);
+    refreshQuickLook();
+  }, [lgp, selectedIndices, filesByTocIndex, refreshQuickLook, history]);
+
+  // Check the archive file as loaded (not the pending modifications) against the format spec
+  const handleVerify = useCallback(async () => {
+    if (!lgp) return;
+    setStatus('Verifying archive...');
+    try {
+      const report = await LGP.verify(lgp.source, (current, total) => {
+        setStatus(`Verifying archive... ${Math.round((current / total) * 100)}%`);
+      });
+      setIntegrity({ report, name: archiveName, canRebuild: true });
+      setStatus(report.issues.length === 0 ? 'Archive is valid' : `Found ${report.issues.length} integrity problem(s)`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName]);
+
+  // Open a second archive and diff it against the current one
+  const handleCompare = useCallback(async () => {
+    if (!lgp) return;
+    const result = await openArchive([{ name: 'LGP Archive', extensions: ['lgp'] }]);
+    if (!result) return;
+
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus(`Loading ${result.name}...`);
+    let other = null;
+    try {
+      other = await parseArchive(result, controller.signal);
+      const entries = await compareArchives(lgp, other, (progress) => {
+        setStatus(`Comparing archives... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      compare?.lgp.close();
+      setCompare({ lgp: other, name: result.name, entries });
+      const differing = entries.filter(entry => entry.status !== 'unchanged').length;
+      setStatus(differing === 0 ? 'Archives are identical' : `${differing} file(s) differ`);
+    } catch (err) {
+      other?.close();
+      setStatus(isAbortError(err) ? 'Comparison cancelled' : `Error: ${err.message}`);
+      if (err.report) setIntegrity({ report: err.report, name: result.name, canRebuild: false });
+    }
+    setActiveTask(null);
+  }, [lgp, compare]);
+
+  const closeCompare = useCallback(() => {
+    compare?.lgp.close();
+    setCompare(null);
+  }, [compare]);
+
+  // Package the replaced and inserted files as a 7th Heaven IRO mod
+  const handleExportIro = useCallback(async () => {
+    if (!lgp) return;
+    const files = getModifiedFiles(lgp);
+    if (files.length === 0) {
+      setStatus('No changes to export');
+      return;
+    }
+
+    const folder = getArchiveFolderName(archiveName || 'archive.lgp');
+    try {
+      const modXml = createModXml({
+        id: crypto.randomUUID(),
+        name: `${folder} changes`,
+        author: '',
+        version: '1.00',
+        description: `Modified files from ${archiveName || 'archive.lgp'}`,
+      });
+      const iro = writeIro([
+        { path: MOD_XML, data: new TextEncoder().encode(modXml) },
+        ...files.map(file => ({ path: `${folder}\\${file.path.replace(/\//g, '\\')}`, data: file.data })),
+      ]);
+      const saved = await saveFile(iro, {
+        defaultName: `${folder}-mod.iro`,
+        filters: [{ name: 'IRO Mod', extensions: ['iro'] }],
+      });
+      setStatus(saved ? `Exported ${files.length} file(s) to IRO` : 'Export cancelled');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName]);
+
+  // Apply the files an IRO mod has for this archive
+  const handleImportIro = useCallback(async () => {
+    if (!lgp) return;
+    const result = await openFile([{ name: 'IRO Mod', extensions: ['iro'] }]);
+    if (!result) return;
+
+    try {
+      const files = getModFilesForArchive(readIro(result.data), archiveName || 'archive.lgp');
+      if (files.length === 0) {
+        setStatus(`${result.name} has no files for ${archiveName}`);
+        return;
+      }
+      const { replaced, inserted, failed } = history.record(lgp, 'import', `Import ${result.name}`, () =>
+        applyModFiles(lgp, files)
+      );
+      const failedMsg = failed.length > 0 ? ` (${failed.length} failed)` : '';
+      setStatus(`Imported ${result.name}: ${replaced} replaced, ${inserted} inserted${failedMsg}`);
+      setArchiveVersion(v => v + 1);
+      refreshQuickLook();
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName, history, refreshQuickLook]);
+
+  // Write the replaced and inserted files as a loose-file mod: <mod>/<archive>/<path>
+  const handleExportModFolder = useCallback(async () => {
+    if (!lgp) return;
+    const files = getModifiedFiles(lgp);
+    if (files.length === 0) {
+      setStatus('No changes to export');
+      return;
+    }
+
+    const folder = getArchiveFolderName(archiveName || 'archive.lgp');
+    try {
+      const saved = await saveFolder(
+        files.map(file => ({ path: `${folder}/${file.path}`, data: file.data })),
+        `${folder}-mod`
+      );
+      setStatus(saved ? `Exported ${files.length} file(s) to mod folder` : 'Export cancelled');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName]);
+
+  // Overlay a loose-file mod folder onto the archive. Accepts the mod's root folder
+  // or the archive's folder inside it.
+  const handleApplyModFolder = useCallback(async () => {
+    if (!lgp) return;
+    const name = archiveName || 'archive.lgp';
+    const result = await openFolder(getArchiveFolderName(name));
+    if (!result) return;
+
+    let files = getModFilesForArchive(result.files, name);
+    if (files.length === 0 && result.name.toLowerCase() === getArchiveFolderName(name)) {
+      files = result.files;
+    }
+    if (files.length === 0) {
+      setStatus(`${result.name} has no files for ${name}`);
+      return;
+    }
+
+    try {
+      const { replaced, inserted, failed } = history.record(lgp, 'import', `Apply mod folder ${result.name}`, () =>
+        applyModFiles(lgp, files)
+      );
+      const failedMsg = failed.length > 0 ? ` (${failed.length} failed)` : '';
+      setStatus(`Applied ${result.name}: ${replaced} replaced, ${inserted} inserted${failedMsg}`);
+      setArchiveVersion(v => v + 1);
+      refreshQuickLook();
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName, history, refreshQuickLook]);
+
+  // Save the changes since loading as a patch against the archive file as loaded
+  const handleCreatePatch = useCallback(async () => {
+    if (!lgp) return;
+    setStatus('Creating patch...');
+    try {
+      const patch = await lgp.createPatch((current, total) => {
+        setStatus(`Creating patch... ${Math.round((current / total) * 100)}%`);
+      });
+      if (patch.records.length === 0) {
+        setStatus('No changes to export');
+        return;
+      }
+      const saved = await saveFile(LGP.encodePatch(patch), {
+        defaultName: `${getArchiveFolderName(archiveName || 'archive.lgp')}.lgppatch`,
+        filters: [{ name: 'LGP Patch', extensions: ['lgppatch'] }],
+      });
+      setStatus(saved ? `Created patch with ${patch.records.length} change(s)` : 'Export cancelled');
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+    }
+  }, [lgp, archiveName]);
+
+  // Apply a patch made against this exact archive, then save the patched result
+  const handleApplyPatch = useCallback(async () => {
+    if (!lgp) return;
+    const result = await openFile([{ name: 'LGP Patch', extensions: ['lgppatch'] }]);
+    if (!result) return;
+
+    setStatus('Checking patch...');
+    try {
+      const patch = LGP.decodePatch(result.data);
+      await lgp.checkPatchBase(patch, (current, total) => {
+        setStatus(`Checking patch... ${Math.round((current / total) * 100)}%`);
+      });
+      const applied = history.record(lgp, 'patch', `Apply ${result.name}`, () => lgp.applyPatch(patch));
+      setArchiveVersion(v => v + 1);
+      setSelectedIndices(new Set());
+      refreshQuickLook();
+      setStatus(`Applied ${applied} change(s) from ${result.name}`);
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+      return;
+    }
+    handleSave();
+  }, [lgp, history, refreshQuickLook, handleSave]);
+
+  // Scan every file (and optionally the decompressed contents of LZSS files) for a byte pattern
+  const handleContentSearch = useCallback(async (pattern, decompress) => {
+    if (!lgp) return;
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus('Searching file contents...');
+    try {
+      const hits = await searchArchiveContent(lgp, pattern, { decompress, limit: CONTENT_SEARCH_LIMIT }, (progress) => {
+        setStatus(`Searching file contents... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      setContentSearchResults({ hits, length: pattern.length, limitReached: hits.length >= CONTENT_SEARCH_LIMIT });
+      setStatus(`Found ${hits.length} match(es)`);
+    } catch (err) {
+      setStatus(isAbortError(err) ? 'Search cancelled' : `Error: ${err.message}`);
+    }
+    setActiveTask(null);
   }, [lgp]);
 
+  // Show a search hit in the hex view, scrolled to and highlighting the match
+  const handleOpenSearchHit = useCallback(async (hit, length) => {
+    if (!lgp) return;
+    const data = await lgp.loadFile(hit.path);
+    if (!data) {
+      setStatus(`Error: Could not read ${hit.path}`);
+      return;
+    }
+    const filename = hit.path.slice(hit.path.lastIndexOf('/') + 1);
+    setQuickLookFile({
+      filename,
+      path: hit.path,
+      data,
+      highlight: { offset: hit.offset, length, decompressed: hit.decompressed },
+    });
+    setPreviewMode(previewLayout);
+  }, [lgp, previewLayout]);
+
+  // Decode the dialogs of every field in the archive for the dialog search
+  const handleBuildDialogIndex = useCallback(async () => {
+    if (!lgp) return;
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus('Reading field dialogs...');
+    try {
+      const entries = await indexArchiveDialogs(lgp, (progress) => {
+        setStatus(`Reading field dialogs... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      setDialogIndex({ entries, version: archiveVersion });
+      setStatus(`Indexed ${entries.length} dialog(s)`);
+    } catch (err) {
+      setStatus(isAbortError(err) ? 'Dialog indexing cancelled' : `Error: ${err.message}`);
+    }
+    setActiveTask(null);
+  }, [lgp, archiveVersion]);
+
+  const handleShowDialogSearch = useCallback(() => {
+    setShowDialogSearch(true);
+    if (!dialogIndex && !activeTask) handleBuildDialogIndex();
+  }, [dialogIndex, activeTask, handleBuildDialogIndex]);
+
+  // Open a field in the Scripts tab with the dialog scrolled into view
+  const handleOpenDialog = useCallback(async (entry) => {
+    if (!lgp) return;
+    const filename = entry.path.slice(entry.path.lastIndexOf('/') + 1);
+    const data = await loadPreviewData(lgp, { path: entry.path, filename });
+    if (!data) {
+      setStatus(`Error: Could not read ${entry.path}`);
+      return;
+    }
+    setQuickLookFile({
+      filename,
+      path: entry.path,
+      data,
+      dialogFocus: { dialogId: entry.dialogId },
+    });
+    setPreviewMode(previewLayout);
+  }, [lgp, previewLayout]);
+
+  // Index the game variables read and written by every field script
+  const handleBuildVariableIndex = useCallback(async () => {
+    if (!lgp) return;
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus('Reading field scripts...');
+    try {
+      const usages = await indexArchiveVariables(lgp, (progress) => {
+        setStatus(`Reading field scripts... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      setVariableIndex({ usages, version: archiveVersion });
+      setStatus(`Indexed ${usages.length} variable usage(s)`);
+    } catch (err) {
+      setStatus(isAbortError(err) ? 'Variable indexing cancelled' : `Error: ${err.message}`);
+    }
+    setActiveTask(null);
+  }, [lgp, archiveVersion]);
+
+  const handleShowVariableSearch = useCallback(() => {
+    setShowVariableSearch(true);
+    if (!variableIndex && !activeTask) handleBuildVariableIndex();
+  }, [variableIndex, activeTask, handleBuildVariableIndex]);
+
+  // Open a field in the Scripts tab with the script using the variable open on that instruction
+  const handleOpenVariableUsage = useCallback(async (usage) => {
+    if (!lgp) return;
+    const filename = usage.path.slice(usage.path.lastIndexOf('/') + 1);
+    const data = await loadPreviewData(lgp, { path: usage.path, filename });
+    if (!data) {
+      setStatus(`Error: Could not read ${usage.path}`);
+      return;
+    }
+    setQuickLookFile({
+      filename,
+      path: usage.path,
+      data,
+      scriptFocus: { entityIndex: usage.entityIndex, slot: usage.slot, offset: usage.offset },
+    });
+    setPreviewMode(previewLayout);
+  }, [lgp, previewLayout]);
+
+  // Read the exits of every field and lay them out as a graph
+  const handleBuildFieldMap = useCallback(async () => {
+    if (!lgp) return;
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus('Reading field exits...');
+    try {
+      const map = await buildArchiveFieldMap(lgp, (progress) => {
+        setStatus(`Reading field exits... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      setFieldMap({ map, version: archiveVersion });
+      setStatus(`Mapped ${map.edges.length} connection(s) between fields`);
+    } catch (err) {
+      setStatus(isAbortError(err) ? 'Field map cancelled' : `Error: ${err.message}`);
+    }
+    setActiveTask(null);
+  }, [lgp, archiveVersion]);
+
+  const handleShowFieldMap = useCallback(() => {
+    setShowFieldMap(true);
+    if (!fieldMap && !activeTask) handleBuildFieldMap();
+  }, [fieldMap, activeTask, handleBuildFieldMap]);
+
+  const handleOpenMapField = useCallback(async (node) => {
+    if (!lgp) return;
+    const filename = node.path.slice(node.path.lastIndexOf('/') + 1);
+    const data = await loadPreviewData(lgp, { path: node.path, filename });
+    if (!data) {
+      setStatus(`Error: Could not read ${node.path}`);
+      return;
+    }
+    setQuickLookFile({ filename, path: node.path, data });
+    setPreviewMode(previewLayout);
+  }, [lgp, previewLayout]);
+
+  // Read the random battle settings of every field
+  const handleBuildEncounterReport = useCallback(async () => {
+    if (!lgp) return;
+    const controller = new AbortController();
+    setActiveTask(controller);
+    setStatus('Reading field encounters...');
+    try {
+      const results = await readArchiveEncounters(lgp, (progress) => {
+        setStatus(`Reading field encounters... ${Math.round((progress.current / progress.total) * 100)}%`);
+      }, controller.signal);
+      setEncounterReport({ results, version: archiveVersion });
+      setStatus(`Read the encounters of ${results.length} field(s)`);
+    } catch (err) {
+      setStatus(isAbortError(err) ? 'Encounter report cancelled' : `Error: ${err.message}`);
+    }
+    setActiveTask(null);
+  }, [lgp, archiveVersion]);
+
+  const handleShowEncounterReport = useCallback(() => {
+    setShowEncounterReport(true);
+    if (!encounterReport && !activeTask) handleBuildEncounterReport();
+  }, [encounterReport, activeTask, handleBuildEncounterReport]);
+
+  // Open a field in the Encounters tab with the table highlighted
+  const handleOpenEncounters = useCallback(async (row) => {
+    if (!lgp) return;
+    const filename = row.path.slice(row.path.lastIndexOf('/') + 1);
+    const data = await loadPreviewData(lgp, { path: row.path, filename });
+    if (!data) {
+      setStatus(`Error: Could not read ${row.path}`);
+      return;
+    }
+    setQuickLookFile({
+      filename,
+      path: row.path,
+      data,
+      encounterFocus: { table: row.index },
+    });
+    setPreviewMode(previewLayout);
+  }, [lgp, previewLayout]);
+
+  const clearQuickLookFocus = useCallback(() => {
+    setQuickLookFile(prev => prev && { ...prev, highlight: undefined, dialogFocus: undefined, scriptFocus: undefined, encounterFocus: undefined });
+  }, []);
+
+  // Drop unreadable files and normalize the TOC, then write a clean copy.
+  // Offsets, headers and tables are all regenerated when the archive is written.
+  const handleRebuild = useCallback(() => {
+    if (!lgp || !integrity) return;
+    const { unreadable } = integrity.report;
+    try {
+      history.record(lgp, 'repair', 'Repair archive', () => lgp.repair(unreadable));
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+      return;
+    }
+    setArchiveVersion(v => v + 1);
+    setSelectedIndices(new Set());
+    setIntegrity(null);
+    handleSave();
+  }, [lgp, integrity, history, handleSave]);
+
+  // Write data produced by an editor inside a preview back into the archive
+  const handlePreviewSave = useCallback((path, data, label) => {
+    if (!lgp) return false;
+    try {
+      const saved = history.record(lgp, 'edit', label || `Edit ${path}`, () =>
+        lgp.setFile(path, data)
+      );
+      if (!saved) return false;
+      setQuickLookFile(prev => prev?.path === path ? { ...prev, data } : prev);
+      setStatus(`Saved changes to ${path}`);
+      setArchiveVersion(v => v + 1);
+      return true;
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+      return false;
+    }
+  }, [lgp, history]);
+
+  const applyHistory = useCallback((command, verb) => {
+    if (!command) return;
+    setSelectedIndices(new Set());
+    setStatus(`${verb}: ${command.label}`);
+    setArchiveVersion(v => v + 1);
+    refreshQuickLook();
+  }, [refreshQuickLook]);
+
+  const handleUndo = useCallback(() => {
+    if (!lgp) return;
+    applyHistory(history.undo(lgp), 'Undo');
+  }, [lgp, applyHistory, history]);
+
+  const handleRedo = useCallback(() => {
+    if (!lgp) return;
+    applyHistory(history.redo(lgp), 'Redo');
+  }, [lgp, applyHistory, history]);
+
+  const handleHistoryJump = useCallback((id) => {
+    if (!lgp) return;
+    history.jumpTo(lgp, id);
+    setSelectedIndices(new Set());
+    if (id !== 0) setStatus('History restored');
+    else setStatus(history.truncated ? 'Reverted to the oldest kept state' : 'Reverted all changes');
+    setArchiveVersion(v => v + 1);
+    refreshQuickLook();
+  }, [lgp, refreshQuickLook, history]);
+
+  const handleMoveToFolder = useCallback((tocIndices, folderPath) => {
+    if (!lgp || tocIndices.length === 0) return;
+
+    // Resolve files before moving since moves rebuild the path table
+    const filesToMove = tocIndices.map(i => filesByTocIndex.get(i)).filter(Boolean);
+    let result;
+    try {
+      result = history.record(lgp, 'move', `Move ${filesToMove.length} file(s) to ${folderPath || 'root'}`, () => {
+        let moved = 0;
+        let skipped = 0;
+        for (const file of filesToMove) {
+          if (file.folderPath === folderPath) continue;
+          if (lgp.moveFile(file.path, folderPath)) {
+            moved++;
+          } else {
+            skipped++;
+          }
+        }
+        return { moved, skipped };
+      });
+    } catch (err) {
+      setStatus(`Error: ${err.message}`);
+      return;
+    }
+    const { moved, skipped } = result;
+
+    // The target folder now holds files, so it no longer needs to be tracked separately
+    if (moved > 0 && pendingFolders.has(folderPath)) {
+      setPendingFolders(prev => {
+        const next = new Set(prev);
+        next.delete(folderPath);
+        return next;
+      });
+    }
+
+    const skippedMsg = skipped > 0 ? ` (${skipped} skipped - name already exists)` : '';
+    setStatus(`Moved ${moved} file(s) to ${folderPath || 'root'}${skippedMsg}`);
+    setSelectedIndices(new Set());
+    setArchiveVersion(v => v + 1);
+  }, [lgp, filesByTocIndex, pendingFolders, history]);
+
   const handleRemove = useCallback(() => {
     if (!lgp || selectedIndices.size === 0) return;
     
     // Get file items (non-folders) in display order
     const fileItems = displayFiles.filter(f => !f.isFolder);
-    const selectedFiles = fileItems.filter(f => selectedIndices.has(f.tocIndex));
+    const selectedItems = fileItems.filter(f => selectedIndices.has(f.tocIndex));
     
-    if (selectedFiles.length === 0) return;
+    if (selectedItems.length === 0) return;
     
     // Find the position of the first selected file
     // After deletion, the file below will slide up to this position
-    const firstSelectedIdx = Math.min(...selectedFiles.map(f => fileItems.indexOf(f)));
+    const firstSelectedIdx = Math.min(...selectedItems.map(f => fileItems.indexOf(f)));
     
     // Store the target index for selection after re-render
     pendingSelectionIndex.current = firstSelectedIdx;
     
-    for (const file of selectedFiles) {
-      lgp.removeFile(file.filename);
-    }
+    // Resolve hierarchy items to archive files before removing
+    const selectedFiles = selectedItems.map(f => filesByTocIndex.get(f.tocIndex)).filter(Boolean);
+    const label = selectedFiles.length === 1 ? `Remove ${selectedFiles[0].path}` : `Remove ${selectedFiles.length} files`;
+    history.record(lgp, 'remove', label, () => {
+      for (const file of selectedFiles) {
+        lgp.removeFile(file.path);
+      }
+    });
     
     // Clear selection temporarily - will be restored by useEffect after re-render
     setSelectedIndices(new Set());
     setStatus(`Removed ${selectedFiles.length} file(s)`);
     setArchiveVersion(v => v + 1);
-  }, [lgp, displayFiles, selectedIndices]);
+  }, [lgp, displayFiles, filesByTocIndex, selectedIndices, history]);
   
   // Apply pending selection after archive changes and re-render
   useEffect(() => {
@@ -531,23 +1255,25 @@ function App() {
     }
   }, [sortColumn]);
 
-  const openQuickLookForFile = useCallback((file, mode) => {
+  const openQuickLookForFile = useCallback(async (item, mode) => {
+    // Hierarchy items don't carry the full path, resolve them to archive files
+    const file = item && filesByTocIndex.get(item.tocIndex);
     if (!lgp || !file) return;
 
-    const data = lgp.getFile(file.filename);
+    const data = await loadPreviewData(lgp, file);
     if (!data) {
       setStatus(`Error: Could not read ${file.filename}`);
       return;
     }
 
     const targetMode = mode || previewLayout;
-    setQuickLookFile({ filename: file.filename, data });
+    setQuickLookFile({ filename: file.filename, path: file.path, data });
     setPreviewMode(targetMode);
     setPreviewLayout(targetMode);
-  }, [lgp, previewLayout, setPreviewLayout]);
+  }, [lgp, filesByTocIndex, previewLayout, setPreviewLayout]);
 
   // Find which .rsd files reference a given texture file
-  const handleFindReferences = useCallback((textureFilename) => {
+  const handleFindReferences = useCallback(async (textureFilename) => {
     if (!lgp) return;
 
     // Get basename without extension for matching
@@ -573,7 +1299,7 @@ function App() {
     const decoder = new TextDecoder('utf-8');
 
     for (const entry of rsdFiles) {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (!data) continue;
 
       // Convert to text and do fast case-insensitive search
@@ -794,16 +1520,16 @@ function App() {
     if (!file) return;
 
     // Don't reload if it's the same file
-    if (quickLookFile?.filename === file.filename) return;
+    if (quickLookFile?.path === file.path) return;
 
-    const data = lgp.getFile(file.filename);
-    if (data) {
-      // Defer the state update to avoid cascading renders
-      queueMicrotask(() => {
-        setQuickLookFile({ filename: file.filename, data });
-      });
-    }
-  }, [effectivePreviewMode, selectedIndices, filesByTocIndex, lgp, quickLookFile?.filename]);
+    // Lazy archives resolve out of order, only show the most recently selected file
+    dockedPreviewPathRef.current = file.path;
+    loadPreviewData(lgp, file).then(data => {
+      if (data && dockedPreviewPathRef.current === file.path) {
+        setQuickLookFile({ filename: file.filename, path: file.path, data });
+      }
+    });
+  }, [effectivePreviewMode, selectedIndices, filesByTocIndex, lgp, quickLookFile?.path]);
 
   // Keyboard handling for QuickLook and navigation
   useEffect(() => {
@@ -819,6 +1545,25 @@ function App() {
         openQuickLook();
       }
       
+      // F2 renames the selected file
+      if (e.key === 'F2' && lgp && viewMode === 'list' && selectedIndices.size === 1) {
+        e.preventDefault();
+        setRenamingIndex([...selectedIndices][0]);
+        return;
+      }
+
+      // Cmd/Ctrl+Z undoes, Cmd/Ctrl+Shift+Z or Ctrl+Y redoes
+      const key = e.key.toLowerCase();
+      if (lgp && (e.metaKey || e.ctrlKey) && (key === 'z' || key === 'y')) {
+        e.preventDefault();
+        if (key === 'z' && !e.shiftKey) {
+          handleUndo();
+        } else {
+          handleRedo();
+        }
+        return;
+      }
+
       // Slash key or Cmd/Ctrl+F focuses search
       if ((e.key === '/' || (e.key === 'f' && (e.metaKey || e.ctrlKey))) && lgp) {
         e.preventDefault();
@@ -967,12 +1712,14 @@ function App() {
     
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [selectedIndices, effectivePreviewMode, openQuickLook, lgp, displayFiles, currentPath, viewMode, expandedNodes]);
+  }, [selectedIndices, effectivePreviewMode, openQuickLook, lgp, displayFiles, currentPath, viewMode, expandedNodes, handleUndo, handleRedo]);
 
   // Drag & drop handlers
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
+    // Ignore drags of archive entries within the file list
+    if (!e.dataTransfer.types.includes('Files')) return;
     dragCounter.current++;
     if (e.dataTransfer.items && e.dataTransfer.items.length > 0) {
       setIsDragging(true);
@@ -982,6 +1729,7 @@ function App() {
   const handleDragLeave = useCallback((e) => {
     e.preventDefault();
     e.stopPropagation();
+    if (!e.dataTransfer.types.includes('Files')) return;
     dragCounter.current--;
     if (dragCounter.current === 0) {
       setIsDragging(false);
@@ -1008,13 +1756,16 @@ function App() {
       return;
     }
 
+    const controller = new AbortController();
+    setActiveTask(controller);
     setStatus(`Loading ${file.name}...`);
     try {
       const buffer = await file.arrayBuffer();
-      const archive = new LGP(buffer);
-      setLgp(archive);
-      setArchiveName(file.name);
+      const archive = await parseArchive({ data: buffer }, controller.signal);
+      loadArchive(archive, file.name);
       setCurrentPath('');
+      setPendingFolders(new Set());
+      history.clear();
       setSelectedIndices(new Set());
       setSearchQuery('');
       setViewMode('list');
@@ -1022,9 +1773,11 @@ function App() {
       setPreviewMode('hidden');
       setStatus(`Loaded ${file.name}`);
     } catch (err) {
-      setStatus(`Error: ${err.message}`);
+      setStatus(isAbortError(err) ? 'Loading cancelled' : `Error: ${err.message}`);
+      if (err.report) setIntegrity({ report: err.report, name: file.name, canRebuild: false });
     }
-  }, [setViewMode]);
+    setActiveTask(null);
+  }, [setViewMode, history, loadArchive]);
 
   // Build breadcrumb
   const breadcrumbParts = currentPath ? currentPath.split('/').filter(Boolean) : [];
@@ -1054,12 +1807,123 @@ function App() {
         onReplace={handleReplace}
         onAdd={handleAdd}
         onRemove={handleRemove}
+        onRevert={handleRevert}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        onToggleHistory={() => setShowHistory(v => !v)}
+        onVerify={handleVerify}
+        onCompare={handleCompare}
+        onExportIro={handleExportIro}
+        onImportIro={handleImportIro}
+        onExportModFolder={handleExportModFolder}
+        onApplyModFolder={handleApplyModFolder}
+        onCreatePatch={handleCreatePatch}
+        onApplyPatch={handleApplyPatch}
+        onSearchContent={() => setShowContentSearch(true)}
+        onSearchDialogs={handleShowDialogSearch}
+        onSearchVariables={handleShowVariableSearch}
+        onShowFieldMap={handleShowFieldMap}
+        onShowEncounters={handleShowEncounterReport}
         hasArchive={!!lgp}
         hasSelection={selectedIndices.size > 0}
+        hasModifiedSelection={[...selectedIndices].some(i => filesByTocIndex.get(i)?.modified)}
+        canUndo={!!lgp && history.canUndo}
+        canRedo={!!lgp && history.canRedo}
+        showHistory={showHistory}
         searchQuery={searchQuery}
         onSearchChange={handleSearchChange}
       />
       
+      {integrity && (
+        <IntegrityPanel
+          report={integrity.report}
+          archiveName={integrity.name}
+          canRebuild={integrity.canRebuild && !!lgp}
+          onRebuild={handleRebuild}
+          onClose={() => setIntegrity(null)}
+        />
+      )}
+
+      {lgp && compare && (
+        <ComparePanel
+          base={lgp}
+          baseName={archiveName}
+          other={compare.lgp}
+          otherName={compare.name}
+          entries={compare.entries}
+          onClose={closeCompare}
+        />
+      )}
+
+      {lgp && showContentSearch && (
+        <ContentSearchPanel
+          results={contentSearchResults}
+          searching={!!activeTask}
+          onSearch={handleContentSearch}
+          onCancel={() => activeTask?.abort()}
+          onOpenHit={handleOpenSearchHit}
+          onClose={() => setShowContentSearch(false)}
+        />
+      )}
+
+      {lgp && showDialogSearch && (
+        <DialogSearchPanel
+          entries={dialogIndex?.entries ?? null}
+          stale={!!dialogIndex && dialogIndex.version !== archiveVersion}
+          building={!!activeTask}
+          onBuild={handleBuildDialogIndex}
+          onCancel={() => activeTask?.abort()}
+          onOpenDialog={handleOpenDialog}
+          onClose={() => setShowDialogSearch(false)}
+        />
+      )}
+
+      {lgp && showVariableSearch && (
+        <VariableSearchPanel
+          usages={variableIndex?.usages ?? null}
+          stale={!!variableIndex && variableIndex.version !== archiveVersion}
+          building={!!activeTask}
+          onBuild={handleBuildVariableIndex}
+          onCancel={() => activeTask?.abort()}
+          onOpenUsage={handleOpenVariableUsage}
+          onClose={() => setShowVariableSearch(false)}
+        />
+      )}
+
+      {lgp && showFieldMap && (
+        <FieldMapPanel
+          map={fieldMap?.map ?? null}
+          stale={!!fieldMap && fieldMap.version !== archiveVersion}
+          building={!!activeTask}
+          onBuild={handleBuildFieldMap}
+          onCancel={() => activeTask?.abort()}
+          onOpenField={handleOpenMapField}
+          onClose={() => setShowFieldMap(false)}
+        />
+      )}
+
+      {lgp && showEncounterReport && (
+        <EncounterReportPanel
+          results={encounterReport?.results ?? null}
+          stale={!!encounterReport && encounterReport.version !== archiveVersion}
+          building={!!activeTask}
+          onBuild={handleBuildEncounterReport}
+          onCancel={() => activeTask?.abort()}
+          onOpenField={handleOpenEncounters}
+          onClose={() => setShowEncounterReport(false)}
+        />
+      )}
+
+      {lgp && showHistory && (
+        <HistoryPanel
+          past={history.past}
+          future={history.future}
+          truncated={history.truncated}
+          onJump={handleHistoryJump}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       <div className={`split-view ${effectivePreviewMode === 'docked' ? 'split-view-active' : ''}`}>
         <div className={`main-content ${archiveType ? 'has-display-name' : ''}`}>
           {lgp && (
@@ -1088,6 +1952,15 @@ function App() {
                 ))}
               </div>
               <div className="view-mode-toggle">
+                {viewMode === 'list' && (
+                  <button
+                    className="expand-collapse-btn"
+                    onClick={() => setCreatingFolder(true)}
+                    title="Create a folder in the current location"
+                  >
+                    New folder
+                  </button>
+                )}
                 {viewMode === 'hierarchy' && hierarchyState.status === 'ready' && (
                   <button
                     className="expand-collapse-btn"
@@ -1152,7 +2025,15 @@ function App() {
               }}
               hierarchyLoading={hierarchyState.status === 'building'}
               hierarchyProgress={hierarchyProgress}
+              onCancelHierarchy={handleCancelHierarchy}
               archiveName={archiveName}
+              creatingFolder={creatingFolder}
+              onCreateFolder={handleCreateFolder}
+              onCancelCreateFolder={() => setCreatingFolder(false)}
+              onMoveToFolder={handleMoveToFolder}
+              renamingIndex={renamingIndex}
+              onRename={handleRename}
+              onCancelRename={() => setRenamingIndex(null)}
             />
           ) : (
             <div className="empty-state">
@@ -1167,10 +2048,16 @@ function App() {
             filename={quickLookFile.filename}
             data={quickLookFile.data}
             onClose={closeQuickLook}
-            onLoadFile={(name) => lgp?.getFile(name)}
+            onLoadFile={handleLoadFile}
             mode="docked"
             onUndock={undockPreview}
             onFindReferences={handleFindReferences}
+            onSaveFile={quickLookFile.path ? (data, label) => handlePreviewSave(quickLookFile.path, data, label) : undefined}
+            highlight={quickLookFile.highlight}
+            dialogFocus={quickLookFile.dialogFocus}
+            scriptFocus={quickLookFile.scriptFocus}
+            encounterFocus={quickLookFile.encounterFocus}
+            onClearFocus={clearQuickLookFocus}
           />
         )}
       </div>
@@ -1181,6 +2068,7 @@ function App() {
         totalSize={formatTotalSize(totalSize)}
         selectedCount={selectedIndices.size}
         onSelectFile={handleSelectFile}
+        onCancel={activeTask ? () => activeTask.abort() : undefined}
       />
       
       
@@ -1189,10 +2077,16 @@ function App() {
           filename={quickLookFile.filename}
           data={quickLookFile.data}
           onClose={closeQuickLook}
-          onLoadFile={(name) => lgp?.getFile(name)}
+          onLoadFile={handleLoadFile}
           mode="modal"
           onDock={windowWidth >= 900 ? dockPreview : undefined}
           onFindReferences={handleFindReferences}
+          onSaveFile={quickLookFile.path ? (data, label) => handlePreviewSave(quickLookFile.path, data, label) : undefined}
+          highlight={quickLookFile.highlight}
+          dialogFocus={quickLookFile.dialogFocus}
+          scriptFocus={quickLookFile.scriptFocus}
+          encounterFocus={quickLookFile.encounterFocus}
+          onClearFocus={clearQuickLookFocus}
         />
       )}
     </div>
@@ -0,0 +1,210 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { FilePreview } from './FilePreview.jsx';
+import { formatFileSize, getPreviewType, getPreviewTypeName } from '../utils/fileTypes.ts';
+import { formatChecksum } from '../utils/checksum.ts';
+import { usePersistedState } from '../utils/settings.ts';
+import './ComparePanel.css';
+
+const FILTERS = [
+  { status: 'changed', label: 'Changed' },
+  { status: 'added', label: 'Added' },
+  { status: 'removed', label: 'Removed' },
+  { status: 'unchanged', label: 'Unchanged' },
+];
+
+const STATUS_MARKS = {
+  changed: '~',
+  added: '+',
+  removed: '−',
+  unchanged: '=',
+};
+
+function ComparePane({ title, filename, data, loading, hex, hexColumns, onHexColumnsChange, compareData, scrollOffset, onScrollOffsetChange, onLoadFile }) {
+  return (
+    <div className="compare-pane">
+      <div className="compare-pane-title">{title}</div>
+      <div className="compare-pane-content">
+        {loading ? (
+          <div className="compare-placeholder">Loading...</div>
+        ) : data ? (
+          <FilePreview
+            filename={filename}
+            data={data}
+            hex={hex}
+            hexColumns={hexColumns}
+            onHexColumnsChange={onHexColumnsChange}
+            compareData={compareData}
+            scrollOffset={scrollOffset}
+            onScrollOffsetChange={onScrollOffsetChange}
+            mode="docked"
+            onLoadFile={onLoadFile}
+          />
+        ) : (
+          <div className="compare-placeholder">Not in this archive</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function ComparePanel({ base, baseName, other, otherName, entries, onClose }) {
+  const counts = useMemo(() => {
+    const result = { changed: 0, added: 0, removed: 0, unchanged: 0 };
+    for (const entry of entries) result[entry.status]++;
+    return result;
+  }, [entries]);
+
+  const [filter, setFilter] = useState(() => FILTERS.find(f => counts[f.status] > 0)?.status ?? 'changed');
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [loaded, setLoaded] = useState(null); // { path, base, other }
+  const [view, setView] = useState('preview'); // 'preview' | 'hex'
+  const [scrollOffset, setScrollOffset] = useState(0);
+  const [hexColumns, setHexColumns] = usePersistedState('hexColumns');
+
+  const visibleEntries = useMemo(() => entries.filter(entry => entry.status === filter), [entries, filter]);
+  const selected = useMemo(() => entries.find(entry => entry.path === selectedPath) ?? null, [entries, selectedPath]);
+
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+    Promise.all([
+      selected.baseSize !== null ? base.loadFile(selected.path) : null,
+      selected.otherSize !== null ? other.loadFile(selected.path) : null,
+    ]).then(([baseData, otherData]) => {
+      if (!cancelled) setLoaded({ path: selected.path, base: baseData, other: otherData });
+    }).catch(() => {
+      if (!cancelled) setLoaded({ path: selected.path, base: null, other: null });
+    });
+    return () => { cancelled = true; };
+  }, [selected, base, other]);
+
+  // Previews of models and skeletons pull their dependencies from the same archive
+  const loadBaseFile = useCallback(name => base.getFile(name), [base]);
+  const loadOtherFile = useCallback(name => other.getFile(name), [other]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const selectEntry = (path) => {
+    setSelectedPath(path);
+    setScrollOffset(0);
+  };
+
+  const isLoading = selected !== null && loaded?.path !== selected.path;
+  const hasPreview = selected !== null && getPreviewType(selected.filename) !== null;
+  const showHex = view === 'hex' || !hasPreview;
+  const baseData = isLoading ? null : loaded?.base;
+  const otherData = isLoading ? null : loaded?.other;
+
+  return (
+    <div className="compare-overlay">
+      <div className="compare-panel">
+        <div className="compare-header">
+          <span className="compare-title">
+            Compare: <strong>{baseName}</strong> → <strong>{otherName}</strong>
+          </span>
+          <button className="compare-close" onClick={onClose} title="Close (Esc)">×</button>
+        </div>
+
+        <div className="compare-body">
+          <div className="compare-sidebar">
+            <div className="compare-filters">
+              {FILTERS.map(f => (
+                <button
+                  key={f.status}
+                  className={`compare-filter ${filter === f.status ? 'active' : ''}`}
+                  onClick={() => setFilter(f.status)}
+                >
+                  {f.label} <span className="compare-count">{counts[f.status]}</span>
+                </button>
+              ))}
+            </div>
+            <div className="compare-list">
+              {visibleEntries.length === 0 ? (
+                <div className="compare-empty">No files</div>
+              ) : visibleEntries.map(entry => (
+                <div
+                  key={entry.path}
+                  className={`compare-item ${entry.status} ${entry.path === selectedPath ? 'selected' : ''}`}
+                  onClick={() => selectEntry(entry.path)}
+                  title={entry.path}
+                >
+                  <span className="compare-mark">{STATUS_MARKS[entry.status]}</span>
+                  <span className="compare-path">{entry.path}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="compare-detail">
+            {!selected ? (
+              <div className="compare-placeholder">Select a file to compare</div>
+            ) : (
+              <>
+                <div className="compare-info">
+                  <span className="compare-info-path">{selected.path}</span>
+                  <span>
+                    Size: {selected.baseSize !== null ? formatFileSize(selected.baseSize) : '—'}
+                    {' → '}
+                    {selected.otherSize !== null ? formatFileSize(selected.otherSize) : '—'}
+                  </span>
+                  <span>
+                    CRC: {selected.baseHash !== null ? formatChecksum(selected.baseHash) : '—'}
+                    {' → '}
+                    {selected.otherHash !== null ? formatChecksum(selected.otherHash) : '—'}
+                  </span>
+                  {hasPreview && (
+                    <div className="compare-view-toggle">
+                      <button className={view === 'preview' ? 'active' : ''} onClick={() => setView('preview')}>
+                        {getPreviewTypeName(selected.filename)}
+                      </button>
+                      <button className={view === 'hex' ? 'active' : ''} onClick={() => setView('hex')}>
+                        Hex diff
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="compare-split" key={selected.path}>
+                  <ComparePane
+                    title={baseName}
+                    filename={selected.filename}
+                    data={baseData}
+                    loading={isLoading}
+                    hex={showHex}
+                    hexColumns={hexColumns}
+                    onHexColumnsChange={setHexColumns}
+                    compareData={otherData ?? undefined}
+                    scrollOffset={scrollOffset}
+                    onScrollOffsetChange={setScrollOffset}
+                    onLoadFile={loadBaseFile}
+                  />
+                  <ComparePane
+                    title={otherName}
+                    filename={selected.filename}
+                    data={otherData}
+                    loading={isLoading}
+                    hex={showHex}
+                    hexColumns={hexColumns}
+                    onHexColumnsChange={setHexColumns}
+                    compareData={baseData ?? undefined}
+                    scrollOffset={scrollOffset}
+                    onScrollOffsetChange={setScrollOffset}
+                    onLoadFile={loadOtherFile}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
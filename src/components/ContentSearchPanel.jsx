@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { parseSearchPattern } from '../utils/searchPattern.ts';
+import './ContentSearchPanel.css';
+
+const MODES = [
+  { value: 'ascii', label: 'ASCII' },
+  { value: 'text', label: 'FF7 Text' },
+  { value: 'hex', label: 'Hex' },
+];
+
+const PLACEHOLDERS = {
+  ascii: 'Text to find',
+  text: 'Dialog text, e.g. {CLOUD}',
+  hex: 'Bytes, e.g. 0A 1B FF',
+};
+
+function formatOffset(offset) {
+  return '0x' + offset.toString(16).toUpperCase().padStart(8, '0');
+}
+
+export function ContentSearchPanel({ results, searching, onSearch, onCancel, onOpenHit, onClose }) {
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState('ascii');
+  const [decompress, setDecompress] = useState(true);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (searching) return;
+    let pattern;
+    try {
+      pattern = parseSearchPattern(query, mode);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (pattern.length === 0) {
+      setError('Enter something to search for');
+      return;
+    }
+    setError(null);
+    onSearch(pattern, decompress);
+  };
+
+  return (
+    <div className="content-search-panel">
+      <div className="content-search-header">
+        <span>Search file contents</span>
+        <button className="content-search-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <form className="content-search-form" onSubmit={handleSubmit}>
+        <div className="content-search-row">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={PLACEHOLDERS[mode]}
+            autoFocus
+          />
+          {searching ? (
+            <button type="button" onClick={onCancel}>Cancel</button>
+          ) : (
+            <button type="submit">Search</button>
+          )}
+        </div>
+        <div className="content-search-row">
+          <div className="content-search-modes">
+            {MODES.map(m => (
+              <button
+                key={m.value}
+                type="button"
+                className={mode === m.value ? 'active' : ''}
+                onClick={() => setMode(m.value)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <label className="content-search-option" title="Also search inside LZSS-compressed files such as field files">
+            <input type="checkbox" checked={decompress} onChange={(e) => setDecompress(e.target.checked)} />
+            Decompressed files
+          </label>
+        </div>
+        {error && <div className="content-search-error">{error}</div>}
+      </form>
+      {results && (
+        <>
+          <div className="content-search-summary">
+            {results.hits.length === 0
+              ? 'No matches'
+              : `${results.hits.length.toLocaleString()} match${results.hits.length === 1 ? '' : 'es'}${results.limitReached ? ' (limit reached)' : ''}`}
+          </div>
+          <div className="content-search-results">
+            {results.hits.map((hit, i) => (
+              <div
+                key={i}
+                className="content-search-hit"
+                onClick={() => onOpenHit(hit, results.length)}
+                title={hit.path}
+              >
+                <span className="content-search-path">{hit.path}</span>
+                <span className="content-search-offset">{formatOffset(hit.offset)}</span>
+                {hit.decompressed && <span className="content-search-tag" title="Offset in the decompressed data">LZSS</span>}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
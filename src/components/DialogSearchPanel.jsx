@@ -0,0 +1,86 @@
+import { useMemo, useState } from 'react';
+import './DialogSearchPanel.css';
+
+const MAX_ROWS = 500; // Rendering every dialog of flevel.lgp at once is slow, narrow it with the filter
+
+function matchesFilter(entry, lower) {
+  return entry.text.toLowerCase().includes(lower)
+    || entry.field.toLowerCase().includes(lower)
+    || entry.speakers.some(speaker => speaker.toLowerCase().includes(lower))
+    || entry.dialogId.toString() === lower;
+}
+
+export function DialogSearchPanel({ entries, stale, building, onBuild, onCancel, onOpenDialog, onClose }) {
+  const [filter, setFilter] = useState('');
+
+  const filtered = useMemo(() => {
+    if (!entries) return [];
+    const lower = filter.trim().toLowerCase();
+    if (!lower) return entries;
+    return entries.filter(entry => matchesFilter(entry, lower));
+  }, [entries, filter]);
+
+  const fieldCount = useMemo(() => new Set(entries?.map(entry => entry.path)).size, [entries]);
+
+  return (
+    <div className="dialog-search-panel">
+      <div className="dialog-search-header">
+        <span>Field dialogs</span>
+        <button className="dialog-search-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <div className="dialog-search-form">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by text, field, speaker or dialog ID"
+          autoFocus
+        />
+        {building ? (
+          <button onClick={onCancel}>Cancel</button>
+        ) : (
+          <button onClick={onBuild} title="Read the dialogs of every field again">
+            {entries ? 'Rebuild' : 'Build index'}
+          </button>
+        )}
+      </div>
+      {stale && !building && (
+        <div className="dialog-search-stale">The archive changed since the index was built</div>
+      )}
+      {entries && (
+        <>
+          <div className="dialog-search-summary">
+            {filtered.length.toLocaleString()} dialog{filtered.length === 1 ? '' : 's'} in {fieldCount.toLocaleString()} field{fieldCount === 1 ? '' : 's'}
+            {filtered.length > MAX_ROWS && ` (showing first ${MAX_ROWS})`}
+          </div>
+          <div className="dialog-search-results">
+            <table className="dialog-search-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>ID</th>
+                  <th>Speaker</th>
+                  <th>Text</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.slice(0, MAX_ROWS).map(entry => (
+                  <tr
+                    key={`${entry.path}:${entry.dialogId}`}
+                    onClick={() => onOpenDialog(entry)}
+                    title={entry.text}
+                  >
+                    <td className="dialog-search-field" title={entry.path}>{entry.field}</td>
+                    <td className="dialog-search-id">{entry.dialogId}</td>
+                    <td className="dialog-search-speaker">{entry.speakers.join(', ') || '—'}</td>
+                    <td className="dialog-search-text">{entry.text.replace(/\s*\n\s*/g, ' ') || '(empty)'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
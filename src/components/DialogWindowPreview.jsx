@@ -0,0 +1,125 @@
+import { useEffect, useRef } from 'react';
+import { getGlyphRect } from '../utils/gameFont.ts';
+
+// Approximations of the in-game text colors, by color control code
+const TEXT_COLORS = {
+    0xD2: '#8c8c8c', // GRAY
+    0xD3: '#6a9cff', // BLUE
+    0xD4: '#ff4a4a', // RED
+    0xD5: '#d060ff', // PURPLE
+    0xD6: '#5cdc5c', // GREEN
+    0xD7: '#5ce8f0', // CYAN
+    0xD8: '#f8e84a', // YELLOW
+    0xD9: '#ffffff', // WHITE
+};
+
+// Default window gradient corners: top left, top right, bottom left, bottom right
+const WINDOW_CORNERS = [[0, 88, 176], [0, 0, 80], [0, 0, 128], [0, 0, 32]];
+
+// Font textures tinted per color, built once per font
+const tintedFonts = new WeakMap();
+
+function getTintedFont(font, color) {
+    let byColor = tintedFonts.get(font);
+    if (!byColor) {
+        byColor = new Map();
+        tintedFonts.set(font, byColor);
+    }
+    let canvas = byColor.get(color);
+    if (!canvas) {
+        const base = document.createElement('canvas');
+        base.width = font.width;
+        base.height = font.height;
+        base.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(font.pixels), font.width, font.height), 0, 0);
+
+        // Multiply keeps the glyph shadows dark, then the glyph alpha is restored
+        canvas = document.createElement('canvas');
+        canvas.width = font.width;
+        canvas.height = font.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(base, 0, 0);
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = TEXT_COLORS[color] ?? TEXT_COLORS[0xD9];
+        ctx.fillRect(0, 0, font.width, font.height);
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(base, 0, 0);
+        byColor.set(color, canvas);
+    }
+    return canvas;
+}
+
+function drawWindowBackground(ctx, width, height) {
+    const image = ctx.createImageData(width, height);
+    const [tl, tr, bl, br] = WINDOW_CORNERS;
+    for (let y = 0; y < height; y++) {
+        const fy = height > 1 ? y / (height - 1) : 0;
+        for (let x = 0; x < width; x++) {
+            const fx = width > 1 ? x / (width - 1) : 0;
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const topColor = tl[c] + (tr[c] - tl[c]) * fx;
+                const bottomColor = bl[c] + (br[c] - bl[c]) * fx;
+                image.data[i + c] = topColor + (bottomColor - topColor) * fy;
+            }
+            image.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+function DialogPage({ page, width, height, font }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const scale = font.scale;
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        drawWindowBackground(ctx, canvas.width, canvas.height);
+        ctx.strokeStyle = '#d0d0d0';
+        ctx.lineWidth = scale;
+        ctx.strokeRect(scale / 2, scale / 2, canvas.width - scale, canvas.height - scale);
+
+        for (const glyph of page.glyphs) {
+            const rect = getGlyphRect(font, glyph.code);
+            ctx.drawImage(
+                getTintedFont(font, glyph.color),
+                rect.x, rect.y, rect.size, rect.size,
+                Math.round(glyph.x * scale), Math.round(glyph.y * scale), rect.size, rect.size
+            );
+        }
+    }, [page, width, height, font]);
+
+    return (
+        <canvas
+            ref={canvasRef}
+            className="scripts-dialog-window-canvas"
+            style={{ width: width * 2, height: height * 2 }}
+        />
+    );
+}
+
+/**
+ * Dialog text drawn with the game font inside FF7-style windows, one per page.
+ * Pages use the script's window size when known, so text that overflows gets clipped
+ * like it would in game.
+ */
+export function DialogWindowPreview({ pages, windowSize, font }) {
+    return (
+        <div className="scripts-dialog-windows">
+            {pages.map((page, i) => (
+                <DialogPage
+                    key={i}
+                    page={page}
+                    width={windowSize?.width || page.width}
+                    height={windowSize?.height || page.height}
+                    font={font}
+                />
+            ))}
+        </div>
+    );
+}
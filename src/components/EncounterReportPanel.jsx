@@ -0,0 +1,138 @@
+import { useMemo, useState } from 'react';
+import { saveFile } from '../utils/fileService.ts';
+import './EncounterReportPanel.css';
+
+const MAX_ROWS = 500;
+
+const formatEncounter = (encounter) => `${encounter.battleId} (${encounter.probability})`;
+
+const specialEncounters = (table) => [...table.backAttack, table.sideAttack, table.pincer];
+
+// One row per table, the report lists both tables of every field
+function toRows(results) {
+  return results.flatMap(result => result.tables.map((table, index) => ({ ...result, index, table })));
+}
+
+function matchesFilter(row, lower) {
+  if (row.field.toLowerCase().includes(lower)) return true;
+  const id = Number(lower);
+  return /^\d+$/.test(lower)
+    && [...row.table.normal, ...specialEncounters(row.table)].some(e => e.battleId === id && e.probability > 0);
+}
+
+function toCsv(rows) {
+  const header = [
+    'field', 'table', 'enabled', 'rate',
+    ...[1, 2, 3, 4, 5, 6].flatMap(i => [`normal${i}_battle`, `normal${i}_probability`]),
+    ...['back1', 'back2', 'side', 'pincer'].flatMap(name => [`${name}_battle`, `${name}_probability`]),
+  ];
+  const lines = rows.map(({ field, index, table }) => [
+    field, index + 1, table.enabled ? 1 : 0, table.rate,
+    ...[...table.normal, ...specialEncounters(table)].flatMap(e => [e.battleId, e.probability]),
+  ].join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+export function EncounterReportPanel({ results, stale, building, onBuild, onCancel, onOpenField, onClose }) {
+  const [filter, setFilter] = useState('');
+  const [enabledOnly, setEnabledOnly] = useState(true);
+  const [exportError, setExportError] = useState(null);
+
+  const rows = useMemo(() => results ? toRows(results) : [], [results]);
+
+  const filtered = useMemo(() => {
+    const lower = filter.trim().toLowerCase();
+    return rows.filter(row => (!enabledOnly || row.table.enabled) && (!lower || matchesFilter(row, lower)));
+  }, [rows, filter, enabledOnly]);
+
+  const fieldCount = useMemo(() => new Set(filtered.map(row => row.path)).size, [filtered]);
+
+  const handleExport = async () => {
+    try {
+      await saveFile(new TextEncoder().encode(toCsv(filtered)), {
+        defaultName: 'encounters.csv',
+        filters: [{ name: 'CSV', extensions: ['csv'] }],
+      });
+      setExportError(null);
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
+
+  return (
+    <div className="encounter-report-panel">
+      <div className="encounter-report-header">
+        <span>Random battles</span>
+        <button className="encounter-report-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <div className="encounter-report-form">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by field or battle ID"
+          autoFocus
+        />
+        <label title="Hide disabled tables">
+          <input type="checkbox" checked={enabledOnly} onChange={(e) => setEnabledOnly(e.target.checked)} />
+          Enabled only
+        </label>
+        <button onClick={handleExport} disabled={!results || filtered.length === 0} title="Save the listed tables as CSV">
+          Export
+        </button>
+        {building ? (
+          <button onClick={onCancel}>Cancel</button>
+        ) : (
+          <button onClick={onBuild} title="Read the encounters of every field again">
+            {results ? 'Rebuild' : 'Build report'}
+          </button>
+        )}
+      </div>
+      {exportError && <div className="encounter-report-error">{exportError}</div>}
+      {stale && !building && (
+        <div className="encounter-report-stale">The archive changed since the report was built</div>
+      )}
+      {results && (
+        <>
+          <div className="encounter-report-summary">
+            {filtered.length.toLocaleString()} table{filtered.length === 1 ? '' : 's'} in {fieldCount.toLocaleString()} field{fieldCount === 1 ? '' : 's'}
+            {filtered.length > MAX_ROWS && ` (showing first ${MAX_ROWS})`}
+          </div>
+          <div className="encounter-report-results">
+            <table className="encounter-report-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Table</th>
+                  <th>Rate</th>
+                  <th>Battles (probability /64)</th>
+                  <th>Back, side, pincer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.slice(0, MAX_ROWS).map(row => {
+                  const normal = row.table.normal.filter(e => e.probability > 0).map(formatEncounter).join(', ');
+                  const special = specialEncounters(row.table).filter(e => e.probability > 0).map(formatEncounter).join(', ');
+                  return (
+                    <tr
+                      key={`${row.path}:${row.index}`}
+                      className={row.table.enabled ? '' : 'disabled'}
+                      onClick={() => onOpenField(row)}
+                      title={`${normal}${special && `\n${special}`}`}
+                    >
+                      <td title={row.path}>{row.field}</td>
+                      <td>{row.index + 1}{!row.table.enabled && ' (off)'}</td>
+                      <td>{row.table.rate}</td>
+                      <td className="encounter-report-battles">{normal || '—'}</td>
+                      <td className="encounter-report-battles">{special || '—'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import './FieldEncountersPreview.css';
+
+const SPECIAL_ENCOUNTERS = [
+    { label: 'Back attack 1', get: t => t.backAttack[0], set: (t, e) => ({ ...t, backAttack: [e, t.backAttack[1]] }) },
+    { label: 'Back attack 2', get: t => t.backAttack[1], set: (t, e) => ({ ...t, backAttack: [t.backAttack[0], e] }) },
+    { label: 'Side attack', get: t => t.sideAttack, set: (t, e) => ({ ...t, sideAttack: e }) },
+    { label: 'Pincer attack', get: t => t.pincer, set: (t, e) => ({ ...t, pincer: e }) },
+];
+
+// Out of range input is clamped rather than rejected, the fields hold 10, 6 and 8 bits
+const clamp = (value, max) => Math.min(max, Math.max(0, parseInt(value, 10) || 0));
+
+function EncounterRow({ label, encounter, disabled, onChange }) {
+    return (
+        <tr>
+            <td className="field-encounters-label">{label}</td>
+            <td>
+                <input
+                    type="number"
+                    min={0}
+                    max={1023}
+                    value={encounter.battleId}
+                    disabled={disabled}
+                    onChange={(e) => onChange({ ...encounter, battleId: clamp(e.target.value, 1023) })}
+                />
+            </td>
+            <td>
+                <input
+                    type="number"
+                    min={0}
+                    max={63}
+                    value={encounter.probability}
+                    disabled={disabled}
+                    onChange={(e) => onChange({ ...encounter, probability: clamp(e.target.value, 63) })}
+                />
+                <span className="field-encounters-percent">{(encounter.probability / 64 * 100).toFixed(1)}%</span>
+            </td>
+        </tr>
+    );
+}
+
+function EncounterTableEditor({ table, index, isFocused, disabled, onChange }) {
+    const total = table.normal.reduce((sum, encounter) => sum + encounter.probability, 0);
+
+    return (
+        <div className={`field-encounters-table ${table.enabled ? '' : 'off'} ${isFocused ? 'focused' : ''}`}>
+            <div className="field-encounters-table-header">
+                <span>Table {index + 1}</span>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={table.enabled}
+                        disabled={disabled}
+                        onChange={(e) => onChange({ ...table, enabled: e.target.checked })}
+                    />
+                    Enabled
+                </label>
+                <label title="Lower values mean more frequent battles">
+                    Rate
+                    <input
+                        type="number"
+                        min={0}
+                        max={255}
+                        value={table.rate}
+                        disabled={disabled}
+                        onChange={(e) => onChange({ ...table, rate: clamp(e.target.value, 255) })}
+                    />
+                </label>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Formation</th>
+                        <th>Battle ID</th>
+                        <th>Probability (/64)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {table.normal.map((encounter, i) => (
+                        <EncounterRow
+                            key={i}
+                            label={`Normal ${i + 1}`}
+                            encounter={encounter}
+                            disabled={disabled}
+                            onChange={(e) => onChange({ ...table, normal: table.normal.map((n, j) => j === i ? e : n) })}
+                        />
+                    ))}
+                    <tr className="field-encounters-total">
+                        <td colSpan={2}>Normal total</td>
+                        <td className={total !== 64 ? 'field-encounters-warning' : ''}>
+                            {total}/64{total !== 64 && ' (should be 64)'}
+                        </td>
+                    </tr>
+                    {SPECIAL_ENCOUNTERS.map(special => (
+                        <EncounterRow
+                            key={special.label}
+                            label={special.label}
+                            encounter={special.get(table)}
+                            disabled={disabled}
+                            onChange={(e) => onChange(special.set(table, e))}
+                        />
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * Editor for the field's two random encounter tables. Field scripts switch tables with BTLTB,
+ * the first table is active when the field loads.
+ */
+export function FieldEncountersPreview({ encounters, focusedTable, onSave }) {
+    const [draft, setDraft] = useState(encounters);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    // A saved or reloaded field replaces the draft
+    const [prevEncounters, setPrevEncounters] = useState(encounters);
+    if (encounters !== prevEncounters) {
+        setPrevEncounters(encounters);
+        setDraft(encounters);
+        setError(null);
+    }
+
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(encounters);
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await onSave(draft);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="field-encounters-preview">
+            <div className="field-encounters-tables">
+                {draft.tables.map((table, i) => (
+                    <EncounterTableEditor
+                        key={i}
+                        table={table}
+                        index={i}
+                        isFocused={i === focusedTable}
+                        disabled={!onSave || saving}
+                        onChange={(t) => setDraft({ tables: draft.tables.map((old, j) => j === i ? t : old) })}
+                    />
+                ))}
+            </div>
+            {onSave && (
+                <div className="field-encounters-actions">
+                    {error && <span className="field-encounters-error">{error}</span>}
+                    <button onClick={() => setDraft(encounters)} disabled={!isDirty || saving}>Revert</button>
+                    <button onClick={handleSave} disabled={!isDirty || saving}>{saving ? 'Saving...' : 'Save'}</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,171 @@
+import { useMemo, useState } from 'react';
+import { fitViewBox, useSvgPanZoom } from '../utils/svgPanZoom.ts';
+import './FieldMapPanel.css';
+
+const MARGIN = 40; // Layout units around the map when it's fitted to the view
+const LABEL_ZOOM = 3; // Labels show for every field once the view is this much narrower than the map
+
+/**
+ * Every field of flevel.lgp as a graph: an edge for each gateway or MAPJUMP leading to another
+ * field. Drag to pan, scroll to zoom, click a field to open it.
+ */
+export function FieldMapPanel({ map, stale, building, onBuild, onCancel, onOpenField, onClose }) {
+  const [filter, setFilter] = useState('');
+  const [hovered, setHovered] = useState(null); // Node index
+
+  const bounds = useMemo(() => map ? fitViewBox(map.nodes, MARGIN, { x: 0, y: 0, w: 100, h: 100 }) : null, [map]);
+  const { svgRef, viewBox, setView, unit, handlers } = useSvgPanZoom(bounds, {
+    // The pointer is captured, so the pressed node is remembered rather than read on release
+    onPress: (e) => {
+      const node = e.target.dataset?.node;
+      return { node: node === undefined ? null : Number(node) };
+    },
+    onClick: (drag) => {
+      const node = drag.node === null ? null : map?.nodes[drag.node];
+      if (node?.path) onOpenField(node);
+    },
+  });
+  const [prevMap, setPrevMap] = useState(map);
+  if (map !== prevMap) {
+    setPrevMap(map);
+    setView(null);
+  }
+
+  // Neighbours of each node, both directions
+  const neighbours = useMemo(() => {
+    const result = map ? map.nodes.map(() => new Set()) : [];
+    for (const edge of map?.edges ?? []) {
+      result[edge.from].add(edge.to);
+      result[edge.to].add(edge.from);
+    }
+    return result;
+  }, [map]);
+
+  const matches = useMemo(() => {
+    const lower = filter.trim().toLowerCase();
+    if (!map || !lower) return new Set();
+    return new Set(map.nodes.flatMap((node, i) => node.name.toLowerCase().includes(lower) ? [i] : []));
+  }, [map, filter]);
+
+  // Center the view on the first field matching the filter
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    const [first] = matches;
+    if (first === undefined || !viewBox) return;
+    const node = map.nodes[first];
+    const w = Math.min(viewBox.w, bounds.w / LABEL_ZOOM);
+    const h = w * (viewBox.h / viewBox.w);
+    setView({ x: node.x - w / 2, y: node.y - h / 2, w, h });
+  };
+
+  const showAllLabels = bounds && viewBox && viewBox.w <= bounds.w / LABEL_ZOOM;
+  const highlighted = hovered !== null ? neighbours[hovered] : null;
+  const isHighlighted = (index) => index === hovered || !!highlighted?.has(index);
+
+  const linkedCount = map ? map.nodes.filter(node => node.path).length : 0;
+
+  return (
+    <div className="field-map-panel">
+      <div className="field-map-header">
+        <span>Field map</span>
+        <button className="field-map-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <form className="field-map-form" onSubmit={handleFilterSubmit}>
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Find a field, Enter to go to it"
+          autoFocus
+        />
+        <button type="button" onClick={() => setView(null)} disabled={!map} title="Show the whole map">
+          Fit
+        </button>
+        {building ? (
+          <button type="button" onClick={onCancel}>Cancel</button>
+        ) : (
+          <button type="button" onClick={onBuild} title="Read the exits of every field again">
+            {map ? 'Rebuild' : 'Build map'}
+          </button>
+        )}
+      </form>
+      {stale && !building && (
+        <div className="field-map-stale">The archive changed since the map was built</div>
+      )}
+      {map && (
+        <>
+          <div className="field-map-summary">
+            {linkedCount.toLocaleString()} field{linkedCount === 1 ? '' : 's'}, {map.edges.length.toLocaleString()} connection{map.edges.length === 1 ? '' : 's'}
+            {filter.trim() && ` • ${matches.size} match${matches.size === 1 ? '' : 'es'}`}
+            <span className="field-map-legend">
+              <span className="field-map-legend-gateway">Gateway</span>
+              <span className="field-map-legend-mapjump">Script jump</span>
+              <span className="field-map-legend-external">No field file</span>
+            </span>
+          </div>
+          <svg
+            ref={svgRef}
+            className="field-map-canvas"
+            viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.w} ${viewBox.h}`}
+            {...handlers}
+          >
+            <defs>
+              <marker id="field-map-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M0,0 L10,5 L0,10 z" className="field-map-arrow" />
+              </marker>
+              <marker id="field-map-arrow-mapjump" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M0,0 L10,5 L0,10 z" className="field-map-arrow mapjump" />
+              </marker>
+            </defs>
+            <g>
+              {map.edges.map((edge, i) => {
+                const from = map.nodes[edge.from];
+                const to = map.nodes[edge.to];
+                const active = hovered !== null && (edge.from === hovered || edge.to === hovered);
+                const gateway = edge.sources.includes('gateway'); // Drawn as a gateway when it's both
+                // Stop the line at the destination's circle so the arrow stays visible
+                const d = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+                const r = unit * 4;
+                return (
+                  <line
+                    key={i}
+                    x1={from.x}
+                    y1={from.y}
+                    x2={to.x - (to.x - from.x) * r / d}
+                    y2={to.y - (to.y - from.y) * r / d}
+                    strokeWidth={unit * (active ? 2 : 1)}
+                    strokeDasharray={gateway ? undefined : `${unit * 4} ${unit * 3}`}
+                    className={`field-map-edge ${gateway ? '' : 'mapjump'} ${active ? 'active' : ''}`}
+                    markerEnd={gateway ? 'url(#field-map-arrow)' : 'url(#field-map-arrow-mapjump)'}
+                  />
+                );
+              })}
+            </g>
+            <g>
+              {map.nodes.map((node, i) => (
+                <circle
+                  key={i}
+                  data-node={i}
+                  cx={node.x}
+                  cy={node.y}
+                  r={unit * (matches.has(i) ? 6 : 4)}
+                  strokeWidth={unit}
+                  className={`field-map-node ${node.path ? '' : 'external'} ${matches.has(i) ? 'match' : ''} ${isHighlighted(i) ? 'active' : ''}`}
+                  onPointerEnter={() => setHovered(i)}
+                  onPointerLeave={() => setHovered(prev => prev === i ? null : prev)}
+                >
+                  <title>{node.id >= 0 ? `${node.name} (ID ${node.id})` : node.name}</title>
+                </circle>
+              ))}
+            </g>
+            <g className="field-map-labels" style={{ fontSize: unit * 11 }}>
+              {map.nodes.map((node, i) => (showAllLabels || matches.has(i) || isHighlighted(i)) && (
+                <text key={i} x={node.x + unit * 6} y={node.y + unit * 4}>{node.name}</text>
+              ))}
+            </g>
+          </svg>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useCallback, useMemo, useState } from 'react';
+import { getModelCharFiles } from '../fieldfile.ts';
+import { getCharFile, hasCharFile, isCharArchiveOpen, openCharArchive, useCharArchiveVersion } from '../utils/charArchive.ts';
+import { HRCPreview } from './HRCPreview.jsx';
+import './FieldModelsPreview.css';
+
+const toCss = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+
+function LightSwatch({ color, title }) {
+    return <span className="field-models-light" style={{ background: toCss(color) }} title={title} />;
+}
+
+function ModelEntry({ model, index, isSelected, onSelect }) {
+    return (
+        <div className={`field-models-entry ${isSelected ? 'selected' : ''}`} onClick={() => onSelect(index)}>
+            <div className="field-models-entry-header">
+                <span className="field-models-index">{index}</span>
+                <span className="field-models-name">{model.name || '(unnamed)'}</span>
+                <span className="field-models-hrc">{model.hrcName}</span>
+            </div>
+            <div className="field-models-details">
+                <span>Scale {model.scale}</span>
+                <span className="field-models-lights">
+                    Lights
+                    {model.lights.map((light, i) => (
+                        <LightSwatch
+                            key={i}
+                            color={light.color}
+                            title={`Light ${i + 1}: ${toCss(light.color)}\nDirection ${light.direction.x}, ${light.direction.y}, ${light.direction.z}`}
+                        />
+                    ))}
+                    <LightSwatch color={model.globalLight} title={`Global light: ${toCss(model.globalLight)}`} />
+                </span>
+            </div>
+            {isSelected && model.animations.length > 0 && (
+                <div className="field-models-animations">
+                    {model.animations.map((animation, i) => (
+                        <span key={i} className="field-models-animation" title={`Unknown: ${animation.unknown}`}>
+                            {animation.name}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * The field's model loader: every model with its skeleton, scale, lights and animations.
+ * The selected model is shown with its listed animations, read from char.lgp.
+ */
+export function FieldModelsPreview({ modelLoader }) {
+    const [selected, setSelected] = useState(0);
+    const [prevModelLoader, setPrevModelLoader] = useState(modelLoader);
+    if (modelLoader !== prevModelLoader) {
+        setPrevModelLoader(modelLoader);
+        setSelected(0);
+    }
+    const [openError, setOpenError] = useState(null);
+    const charVersion = useCharArchiveVersion();
+
+    const model = modelLoader.models[selected] ?? null;
+    const files = useMemo(() => model ? getModelCharFiles(model) : null, [model]);
+
+    // A new callback whenever char.lgp reads more files, so the preview asks again
+    const handleLoadFile = useCallback((name) => getCharFile(name, charVersion), [charVersion]);
+
+    const hrcData = useMemo(() => files ? getCharFile(files.hrc, charVersion) : null, [files, charVersion]);
+
+    const handleOpenCharArchive = async () => {
+        try {
+            await openCharArchive();
+            setOpenError(null);
+        } catch (err) {
+            setOpenError(err.message);
+        }
+    };
+
+    let preview;
+    if (!model) {
+        preview = <div className="field-models-message">Select a model</div>;
+    } else if (!isCharArchiveOpen()) {
+        preview = (
+            <div className="field-models-message">
+                <span>Skeletons and animations are read from char.lgp</span>
+                <button onClick={handleOpenCharArchive}>Open char.lgp...</button>
+                {openError && <span className="field-models-error">{openError}</span>}
+            </div>
+        );
+    } else if (!hasCharFile(files.hrc)) {
+        preview = <div className="field-models-message">{files.hrc} is not in char.lgp</div>;
+    } else if (!hrcData) {
+        preview = <div className="field-models-message">Loading {files.hrc}...</div>;
+    } else {
+        preview = (
+            <HRCPreview
+                key={selected}
+                data={hrcData}
+                filename={files.hrc}
+                onLoadFile={handleLoadFile}
+                animationNames={files.animations}
+            />
+        );
+    }
+
+    return (
+        <div className="field-models-preview">
+            <div className="field-models-list">
+                <div className="field-models-list-header">
+                    Models ({modelLoader.models.length}) • Field scale {modelLoader.scale}
+                </div>
+                {modelLoader.models.length === 0 && (
+                    <div className="field-models-message">This field loads no models</div>
+                )}
+                {modelLoader.models.map((m, i) => (
+                    <ModelEntry key={i} model={m} index={i} isSelected={i === selected} onSelect={setSelected} />
+                ))}
+            </div>
+            <div className="field-models-view">{preview}</div>
+        </div>
+    );
+}
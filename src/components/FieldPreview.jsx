@@ -1,51 +1,85 @@
 import { useMemo, useRef, useEffect, useState, useCallback } from 'react';
-import { FieldFile, findInitialParamStates } from '../fieldfile.ts';
+import { DOOR_BEHAVIORS, findInitialParamStates, replaceScriptCode, replaceScriptDialogs, resizeScriptWindows, serializeEncounterSection, serializeWalkmeshSection } from '../fieldfile.ts';
+import { compressFieldFile, getFieldFileCached } from '../utils/fieldCache.ts';
+import { analyzeWalkmesh, findWalkmeshPath } from '../utils/walkmeshAnalysis.ts';
 import { WalkmeshPreview } from './WalkmeshPreview.jsx';
+import { WalkmeshEditor } from './WalkmeshEditor.jsx';
 import { ScriptsPreview } from './ScriptsPreview.jsx';
+import { FieldModelsPreview } from './FieldModelsPreview.jsx';
+import { FieldEncountersPreview } from './FieldEncountersPreview.jsx';
 import './FieldPreview.css';
 
-// Simple cache for parsed FieldFile objects to avoid re-parsing
-const fieldFileCache = new Map();
-const MAX_CACHE_SIZE = 10;
-
-function getFieldFileCached(data) {
-    // Create a stronger cache key by sampling multiple bytes throughout the data
-    // This prevents collisions between different files with same length/boundaries
-    const len = data.length;
-    const samples = [
-        data[0],
-        data[Math.floor(len * 0.25)],
-        data[Math.floor(len * 0.5)],
-        data[Math.floor(len * 0.75)],
-        data[len - 1]
-    ];
-    const key = `${len}-${samples.join('-')}`;
-
-    if (fieldFileCache.has(key)) {
-        const cached = fieldFileCache.get(key);
-        fieldFileCache.delete(key);
-        fieldFileCache.set(key, cached);
-        return cached;
-    }
+const ZOOM_LEVELS = [25, 50, 75, 100, 150, 200, 300, 400];
+const LAYER_NAMES = ['Layer 0 (Base)', 'Layer 1 (Animated)', 'Layer 2 (Back)', 'Layer 3 (Front)'];
+
+// Footer details from the triggers section, doors list their background parameter on hover
+function TriggersInfo({ triggers }) {
+    if (!triggers) return null;
+    const { doors, arrows, cameraRange: range, controlDirection } = triggers;
+    const doorDetails = doors.map((door, i) =>
+        `Door ${i + 1}: param ${door.bgParam} state ${door.bgState}, ${DOOR_BEHAVIORS[door.behavior] ?? `behavior ${door.behavior}`}, sound ${door.soundId}`
+    ).join('\n');
+
+    return (
+        <>
+            {doors.length > 0 && <span title={doorDetails}>{doors.length} doors</span>}
+            {arrows.length > 0 && <span>{arrows.length} arrows</span>}
+            <span title="Direction pressing up walks in">Control {Math.round(controlDirection * 360 / 256)}°</span>
+            <span title="Camera range (left, top, right, bottom)">
+                Range {range.left}, {range.top}, {range.right}, {range.bottom}
+            </span>
+        </>
+    );
+}
 
-    const fieldFile = new FieldFile(data);
+// Footer summary of the walkmesh analyzer and the path being traced
+function WalkmeshInfo({ issues, pathMode, pathEnds, path }) {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
 
-    if (fieldFileCache.size >= MAX_CACHE_SIZE) {
-        const firstKey = fieldFileCache.keys().next().value;
-        fieldFileCache.delete(firstKey);
+    let pathText = null;
+    if (pathMode) {
+        if (pathEnds.length < 2) pathText = `Click the ${pathEnds.length === 0 ? 'start' : 'end'} point`;
+        else if (!path) pathText = 'No path between the points';
+        else pathText = `Path through ${path.triangles.length} triangles, ${Math.round(path.length)} units`;
     }
 
-    fieldFileCache.set(key, fieldFile);
-    return fieldFile;
+    return (
+        <>
+            {issues.length > 0 && (
+                <span className="field-info-warning" title={issues.map(issue => issue.message).join('\n')}>
+                    {errors > 0 && `${errors} walkmesh error${errors === 1 ? '' : 's'}`}
+                    {errors > 0 && warnings > 0 && ', '}
+                    {warnings > 0 && `${warnings} warning${warnings === 1 ? '' : 's'}`}
+                </span>
+            )}
+            {pathText && <span>{pathText}</span>}
+        </>
+    );
 }
 
-const ZOOM_LEVELS = [25, 50, 75, 100, 150, 200, 300, 400];
-const LAYER_NAMES = ['Layer 0 (Base)', 'Layer 1 (Animated)', 'Layer 2 (Back)', 'Layer 3 (Front)'];
-
-export function FieldPreview({ data }) {
+export function FieldPreview({ data, onSave, dialogFocus, scriptFocus, encounterFocus }) {
     const canvasRef = useRef(null);
     const containerRef = useRef(null);
-    const [viewMode, setViewMode] = useState('background'); // 'background' | '3d-walkmesh'
+    const [viewMode, setViewMode] = useState('background'); // 'background' | '3d-walkmesh' | 'scripts' | 'models' | 'encounters'
+
+    // Opening a dialog from the dialog index or a script from the variable index shows it
+    // in the Scripts tab
+    const [prevDialogFocus, setPrevDialogFocus] = useState(null);
+    if (dialogFocus !== prevDialogFocus) {
+        setPrevDialogFocus(dialogFocus);
+        if (dialogFocus) setViewMode('scripts');
+    }
+    const [prevScriptFocus, setPrevScriptFocus] = useState(null);
+    if (scriptFocus !== prevScriptFocus) {
+        setPrevScriptFocus(scriptFocus);
+        if (scriptFocus) setViewMode('scripts');
+    }
+    const [prevEncounterFocus, setPrevEncounterFocus] = useState(null);
+    if (encounterFocus !== prevEncounterFocus) {
+        setPrevEncounterFocus(encounterFocus);
+        if (encounterFocus) setViewMode('encounters');
+    }
     const [showWalkmesh, setShowWalkmesh] = useState(true); // For background mode walkmesh overlay
     const [zoom, setZoom] = useState(100);
     const [layerVisibility, setLayerVisibility] = useState([true, true, true, true]);
@@ -59,6 +93,13 @@ export function FieldPreview({ data }) {
     // Walkmesh-specific state
     const [walkmeshShowGateways, setWalkmeshShowGateways] = useState(true);
     const [walkmeshShowTriangleIds, setWalkmeshShowTriangleIds] = useState(false);
+    const [walkmeshShowDoors, setWalkmeshShowDoors] = useState(true);
+    const [walkmeshShowArrows, setWalkmeshShowArrows] = useState(true);
+    const [walkmeshShowCameraRange, setWalkmeshShowCameraRange] = useState(false);
+    const [editingWalkmesh, setEditingWalkmesh] = useState(false);
+    const [walkmeshShowIssues, setWalkmeshShowIssues] = useState(false);
+    const [walkmeshPathMode, setWalkmeshPathMode] = useState(false);
+    const [pathEnds, setPathEnds] = useState([]); // Up to two { triangle, point } picked on the walkmesh
     const [_walkmeshFitBackground, _setWalkmeshFitBackground] = useState(false);
     const walkmeshResetRef = useRef(null);
 
@@ -87,6 +128,107 @@ export function FieldPreview({ data }) {
         }
     }, [data]);
 
+    const walkmeshIssues = useMemo(() => walkmesh ? analyzeWalkmesh(walkmesh, gateways) : [], [walkmesh, gateways]);
+
+    // Picked points belong to the walkmesh they were picked on
+    const [prevWalkmesh, setPrevWalkmesh] = useState(walkmesh);
+    if (walkmesh !== prevWalkmesh) {
+        setPrevWalkmesh(walkmesh);
+        setPathEnds([]);
+    }
+
+    const walkmeshPath = useMemo(() => {
+        return pathEnds.length === 2 ? findWalkmeshPath(walkmesh, pathEnds[0], pathEnds[1]) : null;
+    }, [walkmesh, pathEnds]);
+
+    const pathOverlay = useMemo(() => {
+        if (!walkmeshPathMode || pathEnds.length === 0) return null;
+        return {
+            markers: pathEnds.map(end => end.point),
+            points: walkmeshPath?.points ?? [],
+            triangles: (walkmeshPath?.triangles ?? []).map(t => walkmesh.triangles[t]),
+        };
+    }, [walkmesh, walkmeshPathMode, pathEnds, walkmeshPath]);
+
+    // A third point starts a new path
+    const handlePickPoint = useCallback((end) => {
+        setPathEnds(ends => ends.length >= 2 ? [end] : [...ends, end]);
+    }, []);
+
+    // Doors, arrows and the camera range are extra overlays, a section that doesn't parse only hides them
+    const triggers = useMemo(() => {
+        if (!field) return null;
+        try {
+            return field.getTriggersSection();
+        } catch {
+            return null;
+        }
+    }, [field]);
+
+    // Likewise the camera the walkmesh is first seen from
+    const camera = useMemo(() => {
+        if (!field) return null;
+        try {
+            return field.getCameraSection()?.cameras[0] || null;
+        } catch {
+            return null;
+        }
+    }, [field]);
+
+    // Parsed on its own so a broken model loader doesn't hide the rest of the field
+    const modelLoader = useMemo(() => {
+        if (!field) return null;
+        try {
+            return { section: field.getModelLoaderSection(), error: null };
+        } catch (err) {
+            return { section: null, error: err.message };
+        }
+    }, [field]);
+
+    const encounters = useMemo(() => {
+        if (!field) return null;
+        try {
+            return { section: field.getEncounterSection(), error: null };
+        } catch (err) {
+            return { section: null, error: err.message };
+        }
+    }, [field]);
+
+    const handleSaveEncounters = useCallback(async (section) => {
+        const sectionData = serializeEncounterSection(section, field.getSectionData('encounter'));
+        const compressed = await compressFieldFile(field.replaceSection('encounter', sectionData));
+        return onSave(compressed, `Edit encounters in ${scriptSection?.header.name || 'field'}`);
+    }, [field, scriptSection, onSave]);
+
+    const handleSaveWalkmesh = useCallback(async (section) => {
+        const compressed = await compressFieldFile(field.replaceSection('walkmesh', serializeWalkmeshSection(section)));
+        return onSave(compressed, `Edit walkmesh in ${scriptSection?.header.name || 'field'}`);
+    }, [field, scriptSection, onSave]);
+
+    // Splice a rebuilt script section into the field, recompress it and save.
+    // Errors are left for the caller in the Scripts tab to show.
+    const saveScriptSection = useCallback(async (sectionData, label) => {
+        const compressed = await compressFieldFile(field.replaceSection('script', sectionData));
+        return onSave(compressed, `${label} in ${scriptSection.header.name || 'field'}`);
+    }, [field, scriptSection, onSave]);
+
+    const handleSaveDialog = useCallback((dialogIndex, text) => {
+        const texts = scriptSection.dialogs.map(dialog => dialog.index === dialogIndex ? text : dialog.text);
+        return saveScriptSection(replaceScriptDialogs(field.getSectionData('script'), texts), `Edit dialog #${dialogIndex}`);
+    }, [field, scriptSection, saveScriptSection]);
+
+    const handleResizeWindows = useCallback((dialogIndex, windows) => {
+        return saveScriptSection(resizeScriptWindows(field.getSectionData('script'), windows), `Resize window of dialog #${dialogIndex}`);
+    }, [field, saveScriptSection]);
+
+    const handleSaveScript = useCallback((listing, code) => {
+        const entity = scriptSection.entities[listing.entityIndex];
+        return saveScriptSection(
+            replaceScriptCode(field.getSectionData('script'), listing.start, listing.end, code),
+            `Edit ${entity.name || `entity ${listing.entityIndex}`} ${listing.name}`
+        );
+    }, [field, scriptSection, saveScriptSection]);
+
     // Collect unique params and which state bits are used for each
     const { conditionalParams, paramUsedBits } = useMemo(() => {
         if (!field || !background) return { conditionalParams: [], paramUsedBits: {} };
@@ -527,6 +669,20 @@ export function FieldPreview({ data }) {
                     >
                         Scripts
                     </button>
+                    <button
+                        className={viewMode === 'models' ? 'active' : ''}
+                        onClick={() => setViewMode('models')}
+                        title="Models loaded by the field"
+                    >
+                        Models
+                    </button>
+                    <button
+                        className={viewMode === 'encounters' ? 'active' : ''}
+                        onClick={() => setViewMode('encounters')}
+                        title="Random battle tables"
+                    >
+                        Encounters
+                    </button>
                 </div>
 
                 {/* Layer/Params controls - show for Background mode */}
@@ -611,8 +767,8 @@ export function FieldPreview({ data }) {
                     </>
                 )}
 
-                {/* Gates/IDs controls - show for background and walkmesh modes */}
-                {viewMode !== 'scripts' && (
+                {/* Gates/IDs controls - show for background and walkmesh modes, the editor has its own */}
+                {(viewMode === 'background' || (viewMode === '3d-walkmesh' && !editingWalkmesh)) && (
                     <>
                         <button
                             className={`field-toggle-btn ${walkmeshShowGateways ? 'active' : ''}`}
@@ -623,6 +779,54 @@ export function FieldPreview({ data }) {
                             Gates
                         </button>
 
+                        <button
+                            className={`field-toggle-btn ${walkmeshShowDoors ? 'active' : ''}`}
+                            onClick={() => setWalkmeshShowDoors(!walkmeshShowDoors)}
+                            disabled={!triggers?.doors.length || (viewMode === 'background' && !showWalkmesh)}
+                            title="Toggle door triggers"
+                        >
+                            Doors
+                        </button>
+
+                        <button
+                            className={`field-toggle-btn ${walkmeshShowArrows ? 'active' : ''}`}
+                            onClick={() => setWalkmeshShowArrows(!walkmeshShowArrows)}
+                            disabled={!triggers?.arrows.length || (viewMode === 'background' && !showWalkmesh)}
+                            title="Toggle arrows"
+                        >
+                            Arrows
+                        </button>
+
+                        <button
+                            className={`field-toggle-btn ${walkmeshShowCameraRange ? 'active' : ''}`}
+                            onClick={() => setWalkmeshShowCameraRange(!walkmeshShowCameraRange)}
+                            disabled={!triggers || (viewMode === 'background' && !showWalkmesh)}
+                            title="Toggle camera range"
+                        >
+                            Range
+                        </button>
+
+                        <button
+                            className={`field-toggle-btn ${walkmeshShowIssues ? 'active' : ''}`}
+                            onClick={() => setWalkmeshShowIssues(!walkmeshShowIssues)}
+                            disabled={viewMode === 'background' && !showWalkmesh}
+                            title="Highlight broken links, triangles without area, unreachable parts and gateways off the walkmesh"
+                        >
+                            Issues
+                        </button>
+
+                        <button
+                            className={`field-toggle-btn ${walkmeshPathMode ? 'active' : ''}`}
+                            onClick={() => {
+                                setWalkmeshPathMode(!walkmeshPathMode);
+                                setPathEnds([]);
+                            }}
+                            disabled={viewMode === 'background' && !showWalkmesh}
+                            title="Click two points on the walkmesh to trace the triangles walked between them"
+                        >
+                            Path
+                        </button>
+
                         <button
                             className={`field-toggle-btn ${walkmeshShowTriangleIds ? 'active' : ''}`}
                             onClick={() => setWalkmeshShowTriangleIds(!walkmeshShowTriangleIds)}
@@ -635,6 +839,16 @@ export function FieldPreview({ data }) {
                         {/* Spacer to push Reset to the right */}
                         <div style={{ flex: 1 }} />
 
+                        {viewMode === '3d-walkmesh' && onSave && (
+                            <button
+                                className="field-toggle-btn"
+                                onClick={() => setEditingWalkmesh(true)}
+                                title="Move vertices, add and delete triangles"
+                            >
+                                Edit
+                            </button>
+                        )}
+
                         {/* Reset button - always on far right */}
                         <button
                             className="field-toggle-btn"
@@ -676,33 +890,55 @@ export function FieldPreview({ data }) {
                 <WalkmeshPreview
                     walkmesh={walkmesh}
                     gateways={gateways}
+                    triggers={triggers}
                     wireframe={true}
                     showGateways={walkmeshShowGateways}
+                    showDoors={walkmeshShowDoors}
+                    showArrows={walkmeshShowArrows}
+                    showCameraRange={walkmeshShowCameraRange}
+                    issues={walkmeshShowIssues ? walkmeshIssues : null}
+                    path={pathOverlay}
+                    onPickPoint={walkmeshPathMode ? handlePickPoint : null}
                     showTriangleIds={walkmeshShowTriangleIds}
                     showWalkmeshOverlay={showWalkmesh}
                     rotation={0}
                     onResetRequest={handleWalkmeshResetCallback}
                     cameraMode="perspective"
-                    cameraData={field?.getCameraSection()?.cameras[0] || null}
+                    cameraData={camera}
                     backgroundCanvasRef={canvasRef}
                     backgroundDimensions={dimensions}
                     backgroundRenderKey={backgroundRenderKey}
                 />
             )}
 
+            {viewMode === '3d-walkmesh' && editingWalkmesh && walkmesh && (
+                <WalkmeshEditor
+                    walkmesh={walkmesh}
+                    onSave={handleSaveWalkmesh}
+                    onClose={() => setEditingWalkmesh(false)}
+                />
+            )}
+
             {/* 3D Walkmesh mode (orthographic top-down) */}
-            {viewMode === '3d-walkmesh' && (
+            {viewMode === '3d-walkmesh' && !editingWalkmesh && (
                 <WalkmeshPreview
                     walkmesh={walkmesh}
                     gateways={gateways}
+                    triggers={triggers}
                     wireframe={true}
                     showGateways={walkmeshShowGateways}
+                    showDoors={walkmeshShowDoors}
+                    showArrows={walkmeshShowArrows}
+                    showCameraRange={walkmeshShowCameraRange}
+                    issues={walkmeshShowIssues ? walkmeshIssues : null}
+                    path={pathOverlay}
+                    onPickPoint={walkmeshPathMode ? handlePickPoint : null}
                     showTriangleIds={walkmeshShowTriangleIds}
                     showWalkmeshOverlay={true}
                     rotation={0}
                     onResetRequest={handleWalkmeshResetCallback}
                     cameraMode="orthographic"
-                    cameraData={null}
+                    cameraData={camera}
                     backgroundCanvasRef={null}
                     backgroundDimensions={null}
                     backgroundRenderKey={0}
@@ -711,7 +947,44 @@ export function FieldPreview({ data }) {
 
             {/* Scripts mode */}
             {viewMode === 'scripts' && scriptSection && (
-                <ScriptsPreview scriptSection={scriptSection} />
+                <ScriptsPreview
+                    scriptSection={scriptSection}
+                    dialogFocus={dialogFocus}
+                    scriptFocus={scriptFocus}
+                    onSaveDialog={onSave ? handleSaveDialog : undefined}
+                    onResizeWindows={onSave ? handleResizeWindows : undefined}
+                    onSaveScript={onSave ? handleSaveScript : undefined}
+                />
+            )}
+
+            {/* Models mode */}
+            {viewMode === 'models' && modelLoader && (
+                modelLoader.section ? (
+                    <FieldModelsPreview modelLoader={modelLoader.section} />
+                ) : (
+                    <div className="field-error">
+                        <div className="field-error-icon">!</div>
+                        <div className="field-error-text">Failed to parse model loader</div>
+                        <div className="field-error-detail">{modelLoader.error}</div>
+                    </div>
+                )
+            )}
+
+            {/* Encounters mode */}
+            {viewMode === 'encounters' && encounters && (
+                encounters.section ? (
+                    <FieldEncountersPreview
+                        encounters={encounters.section}
+                        focusedTable={encounterFocus?.table ?? null}
+                        onSave={onSave ? handleSaveEncounters : undefined}
+                    />
+                ) : (
+                    <div className="field-error">
+                        <div className="field-error-icon">!</div>
+                        <div className="field-error-text">Failed to parse encounters</div>
+                        <div className="field-error-detail">{encounters.error}</div>
+                    </div>
+                )
             )}
 
             {/* Footer info bar */}
@@ -721,12 +994,16 @@ export function FieldPreview({ data }) {
                         <span>{dimensions?.width}×{dimensions?.height}</span>
                         <span>{walkmesh?.triangleCount || 0} triangles</span>
                         {gateways?.length > 0 && <span>{gateways.length} gateways</span>}
+                        <TriggersInfo triggers={triggers} />
+                        <WalkmeshInfo issues={walkmeshIssues} pathMode={walkmeshPathMode} pathEnds={pathEnds} path={walkmeshPath} />
                     </>
                 )}
                 {viewMode === '3d-walkmesh' && (
                     <>
                         <span>{walkmesh?.triangleCount || 0} triangles</span>
                         {gateways?.length > 0 && <span>{gateways.length} gateways</span>}
+                        <TriggersInfo triggers={triggers} />
+                        <WalkmeshInfo issues={walkmeshIssues} pathMode={walkmeshPathMode} pathEnds={pathEnds} path={walkmeshPath} />
                     </>
                 )}
             </div>
@@ -1,4 +1,4 @@
-import { useRef, useCallback, useEffect, forwardRef, useImperativeHandle, useMemo } from 'react';
+import { useRef, useState, useCallback, useEffect, forwardRef, useImperativeHandle, useMemo } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import { getFileType, formatFileSize } from '../utils/fileTypes.ts';
 import charNames from '../assets/char-names.json';
@@ -6,6 +6,7 @@ import battleNames from '../assets/battle-names.json';
 import './FileList.css';
 
 const ROW_HEIGHT = 32;
+const DRAG_TYPE = 'application/x-lgp-entries';
 
 // Get display name for a file based on archive type
 function getDisplayName(filename, archiveType) {
@@ -23,6 +24,41 @@ function getDisplayName(filename, archiveType) {
   return null;
 }
 
+// Inline text input used for naming new folders and renaming files
+// Enter submits, Escape or losing focus cancels
+function InlineNameInput({ defaultValue = '', placeholder, onSubmit, onCancel }) {
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onSubmit(e.target.value.trim());
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  // Select the name without its extension, like file explorers do
+  const handleFocus = (e) => {
+    const dotIndex = defaultValue.lastIndexOf('.');
+    e.target.setSelectionRange(0, dotIndex > 0 ? dotIndex : defaultValue.length);
+  };
+
+  return (
+    <input
+      className="file-name-input"
+      autoFocus
+      defaultValue={defaultValue}
+      placeholder={placeholder}
+      onKeyDown={handleKeyDown}
+      onFocus={handleFocus}
+      onBlur={onCancel}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+    />
+  );
+}
+
 export const FileList = forwardRef(function FileList({
   files,
   currentPath,
@@ -39,9 +75,18 @@ export const FileList = forwardRef(function FileList({
   onToggleExpand,
   hierarchyLoading = false,
   hierarchyProgress = null,
+  onCancelHierarchy,
   archiveName = '',
+  creatingFolder = false,
+  onCreateFolder,
+  onCancelCreateFolder,
+  onMoveToFolder,
+  renamingIndex = null,
+  onRename,
+  onCancelRename,
 }, ref) {
   const parentRef = useRef(null);
+  const [dropTarget, setDropTarget] = useState(null);
 
   // Determine archive type for display names column
   const archiveType = useMemo(() => {
@@ -110,6 +155,41 @@ export const FileList = forwardRef(function FileList({
     }
   }, [onDoubleClick]);
 
+  // Dragging files onto folder rows moves them between path groups
+  const canMove = viewMode === 'list' && !!onMoveToFolder;
+
+  const getFolderTarget = useCallback((item) => {
+    if (item.isParent) {
+      const parts = currentPath.split('/').filter(Boolean);
+      parts.pop();
+      return parts.join('/');
+    }
+    return item.isFolder ? item.folderPath : null;
+  }, [currentPath]);
+
+  const handleDragStart = useCallback((e, item) => {
+    const indices = selectedIndices.has(item.tocIndex) ? [...selectedIndices] : [item.tocIndex];
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(indices));
+    e.dataTransfer.effectAllowed = 'move';
+  }, [selectedIndices]);
+
+  const handleDragOver = useCallback((e, item) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(getFolderTarget(item));
+  }, [getFolderTarget]);
+
+  const handleDrop = useCallback((e, item) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    const indices = JSON.parse(e.dataTransfer.getData(DRAG_TYPE));
+    onMoveToFolder(indices, getFolderTarget(item));
+  }, [getFolderTarget, onMoveToFolder]);
+
   // Handle expand/collapse click
   const handleExpandClick = useCallback((e, tocIndex) => {
     e.stopPropagation();
@@ -156,6 +236,19 @@ export const FileList = forwardRef(function FileList({
               </div>
             </div>
           )}
+          {onCancelHierarchy && (
+            <div className="hierarchy-loading-actions">
+              <button className="hierarchy-cancel-btn" onClick={onCancelHierarchy}>Cancel</button>
+            </div>
+          )}
+        </div>
+      )}
+      {creatingFolder && viewMode === 'list' && (
+        <div className="file-row folder-row new-folder-row">
+          <span className="col-index"></span>
+          <span className="col-name folder-name">
+            📁 <InlineNameInput placeholder="Folder name" onSubmit={onCreateFolder} onCancel={onCancelCreateFolder} />
+          </span>
         </div>
       )}
       <div ref={parentRef} className="file-list-scroll">
@@ -173,11 +266,15 @@ export const FileList = forwardRef(function FileList({
             const depth = isHierarchyItem ? item.depth : 0;
             const hasChildren = isHierarchyItem && item.hasChildren;
             const isExpanded = hasChildren && expandedNodes?.has(item.tocIndex);
+            const isFolderRow = item.isParent || item.isFolder;
+            const isDropTarget = canMove && isFolderRow && dropTarget === getFolderTarget(item);
+            const isRenaming = !isFolderRow && renamingIndex === item.tocIndex;
+            const isDraggable = canMove && !isFolderRow && !isRenaming;
 
             return (
               <div
                 key={virtualRow.key}
-                className={`file-row ${isSelected ? 'selected' : ''} ${item.isParent || item.isFolder ? 'folder-row' : ''} ${isHierarchyItem ? 'hierarchy-row' : ''} ${archiveType ? 'has-display-name' : ''}`}
+                className={`file-row ${isSelected ? 'selected' : ''} ${isFolderRow ? 'folder-row' : ''} ${isDropTarget ? 'drop-target' : ''} ${isHierarchyItem ? 'hierarchy-row' : ''} ${archiveType ? 'has-display-name' : ''}`}
                 style={{
                   position: 'absolute',
                   top: 0,
@@ -188,6 +285,11 @@ export const FileList = forwardRef(function FileList({
                 }}
                 onClick={(e) => handleRowClick(e, item)}
                 onDoubleClick={() => handleRowDoubleClick(item)}
+                draggable={isDraggable}
+                onDragStart={isDraggable ? (e) => handleDragStart(e, item) : undefined}
+                onDragOver={canMove && isFolderRow ? (e) => handleDragOver(e, item) : undefined}
+                onDragLeave={canMove && isFolderRow ? () => setDropTarget(null) : undefined}
+                onDrop={canMove && isFolderRow ? (e) => handleDrop(e, item) : undefined}
               >
                 {item.isParent ? (
                   <>
@@ -224,7 +326,15 @@ export const FileList = forwardRef(function FileList({
                       ) : isHierarchyItem ? (
                         <span className="expand-placeholder"></span>
                       ) : null}
-                      <span className="file-icon">📄</span> {item.filename}
+                      <span className="file-icon">📄</span>{' '}
+                      {isRenaming ? (
+                        <InlineNameInput
+                          defaultValue={item.filename}
+                          onSubmit={(name) => onRename?.(item.tocIndex, name)}
+                          onCancel={() => onCancelRename?.()}
+                        />
+                      ) : item.filename}
+                      {item.modified && <span className="modified-marker" title="Modified">●</span>}
                       {hasChildren && !isExpanded && (
                         <span className="child-count">({item.childCount})</span>
                       )}
@@ -0,0 +1,67 @@
+import { HexViewer } from './HexViewer.jsx';
+import { TexPreview } from './TexPreview.jsx';
+import { PModelPreview } from './PModelPreview.jsx';
+import { SkeletonPreview } from './SkeletonPreview.jsx';
+import { HRCPreview } from './HRCPreview.jsx';
+import { RSDPreview } from './RSDPreview.jsx';
+import { FieldPreview } from './FieldPreview.jsx';
+import { getPreviewType } from '../utils/fileTypes.ts';
+
+export function FilePreview({
+  filename,
+  data,
+  hex = false,
+  hexColumns,
+  onHexColumnsChange,
+  onPlaintextWidthChange,
+  compareData,
+  scrollOffset,
+  onScrollOffsetChange,
+  highlight,
+  dialogFocus,
+  scriptFocus,
+  encounterFocus,
+  mode = 'modal',
+  onLoadFile,
+  onSaveFile,
+}) {
+  const type = hex ? null : getPreviewType(filename);
+
+  switch (type) {
+    case 'tex':
+      return <TexPreview data={data} filename={filename} />;
+    case 'p':
+      return <PModelPreview data={data} />;
+    case 'skeleton':
+      return <SkeletonPreview data={data} filename={filename} onLoadFile={onLoadFile} />;
+    case 'hrc':
+      return <HRCPreview data={data} filename={filename} onLoadFile={onLoadFile} />;
+    case 'rsd':
+      return <RSDPreview data={data} onLoadFile={onLoadFile} />;
+    case 'field':
+      return (
+        <FieldPreview
+          data={data}
+          filename={filename}
+          onSave={onSaveFile}
+          dialogFocus={dialogFocus}
+          scriptFocus={scriptFocus}
+          encounterFocus={encounterFocus}
+        />
+      );
+    default:
+      return (
+        <HexViewer
+          data={data}
+          columns={hexColumns}
+          onColumnsChange={onHexColumnsChange}
+          onPlaintextWidthChange={onPlaintextWidthChange}
+          compareData={compareData}
+          scrollOffset={scrollOffset}
+          onScrollOffsetChange={onScrollOffsetChange}
+          highlight={highlight}
+          mode={mode}
+        />
+      );
+  }
+}
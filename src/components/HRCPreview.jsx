@@ -12,7 +12,7 @@ import { BackgroundColorPicker } from './BackgroundColorPicker.jsx';
 import modelAnimations from '../assets/model-animations.json';
 import './SkeletonPreview.css';
 
-export function HRCPreview({ data, filename, onLoadFile }) {
+export function HRCPreview({ data, filename, onLoadFile, animationNames }) {
     const containerRef = useRef(null);
     const sceneRef = useRef(null);
 
@@ -61,7 +61,7 @@ export function HRCPreview({ data, filename, onLoadFile }) {
         }
     }, [data]);
 
-    // Load all available animations for this model
+    // Load all available animations for this model, or the ones given (such as a field's model loader list)
     useEffect(() => {
         if (!hrc || !onLoadFile) {
             setLoadedAnimations([]);
@@ -69,7 +69,7 @@ export function HRCPreview({ data, filename, onLoadFile }) {
         }
 
         const modelCode = filename.toLowerCase().replace('.hrc', '');
-        const animList = modelAnimations[modelCode];
+        const animList = animationNames ?? modelAnimations[modelCode];
 
         if (!animList || animList.length === 0) {
             setLoadedAnimations([]);
@@ -116,7 +116,7 @@ export function HRCPreview({ data, filename, onLoadFile }) {
         animationTimeRef.current = 0;
         currentFrameRef.current = 0;
         selectedAnimIndexRef.current = initialAnimIndex;
-    }, [hrc, filename, onLoadFile]);
+    }, [hrc, filename, onLoadFile, animationNames]);
 
     // Initialize Three.js scene and load models
     useEffect(() => {
@@ -8,10 +8,64 @@ const VIEW_TYPES = ['Hex', 'Plaintext'];
 const WIDTH_OPTIONS = ['Normal', 'Full'];
 const COMPRESSION_OPTIONS = ['Raw', 'Decompress'];
 
-export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChange, mode = 'modal' }) {
+// Attempt LZSS decompression, falling back to the raw bytes
+function decompressForView(data) {
+  try {
+    const lzss = new Lzss();
+
+    // Many FF7 compressed files have a 4-byte little-endian header with the compressed size
+    // Try decompressing with header skip first
+    if (data.length > 4) {
+      const headerValue = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
+      const compressedData = data.subarray(4);
+
+      // If header value roughly matches the remaining data length, it's likely a size header
+      if (headerValue > 0 && headerValue <= compressedData.length + 100) {
+        try {
+          const decompressed = lzss.decompress(compressedData);
+          return {
+            displayData: decompressed,
+            decompressionError: null,
+            decompressionInfo: `Decompressed: ${compressedData.length} → ${decompressed.length} bytes`
+          };
+        } catch {
+          // Fall through to try without header
+        }
+      }
+    }
+
+    // Try decompressing without header skip
+    const decompressed = lzss.decompress(data);
+    return {
+      displayData: decompressed,
+      decompressionError: null,
+      decompressionInfo: `Decompressed: ${data.length} → ${decompressed.length} bytes`
+    };
+  } catch (err) {
+    return {
+      displayData: data,
+      decompressionError: `Decompression failed: ${err.message}`,
+      decompressionInfo: null
+    };
+  }
+}
+
+export function HexViewer({
+  data,
+  columns,
+  onColumnsChange,
+  onPlaintextWidthChange,
+  compareData,
+  scrollOffset,
+  onScrollOffsetChange,
+  highlight,
+  mode = 'modal',
+}) {
   const parentRef = useRef(null);
   const [plaintextWidth, setPlaintextWidth] = useState('Normal');
-  const [compressionMode, setCompressionMode] = useState('Raw');
+  // A highlighted range refers to either the stored or the decompressed bytes
+  const highlightMode = highlight?.decompressed ? 'Decompress' : 'Raw';
+  const [compressionMode, setCompressionMode] = useState(highlightMode);
 
   const handlePlaintextWidthChange = (width) => {
     setPlaintextWidth(width);
@@ -22,54 +76,33 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
 
   // Reset compression mode when data changes
   useEffect(() => {
-    setCompressionMode('Raw');
-  }, [data]);
+    setCompressionMode(highlightMode);
+  }, [data, highlightMode]);
 
   // Attempt LZSS decompression when requested
   const { displayData, decompressionError, decompressionInfo } = useMemo(() => {
     if (compressionMode === 'Raw') {
       return { displayData: data, decompressionError: null, decompressionInfo: null };
     }
+    return decompressForView(data);
+  }, [data, compressionMode]);
 
-    try {
-      const lzss = new Lzss();
-
-      // Many FF7 compressed files have a 4-byte little-endian header with the compressed size
-      // Try decompressing with header skip first
-      if (data.length > 4) {
-        const headerValue = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
-        const compressedData = data.subarray(4);
-
-        // If header value roughly matches the remaining data length, it's likely a size header
-        if (headerValue > 0 && headerValue <= compressedData.length + 100) {
-          try {
-            const decompressed = lzss.decompress(compressedData);
-            return {
-              displayData: decompressed,
-              decompressionError: null,
-              decompressionInfo: `Decompressed: ${compressedData.length} → ${decompressed.length} bytes`
-            };
-          } catch {
-            // Fall through to try without header
-          }
-        }
-      }
+  // Bytes to compare against, decompressed the same way as the main data
+  const compareDisplayData = useMemo(() => {
+    if (!compareData || compressionMode === 'Raw') return compareData;
+    return decompressForView(compareData).displayData;
+  }, [compareData, compressionMode]);
 
-      // Try decompressing without header skip
-      const decompressed = lzss.decompress(data);
-      return {
-        displayData: decompressed,
-        decompressionError: null,
-        decompressionInfo: `Decompressed: ${data.length} → ${decompressed.length} bytes`
-      };
-    } catch (err) {
-      return {
-        displayData: data,
-        decompressionError: `Decompression failed: ${err.message}`,
-        decompressionInfo: null
-      };
+  // Offsets where the two sides differ, bytes past the end of the shorter one included
+  const diffOffsets = useMemo(() => {
+    if (!compareDisplayData) return null;
+    const offsets = [];
+    const length = Math.max(displayData.length, compareDisplayData.length);
+    for (let i = 0; i < length; i++) {
+      if (displayData[i] !== compareDisplayData[i]) offsets.push(i);
     }
-  }, [data, compressionMode]);
+    return offsets;
+  }, [displayData, compareDisplayData]);
 
   // Auto-detect if content is likely plaintext by checking first 100 bytes
   const isLikelyText = useMemo(() => {
@@ -84,12 +117,15 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
     return checkLength > 0;
   }, [displayData]);
 
-  const [viewType, setViewType] = useState(isLikelyText ? 'Plaintext' : 'Hex');
+  const [viewType, setViewType] = useState(highlight || !isLikelyText ? 'Hex' : 'Plaintext');
 
   // Reset view type when opening a different file or when compression mode changes
   useEffect(() => {
-    setViewType(isLikelyText ? 'Plaintext' : 'Hex');
-  }, [data, displayData, isLikelyText]);
+    setViewType(highlight || !isLikelyText ? 'Hex' : 'Plaintext');
+  }, [data, displayData, isLikelyText, highlight]);
+
+  // Range to mark, only while showing the bytes it refers to
+  const activeHighlight = highlight && compressionMode === highlightMode ? highlight : null;
 
   // Only compute row count, not actual row data (avoid O(n) slice calls upfront)
   const rowCount = useMemo(() => Math.ceil(displayData.length / columns), [displayData.length, columns]);
@@ -127,6 +163,34 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
     overscan: 50,
   });
 
+  // Follow the scroll position of a linked viewer
+  useEffect(() => {
+    const el = parentRef.current;
+    if (el && scrollOffset !== undefined && Math.abs(el.scrollTop - scrollOffset) > 1) {
+      el.scrollTop = scrollOffset;
+    }
+  }, [scrollOffset, viewType]);
+
+  // Bring the highlighted range into view
+  useEffect(() => {
+    if (!activeHighlight || viewType !== 'Hex') return;
+    virtualizer.scrollToIndex(Math.floor(activeHighlight.offset / columns), { align: 'center' });
+  }, [activeHighlight, viewType, columns, virtualizer]);
+
+  const isHighlighted = (offset) =>
+    activeHighlight !== null && offset >= activeHighlight.offset && offset < activeHighlight.offset + activeHighlight.length;
+
+  // Scroll to the next or previous row containing a difference, wrapping around
+  const jumpToDiff = (direction) => {
+    if (!diffOffsets || diffOffsets.length === 0) return;
+    const currentRow = Math.round((virtualizer.scrollOffset ?? 0) / 20);
+    const rows = diffOffsets.map(offset => Math.floor(offset / columns));
+    const target = direction > 0
+      ? rows.find(row => row > currentRow) ?? rows[0]
+      : rows.findLast(row => row < currentRow) ?? rows[rows.length - 1];
+    virtualizer.scrollToIndex(target, { align: 'start' });
+  };
+
   // Compute row data on-demand for a given index (avoids pre-computing all rows)
   const getRowData = (index) => {
     const offset = index * columns;
@@ -140,14 +204,18 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
     return offset.toString(16).toUpperCase().padStart(8, '0');
   };
 
-  const renderHex = (bytes) => {
+  const renderHex = (bytes, offset) => {
     const elements = [];
     for (let i = 0; i < columns; i++) {
       if (i > 0) elements.push(' ');
       if (i < bytes.length) {
         const byte = bytes[i];
         const hex = byte.toString(16).toUpperCase().padStart(2, '0');
-        if (byte === 0) {
+        if (isHighlighted(offset + i)) {
+          elements.push(<span key={i} className="hex-match">{hex}</span>);
+        } else if (compareDisplayData && byte !== compareDisplayData[offset + i]) {
+          elements.push(<span key={i} className="hex-diff">{hex}</span>);
+        } else if (byte === 0) {
           elements.push(<span key={i} className="hex-zero">{hex}</span>);
         } else {
           elements.push(<span key={i}>{hex}</span>);
@@ -179,6 +247,22 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
     return ascii;
   };
 
+  // ASCII column with the highlighted part of the row wrapped in a span
+  const renderAscii = (bytes, offset) => {
+    const ascii = formatAscii(bytes);
+    if (!activeHighlight) return ascii;
+    const start = Math.max(0, activeHighlight.offset - offset);
+    const end = Math.min(bytes.length, activeHighlight.offset + activeHighlight.length - offset);
+    if (start >= end) return ascii;
+    return (
+      <>
+        {ascii.slice(0, start)}
+        <span className="hex-match">{ascii.slice(start, end)}</span>
+        {ascii.slice(end)}
+      </>
+    );
+  };
+
   return (
     <div className="hex-viewer">
       <div className="hex-toolbar">
@@ -238,6 +322,17 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
             </div>
           </>
         )}
+        {diffOffsets && (
+          <span className="hex-toolbar-diff">
+            {diffOffsets.length === 0 ? 'Identical' : `${diffOffsets.length.toLocaleString()} byte${diffOffsets.length === 1 ? '' : 's'} differ`}
+            {diffOffsets.length > 0 && viewType === 'Hex' && (
+              <>
+                <button className="hex-diff-nav" onClick={() => jumpToDiff(-1)} title="Previous difference">‹</button>
+                <button className="hex-diff-nav" onClick={() => jumpToDiff(1)} title="Next difference">›</button>
+              </>
+            )}
+          </span>
+        )}
         {decompressionInfo && (
           <span className="hex-toolbar-info">{decompressionInfo}</span>
         )}
@@ -258,7 +353,11 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
             <span className="hex-ascii">ASCII</span>
           </div>
           
-          <div ref={parentRef} className="hex-scroll">
+          <div
+            ref={parentRef}
+            className="hex-scroll"
+            onScroll={onScrollOffsetChange ? e => onScrollOffsetChange(e.currentTarget.scrollTop) : undefined}
+          >
             <div
               style={{
                 height: `${virtualizer.getTotalSize()}px`,
@@ -282,8 +381,8 @@ export function HexViewer({ data, columns, onColumnsChange, onPlaintextWidthChan
                     }}
                   >
                     <span className="hex-offset">{formatOffset(row.offset)}</span>
-                    <span className="hex-bytes">{renderHex(row.bytes)}</span>
-                    <span className="hex-ascii">{formatAscii(row.bytes)}</span>
+                    <span className="hex-bytes">{renderHex(row.bytes, row.offset)}</span>
+                    <span className="hex-ascii">{renderAscii(row.bytes, row.offset)}</span>
                   </div>
                 );
               })}
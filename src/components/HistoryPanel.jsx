@@ -0,0 +1,59 @@
+import './HistoryPanel.css';
+
+const ACTION_ICONS = {
+  replace: '⇄',
+  insert: '+',
+  remove: '−',
+  rename: '✎',
+  move: '→',
+  edit: '✎',
+  revert: '↺',
+  repair: '✓',
+  import: '⤓',
+  patch: '±',
+};
+
+export function HistoryPanel({ past, future, truncated, onJump, onClose }) {
+  const currentId = past.length > 0 ? past[past.length - 1].id : 0;
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <span>History</span>
+        <button className="history-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <div className="history-list">
+        <div
+          className={`history-item ${currentId === 0 ? 'current' : ''}`}
+          onClick={() => onJump(0)}
+          title={truncated ? 'Older changes were dropped from the history' : undefined}
+        >
+          <span className="history-icon">●</span>
+          <span className="history-label">{truncated ? 'Oldest kept state' : 'Original archive'}</span>
+        </div>
+        {past.map(command => (
+          <div
+            key={command.id}
+            className={`history-item ${command.id === currentId ? 'current' : ''}`}
+            onClick={() => onJump(command.id)}
+            title={command.label}
+          >
+            <span className="history-icon">{ACTION_ICONS[command.action]}</span>
+            <span className="history-label">{command.label}</span>
+          </div>
+        ))}
+        {future.map(command => (
+          <div
+            key={command.id}
+            className="history-item undone"
+            onClick={() => onJump(command.id)}
+            title={command.label}
+          >
+            <span className="history-icon">{ACTION_ICONS[command.action]}</span>
+            <span className="history-label">{command.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import './IntegrityPanel.css';
+
+const SECTION_LABELS = {
+  header: 'Header',
+  toc: 'TOC',
+  hash: 'Hash table',
+  path: 'Path table',
+  data: 'File data',
+  footer: 'Footer',
+};
+
+function formatOffset(offset) {
+  return '0x' + offset.toString(16).toUpperCase().padStart(8, '0');
+}
+
+export function IntegrityPanel({ report, archiveName, canRebuild, onRebuild, onClose }) {
+  const errors = report.issues.filter(issue => issue.severity === 'error').length;
+  const warnings = report.issues.length - errors;
+
+  return (
+    <div className="integrity-overlay" onClick={onClose}>
+      <div className="integrity-panel" onClick={e => e.stopPropagation()}>
+        <div className="integrity-header">
+          <span>Integrity check: {archiveName}</span>
+          <button className="integrity-close" onClick={onClose} title="Close">×</button>
+        </div>
+        <div className={`integrity-summary ${errors > 0 ? 'has-errors' : ''}`}>
+          {report.issues.length === 0
+            ? `No problems found in ${report.numFiles.toLocaleString()} files.`
+            : `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'} in ${report.numFiles.toLocaleString()} files.`}
+        </div>
+        {report.issues.length > 0 && (
+          <div className="integrity-list">
+            {report.issues.map((issue, i) => (
+              <div key={i} className={`integrity-item ${issue.severity}`}>
+                <span className="integrity-severity">{issue.severity === 'error' ? '✕' : '!'}</span>
+                <span className="integrity-offset">{formatOffset(issue.offset)}</span>
+                <span className="integrity-section">{SECTION_LABELS[issue.section]}</span>
+                <span className="integrity-message">{issue.message}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {canRebuild && report.issues.length > 0 && (
+          <div className="integrity-footer">
+            <span className="integrity-note">
+              {report.unreadable.length > 0
+                ? `${report.unreadable.length} unreadable file${report.unreadable.length === 1 ? '' : 's'} will be left out.`
+                : 'All files will be written with fresh offsets and tables.'}
+            </span>
+            <button className="integrity-rebuild" onClick={onRebuild}>Rebuild archive...</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,6 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { HexViewer } from './HexViewer.jsx';
-import { TexPreview } from './TexPreview.jsx';
-import { PModelPreview } from './PModelPreview.jsx';
-import { SkeletonPreview } from './SkeletonPreview.jsx';
-import { HRCPreview } from './HRCPreview.jsx';
-import { RSDPreview } from './RSDPreview.jsx';
-import { FieldPreview } from './FieldPreview.jsx';
-import { formatFileSize, isBattleTexFile, isPModelFile, isBattleSkeletonFile, isMagicSkeletonFile, isMagicTextureFile, isHRCFile, isRSDFile, isTextureFile, isFieldFile } from '../utils/fileTypes.ts';
+import { FilePreview } from './FilePreview.jsx';
+import { formatFileSize, isTextureFile, getPreviewType, getPreviewTypeName } from '../utils/fileTypes.ts';
 import { usePersistedState } from '../utils/settings.ts';
 import './QuickLook.css';
 
@@ -30,45 +24,31 @@ const ExpandIcon = () => (
   </svg>
 );
 
-export function QuickLook({ filename, data, onClose, onLoadFile, mode = 'modal', onDock, onUndock, onFindReferences }) {
-  const isTexFile = filename.toLowerCase().endsWith('.tex') || isBattleTexFile(filename) || isMagicTextureFile(filename);
-  const isPFile = isPModelFile(filename);
-  const isSkeletonFile = isBattleSkeletonFile(filename) || isMagicSkeletonFile(filename);
-  const isHRC = isHRCFile(filename);
-  const isRSD = isRSDFile(filename);
-  const isField = isFieldFile(filename);
+export function QuickLook({ filename, data, onClose, onLoadFile, mode = 'modal', onDock, onUndock, onFindReferences, onSaveFile, highlight, dialogFocus, scriptFocus, encounterFocus, onClearFocus }) {
+  const previewType = getPreviewType(filename);
   const [hexColumns, setHexColumns] = usePersistedState('hexColumns');
   const [viewMode, setViewMode] = usePersistedState('previewMode');
+  // Search hits are shown in the hex view and focused dialogs, scripts and encounters in
+  // the field preview until the user switches away
+  const isHexMode = (viewMode === 'hex' && !dialogFocus && !scriptFocus && !encounterFocus) || !!highlight;
   const [plaintextWidth, setPlaintextWidth] = useState('Normal'); // 'Normal' | 'Full'
 
   // Check if showing a specialized preview (not hex mode)
-  const isSpecializedPreview = viewMode !== 'hex' && (isTexFile || isPFile || isSkeletonFile || isHRC || isRSD || isField);
+  const isSpecializedPreview = !isHexMode && previewType !== null;
   // Check if showing hex view
   const isHexView = !isSpecializedPreview;
   // Check if plaintext is in full width mode
   const isPlaintextFullWidth = isHexView && plaintextWidth === 'Full';
 
-  const getFileTypeName = () => {
-    if (isTexFile) return 'TEX Image';
-    if (isPFile) return '3D Model';
-    if (isSkeletonFile) return isMagicSkeletonFile(filename) ? 'Magic Skeleton' : 'Battle Skeleton';
-    if (isHRC) return 'Field Skeleton';
-    if (isRSD) return 'Resource Definition';
-    if (isField) return 'Field';
-    return 'Preview';
-  };
-
   const modalWidth = useMemo(() => {
-    if (isTexFile) return 900;
-    if (isPFile) return 900;
-    if (isSkeletonFile) return 900;
-    if (isHRC) return 900;
-    if (isRSD) return 900;
-    if (isField) return 900;
+    if (previewType) return 900;
     return HEX_COLUMN_WIDTHS[hexColumns] || 900;
-  }, [isTexFile, isPFile, isSkeletonFile, isHRC, isRSD, isField, hexColumns]);
+  }, [previewType, hexColumns]);
 
   const handleKeyDown = useCallback((e) => {
+    // Keys typed into the previews' editors are theirs
+    const { tagName, isContentEditable } = e.target;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || isContentEditable) return;
     // Close on Escape/Space in both modes
     if (e.key === 'Escape' || e.key === ' ') {
       e.preventDefault();
@@ -109,40 +89,26 @@ export function QuickLook({ filename, data, onClose, onLoadFile, mode = 'modal',
       </div>
 
       <div className="quicklook-content">
-        {viewMode === 'hex' ? (
-          <HexViewer data={data} columns={hexColumns} onColumnsChange={setHexColumns} onPlaintextWidthChange={setPlaintextWidth} mode={mode} />
-        ) : isTexFile ? (
-          <TexPreview data={data} filename={filename} />
-        ) : isPFile ? (
-          <PModelPreview data={data} />
-        ) : isSkeletonFile ? (
-          <SkeletonPreview data={data} filename={filename} onLoadFile={onLoadFile} />
-        ) : isHRC ? (
-          <HRCPreview data={data} filename={filename} onLoadFile={onLoadFile} />
-        ) : isRSD ? (
-          <RSDPreview data={data} onLoadFile={onLoadFile} />
-        ) : isField ? (
-          <FieldPreview data={data} filename={filename} />
-        ) : (
-          <HexViewer data={data} columns={hexColumns} onColumnsChange={setHexColumns} onPlaintextWidthChange={setPlaintextWidth} mode={mode} />
-        )}
+        <FilePreview
+          filename={filename}
+          data={data}
+          hex={isHexMode}
+          highlight={highlight}
+          dialogFocus={dialogFocus}
+          scriptFocus={scriptFocus}
+          encounterFocus={encounterFocus}
+          hexColumns={hexColumns}
+          onHexColumnsChange={setHexColumns}
+          onPlaintextWidthChange={setPlaintextWidth}
+          mode={mode}
+          onLoadFile={onLoadFile}
+          onSaveFile={onSaveFile}
+        />
       </div>
 
       <div className="quicklook-footer">
         <span>{formatFileSize(data.length)}</span>
-        {viewMode === 'hex' ? (
-          <span>Hex View</span>
-        ) : (
-          <>
-            {isTexFile && <span>TEX Image</span>}
-            {isPFile && <span>3D Model</span>}
-            {isSkeletonFile && <span>{isMagicSkeletonFile(filename) ? 'Magic Skeleton' : 'Battle Skeleton'}</span>}
-            {isHRC && <span>Field Skeleton</span>}
-            {isRSD && <span>Resource Definition</span>}
-            {isField && <span>Field</span>}
-            {!isTexFile && !isPFile && !isSkeletonFile && !isHRC && !isRSD && !isField && <span>Hex View</span>}
-          </>
-        )}
+        <span>{isHexMode ? 'Hex View' : getPreviewTypeName(filename)}</span>
         {isTextureFile(filename) && onFindReferences && (
           <a
             href="#"
@@ -155,18 +121,19 @@ export function QuickLook({ filename, data, onClose, onLoadFile, mode = 'modal',
             Find references
           </a>
         )}
-        {(isTexFile || isPFile || isSkeletonFile || isHRC || isRSD || isField) && (
+        {previewType && (
           <span style={{ marginLeft: 'auto' }}>
-            {viewMode === 'hex' ? (
+            {isHexMode ? (
               <a
                 href="#"
                 className="quicklook-view-toggle"
                 onClick={(e) => {
                   e.preventDefault();
+                  onClearFocus?.();
                   setViewMode('auto');
                 }}
               >
-                View as {getFileTypeName()}
+                View as {getPreviewTypeName(filename)}
               </a>
             ) : (
               <a
@@ -174,6 +141,7 @@ export function QuickLook({ filename, data, onClose, onLoadFile, mode = 'modal',
                 className="quicklook-view-toggle"
                 onClick={(e) => {
                   e.preventDefault();
+                  onClearFocus?.();
                   setViewMode('hex');
                 }}
               >
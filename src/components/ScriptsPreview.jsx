@@ -1,6 +1,11 @@
-import { useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { findDialogReferences } from '../fieldfile.ts';
-import { decodeText } from '../fftext.ts';
+import { decodeText, encodeText, FFTextAutosizer } from '../fftext.ts';
+import { decompileScript } from '../fielddecompiler.ts';
+import { assembleScript, disassembleScript, formatListing, formatOperands, formatScriptSection } from '../fieldscript.ts';
+import { saveFile } from '../utils/fileService.ts';
+import { loadGameFont, useGameFont } from '../utils/gameFont.ts';
+import { DialogWindowPreview } from './DialogWindowPreview.jsx';
 import './ScriptsPreview.css';
 
 /**
@@ -26,6 +31,29 @@ function decodeDialogText(data) {
     }
 }
 
+const autosizer = new FFTextAutosizer();
+
+/**
+ * Compare the window size a dialog's text needs against the WINDOW opcodes that open it.
+ * Returns null when the text can't be decoded or no script sets up its window.
+ */
+function checkDialogWindows(dialog, dialogRefs) {
+    const windows = new Map();
+    for (const ref of dialogRefs) {
+        if (ref.dialogId === dialog.index && ref.window) windows.set(ref.window.offset, ref.window);
+    }
+    if (windows.size === 0) return null;
+    let needed;
+    try {
+        needed = autosizer.measure(new TextDecoder().decode(decodeText(dialog.text)));
+    } catch {
+        return null;
+    }
+    const list = [...windows.values()];
+    const overflowing = list.filter(w => needed.width > w.width || needed.height > w.height);
+    return { needed, windows: list, overflowing };
+}
+
 // Script slot names from FF7 documentation
 const SCRIPT_SLOT_NAMES = [
     'Init', 'Main', 'Script 1', 'Script 2',
@@ -309,7 +337,208 @@ function getScriptSizes(entity, scriptSection) {
     return sizes;
 }
 
-function EntityPanel({ entity, entityIndex, scriptSection, dialogRefs, isExpanded, onToggle }) {
+const toHex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+function ScriptListing({ listing, scriptSection, bodyRef, focusOffset }) {
+    const { scriptData, scriptDataOffset } = scriptSection;
+
+    const scrollToOffset = (offset) => {
+        const row = bodyRef.current?.querySelector(`[data-offset="${offset}"]`);
+        row?.scrollIntoView({ block: 'nearest' });
+    };
+
+    return listing.instructions.map((instruction) => {
+        const label = listing.labels.get(instruction.offset);
+        const rel = instruction.offset - scriptDataOffset;
+        const bytes = Array.from(scriptData.subarray(rel, rel + instruction.length), b => toHex(b, 2)).join(' ');
+        const inListing = instruction.target !== null
+            && instruction.target >= listing.start && instruction.target < listing.end;
+        return (
+            <div key={instruction.offset}>
+                {label && <div className="scripts-listing-label">{label}:</div>}
+                <div
+                    className={`scripts-listing-row ${instruction.offset === focusOffset ? 'focused' : ''}`}
+                    data-offset={instruction.offset}
+                    title={bytes}
+                >
+                    <span className="scripts-listing-offset">{toHex(instruction.offset, 4)}</span>
+                    <span className="scripts-listing-op">{instruction.name}</span>
+                    <span className="scripts-listing-args">
+                        {formatOperands(instruction)}
+                        {inListing && (
+                            <button
+                                className="scripts-listing-goto"
+                                onClick={() => scrollToOffset(instruction.target)}
+                                title="Go to jump target"
+                            >
+                                →
+                            </button>
+                        )}
+                    </span>
+                    {instruction.comment && (
+                        <span className="scripts-listing-comment">; {instruction.comment}</span>
+                    )}
+                </div>
+            </div>
+        );
+    });
+}
+
+function ScriptPseudoCode({ listing, scriptSection, onOpenScript, focusOffset }) {
+    const lines = useMemo(() => decompileScript(listing, scriptSection), [listing, scriptSection]);
+
+    return lines.map((line, i) => {
+        let text = line.text;
+        if (line.link) {
+            const at = text.indexOf(line.link.text);
+            const { entityIndex, slot } = line.link;
+            text = (
+                <>
+                    {text.slice(0, at)}
+                    <button
+                        className="scripts-pseudo-link"
+                        onClick={() => onOpenScript(entityIndex, slot)}
+                        title="Open this script"
+                    >
+                        {line.link.text}
+                    </button>
+                    {text.slice(at + line.link.text.length)}
+                </>
+            );
+        }
+        return (
+            <div
+                key={i}
+                className={`scripts-pseudo-line ${line.offset !== null && line.offset === focusOffset ? 'focused' : ''}`}
+                data-offset={line.offset ?? undefined}
+                style={{ paddingLeft: 24 + line.indent * 24 }}
+                title={line.offset !== null ? `0x${toHex(line.offset, 4)}` : undefined}
+            >
+                {text}
+            </div>
+        );
+    });
+}
+
+function ScriptView({ listing, scriptSection, view, focusOffset, onViewChange, onOpenScript, onSave }) {
+    const bodyRef = useRef(null);
+    const [draft, setDraft] = useState(null); // Listing text being edited, null when not editing
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Assemble while typing so problems show up before saving
+    const assembly = useMemo(
+        () => draft === null ? null : assembleScript(draft, scriptSection, listing.start, listing.end),
+        [draft, scriptSection, listing]
+    );
+
+    // An instruction opened from the variable index
+    useEffect(() => {
+        if (focusOffset === null) return;
+        const row = bodyRef.current?.querySelector(`[data-offset="${focusOffset}"]`);
+        row?.scrollIntoView({ block: 'center' });
+    }, [focusOffset, listing, view]);
+
+    const cancelEditing = () => {
+        setDraft(null);
+        setError(null);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            if (await onSave(listing, assembly.code)) {
+                setDraft(null);
+                setError(null);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="scripts-listing">
+            <div className="scripts-listing-header">
+                <span>{listing.name}</span>
+                <span className="scripts-listing-range">
+                    0x{toHex(listing.start, 4)}–0x{toHex(listing.end, 4)} • {listing.instructions.length} instructions
+                </span>
+                {draft === null && (
+                    <span className="scripts-view-toggle">
+                        <button className={view === 'pseudo' ? 'active' : ''} onClick={() => onViewChange('pseudo')}>
+                            Pseudo-code
+                        </button>
+                        <button className={view === 'listing' ? 'active' : ''} onClick={() => onViewChange('listing')}>
+                            Opcodes
+                        </button>
+                    </span>
+                )}
+                {onSave && draft === null && (
+                    <button
+                        className="scripts-dialog-edit"
+                        onClick={() => setDraft(formatListing(listing))}
+                        title="Edit the opcodes of this script"
+                    >
+                        Edit
+                    </button>
+                )}
+            </div>
+            {draft !== null ? (
+                <div className="scripts-dialog-editor scripts-script-editor">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        rows={Math.min(30, draft.split('\n').length + 1)}
+                        spellCheck={false}
+                        disabled={saving}
+                        autoFocus
+                    />
+                    {assembly.errors.length > 0 && (
+                        <div className="scripts-script-errors">
+                            {assembly.errors.map((e, i) => (
+                                <div key={i}>Line {e.line}: {e.message}</div>
+                            ))}
+                        </div>
+                    )}
+                    <div className="scripts-dialog-editor-actions">
+                        <span className="scripts-dialog-editor-hint">
+                            {assembly.code
+                                ? `${assembly.code.length} bytes (was ${listing.end - listing.start})`
+                                : 'Fix the errors above to save'}
+                        </span>
+                        <button onClick={cancelEditing} disabled={saving}>Cancel</button>
+                        <button onClick={handleSave} disabled={saving || !assembly.code}>{saving ? 'Saving...' : 'Save'}</button>
+                    </div>
+                    {error && <div className="scripts-dialog-error">{error}</div>}
+                </div>
+            ) : (
+                <div className="scripts-listing-body" ref={bodyRef}>
+                    {view === 'pseudo' ? (
+                        <ScriptPseudoCode
+                            listing={listing}
+                            scriptSection={scriptSection}
+                            onOpenScript={onOpenScript}
+                            focusOffset={focusOffset}
+                        />
+                    ) : (
+                        <ScriptListing listing={listing} scriptSection={scriptSection} bodyRef={bodyRef} focusOffset={focusOffset} />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function EntityPanel({
+    entity, entityIndex, scriptSection, dialogRefs, isExpanded, onToggle,
+    openSlot, focusOffset, scriptView, onScriptViewChange, onOpenScript, onSaveScript,
+}) {
+    const listing = useMemo(
+        () => openSlot === null ? null : disassembleScript(scriptSection, entityIndex, openSlot),
+        [scriptSection, entityIndex, openSlot]
+    );
+
     // activeScripts returns 33 flags for 33 display slots
     const activeScripts = useMemo(
         () => getActiveScripts(entity, scriptSection),
@@ -329,7 +558,7 @@ function EntityPanel({ entity, entityIndex, scriptSection, dialogRefs, isExpande
     const entityDialogRefs = dialogRefs.filter(r => r.entityIndex === entityIndex);
 
     return (
-        <div className={`scripts-entity ${isExpanded ? 'expanded' : ''}`}>
+        <div className={`scripts-entity ${isExpanded ? 'expanded' : ''}`} data-entity-index={entityIndex}>
             <div className="scripts-entity-header" onClick={onToggle}>
                 <span className="scripts-entity-arrow">{isExpanded ? '▼' : '▶'}</span>
                 <span className="scripts-entity-name">{entity.name || `Entity ${entityIndex}`}</span>
@@ -354,8 +583,9 @@ function EntityPanel({ entity, entityIndex, scriptSection, dialogRefs, isExpande
                             return (
                                 <div
                                     key={displaySlot}
-                                    className={`scripts-slot ${isActive ? 'active' : 'empty'}`}
+                                    className={`scripts-slot ${isActive ? 'active' : 'empty'} ${openSlot === displaySlot ? 'open' : ''}`}
                                     title={`${slotName}\nOffset: 0x${offset.toString(16).toUpperCase()}\nSize: ~${size} bytes${refs.length > 0 ? `\nDialogs: ${refs.map(r => r.dialogId).join(', ')}` : ''}`}
+                                    onClick={isActive ? () => onOpenScript(entityIndex, openSlot === displaySlot ? null : displaySlot) : undefined}
                                 >
                                     <span className="scripts-slot-idx">{displaySlot}</span>
                                     <span className="scripts-slot-name">{slotName}</span>
@@ -368,23 +598,96 @@ function EntityPanel({ entity, entityIndex, scriptSection, dialogRefs, isExpande
                             );
                         })}
                     </div>
+                    {listing && (
+                        <ScriptView
+                            listing={listing}
+                            scriptSection={scriptSection}
+                            view={scriptView}
+                            focusOffset={focusOffset}
+                            onViewChange={onScriptViewChange}
+                            onOpenScript={onOpenScript}
+                            onSave={onSaveScript}
+                        />
+                    )}
                 </div>
             )}
         </div>
     );
 }
 
-function DialogPanel({ dialog, dialogRefs }) {
+function DialogPanel({ dialog, dialogRefs, windowCheck, font, isFocused, onSave, onResizeWindows }) {
     const decodedText = useMemo(
         () => decodeDialogText(dialog.text),
         [dialog.text]
     );
+    // Pages as the game draws them, only needed when showing the game font
+    const pages = useMemo(() => {
+        if (!font) return null;
+        try {
+            return autosizer.layout(new TextDecoder().decode(decodeText(dialog.text)));
+        } catch {
+            return null;
+        }
+    }, [font, dialog.text]);
+    const [draft, setDraft] = useState(null); // Text being edited, null when not editing
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
 
     // Find which scripts reference this dialog
     const refs = dialogRefs.filter(r => r.dialogId === dialog.index);
 
+    const startEditing = () => {
+        try {
+            setDraft(new TextDecoder().decode(decodeText(dialog.text)));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const cancelEditing = () => {
+        setDraft(null);
+        setError(null);
+    };
+
+    const handleFixWindows = async () => {
+        const { needed, overflowing } = windowCheck;
+        setSaving(true);
+        try {
+            await onResizeWindows(dialog.index, overflowing.map(w => ({
+                offset: w.offset,
+                width: Math.max(w.width, needed.width),
+                height: Math.max(w.height, needed.height),
+            })));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    const handleSave = async () => {
+        let encoded;
+        try {
+            encoded = encodeText(draft);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        setSaving(true);
+        try {
+            if (await onSave(dialog.index, encoded)) {
+                setDraft(null);
+                setError(null);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
     return (
-        <div className="scripts-dialog">
+        <div className={`scripts-dialog ${isFocused ? 'scripts-dialog-focused' : ''}`} data-dialog-index={dialog.index}>
             <div className="scripts-dialog-header">
                 <span className="scripts-dialog-id">#{dialog.index}</span>
                 {refs.length > 0 && (
@@ -397,19 +700,118 @@ function DialogPanel({ dialog, dialogRefs }) {
                     </span>
                 )}
                 <span className="scripts-dialog-size">{dialog.text.length} bytes</span>
-            </div>
-            <div className="scripts-dialog-text">
-                {decodedText.split('\n').map((line, i) => (
-                    <div key={i} className="scripts-dialog-line">{line || '\u00A0'}</div>
+                {windowCheck && (windowCheck.overflowing.length > 0 ? (
+                    <span
+                        className="scripts-dialog-window overflow"
+                        title={`Text needs ${windowCheck.needed.width}×${windowCheck.needed.height}, window is ${windowCheck.overflowing.map(w => `${w.width}×${w.height}`).join(', ')}`}
+                    >
+                        ⚠ {windowCheck.overflowing[0].width}×{windowCheck.overflowing[0].height}
+                    </span>
+                ) : (
+                    <span
+                        className="scripts-dialog-window"
+                        title={`Window size, text needs ${windowCheck.needed.width}×${windowCheck.needed.height}`}
+                    >
+                        {windowCheck.windows[0].width}×{windowCheck.windows[0].height}
+                    </span>
                 ))}
+                {onResizeWindows && windowCheck?.overflowing.length > 0 && draft === null && (
+                    <button
+                        className="scripts-dialog-edit"
+                        onClick={handleFixWindows}
+                        disabled={saving}
+                        title="Grow the window to fit the text"
+                    >
+                        Fix size
+                    </button>
+                )}
+                {onSave && draft === null && (
+                    <button className="scripts-dialog-edit" onClick={startEditing} title="Edit dialog text">
+                        Edit
+                    </button>
+                )}
             </div>
+            {draft !== null ? (
+                <div className="scripts-dialog-editor">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        rows={Math.max(3, draft.split('\n').length + 1)}
+                        spellCheck={false}
+                        disabled={saving}
+                        autoFocus
+                    />
+                    <div className="scripts-dialog-editor-actions">
+                        <span className="scripts-dialog-editor-hint">
+                            Use tags like {'{CLOUD}'}, {'{NEWPAGE}'} or {'{WAIT 30}'}; escape braces as \{'{'}
+                        </span>
+                        <button onClick={cancelEditing} disabled={saving}>Cancel</button>
+                        <button onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                    </div>
+                </div>
+            ) : pages ? (
+                <DialogWindowPreview pages={pages} windowSize={windowCheck?.windows[0]} font={font} />
+            ) : (
+                <div className="scripts-dialog-text">
+                    {decodedText.split('\n').map((line, i) => (
+                        <div key={i} className="scripts-dialog-line">{line || '\u00A0'}</div>
+                    ))}
+                </div>
+            )}
+            {error && <div className="scripts-dialog-error">{error}</div>}
         </div>
     );
 }
 
-export function ScriptsPreview({ scriptSection }) {
+export function ScriptsPreview({ scriptSection, dialogFocus, scriptFocus, onSaveDialog, onResizeWindows, onSaveScript }) {
     const [expandedEntities, setExpandedEntities] = useState(new Set([0]));
+    // Script shown below its entity's slots, { entityIndex, slot } or null
+    const [openScript, setOpenScript] = useState(null);
+    const [scriptView, setScriptView] = useState('pseudo');
     const [dialogFilter, setDialogFilter] = useState('');
+    const [overflowOnly, setOverflowOnly] = useState(false);
+    const font = useGameFont();
+    const [fontView, setFontView] = useState(false);
+    const [fontError, setFontError] = useState(null);
+    const [exportError, setExportError] = useState(null);
+    const dialogsListRef = useRef(null);
+    const entitiesListRef = useRef(null);
+
+    // A dialog opened from the dialog index must not be hidden by the filter
+    const [prevDialogFocus, setPrevDialogFocus] = useState(dialogFocus);
+    if (dialogFocus !== prevDialogFocus) {
+        setPrevDialogFocus(dialogFocus);
+        if (dialogFocus) {
+            setDialogFilter('');
+            setOverflowOnly(false);
+        }
+    }
+
+    // A script opened from the variable index, its instruction stays highlighted while
+    // the script is open
+    const [prevScriptFocus, setPrevScriptFocus] = useState(null);
+    if (scriptFocus !== prevScriptFocus) {
+        setPrevScriptFocus(scriptFocus);
+        if (scriptFocus) {
+            setExpandedEntities(prev => new Set(prev).add(scriptFocus.entityIndex));
+            setOpenScript({ entityIndex: scriptFocus.entityIndex, slot: scriptFocus.slot });
+        }
+    }
+    const focusOffset = scriptFocus && openScript?.entityIndex === scriptFocus.entityIndex && openScript.slot === scriptFocus.slot
+        ? scriptFocus.offset
+        : null;
+
+    useEffect(() => {
+        if (!dialogFocus) return;
+        const element = dialogsListRef.current?.querySelector(`[data-dialog-index="${dialogFocus.dialogId}"]`);
+        element?.scrollIntoView({ block: 'center' });
+    }, [dialogFocus]);
+
+    useEffect(() => {
+        if (!openScript) return;
+        const element = entitiesListRef.current?.querySelector(`[data-entity-index="${openScript.entityIndex}"]`);
+        element?.scrollIntoView({ block: 'nearest' });
+    }, [openScript]);
 
     // Find all dialog references in scripts (using proper opcode parsing)
     const dialogRefs = useMemo(
@@ -417,15 +819,69 @@ export function ScriptsPreview({ scriptSection }) {
         [scriptSection]
     );
 
+    // Window size checks by dialog index
+    const windowChecks = useMemo(
+        () => new Map(scriptSection.dialogs.map(d => [d.index, checkDialogWindows(d, dialogRefs)])),
+        [scriptSection.dialogs, dialogRefs]
+    );
+    const overflowCount = useMemo(
+        () => [...windowChecks.values()].filter(check => check?.overflowing.length > 0).length,
+        [windowChecks]
+    );
+
     // Filter dialogs
     const filteredDialogs = useMemo(() => {
-        if (!dialogFilter) return scriptSection.dialogs;
+        const dialogs = overflowOnly
+            ? scriptSection.dialogs.filter(d => windowChecks.get(d.index)?.overflowing.length > 0)
+            : scriptSection.dialogs;
+        if (!dialogFilter) return dialogs;
         const lower = dialogFilter.toLowerCase();
-        return scriptSection.dialogs.filter(d => {
+        return dialogs.filter(d => {
             const text = decodeDialogText(d.text).toLowerCase();
             return text.includes(lower) || d.index.toString().includes(lower);
         });
-    }, [scriptSection.dialogs, dialogFilter]);
+    }, [scriptSection.dialogs, dialogFilter, overflowOnly, windowChecks]);
+
+    // The game font comes from menu_us.lgp, ask for it the first time it's needed
+    const toggleFontView = async () => {
+        if (fontView) {
+            setFontView(false);
+            return;
+        }
+        if (!font) {
+            try {
+                if (!await loadGameFont()) return;
+            } catch (err) {
+                setFontError(err.message);
+                return;
+            }
+        }
+        setFontError(null);
+        setFontView(true);
+    };
+
+    const handleExportScripts = async () => {
+        try {
+            const text = formatScriptSection(scriptSection);
+            await saveFile(new TextEncoder().encode(text), {
+                defaultName: `${scriptSection.header.name || 'field'}-scripts.txt`,
+                filters: [{ name: 'Text', extensions: ['txt'] }],
+            });
+            setExportError(null);
+        } catch (err) {
+            setExportError(err.message);
+        }
+    };
+
+    // Slot clicks and REQ links in pseudo-code, a null slot closes the entity's script
+    const handleOpenScript = (entityIndex, slot) => {
+        if (slot === null) {
+            setOpenScript(null);
+            return;
+        }
+        setExpandedEntities(prev => new Set(prev).add(entityIndex));
+        setOpenScript({ entityIndex, slot });
+    };
 
     const toggleEntity = (idx) => {
         setExpandedEntities(prev => {
@@ -485,8 +941,16 @@ export function ScriptsPreview({ scriptSection }) {
                         >
                             ⊟
                         </button>
+                        <button
+                            className="scripts-export"
+                            onClick={handleExportScripts}
+                            title="Save the disassembly of every script as text"
+                        >
+                            Export
+                        </button>
                     </div>
-                    <div className="scripts-entities-list">
+                    {exportError && <div className="scripts-dialog-error">{exportError}</div>}
+                    <div className="scripts-entities-list" ref={entitiesListRef}>
                         {entities.map((entity, idx) => (
                             <EntityPanel
                                 key={idx}
@@ -496,6 +960,12 @@ export function ScriptsPreview({ scriptSection }) {
                                 dialogRefs={dialogRefs}
                                 isExpanded={expandedEntities.has(idx)}
                                 onToggle={() => toggleEntity(idx)}
+                                openSlot={openScript?.entityIndex === idx ? openScript.slot : null}
+                                focusOffset={openScript?.entityIndex === idx ? focusOffset : null}
+                                scriptView={scriptView}
+                                onScriptViewChange={setScriptView}
+                                onOpenScript={handleOpenScript}
+                                onSaveScript={onSaveScript}
                             />
                         ))}
                     </div>
@@ -504,7 +974,23 @@ export function ScriptsPreview({ scriptSection }) {
                 {/* Right: Dialogs */}
                 <div className="scripts-dialogs-panel">
                     <div className="scripts-panel-header">
-                        <span>Dialogs ({filteredDialogs.length}{dialogFilter && ` / ${dialogs.length}`})</span>
+                        <span>Dialogs ({filteredDialogs.length}{(dialogFilter || overflowOnly) && ` / ${dialogs.length}`})</span>
+                        {overflowCount > 0 && (
+                            <button
+                                className={`scripts-overflow-toggle ${overflowOnly ? 'active' : ''}`}
+                                onClick={() => setOverflowOnly(v => !v)}
+                                title="Show only dialogs whose text doesn't fit their window"
+                            >
+                                ⚠ {overflowCount}
+                            </button>
+                        )}
+                        <button
+                            className={`scripts-font-toggle ${fontView ? 'active' : ''}`}
+                            onClick={toggleFontView}
+                            title={font ? 'Show dialogs in game windows' : 'Show dialogs in game windows (asks for menu_us.lgp)'}
+                        >
+                            Game font
+                        </button>
                         <input
                             type="text"
                             className="scripts-dialog-filter"
@@ -513,7 +999,8 @@ export function ScriptsPreview({ scriptSection }) {
                             onChange={(e) => setDialogFilter(e.target.value)}
                         />
                     </div>
-                    <div className="scripts-dialogs-list">
+                    {fontError && <div className="scripts-dialog-error">{fontError}</div>}
+                    <div className="scripts-dialogs-list" ref={dialogsListRef}>
                         {filteredDialogs.length === 0 ? (
                             <div className="scripts-empty">
                                 {dialogs.length === 0 ? 'No dialogs in this field' : 'No matching dialogs'}
@@ -524,6 +1011,11 @@ export function ScriptsPreview({ scriptSection }) {
                                     key={dialog.index}
                                     dialog={dialog}
                                     dialogRefs={dialogRefs}
+                                    windowCheck={windowChecks.get(dialog.index)}
+                                    font={fontView ? font : null}
+                                    isFocused={dialogFocus?.dialogId === dialog.index}
+                                    onSave={onSaveDialog}
+                                    onResizeWindows={onResizeWindows}
                                 />
                             ))
                         )}
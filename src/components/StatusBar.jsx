@@ -2,7 +2,7 @@ import { useState, useEffect, useRef } from 'react';
 import { checkForUpdate, installUpdate } from '../utils/updater.ts';
 import './StatusBar.css';
 
-export function StatusBar({ status, fileCount, totalSize, selectedCount, onSelectFile }) {
+export function StatusBar({ status, fileCount, totalSize, selectedCount, onSelectFile, onCancel }) {
   const [updateInfo, setUpdateInfo] = useState(null);
   const [isUpdating, setIsUpdating] = useState(false);
   const [showPopover, setShowPopover] = useState(false);
@@ -77,7 +77,12 @@ export function StatusBar({ status, fileCount, totalSize, selectedCount, onSelec
 
   return (
     <div className="status-bar">
-      <span className="status-item status-message">{renderStatus()}</span>
+      <span className="status-item status-message">
+        {renderStatus()}
+        {onCancel && (
+          <button className="status-cancel" onClick={onCancel}>Cancel</button>
+        )}
+      </span>
       <div className="status-right">
         {selectedCount > 0 && (
           <span className="status-item">Selected: {selectedCount}</span>
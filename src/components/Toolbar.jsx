@@ -1,4 +1,4 @@
-import { forwardRef } from 'react';
+import { forwardRef, useState, useRef, useEffect } from 'react';
 import './Toolbar.css';
 
 const Icon = ({ d, size = 16 }) => (
@@ -14,9 +14,59 @@ const icons = {
   replace: "M17 1l4 4-4 4M3 11V9a4 4 0 014-4h14M7 23l-4-4 4-4M21 13v2a4 4 0 01-4 4H3",
   add: "M12 5v14M5 12h14",
   remove: "M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2",
+  revert: "M3 12a9 9 0 109-9 9.75 9.75 0 00-6.74 2.74L3 8M3 3v5h5",
+  undo: "M9 14L4 9l5-5M4 9h10.5a5.5 5.5 0 010 11H11",
+  redo: "M15 14l5-5-5-5M20 9H9.5a5.5 5.5 0 000 11H13",
+  history: "M12 8v4l3 3M3.05 11a9 9 0 11.5 4M3 20v-5h5",
+  tools: "M14.7 6.3a1 1 0 000 1.4l1.6 1.6a1 1 0 001.4 0l3.77-3.77a6 6 0 01-7.94 7.94l-6.91 6.91a2.12 2.12 0 01-3-3l6.91-6.91a6 6 0 017.94-7.94l-3.76 3.76z",
   search: "M11 17.25a6.25 6.25 0 110-12.5 6.25 6.25 0 010 12.5zM16 16l4.5 4.5",
 };
 
+// Dropdown for archive-wide tools that don't need a button of their own
+function ToolsMenu({ disabled, items }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  return (
+    <div className="toolbar-menu" ref={menuRef}>
+      <button
+        onClick={() => setOpen(v => !v)}
+        disabled={disabled}
+        className={open ? 'active' : ''}
+        title="Tools"
+      >
+        <Icon d={icons.tools} /> <span className="button-label">Tools</span>
+      </button>
+      {open && (
+        <div className="toolbar-dropdown">
+          {items.map(item => (
+            <button
+              key={item.label}
+              disabled={item.disabled}
+              onClick={() => {
+                setOpen(false);
+                item.onClick();
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export const Toolbar = forwardRef(function Toolbar({ 
   onOpen, 
   onSave, 
@@ -24,8 +74,29 @@ export const Toolbar = forwardRef(function Toolbar({
   onReplace, 
   onAdd,
   onRemove,
+  onRevert,
+  onUndo,
+  onRedo,
+  onToggleHistory,
+  onVerify,
+  onCompare,
+  onExportIro,
+  onImportIro,
+  onExportModFolder,
+  onApplyModFolder,
+  onCreatePatch,
+  onApplyPatch,
+  onSearchContent,
+  onSearchDialogs,
+  onSearchVariables,
+  onShowFieldMap,
+  onShowEncounters,
   hasArchive,
   hasSelection,
+  hasModifiedSelection,
+  canUndo,
+  canRedo,
+  showHistory,
   searchQuery,
   onSearchChange
 }, ref) {
@@ -55,6 +126,46 @@ export const Toolbar = forwardRef(function Toolbar({
         <button onClick={onRemove} disabled={!hasSelection} title="Remove">
           <Icon d={icons.remove} /> <span className="button-label">Remove</span>
         </button>
+        <button onClick={onRevert} disabled={!hasModifiedSelection} title="Revert to original">
+          <Icon d={icons.revert} /> <span className="button-label">Revert</span>
+        </button>
+      </div>
+
+      <div className="toolbar-separator" />
+
+      <div className="toolbar-group">
+        <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+          <Icon d={icons.undo} />
+        </button>
+        <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+          <Icon d={icons.redo} />
+        </button>
+        <button
+          onClick={onToggleHistory}
+          disabled={!hasArchive}
+          className={showHistory ? 'active' : ''}
+          title="History"
+        >
+          <Icon d={icons.history} /> <span className="button-label">History</span>
+        </button>
+        <ToolsMenu
+          disabled={!hasArchive}
+          items={[
+            { label: 'Search file contents...', onClick: onSearchContent },
+            { label: 'Search field dialogs...', onClick: onSearchDialogs },
+            { label: 'Search game variables...', onClick: onSearchVariables },
+            { label: 'Field map...', onClick: onShowFieldMap },
+            { label: 'Random battle report...', onClick: onShowEncounters },
+            { label: 'Verify integrity...', onClick: onVerify },
+            { label: 'Compare with archive...', onClick: onCompare },
+            { label: 'Export changes as IRO...', onClick: onExportIro },
+            { label: 'Import IRO mod...', onClick: onImportIro },
+            { label: 'Export as mod folder...', onClick: onExportModFolder },
+            { label: 'Apply mod folder...', onClick: onApplyModFolder },
+            { label: 'Create patch...', onClick: onCreatePatch },
+            { label: 'Apply patch...', onClick: onApplyPatch },
+          ]}
+        />
       </div>
       
       <div className="toolbar-separator" />
@@ -0,0 +1,133 @@
+import { useMemo, useState } from 'react';
+import { getScriptSlotName } from '../fieldscript.ts';
+import './VariableSearchPanel.css';
+
+const MAX_ROWS = 500; // flevel.lgp has tens of thousands of usages, narrow them with the query
+
+const ACCESS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'read', label: 'Reads' },
+  { value: 'write', label: 'Writes' },
+];
+
+// Decimal, or hex with a 0x prefix. Empty matches everything, NaN means the input is invalid.
+function parseQueryNumber(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  return /^(0x[0-9a-f]+|\d+)$/i.test(trimmed) ? Number(trimmed) : NaN;
+}
+
+const toHex = (value) => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+
+export function VariableSearchPanel({ usages, stale, building, onBuild, onCancel, onOpenUsage, onClose }) {
+  const [bankText, setBankText] = useState('');
+  const [addressText, setAddressText] = useState('');
+  const [access, setAccess] = useState('all');
+
+  const bank = parseQueryNumber(bankText);
+  const address = parseQueryNumber(addressText);
+  const invalid = Number.isNaN(bank) || Number.isNaN(address);
+
+  const filtered = useMemo(() => {
+    if (!usages || invalid) return [];
+    return usages.filter(usage =>
+      (bank === null || usage.bank === bank)
+      && (address === null || usage.address === address)
+      && (access === 'all' || usage.access === access)
+    );
+  }, [usages, invalid, bank, address, access]);
+
+  const readCount = useMemo(() => filtered.filter(usage => usage.access === 'read').length, [filtered]);
+  const fieldCount = useMemo(() => new Set(filtered.map(usage => usage.path)).size, [filtered]);
+  const writeCount = filtered.length - readCount;
+
+  return (
+    <div className="variable-search-panel">
+      <div className="variable-search-header">
+        <span>Game variables</span>
+        <button className="variable-search-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <div className="variable-search-form">
+        <label>
+          Bank
+          <input
+            type="text"
+            value={bankText}
+            onChange={(e) => setBankText(e.target.value)}
+            placeholder="Any"
+            autoFocus
+          />
+        </label>
+        <label>
+          Address
+          <input
+            type="text"
+            value={addressText}
+            onChange={(e) => setAddressText(e.target.value)}
+            placeholder="Any, e.g. 0x40"
+          />
+        </label>
+        <div className="variable-search-access">
+          {ACCESS_FILTERS.map(f => (
+            <button
+              key={f.value}
+              className={access === f.value ? 'active' : ''}
+              onClick={() => setAccess(f.value)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        {building ? (
+          <button onClick={onCancel}>Cancel</button>
+        ) : (
+          <button onClick={onBuild} title="Read the scripts of every field again">
+            {usages ? 'Rebuild' : 'Build index'}
+          </button>
+        )}
+      </div>
+      {invalid && (
+        <div className="variable-search-error">Bank and address must be numbers, decimal or hex with 0x</div>
+      )}
+      {stale && !building && (
+        <div className="variable-search-stale">The archive changed since the index was built</div>
+      )}
+      {usages && !invalid && (
+        <>
+          <div className="variable-search-summary">
+            {readCount.toLocaleString()} read{readCount === 1 ? '' : 's'}, {writeCount.toLocaleString()} write{writeCount === 1 ? '' : 's'} in {fieldCount.toLocaleString()} field{fieldCount === 1 ? '' : 's'}
+            {filtered.length > MAX_ROWS && ` (showing first ${MAX_ROWS})`}
+          </div>
+          <div className="variable-search-results">
+            <table className="variable-search-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Entity</th>
+                  <th>Script</th>
+                  <th>Offset</th>
+                  <th>Opcode</th>
+                  <th>Variable</th>
+                  <th>Access</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.slice(0, MAX_ROWS).map((usage, i) => (
+                  <tr key={i} onClick={() => onOpenUsage(usage)}>
+                    <td title={usage.path}>{usage.field}</td>
+                    <td>{usage.entityName || `Entity ${usage.entityIndex}`}</td>
+                    <td>{getScriptSlotName(usage.slot)}</td>
+                    <td className="variable-search-mono">{usage.offset.toString(16).toUpperCase().padStart(4, '0')}</td>
+                    <td className="variable-search-mono">{usage.opcode}</td>
+                    <td className="variable-search-mono">Var[{usage.bank}][{toHex(usage.address)}]</td>
+                    <td className={`variable-search-${usage.access}`}>{usage.access === 'read' ? 'Read' : 'Write'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,403 @@
+import { useMemo, useState } from 'react';
+import { WALKMESH_NO_ACCESS } from '../fieldfile.ts';
+import { fitViewBox, useSvgPanZoom } from '../utils/svgPanZoom.ts';
+import {
+    addTriangle,
+    deleteTriangles,
+    deleteVertex,
+    fromEditableWalkmesh,
+    moveVertex,
+    toEditableWalkmesh,
+} from '../utils/walkmeshEdit.ts';
+import './WalkmeshEditor.css';
+
+const MARGIN = 100; // Walkmesh units around the mesh when it's fitted to the view
+const SNAP_DISTANCE = 8; // Pixels from a vertex within which a new corner reuses it
+const MAX_UNDO = 100;
+
+// Seen from above with y flipped, the way the SVG draws it
+function getBounds(walkmesh) {
+    const points = walkmesh.triangles.flatMap(triangle => triangle.vertices.map(v => ({ x: v.x, y: -v.y })));
+    return fitViewBox(points, MARGIN, { x: -500, y: -500, w: 1000, h: 1000 });
+}
+
+const formatVertex = (v) => `${v.x}, ${v.y}, ${v.z}`;
+
+function VertexInspector({ mesh, index, onMove, onDelete }) {
+    const vertex = mesh.vertices[index];
+    const triangleCount = mesh.triangles.filter(triangle => triangle.includes(index)).length;
+
+    return (
+        <>
+            <div className="walkmesh-editor-inspector-title">Vertex {index}</div>
+            {['x', 'y', 'z'].map(axis => (
+                <label key={axis} className="walkmesh-editor-coordinate">
+                    {axis.toUpperCase()}
+                    <input
+                        type="number"
+                        min={-32768}
+                        max={32767}
+                        value={vertex[axis]}
+                        onChange={(e) => onMove(index, { [axis]: Number(e.target.value) || 0 })}
+                    />
+                </label>
+            ))}
+            <div className="walkmesh-editor-inspector-note">Used by {triangleCount} triangle{triangleCount === 1 ? '' : 's'}</div>
+            <button onClick={onDelete} title="Delete the vertex and its triangles">Delete</button>
+        </>
+    );
+}
+
+function TriangleInspector({ section, index, onDelete }) {
+    const triangle = section.triangles[index];
+
+    return (
+        <>
+            <div className="walkmesh-editor-inspector-title">Triangle {index}</div>
+            {triangle.vertices.map((vertex, i) => (
+                <div key={i} className="walkmesh-editor-inspector-row">
+                    <span>Corner {i + 1}</span>
+                    <span>{formatVertex(vertex)}</span>
+                </div>
+            ))}
+            {triangle.access.map((neighbour, i) => (
+                <div key={i} className="walkmesh-editor-inspector-row">
+                    <span>Edge {i + 1}</span>
+                    <span>{neighbour === WALKMESH_NO_ACCESS ? 'Blocked' : `Triangle ${neighbour}`}</span>
+                </div>
+            ))}
+            <button onClick={onDelete}>Delete</button>
+        </>
+    );
+}
+
+/**
+ * Top-down walkmesh editor. Drag vertices to move them, pick three corners to add a triangle,
+ * and delete vertices or triangles. Neighbours are worked out again from the shared edges.
+ */
+export function WalkmeshEditor({ walkmesh, onSave, onClose }) {
+    const original = useMemo(() => toEditableWalkmesh(walkmesh), [walkmesh]);
+    const [mesh, setMesh] = useState(original);
+    const [undoStack, setUndoStack] = useState([]);
+    const [selection, setSelection] = useState(null); // { type: 'vertex' | 'triangle', index }
+    const [corners, setCorners] = useState(null); // Corners picked for a new triangle, null when not adding
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [renumberedFrom, setRenumberedFrom] = useState(null); // Lowest triangle a delete renumbered the ones after
+
+    const bounds = useMemo(() => getBounds(walkmesh), [walkmesh]);
+    const { svgRef, viewBox, setView, unit, getScale, toLayoutPoint, handlers } = useSvgPanZoom(bounds, {
+        // The pointer is captured, so the pressed vertex or triangle is remembered rather than read on release
+        onPress: (e) => {
+            const { vertex, triangle } = e.target.dataset ?? {};
+            return {
+                vertex: vertex === undefined ? null : Number(vertex),
+                triangle: triangle === undefined ? null : Number(triangle),
+                start: mesh,
+            };
+        },
+        // Vertices are dragged outside of adding, everything else pans the view
+        onDrag: (drag, e) => {
+            if (drag.vertex === null || corners !== null) return false;
+            const point = toLayoutPoint(e.clientX, e.clientY);
+            const next = moveVertex(drag.start, drag.vertex, { x: point.x, y: -point.y });
+            if (!drag.moved) {
+                apply(next, drag.start);
+                setSelection({ type: 'vertex', index: drag.vertex });
+            } else {
+                setMesh(next);
+            }
+            return true;
+        },
+        onClick: (drag, e) => {
+            if (corners !== null) {
+                handleAddCorner(e, drag.vertex);
+            } else if (drag.vertex !== null) {
+                setSelection({ type: 'vertex', index: drag.vertex });
+            } else if (drag.triangle !== null) {
+                setSelection({ type: 'triangle', index: drag.triangle });
+            } else {
+                setSelection(null);
+            }
+        },
+    });
+
+    // A saved or reloaded field replaces the edits
+    const [prevWalkmesh, setPrevWalkmesh] = useState(walkmesh);
+    if (walkmesh !== prevWalkmesh) {
+        setPrevWalkmesh(walkmesh);
+        setMesh(original);
+        setUndoStack([]);
+        setSelection(null);
+        setCorners(null);
+        setError(null);
+        setRenumberedFrom(null);
+    }
+
+    const section = useMemo(() => fromEditableWalkmesh(mesh), [mesh]);
+    // Compared with the mesh as loaded, the undo stack is capped and edits can cancel out
+    const isDirty = useMemo(() => JSON.stringify(mesh) !== JSON.stringify(original), [mesh, original]);
+
+    const apply = (next, previous = mesh) => {
+        setUndoStack(stack => [...stack.slice(1 - MAX_UNDO), previous]);
+        setMesh(next);
+        setError(null);
+    };
+
+    const handleUndo = () => {
+        if (!undoStack.length) return;
+        setMesh(undoStack[undoStack.length - 1]);
+        setUndoStack(stack => stack.slice(0, -1));
+        setSelection(null);
+    };
+
+    const handleRevert = () => {
+        setMesh(original);
+        setUndoStack([]);
+        setSelection(null);
+        setCorners(null);
+        setError(null);
+        setRenumberedFrom(null);
+    };
+
+    const handleDelete = () => {
+        if (!selection) return;
+        const removed = selection.type === 'vertex'
+            ? mesh.triangles.flatMap((triangle, i) => triangle.includes(selection.index) ? [i] : [])
+            : [selection.index];
+        // Triangles after a deleted one move down, anything that refers to them by number points elsewhere
+        const first = Math.min(...removed);
+        if (mesh.triangles.some((_, i) => i > first && !removed.includes(i))) {
+            setRenumberedFrom(from => from === null ? first : Math.min(from, first));
+        }
+        apply(selection.type === 'vertex'
+            ? deleteVertex(mesh, selection.index)
+            : deleteTriangles(mesh, new Set(removed)));
+        setSelection(null);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await onSave(section);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    // Nearest vertex to a layout point, with its distance
+    const findNearestVertex = (point) => {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        mesh.vertices.forEach((v, i) => {
+            const distance = Math.hypot(v.x - point.x, -v.y - point.y);
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+        return { index: nearest, distance: nearestDistance };
+    };
+
+    const handleAddCorner = (e, vertex) => {
+        let corner = vertex;
+        if (corner === null) {
+            const point = toLayoutPoint(e.clientX, e.clientY);
+            const nearest = findNearestVertex(point);
+            if (nearest.index !== null && nearest.distance <= SNAP_DISTANCE * getScale()) {
+                corner = nearest.index;
+            } else {
+                // New corners take the height of the closest vertex
+                const z = nearest.index !== null ? mesh.vertices[nearest.index].z : 0;
+                corner = { x: point.x, y: -point.y, z };
+            }
+        }
+
+        const picked = [...corners, corner];
+        if (picked.length < 3) {
+            setCorners(picked);
+            return;
+        }
+        const next = addTriangle(mesh, picked);
+        if (next) {
+            apply(next);
+            setSelection({ type: 'triangle', index: next.triangles.length - 1 });
+        } else {
+            setError('A triangle needs three different corners that are not in a line');
+        }
+        setCorners([]);
+    };
+
+    const handleKeyDown = (e) => {
+        // Plain keys and undo stay in the editor, away from the file list's navigation and the archive history
+        const key = e.key.toLowerCase();
+        const isHistoryKey = (e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y');
+        if (isHistoryKey || !(e.ctrlKey || e.metaKey || e.altKey)) e.stopPropagation();
+        if (e.target.tagName === 'INPUT') return;
+        if (isHistoryKey && key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if (isHistoryKey) {
+            // The editor has no redo
+            e.preventDefault();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            handleDelete();
+        } else if (e.key === 'Escape') {
+            if (corners !== null) setCorners(null);
+            else setSelection(null);
+        }
+    };
+
+    const pendingPoints = (corners ?? []).map(corner => typeof corner === 'number' ? mesh.vertices[corner] : corner);
+    const selectedVertex = selection?.type === 'vertex' ? selection.index : null;
+    const selectedTriangle = selection?.type === 'triangle' ? selection.index : null;
+
+    return (
+        <div className="walkmesh-editor" tabIndex={0} onKeyDown={handleKeyDown}>
+            <div className="walkmesh-editor-toolbar">
+                <button
+                    className={`field-toggle-btn ${corners === null ? 'active' : ''}`}
+                    onClick={() => setCorners(null)}
+                    title="Select and drag vertices and triangles"
+                >
+                    Select
+                </button>
+                <button
+                    className={`field-toggle-btn ${corners !== null ? 'active' : ''}`}
+                    onClick={() => { setCorners([]); setSelection(null); }}
+                    title="Click three corners, existing vertices or empty space, to add a triangle"
+                >
+                    Add triangle
+                </button>
+                <button className="field-toggle-btn" onClick={handleUndo} disabled={!undoStack.length} title="Undo (Ctrl+Z)">
+                    Undo
+                </button>
+                <button className="field-toggle-btn" onClick={() => setView(null)} title="Show the whole walkmesh">
+                    Fit
+                </button>
+                <span className="walkmesh-editor-summary">
+                    {mesh.triangles.length} triangles, {mesh.vertices.length} vertices
+                    {corners !== null && ` • Corner ${corners.length + 1} of 3`}
+                </span>
+                {error && <span className="walkmesh-editor-error">{error}</span>}
+                <button className="field-toggle-btn" onClick={handleRevert} disabled={!isDirty || saving}>
+                    Revert
+                </button>
+                <button className="field-toggle-btn" onClick={handleSave} disabled={!isDirty || saving || !mesh.triangles.length}>
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                    className="field-toggle-btn"
+                    onClick={onClose}
+                    disabled={isDirty}
+                    title={isDirty ? 'Save or revert the changes first' : 'Back to the 3D view'}
+                >
+                    Done
+                </button>
+            </div>
+            <div className="walkmesh-editor-body">
+                <svg
+                    ref={svgRef}
+                    className={`walkmesh-editor-canvas ${corners !== null ? 'adding' : ''}`}
+                    viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.w} ${viewBox.h}`}
+                    {...handlers}
+                >
+                    <g>
+                        {mesh.triangles.map((triangle, i) => (
+                            <polygon
+                                key={i}
+                                data-triangle={i}
+                                points={triangle.map(v => `${mesh.vertices[v].x},${-mesh.vertices[v].y}`).join(' ')}
+                                strokeWidth={unit * 0.5}
+                                className={`walkmesh-editor-triangle ${i === selectedTriangle ? 'selected' : ''}`}
+                            />
+                        ))}
+                    </g>
+                    <g>
+                        {section.triangles.flatMap((triangle, i) => triangle.access.map((neighbour, e) => {
+                            if (neighbour !== WALKMESH_NO_ACCESS) return null;
+                            const a = triangle.vertices[e];
+                            const b = triangle.vertices[(e + 1) % 3];
+                            return (
+                                <line
+                                    key={`${i}:${e}`}
+                                    x1={a.x}
+                                    y1={-a.y}
+                                    x2={b.x}
+                                    y2={-b.y}
+                                    strokeWidth={unit * 1.5}
+                                    className="walkmesh-editor-blocked"
+                                />
+                            );
+                        }))}
+                    </g>
+                    {pendingPoints.length > 0 && (
+                        <polyline
+                            points={pendingPoints.map(p => `${p.x},${-p.y}`).join(' ')}
+                            strokeWidth={unit * 1.5}
+                            className="walkmesh-editor-pending"
+                        />
+                    )}
+                    <g>
+                        {mesh.vertices.map((v, i) => (
+                            <circle
+                                key={i}
+                                data-vertex={i}
+                                cx={v.x}
+                                cy={-v.y}
+                                r={unit * (i === selectedVertex ? 5 : 3)}
+                                strokeWidth={unit}
+                                className={`walkmesh-editor-vertex ${i === selectedVertex || corners?.includes(i) ? 'selected' : ''}`}
+                            >
+                                <title>{`Vertex ${i}: ${formatVertex(v)}`}</title>
+                            </circle>
+                        ))}
+                        {pendingPoints.filter((_, i) => typeof corners[i] !== 'number').map((p, i) => (
+                            <circle
+                                key={`new-${i}`}
+                                cx={p.x}
+                                cy={-p.y}
+                                r={unit * 3}
+                                strokeWidth={unit}
+                                className="walkmesh-editor-vertex selected"
+                            />
+                        ))}
+                    </g>
+                </svg>
+                <div className="walkmesh-editor-inspector">
+                    {selectedVertex !== null && (
+                        <VertexInspector
+                            mesh={mesh}
+                            index={selectedVertex}
+                            onMove={(index, position) => apply(moveVertex(mesh, index, position))}
+                            onDelete={handleDelete}
+                        />
+                    )}
+                    {selectedTriangle !== null && (
+                        <TriangleInspector section={section} index={selectedTriangle} onDelete={handleDelete} />
+                    )}
+                    {!selection && (
+                        <div className="walkmesh-editor-inspector-note">
+                            Drag vertices to move them, click a vertex or triangle to inspect it.
+                            Edges without a neighbour are drawn in orange, they block walking.
+                        </div>
+                    )}
+                    {isDirty && renumberedFrom !== null && (
+                        <div className="walkmesh-editor-inspector-warning">
+                            Triangles after {renumberedFrom} were renumbered. Scripts that place characters
+                            on a triangle by number may need updating.
+                        </div>
+                    )}
+                    {mesh.triangles.length === 0 && (
+                        <div className="walkmesh-editor-inspector-warning">
+                            The walkmesh has no triangles left and can't be saved.
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -228,6 +228,222 @@ function createBackgroundPlane(canvas, backgroundDimensions, cameraPosition, cam
     return plane;
 }
 
+/**
+ * Point seen at FF7 screen coordinates (pixels from the center of the 320x240 view, y down)
+ * at the given distance from the camera
+ */
+function screenToWorld(ff7Cam, px, py, distance) {
+    const pixelToWorld = 2 * distance * Math.tan(ff7Cam.fov * Math.PI / 360) / FF7_VIEWPORT_HEIGHT;
+    const cameraRight = new THREE.Vector3().crossVectors(ff7Cam.forward, ff7Cam.up).normalize();
+    return ff7Cam.eye.clone()
+        .add(ff7Cam.forward.clone().multiplyScalar(distance))
+        .add(cameraRight.multiplyScalar(px * pixelToWorld))
+        .add(ff7Cam.up.clone().multiplyScalar(-py * pixelToWorld));
+}
+
+/**
+ * Outline of the field's camera range. Seen through the field camera it's drawn at a fixed
+ * distance, from above its corners are projected onto the walkmesh's height instead.
+ * Corners that never reach the ground (above the horizon) stay at that distance.
+ */
+function createCameraRangeLine(cameraData, range, distance, groundY) {
+    const ff7Cam = ff7CameraToThreeJS(cameraData);
+    const corners = [
+        [range.left, range.top],
+        [range.right, range.top],
+        [range.right, range.bottom],
+        [range.left, range.bottom],
+    ].map(([px, py]) => {
+        const point = screenToWorld(ff7Cam, px, py, distance);
+        if (groundY === null) return point;
+        const ray = point.clone().sub(ff7Cam.eye);
+        const t = (groundY - ff7Cam.eye.y) / ray.y;
+        return t > 0 && t < 1 ? ff7Cam.eye.clone().add(ray.multiplyScalar(t)) : point;
+    });
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(corners);
+    const material = new THREE.LineBasicMaterial({
+        color: 0xffdd33,
+        depthTest: false,
+        transparent: true,
+    });
+    const line = new THREE.LineLoop(geometry, material);
+    line.renderOrder = 2;
+    return line;
+}
+
+// Small quads at both ends of each line and the lines themselves, for gateways and doors
+function createTriggerGeometries(triggers) {
+    const QUAD_SIZE = 5;
+    const quadPositions = [];
+    const quadIndices = [];
+    let vertexIndex = 0;
+
+    for (const trigger of triggers) {
+        for (const vertex of [trigger.vertex1, trigger.vertex2]) {
+            const x = vertex.x;
+            const y = vertex.z;
+            const z = -vertex.y;
+
+            quadPositions.push(x - QUAD_SIZE, y + 5, z - QUAD_SIZE);
+            quadPositions.push(x + QUAD_SIZE, y + 5, z - QUAD_SIZE);
+            quadPositions.push(x + QUAD_SIZE, y + 5, z + QUAD_SIZE);
+            quadPositions.push(x - QUAD_SIZE, y + 5, z + QUAD_SIZE);
+
+            quadIndices.push(vertexIndex, vertexIndex + 1, vertexIndex + 2);
+            quadIndices.push(vertexIndex, vertexIndex + 2, vertexIndex + 3);
+            vertexIndex += 4;
+        }
+    }
+
+    const quadGeo = new THREE.BufferGeometry();
+    quadGeo.setAttribute('position', new THREE.Float32BufferAttribute(quadPositions, 3));
+    quadGeo.setIndex(quadIndices);
+    quadGeo.computeVertexNormals();
+
+    // Lines connecting the two vertices
+    const linePositions = [];
+    for (const trigger of triggers) {
+        const v1 = trigger.vertex1;
+        const v2 = trigger.vertex2;
+        linePositions.push(v1.x, v1.z + 5, -v1.y);
+        linePositions.push(v2.x, v2.z + 5, -v2.y);
+    }
+
+    const lineGeo = new THREE.BufferGeometry();
+    lineGeo.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
+
+    return { quadGeo, lineGeo };
+}
+
+function addTriggerMeshes(group, triggerGeometries, color) {
+    const quadMaterial = new THREE.MeshStandardMaterial({
+        color,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.8,
+    });
+    group.add(new THREE.Mesh(triggerGeometries.quadGeo, quadMaterial));
+
+    const lineMaterial = new THREE.LineBasicMaterial({
+        color,
+        opacity: 0.9,
+        transparent: true,
+    });
+    group.add(new THREE.LineSegments(triggerGeometries.lineGeo, lineMaterial));
+}
+
+const ISSUE_COLORS = { error: 0xff4444, warning: 0xc084fc };
+
+// Triangles flagged by the walkmesh analyzer, filled in their severity's color
+function createIssueMeshes(walkmesh, issues) {
+    const meshes = [];
+    for (const severity of ['warning', 'error']) {
+        const positions = [];
+        for (const issue of issues) {
+            if (issue.severity !== severity) continue;
+            for (const t of issue.triangles) {
+                for (const v of walkmesh.triangles[t].vertices) {
+                    positions.push(v.x, v.z + 2, -v.y);
+                }
+            }
+        }
+        if (!positions.length) continue;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = new THREE.MeshBasicMaterial({
+            color: ISSUE_COLORS[severity],
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: false,
+        });
+        meshes.push(new THREE.Mesh(geometry, material));
+    }
+    return meshes;
+}
+
+/**
+ * Replace the path overlay: the triangles walked through, the line along them and markers
+ * on the picked points. Drawn apart from the scene so picking points doesn't rebuild it.
+ */
+function drawPathOverlay(group, path) {
+    for (const child of [...group.children]) {
+        group.remove(child);
+        child.geometry.dispose();
+        child.material.dispose();
+    }
+    if (!path) return;
+
+    if (path.triangles.length > 0) {
+        const positions = path.triangles.flatMap(triangle => triangle.vertices.flatMap(v => [v.x, v.z + 3, -v.y]));
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0x33dd88,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+        })));
+    }
+
+    if (path.points.length > 1) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            path.points.map(p => new THREE.Vector3(p.x, p.z + 6, -p.y))
+        );
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x66ffaa, depthTest: false }));
+        line.renderOrder = 3;
+        group.add(line);
+    }
+
+    path.markers.forEach((marker, i) => {
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(6, 12, 8),
+            new THREE.MeshBasicMaterial({ color: i === 0 ? 0x66ffaa : 0xff6666, depthTest: false })
+        );
+        sphere.position.set(marker.x, marker.z + 6, -marker.y);
+        sphere.renderOrder = 3;
+        group.add(sphere);
+    });
+}
+
+const ARROW_COLORS = { 1: '#ff4444', 2: '#44dd66' };
+
+// A downward pointing marker for a field arrow, colored like the arrow in game
+function createArrowSprite(type) {
+    const canvas = document.createElement('canvas');
+    const size = 64;
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    ctx.beginPath();
+    ctx.moveTo(12, 14);
+    ctx.lineTo(52, 14);
+    ctx.lineTo(32, 52);
+    ctx.closePath();
+    ctx.fillStyle = ARROW_COLORS[type] ?? '#ffcc33';
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 3;
+    ctx.fill();
+    ctx.stroke();
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+    });
+
+    const sprite = new THREE.Sprite(material);
+    sprite.center.set(0.5, 0.2); // The tip sits on the arrow's position
+    sprite.scale.set(40, 40, 1);
+
+    return sprite;
+}
+
 // Create a canvas texture for a triangle ID label
 function createTextSprite(text) {
     const canvas = document.createElement('canvas');
@@ -265,10 +481,17 @@ function createTextSprite(text) {
 export function WalkmeshPreview({
     walkmesh,
     gateways,
+    triggers = null,
     wireframe,
     showGateways,
+    showDoors = false,
+    showArrows = false,
+    showCameraRange = false,
     showTriangleIds,
     showWalkmeshOverlay = true,
+    issues = null,
+    path = null,
+    onPickPoint = null,
     rotation,
     onResetRequest,
     cameraMode = 'orthographic',
@@ -284,7 +507,10 @@ export function WalkmeshPreview({
     const rendererRef = useRef(null);
     const meshGroupRef = useRef(null);
     const resetFnRef = useRef(null);
-    const triangleSpritesRef = useRef([]);
+    const spritesRef = useRef([]);  // Triangle IDs and arrows, scaled to keep their size on screen
+    const pathGroupRef = useRef(null);
+    const pathRef = useRef(path);
+    const pickPointRef = useRef(onPickPoint);
     const viewStateRef = useRef(null);  // For view offset pan/zoom
 
     // Calculate dimensions
@@ -377,54 +603,15 @@ export function WalkmeshPreview({
         return { meshGeo, edgeGeo, blockedGeo };
     }, [walkmesh]);
 
-    // Build gateway geometries
+    // Build gateway and door geometries
     const gatewayGeometries = useMemo(() => {
-        if (!gateways || gateways.length === 0) {
-            return null;
-        }
-
-        const QUAD_SIZE = 5;
-        const quadPositions = [];
-        const quadIndices = [];
-        let vertexIndex = 0;
-
-        for (const gateway of gateways) {
-            for (const vertex of [gateway.vertex1, gateway.vertex2]) {
-                const x = vertex.x;
-                const y = vertex.z;
-                const z = -vertex.y;
-
-                quadPositions.push(x - QUAD_SIZE, y + 5, z - QUAD_SIZE);
-                quadPositions.push(x + QUAD_SIZE, y + 5, z - QUAD_SIZE);
-                quadPositions.push(x + QUAD_SIZE, y + 5, z + QUAD_SIZE);
-                quadPositions.push(x - QUAD_SIZE, y + 5, z + QUAD_SIZE);
-
-                quadIndices.push(vertexIndex, vertexIndex + 1, vertexIndex + 2);
-                quadIndices.push(vertexIndex, vertexIndex + 2, vertexIndex + 3);
-                vertexIndex += 4;
-            }
-        }
-
-        const quadGeo = new THREE.BufferGeometry();
-        quadGeo.setAttribute('position', new THREE.Float32BufferAttribute(quadPositions, 3));
-        quadGeo.setIndex(quadIndices);
-        quadGeo.computeVertexNormals();
-
-        // Gateway lines connecting the two vertices
-        const linePositions = [];
-        for (const gateway of gateways) {
-            const v1 = gateway.vertex1;
-            const v2 = gateway.vertex2;
-            linePositions.push(v1.x, v1.z + 5, -v1.y);
-            linePositions.push(v2.x, v2.z + 5, -v2.y);
-        }
-
-        const lineGeo = new THREE.BufferGeometry();
-        lineGeo.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
-
-        return { quadGeo, lineGeo };
+        return gateways?.length > 0 ? createTriggerGeometries(gateways) : null;
     }, [gateways]);
 
+    const doorGeometries = useMemo(() => {
+        return triggers?.doors.length > 0 ? createTriggerGeometries(triggers.doors) : null;
+    }, [triggers]);
+
     // Initialize Three.js scene
     useEffect(() => {
         if (!containerRef.current || !geometries) return;
@@ -653,6 +840,7 @@ export function WalkmeshPreview({
         meshGroup.add(innerGroup);
 
         // Only add walkmesh elements if showWalkmeshOverlay is true
+        let walkmeshMesh = null;
         if (showWalkmeshOverlay) {
             // Main mesh - less transparent in perspective mode to enhance visibility on lighter backgrounds
             const meshOpacity = isPerspective
@@ -667,8 +855,8 @@ export function WalkmeshPreview({
                 polygonOffsetFactor: 1,
                 polygonOffsetUnits: 1,
             });
-            const mesh = new THREE.Mesh(geometries.meshGeo, meshMaterial);
-            innerGroup.add(mesh);
+            walkmeshMesh = new THREE.Mesh(geometries.meshGeo, meshMaterial);
+            innerGroup.add(walkmeshMesh);
 
             // Edge lines (wireframe) - brighter in perspective mode
             if (wireframe) {
@@ -692,26 +880,49 @@ export function WalkmeshPreview({
 
             // Gateways
             if (showGateways && gatewayGeometries) {
-                const gatewayMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xff3333,
-                    side: THREE.DoubleSide,
-                    transparent: true,
-                    opacity: 0.8,
-                });
-                const gatewayMesh = new THREE.Mesh(gatewayGeometries.quadGeo, gatewayMaterial);
-                innerGroup.add(gatewayMesh);
+                addTriggerMeshes(innerGroup, gatewayGeometries, 0xff3333);
+            }
 
-                const gatewayLineMaterial = new THREE.LineBasicMaterial({
-                    color: 0xff3333,
-                    opacity: 0.9,
-                    transparent: true,
-                });
-                const gatewayLines = new THREE.LineSegments(gatewayGeometries.lineGeo, gatewayLineMaterial);
-                innerGroup.add(gatewayLines);
+            // Door triggers
+            if (showDoors && doorGeometries) {
+                addTriggerMeshes(innerGroup, doorGeometries, 0x33ccff);
+            }
+
+            spritesRef.current = [];
+
+            // Arrows
+            if (showArrows && triggers) {
+                for (const arrow of triggers.arrows) {
+                    const sprite = createArrowSprite(arrow.type);
+                    sprite.position.set(arrow.x, arrow.z + 5, -arrow.y);
+                    innerGroup.add(sprite);
+                    spritesRef.current.push(sprite);
+                }
+            }
+
+            // Camera range, from the field's first camera
+            if (showCameraRange && triggers && cameraData) {
+                const distance = Math.max(dimensions.width, dimensions.height) * 2;
+                innerGroup.add(createCameraRangeLine(
+                    cameraData,
+                    triggers.cameraRange,
+                    distance,
+                    isPerspective ? null : dimensions.center.y
+                ));
+            }
+
+            // Analyzer findings
+            if (issues) {
+                for (const issueMesh of createIssueMeshes(walkmesh, issues)) {
+                    innerGroup.add(issueMesh);
+                }
+                const offMesh = issues.filter(issue => issue.gateway !== undefined).map(issue => gateways[issue.gateway]);
+                if (offMesh.length > 0) {
+                    addTriggerMeshes(innerGroup, createTriggerGeometries(offMesh), 0xffdd33);
+                }
             }
 
             // Triangle IDs
-            triangleSpritesRef.current = [];
             if (showTriangleIds && walkmesh) {
                 for (let i = 0; i < walkmesh.triangles.length; i++) {
                     const triangle = walkmesh.triangles[i];
@@ -725,14 +936,49 @@ export function WalkmeshPreview({
                     const sprite = createTextSprite(String(i));
                     sprite.position.set(cx, cy + 2, cz);
                     innerGroup.add(sprite);
-                    triangleSpritesRef.current.push(sprite);
+                    spritesRef.current.push(sprite);
                 }
             }
         } else {
-            // Clear triangle sprites when not showing walkmesh
-            triangleSpritesRef.current = [];
+            // Clear sprites when not showing walkmesh
+            spritesRef.current = [];
         }
 
+        const pathGroup = new THREE.Group();
+        innerGroup.add(pathGroup);
+        pathGroupRef.current = pathGroup;
+        drawPathOverlay(pathGroup, pathRef.current);
+
+        // A click that doesn't drag picks a point on the walkmesh
+        let pickStart = null;
+        const handlePickDown = (e) => {
+            pickStart = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        };
+        const handlePickUp = (e) => {
+            const onPick = pickPointRef.current;
+            if (!onPick || !pickStart || !walkmeshMesh) return;
+            if (Math.hypot(e.clientX - pickStart.x, e.clientY - pickStart.y) > 4) return;
+
+            const rect = renderer.domElement.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                -((e.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            const raycaster = new THREE.Raycaster();
+            raycaster.setFromCamera(pointer, camera);
+            const [hit] = raycaster.intersectObject(walkmeshMesh);
+            if (!hit) return;
+
+            // One index triple per triangle, so the face is the walkmesh triangle
+            const local = innerGroup.worldToLocal(hit.point.clone());
+            onPick({
+                triangle: hit.faceIndex,
+                point: { x: Math.round(local.x), y: Math.round(-local.z), z: Math.round(local.y) },
+            });
+        };
+        renderer.domElement.addEventListener('pointerdown', handlePickDown);
+        renderer.domElement.addEventListener('pointerup', handlePickUp);
+
         // Apply rotation
         meshGroup.rotation.y = rotation;
 
@@ -873,7 +1119,7 @@ export function WalkmeshPreview({
                 }
             }
 
-            // Scale triangle ID sprites inversely with zoom, clamped to min/max bounds
+            // Scale triangle ID and arrow sprites inversely with zoom, clamped to min/max bounds
             // For perspective with view offset, use viewState.zoom; otherwise use camera.zoom
             const effectiveZoom = (isPerspective && viewStateRef.current)
                 ? viewStateRef.current.zoom
@@ -881,7 +1127,7 @@ export function WalkmeshPreview({
             const baseScale = isPerspective ? BASE_SPRITE_SCALE_PERSP : BASE_SPRITE_SCALE_ORTHO;
             const rawScale = baseScale / effectiveZoom;
             const spriteScale = Math.max(MIN_SPRITE_SCALE, Math.min(MAX_SPRITE_SCALE, rawScale));
-            for (const sprite of triangleSpritesRef.current) {
+            for (const sprite of spritesRef.current) {
                 sprite.scale.set(spriteScale, spriteScale, 1);
             }
 
@@ -893,6 +1139,8 @@ export function WalkmeshPreview({
         return () => {
             window.removeEventListener('resize', handleResize);
             controls.removeEventListener('change', handleCameraChange);
+            renderer.domElement.removeEventListener('pointerdown', handlePickDown);
+            renderer.domElement.removeEventListener('pointerup', handlePickUp);
             cancelAnimationFrame(animationId);
             controls.dispose();
             renderer.dispose();
@@ -922,7 +1170,17 @@ export function WalkmeshPreview({
                 container.removeChild(renderer.domElement);
             }
         };
-    }, [geometries, gatewayGeometries, dimensions, wireframe, showGateways, showTriangleIds, showWalkmeshOverlay, walkmesh, rotation, cameraMode, cameraData, backgroundCanvasRef, backgroundDimensions, backgroundRenderKey]);
+    }, [geometries, gatewayGeometries, doorGeometries, triggers, dimensions, wireframe, showGateways, showDoors, showArrows, showCameraRange, showTriangleIds, showWalkmeshOverlay, issues, gateways, walkmesh, rotation, cameraMode, cameraData, backgroundCanvasRef, backgroundDimensions, backgroundRenderKey]);
+
+    // The path is redrawn on its own, the scene picks it up from the ref when it's rebuilt
+    useEffect(() => {
+        pathRef.current = path;
+        if (pathGroupRef.current) drawPathOverlay(pathGroupRef.current, path);
+    }, [path]);
+
+    useEffect(() => {
+        pickPointRef.current = onPickPoint;
+    }, [onPickPoint]);
 
     // Handle external reset request
     useEffect(() => {
@@ -940,6 +1198,6 @@ export function WalkmeshPreview({
     }
 
     return (
-        <div className="walkmesh-container" ref={containerRef} />
+        <div className={`walkmesh-container ${onPickPoint ? 'picking' : ''}`} ref={containerRef} />
     );
 }
@@ -1,5 +1,3 @@
-import { swap16 } from "./endian";
-
 // FF Text encoder/decoder
 // Partially ported by mav from Python source by Niema Moshiri
 // https://github.com/niemasd/PyFF7
@@ -67,6 +65,7 @@ const CHARS = {
 const fieldCommands = Object.assign({}, ...Object.entries({...CHARS.FIELD_CONTROL, ...CHARS.FIELD_SPECIAL}).map(([a,b]) => ({ [b]: a })))
 
 export const decodeText = function(buf: Uint8Array): Uint8Array {
+    const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
     let text = '';
     let i = 0;
 
@@ -92,16 +91,16 @@ export const decodeText = function(buf: Uint8Array): Uint8Array {
 
             // WAIT <arg> command
             if (k === 0xDD) {
-                const arg = new DataView(buf.buffer).getUint16(i, true);
+                const arg = view.getUint16(i, true);
                 i += 2;
                 text += `{WAIT ${arg}}`
             }
 
             // STR {offset} {length} command
             else if (k === 0xE2) {
-                const offset = new DataView(buf.buffer).getUint16(i, true);
+                const offset = view.getUint16(i, true);
                 i += 2;
-                const length = new DataView(buf.buffer).getUint16(i, true);
+                const length = view.getUint16(i, true);
                 i += 2;
                 text += `{STR ${offset} ${length}}`
             }
@@ -149,14 +148,16 @@ export const encodeText = function(text: string): Uint8Array {
                 if (!m) throw Error (`Syntax error in command ${command} in string: ${text}`)
                 const arg = parseInt(m[1])
                 if (arg < 0 || arg > 0xFFFF) throw Error (`Invalid value for WAIT argument in command ${command}, has to be in range 0-65535 in string: ${text}`)
-                data.push(0xFE, 0xDD, ...new Uint8Array(new Uint16Array([swap16(arg)]).buffer))
+                data.push(0xFE, 0xDD, arg & 0xFF, arg >> 8)
             }
+            // Same decimal form decodeText produces: {STR offset length}
             else if (keyword === 'STR') {
-                const m = /STR ([a-fA-F0-9]{4}) ([a-fA-F0-9]{4})/.exec(command)
+                const m = /^STR (\d+) (\d+)$/.exec(command)
                 if (!m) throw Error (`Syntax error in command ${command} in string: ${text}`)
-                const offset = parseInt(m[1], 16)
-                const length = parseInt(m[2], 16)
-                data.push(0xFE, 0xE2, ...new Uint8Array(new Uint16Array([swap16(offset), swap16(length)]).buffer))
+                const offset = parseInt(m[1])
+                const length = parseInt(m[2])
+                if (offset > 0xFFFF || length > 0xFFFF) throw Error (`Invalid value for STR arguments in command ${command}, have to be in range 0-65535 in string: ${text}`)
+                data.push(0xFE, 0xE2, offset & 0xFF, offset >> 8, length & 0xFF, length >> 8)
             }
             else {
                 const code = fieldCommands[`{${command}}`];
@@ -195,6 +196,44 @@ export const encodeText = function(text: string): Uint8Array {
 
 type SpacingTable = number[]; // indexes 0..255 = glyph widths, 256 = max, 257 = padding
 
+// Default English names, used to size the character name tags
+const CHARACTER_NAMES: Record<string, string> = {
+  'CLOUD': 'Cloud',
+  'BARRET': 'Barret',
+  'TIFA': 'Tifa',
+  'AERITH': 'Aeris',
+  'RED XIII': 'Red XIII',
+  'YUFFIE': 'Yuffie',
+  'CAIT SITH': 'Cait Sith',
+  'VINCENT': 'Vincent',
+  'CID': 'Cid',
+};
+
+// Control codes that change how text is drawn are kept as negated codes, they take no space
+const TOGGLE_FIXED = -0xE9; // {FIXED} switches monospace on and off
+const COLOR_CODES = [0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9]; // {GRAY} to {WHITE}
+export const DEFAULT_TEXT_COLOR = 0xD9;
+
+// Two-glyph specials: ', ', '."' and '…"'
+const COMPOSITE_GLYPHS: Record<number, number[]> = {
+  0xE2: [0x0C, 0x00],
+  0xE3: [0x0E, 0x02],
+  0xE4: [0xA9, 0x02],
+};
+
+export interface TextGlyph {
+  code: number; // Character code, also its index in the font texture
+  x: number; // Position in game pixels from the window's top left
+  y: number;
+  color: number; // Color control code, {GRAY} (0xD2) to {WHITE} (0xD9)
+}
+
+export interface TextPage {
+  glyphs: TextGlyph[];
+  width: number; // Window size the page needs
+  height: number;
+}
+
 export interface AutosizerOptions {
   spacingHexTable?: string; // 256 hex values (space-separated) like touphScript.ini font_spacing
   choice?: number; // default 10
@@ -202,13 +241,14 @@ export interface AutosizerOptions {
   max?: number; // default 26
   padding?: number; // default 16 (box_width_padding)
   rowH1?: number; // default 16 (box_height_part_1)
-  rowH2?: number; // default 25 (box_height_part_2)
+  rowH2?: number; // default 9 (box_height_part_2)
 }
 
 export class FFTextAutosizer {
   private spacing: SpacingTable;
   private rowH1: number;
   private rowH2: number;
+  private partyName: string;
 
   constructor(opts: AutosizerOptions = {}) {
     const {
@@ -227,7 +267,6 @@ export class FFTextAutosizer {
       : FFTextAutosizer.defaultFontSpacing();
 
     const spacing: SpacingTable = baseGlyphWidths.map((v) => ((v & 0x1f) + Math.floor(v / 0x20)) | 0);
-    console.log("spacing", spacing);
 
     // Set special entries matching touphScript getSpacingTable()
     // choice (0xE0) and tab (0xE1) are counts, used with width of space or max/2 in MAX mode
@@ -249,12 +288,16 @@ export class FFTextAutosizer {
     this.spacing = spacing;
     this.rowH1 = rowH1;
     this.rowH2 = rowH2;
+
+    // Party slots can hold anyone, size them for the widest default name
+    this.partyName = Object.values(CHARACTER_NAMES).reduce((widest, name) =>
+      this.widthFromCodes(this.toCodes(name)) > this.widthFromCodes(this.toCodes(widest)) ? name : widest
+    );
   }
 
-  /** Measure returns {width, height} in pixels for the given ASCII text. */
+  /** Measure returns {width, height} in pixels for text in decodeText() notation. */
   measure(text: string): { width: number; height: number } {
     const codes = this.toCodes(text);
-    debugger;
     const width = this.widthFromCodes(codes);
     const height = this.heightFromCodes(codes);
     return { width, height };
@@ -296,9 +339,28 @@ export class FFTextAutosizer {
           continue;
         }
         const command = text.substring(i, end + 1);
+        const keyword = command.slice(1, -1).split(' ')[0];
+        const name = CHARACTER_NAMES[command.slice(1, -1)] ?? (command.startsWith('{PARTY #') ? this.partyName : undefined);
+        // Names are shown as text, sized here by their default spelling
+        if (name !== undefined) {
+          out.push(...this.toCodes(name));
+          i = end + 1;
+          continue;
+        }
+        // Colors, pauses and other control codes take no space
+        const control = Number(fieldCommands[command]);
+        if (command === '{FIXED}' || (COLOR_CODES.includes(control) && Object.values(CHARS.FIELD_CONTROL).includes(command))) {
+          out.push(-control);
+          i = end + 1;
+          continue;
+        }
+        if (keyword === 'WAIT' || keyword === 'STR' || Object.values(CHARS.FIELD_CONTROL).includes(command)) {
+          i = end + 1;
+          continue;
+        }
         const code = fieldCommands[command];
         if (code !== undefined) {
-          out.push(parseInt(code, 16));
+          out.push(Number(code));
           // Skip extra newline after NEWPAGE
           if (command === '{NEWPAGE}' && end + 1 < text.length && text[end + 1] === '\n') {
             i = end + 2;
@@ -359,11 +421,14 @@ export class FFTextAutosizer {
     const sp = this.spacing;
     let lineWidth = sp[sp.length - 1] ?? 0; // padding
     let maxWidth = lineWidth;
-    let maxMode = false; // toggled by {MAX}; not used for plain ASCII
+    let maxMode = false; // toggled by {FIXED}
 
     for (let i = 0; i < codes.length; i++) {
       const c = codes[i];
       switch (c) {
+        case TOGGLE_FIXED:
+          maxMode = !maxMode;
+          break;
         case 0xE7: // nline
         case 0xE8: // newW
           if (lineWidth > maxWidth) maxWidth = lineWidth;
@@ -376,13 +441,56 @@ export class FFTextAutosizer {
           lineWidth += maxMode ? (sp[0xE1] * (sp[0x100] ?? 0)) / 2.0 : sp[0xE1] * (sp[0x00] ?? 0);
           break;
         default:
-          lineWidth += maxMode ? (sp[0x100] ?? 0) / 2.0 : sp[c] ?? 0;
+          if (c >= 0) lineWidth += maxMode ? (sp[0x100] ?? 0) / 2.0 : sp[c] ?? 0;
           break;
       }
     }
     return Math.ceil(lineWidth > maxWidth ? lineWidth : maxWidth);
   }
 
+  /**
+   * Lay text out the way the game draws it, one page per window shown ({NEWPAGE} starts
+   * the next). Glyph positions use the same spacing as measure().
+   */
+  layout(text: string): TextPage[] {
+    const pageCodes: number[][] = [[]];
+    for (const c of this.toCodes(text)) {
+      if (c === 0xE8) pageCodes.push([]);
+      else pageCodes[pageCodes.length - 1].push(c);
+    }
+
+    const sp = this.spacing;
+    const left = (sp[sp.length - 1] ?? 0) / 2;
+    const top = Math.floor(this.rowH2 / 2);
+    let color = DEFAULT_TEXT_COLOR;
+    let maxMode = false;
+
+    return pageCodes.map((codes) => {
+      const glyphs: TextGlyph[] = [];
+      let x = left;
+      let row = 0;
+      for (const c of codes) {
+        if (c === TOGGLE_FIXED) {
+          maxMode = !maxMode;
+        } else if (c < 0) {
+          color = -c;
+        } else if (c === 0xE7) {
+          x = left;
+          row++;
+        } else if (c === 0xE0 || c === 0xE1) {
+          x += maxMode ? (sp[c] * (sp[0x100] ?? 0)) / 2.0 : sp[c] * (sp[0x00] ?? 0);
+        } else {
+          for (const code of COMPOSITE_GLYPHS[c] ?? [c]) {
+            if (code < 0xE0) glyphs.push({ code, x, y: top + row * this.rowH1, color });
+            x += maxMode ? (sp[0x100] ?? 0) / 2.0 : sp[code] ?? 0;
+          }
+        }
+      }
+      // Empty pages still measure as one line, the game opens the window either way
+      return { glyphs, width: this.widthFromCodes(codes), height: this.heightFromCodes(codes.length ? codes : [0]) };
+    });
+  }
+
   private heightFromCodes(codes: number[]): number {
     if (codes.length === 0) return 0;
 
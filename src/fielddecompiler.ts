@@ -0,0 +1,309 @@
+// FF7 field script decompiler
+// Turns a disassembled script into structured pseudo-code: IF opcodes and the jumps around
+// them become if/else and while blocks, backward jumps become loops, and the remaining
+// jumps are shown as break, continue or goto
+
+import { formatOperands, getLabelName, getScriptSlotName } from './fieldscript.ts';
+import type { ScriptInstruction, ScriptListing } from './fieldscript.ts';
+import type { ScriptSection } from './fieldfile.ts';
+
+export interface PseudoLink {
+    entityIndex: number;
+    slot: number;
+    text: string;   // Part of the line naming the target script
+}
+
+export interface PseudoLine {
+    indent: number;
+    text: string;
+    offset: number | null;     // Offset of the instruction the line starts, null for closing braces
+    link: PseudoLink | null;   // Script called by a REQ-style opcode
+}
+
+type JumpKind = 'break' | 'continue' | 'goto';
+
+type PseudoNode =
+    | { type: 'statement'; instruction: ScriptInstruction }
+    | { type: 'if'; instruction: ScriptInstruction; then: PseudoNode[]; else: PseudoNode[] | null }
+    | { type: 'while'; instruction: ScriptInstruction; body: PseudoNode[] }
+    | { type: 'loop'; offset: number; body: PseudoNode[] }
+    | { type: 'jump'; instruction: ScriptInstruction; kind: JumpKind }
+    | { type: 'ifJump'; instruction: ScriptInstruction; kind: JumpKind };
+
+interface Loop {
+    start: number;  // Offset jumped back to
+    end: number;    // Offset after the backward jump
+}
+
+const IF_OPCODES = new Set([0x14, 0x15, 0x16, 0x17, 0x18, 0x19, 0x30, 0x31, 0x32, 0xCB, 0xCC]);
+const FORWARD_JUMPS = new Set([0x10, 0x11]);  // JMPF, JMPFL
+const BACKWARD_JUMPS = new Set([0x12, 0x13]); // JMPB, JMPBL
+const REQUEST_OPCODES = new Set([0x01, 0x02, 0x03]); // REQ, REQSW, REQEW
+
+const NEGATED_COMPARISONS: Record<string, string> = {
+    '==': '!=', '!=': '==', '>': '<=', '<': '>=', '>=': '<', '<=': '>',
+};
+
+const ASSIGNMENTS: Record<number, string> = {
+    0x80: '=', 0x81: '=',     // SETBYTE, SETWORD
+    0x85: '+=', 0x86: '+=',   // PLUS, PLUS2
+    0x87: '-=', 0x88: '-=',   // MINUS, MINUS2
+    0x89: '*=', 0x8A: '*=',   // MUL, MUL2
+    0x8B: '/=', 0x8C: '/=',   // DIV, DIV2
+    0x8D: '%=', 0x8E: '%=',   // MOD, MOD2
+    0x8F: '&=', 0x90: '&=',   // AND, AND2
+    0x91: '|=', 0x92: '|=',   // OR, OR2
+    0x93: '^=', 0x94: '^=',   // XOR, XOR2
+};
+
+// ============================================================================
+// Structuring
+// ============================================================================
+
+class Structurer {
+    private readonly instructions: ScriptInstruction[];
+    private readonly indexByOffset = new Map<number, number>();
+    private readonly codeEnd: number;
+    readonly gotoTargets = new Set<number>();
+
+    constructor(instructions: ScriptInstruction[]) {
+        this.instructions = instructions;
+        instructions.forEach((instruction, i) => this.indexByOffset.set(instruction.offset, i));
+        const last = instructions[instructions.length - 1];
+        this.codeEnd = last ? last.offset + last.length : 0;
+    }
+
+    // Instruction index of an offset; the end of the code counts as one past the last instruction
+    private indexOf(offset: number): number | undefined {
+        if (offset === this.codeEnd) return this.instructions.length;
+        return this.indexByOffset.get(offset);
+    }
+
+    private offsetAt(index: number): number {
+        return index < this.instructions.length ? this.instructions[index].offset : this.codeEnd;
+    }
+
+    private jumpKind(target: number, loops: Loop[]): JumpKind {
+        const loop = loops[loops.length - 1];
+        if (loop && target === loop.end) return 'break';
+        if (loop && target === loop.start) return 'continue';
+        this.gotoTargets.add(target);
+        return 'goto';
+    }
+
+    /** Structure the instructions in [from, to) */
+    structure(from: number, to: number, loops: Loop[]): PseudoNode[] {
+        const nodes: PseudoNode[] = [];
+        let i = from;
+        while (i < to) {
+            const instruction = this.instructions[i];
+
+            // A later backward jump to this instruction closes a loop, unless this is the
+            // start of the loop being structured
+            if (!loops.some(loop => loop.start === instruction.offset)) {
+                let back = -1;
+                for (let k = to - 1; k > i; k--) {
+                    const candidate = this.instructions[k];
+                    if (BACKWARD_JUMPS.has(candidate.opcode) && candidate.target === instruction.offset) {
+                        back = k;
+                        break;
+                    }
+                }
+                if (back !== -1) {
+                    const loop = { start: instruction.offset, end: this.offsetAt(back + 1) };
+                    const inner = [...loops, loop];
+                    if (IF_OPCODES.has(instruction.opcode) && instruction.target === loop.end) {
+                        nodes.push({ type: 'while', instruction, body: this.structure(i + 1, back, inner) });
+                    } else {
+                        nodes.push({ type: 'loop', offset: instruction.offset, body: this.structure(i, back, inner) });
+                    }
+                    i = back + 1;
+                    continue;
+                }
+            }
+
+            if (IF_OPCODES.has(instruction.opcode)) {
+                const end = this.indexOf(instruction.target!);
+                if (end !== undefined && end > i && end <= to) {
+                    // A forward jump closing the then block skips over an else block
+                    const last = this.instructions[end - 1];
+                    if (end - 1 > i && FORWARD_JUMPS.has(last.opcode) && last.target! > instruction.target!) {
+                        const elseEnd = this.indexOf(last.target!);
+                        if (elseEnd !== undefined && elseEnd <= to) {
+                            nodes.push({
+                                type: 'if',
+                                instruction,
+                                then: this.structure(i + 1, end - 1, loops),
+                                else: this.structure(end, elseEnd, loops),
+                            });
+                            i = elseEnd;
+                            continue;
+                        }
+                    }
+                    nodes.push({ type: 'if', instruction, then: this.structure(i + 1, end, loops), else: null });
+                    i = end;
+                    continue;
+                }
+                nodes.push({ type: 'ifJump', instruction, kind: this.jumpKind(instruction.target!, loops) });
+                i++;
+                continue;
+            }
+
+            if (FORWARD_JUMPS.has(instruction.opcode) || BACKWARD_JUMPS.has(instruction.opcode)) {
+                nodes.push({ type: 'jump', instruction, kind: this.jumpKind(instruction.target!, loops) });
+            } else {
+                nodes.push({ type: 'statement', instruction });
+            }
+            i++;
+        }
+        return nodes;
+    }
+}
+
+// ============================================================================
+// Text
+// ============================================================================
+
+/**
+ * Condition under which an IF opcode runs the following code. IF opcodes jump when
+ * the condition is false, negate gives the condition for taking the jump.
+ */
+function formatCondition(instruction: ScriptInstruction, negate: boolean): string {
+    const { opcode, operands } = instruction;
+    let condition: string;
+    if (opcode >= 0x14 && opcode <= 0x19) {
+        const [left, right, compare] = operands;
+        const op = compare.text;
+        if (op in NEGATED_COMPARISONS) {
+            return `${left.text} ${negate ? NEGATED_COMPARISONS[op] : op} ${right.text}`;
+        }
+        if (op === 'bit on' || op === 'bit off') {
+            const test = `${left.text} & (1 << ${right.text})`;
+            return (op === 'bit on') !== negate ? test : `!(${test})`;
+        }
+        condition = `${left.text} ${op} ${right.text}`;
+    } else if (opcode === 0x30 || opcode === 0x31 || opcode === 0x32) {
+        const fn = opcode === 0x30 ? 'key' : opcode === 0x31 ? 'keyPressed' : 'keyReleased';
+        condition = `${fn}(${operands[0].text})`;
+    } else {
+        condition = `${opcode === 0xCB ? 'inParty' : 'isMember'}(${operands[0].text})`;
+    }
+    return negate ? `!(${condition})` : condition;
+}
+
+function formatJump(kind: JumpKind, target: number): string {
+    return kind === 'goto' ? `goto ${getLabelName(target)};` : `${kind};`;
+}
+
+function formatStatement(instruction: ScriptInstruction, section: ScriptSection): { text: string; link: PseudoLink | null } {
+    const { opcode, operands, name } = instruction;
+    let text: string;
+    let link: PseudoLink | null = null;
+
+    if (opcode in ASSIGNMENTS) {
+        text = `${operands[0].text} ${ASSIGNMENTS[opcode]} ${operands[1].text};`;
+    } else if (opcode === 0x82 || opcode === 0x83 || opcode === 0x84) {
+        // BITON, BITOFF, BITXOR
+        const op = opcode === 0x82 ? '|=' : opcode === 0x83 ? '&=' : '^=';
+        const mask = opcode === 0x83 ? `~(1 << ${operands[1].text})` : `(1 << ${operands[1].text})`;
+        text = `${operands[0].text} ${op} ${mask};`;
+    } else if (opcode >= 0x95 && opcode <= 0x98) {
+        // INC, INC2, DEC, DEC2
+        text = `${operands[0].text}${opcode <= 0x96 ? '++' : '--'};`;
+    } else if (opcode === 0x99) {
+        text = `${operands[0].text} = random();`;
+    } else if (opcode === 0x00) {
+        text = 'return;';
+    } else if (REQUEST_OPCODES.has(opcode)) {
+        const [entity, script, priority] = operands;
+        const slot = script.value === 0 ? 0 : script.value + 1;
+        const target = `${section.entities[entity.value]?.name || `Entity ${entity.value}`}.${getScriptSlotName(slot).replace(' ', '')}`;
+        text = `${name}(${target}, priority=${priority.text});`;
+        if (entity.value < section.entities.length) {
+            link = { entityIndex: entity.value, slot, text: target };
+        }
+    } else {
+        text = `${name}(${formatOperands(instruction)});`;
+    }
+
+    if (instruction.comment) text += ` // ${instruction.comment}`;
+    return { text, link };
+}
+
+function render(nodes: PseudoNode[], indent: number, section: ScriptSection, lines: PseudoLine[]): void {
+    const push = (text: string, offset: number | null, link: PseudoLink | null = null) =>
+        lines.push({ indent, text, offset, link });
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'statement': {
+                const { text, link } = formatStatement(node.instruction, section);
+                push(text, node.instruction.offset, link);
+                break;
+            }
+            case 'if': {
+                push(`if (${formatCondition(node.instruction, false)}) {`, node.instruction.offset);
+                render(node.then, indent + 1, section, lines);
+                let elseNodes = node.else;
+                // else { if ... } reads better as else if
+                while (elseNodes?.length === 1 && elseNodes[0].type === 'if') {
+                    const elseIf = elseNodes[0];
+                    push(`} else if (${formatCondition(elseIf.instruction, false)}) {`, elseIf.instruction.offset);
+                    render(elseIf.then, indent + 1, section, lines);
+                    elseNodes = elseIf.else;
+                }
+                if (elseNodes) {
+                    push('} else {', null);
+                    render(elseNodes, indent + 1, section, lines);
+                }
+                push('}', null);
+                break;
+            }
+            case 'while':
+                push(`while (${formatCondition(node.instruction, false)}) {`, node.instruction.offset);
+                render(node.body, indent + 1, section, lines);
+                push('}', null);
+                break;
+            case 'loop':
+                push('while (true) {', node.offset);
+                render(node.body, indent + 1, section, lines);
+                push('}', null);
+                break;
+            case 'jump':
+                push(formatJump(node.kind, node.instruction.target!), node.instruction.offset);
+                break;
+            case 'ifJump':
+                push(
+                    `if (${formatCondition(node.instruction, true)}) ${formatJump(node.kind, node.instruction.target!)}`,
+                    node.instruction.offset
+                );
+                break;
+        }
+    }
+}
+
+/**
+ * Decompile a script listing into indented pseudo-code lines. Offsets targeted by a
+ * goto get a label line before the first line starting at that offset.
+ */
+export function decompileScript(listing: ScriptListing, section: ScriptSection): PseudoLine[] {
+    const structurer = new Structurer(listing.instructions);
+    const nodes = structurer.structure(0, listing.instructions.length, []);
+    const body: PseudoLine[] = [];
+    render(nodes, 0, section, body);
+
+    const lines: PseudoLine[] = [];
+    const labelled = new Set<number>();
+    for (const line of body) {
+        if (line.offset !== null && structurer.gotoTargets.has(line.offset) && !labelled.has(line.offset)) {
+            labelled.add(line.offset);
+            lines.push({ indent: Math.max(0, line.indent - 1), text: `${getLabelName(line.offset)}:`, offset: null, link: null });
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+export function formatPseudoCode(lines: PseudoLine[]): string {
+    return lines.map(line => `${'    '.repeat(line.indent)}${line.text}`).join('\n');
+}
@@ -200,6 +200,16 @@ export enum ScriptOpcode {
     // Additional opcodes to be added...
 }
 
+/** Window set up by a WINDOW opcode: 0x50 WindowId X(u16) Y(u16) Width(u16) Height(u16) */
+export interface DialogWindow {
+    windowId: number;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    offset: number;  // Offset of the WINDOW opcode within the script section
+}
+
 /** Dialog reference found by analyzing script bytecode */
 export interface DialogReference {
     dialogId: number;
@@ -208,6 +218,7 @@ export interface DialogReference {
     entityName: string;
     scriptIndex: number;
     offset: number;  // Offset within script data
+    window: DialogWindow | null;  // Last WINDOW for this window ID earlier in the same script
 }
 
 /**
@@ -395,12 +406,28 @@ export function findDialogReferences(scriptSection: ScriptSection): DialogRefere
             if (relStart < 0 || relStart >= scriptData.length) continue;
             if (relEnd < relStart || relEnd > scriptData.length) continue;
 
+            // Windows set up so far in this script, by window ID
+            const windows = new Map<number, DialogWindow>();
+
             // Parse opcodes properly
             let pos = relStart;
             while (pos < relEnd) {
                 const opcode = scriptData[pos];
                 const length = OPCODE_LENGTHS[opcode] ?? 1;
 
+                // Check for WINDOW: 0x50 WindowId X Y Width Height (u16 each)
+                if (opcode === 0x50 && pos + 9 < scriptData.length) {
+                    const windowId = scriptData[pos + 1];
+                    const readU16 = (at: number) => scriptData[at] | (scriptData[at + 1] << 8);
+                    windows.set(windowId, {
+                        windowId,
+                        x: readU16(pos + 2),
+                        y: readU16(pos + 4),
+                        width: readU16(pos + 6),
+                        height: readU16(pos + 8),
+                        offset: scriptDataOffset + pos,
+                    });
+                }
                 // Check for MESSAGE: 0x40 WindowId DialogId
                 if (opcode === 0x40 && pos + 2 < scriptData.length) {
                     const windowId = scriptData[pos + 1];
@@ -414,12 +441,13 @@ export function findDialogReferences(scriptSection: ScriptSection): DialogRefere
                         entityName: entity.name,
                         scriptIndex: scriptIdx,
                         offset: scriptDataOffset + pos,
+                        window: windows.get(windowId) ?? null,
                     });
                 }
-                // Check for ASK: 0x48 Bank1 Bank2 WindowId DialogId FirstLine LastLine
+                // Check for ASK: 0x48 Bank1/Bank2 WindowId DialogId FirstLine LastLine Address
                 else if (opcode === 0x48 && pos + 6 < scriptData.length) {
-                    const windowId = scriptData[pos + 3];
-                    const dialogId = scriptData[pos + 4];
+                    const windowId = scriptData[pos + 2];
+                    const dialogId = scriptData[pos + 3];
                     const scriptIdx = scriptIndices[0];
                     refs.push({
                         dialogId,
@@ -428,6 +456,7 @@ export function findDialogReferences(scriptSection: ScriptSection): DialogRefere
                         entityName: entity.name,
                         scriptIndex: scriptIdx,
                         offset: scriptDataOffset + pos,
+                        window: windows.get(windowId) ?? null,
                     });
                 }
 
@@ -467,6 +496,36 @@ export interface CameraSection {
     cameras: CameraData[];
 }
 
+// ============================================================================
+// Model Loader Section (Section 3) Types
+// ============================================================================
+
+export interface ModelLight {
+    color: { r: number; g: number; b: number };
+    direction: { x: number; y: number; z: number };
+}
+
+export interface FieldModelAnimation {
+    name: string;     // As stored, e.g. "ACFE.yos"
+    unknown: number;
+}
+
+export interface FieldModel {
+    name: string;        // Model name, e.g. "cloud"
+    unknown: number;
+    hrcName: string;     // Skeleton in char.lgp, e.g. "AAAA.HRC"
+    scale: number;       // Stored as ASCII digits
+    lights: [ModelLight, ModelLight, ModelLight];
+    globalLight: { r: number; g: number; b: number };
+    animations: FieldModelAnimation[];
+}
+
+export interface ModelLoaderSection {
+    unknown: number;     // Always 0
+    scale: number;       // Global model scale of the field
+    models: FieldModel[];
+}
+
 // ============================================================================
 // Walkmesh Section (Section 5) Types
 // ============================================================================
@@ -475,6 +534,7 @@ export interface WalkmeshVertex {
     x: number;
     y: number;
     z: number;
+    padding?: number; // Word after z as loaded, written back as z when unset
 }
 
 export interface WalkmeshTriangle {
@@ -488,15 +548,90 @@ export interface WalkmeshSection {
 }
 
 // ============================================================================
-// Triggers Section (Section 8) Types - Gateways
+// Encounter Section (Section 7) Types
+// ============================================================================
+
+export interface Encounter {
+    battleId: number;     // Battle formation (scene) ID, 10 bits
+    probability: number;  // Out of 64, 6 bits
+}
+
+export interface EncounterTable {
+    enabled: boolean;
+    rate: number;         // Lower values mean more frequent battles
+    normal: Encounter[];  // 6 formations, their probabilities should add up to 64
+    backAttack: [Encounter, Encounter];
+    sideAttack: Encounter;
+    pincer: Encounter;
+    padding: number;
+}
+
+export interface EncounterSection {
+    // Scripts pick the active table with BTLTB, the first one is used until then
+    tables: [EncounterTable, EncounterTable];
+}
+
+// ============================================================================
+// Triggers Section (Section 8) Types
 // ============================================================================
 
 export interface Gateway {
     vertex1: WalkmeshVertex;
     vertex2: WalkmeshVertex;
     fieldId: number;
+    destination: { x: number; y: number; triangle: number };
+    direction: number;      // Facing on arrival, 0-255 for a full turn
+    showArrow: boolean;     // PC only, shows the gateway's exit arrow
+}
+
+// Crossing the line changes a background parameter, used for doors opening as the player walks by
+export interface DoorTrigger {
+    vertex1: WalkmeshVertex;
+    vertex2: WalkmeshVertex;
+    bgParam: number;
+    bgState: number;
+    behavior: number;       // See DOOR_BEHAVIORS
+    soundId: number;
 }
 
+// PC only, the red and green arrows drawn over the background
+export interface FieldArrow {
+    x: number;
+    y: number;
+    z: number;
+    type: number;           // 1 = red, 2 = green
+}
+
+// Screen coordinates relative to the background's center, y pointing down
+export interface CameraRange {
+    left: number;
+    top: number;
+    right: number;
+    bottom: number;
+}
+
+export interface TriggersSection {
+    name: string;
+    controlDirection: number;   // Direction pressing up walks in, 0-255 for a full turn
+    focusHeight: number;        // Height the camera follows the player at
+    cameraRange: CameraRange;
+    layerFlags: number[];       // One byte per background layer
+    // Layers 3 and 4 scroll at their own speed, set by their size
+    scrollLayers: { width: number; height: number }[];
+    gateways: Gateway[];
+    doors: DoorTrigger[];
+    arrows: FieldArrow[];
+}
+
+export const DOOR_BEHAVIORS = [
+    'On when touched',
+    'Off when touched',
+    'On when touched, off when left',
+    'Off when touched, on when left',
+    'On when touched, off when left on the player\'s side',
+    'Off when touched, on when left on the player\'s side',
+];
+
 export interface WalkmeshBounds {
     minX: number;
     maxX: number;
@@ -681,6 +816,126 @@ export function parseScriptSection(data: Uint8Array): ScriptSection {
     };
 }
 
+/**
+ * Rebuild script section data with new dialog strings, one per existing dialog and
+ * each 0xFF terminated. The dialog offset table is regenerated and the Akao/tuto
+ * blocks that follow the dialogs move along, with their offsets updated.
+ */
+export function replaceScriptDialogs(data: Uint8Array, texts: Uint8Array[]): Uint8Array {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const entityCount = view.getUint8(0x02);
+    const dialogOffset = view.getUint16(0x04, true);
+    const akaoBlockCount = view.getUint16(0x06, true);
+    if (dialogOffset === 0 || dialogOffset >= data.length) {
+        throw new Error('Script section has no dialog block');
+    }
+    const dialogCount = view.getUint16(dialogOffset, true);
+    if (texts.length !== dialogCount) {
+        throw new Error(`Expected ${dialogCount} dialogs, got ${texts.length}`);
+    }
+
+    const akaoTableOffset = 0x20 + entityCount * 8;
+    const akaoOffsets: number[] = [];
+    for (let i = 0; i < akaoBlockCount; i++) {
+        akaoOffsets.push(view.getUint32(akaoTableOffset + i * 4, true));
+    }
+    // Dialogs run up to the first Akao block after them, or to the end of the section
+    const oldEnd = Math.min(data.length, ...akaoOffsets.filter(offset => offset > dialogOffset));
+
+    // Block layout: count, offsets relative to the block start, then the strings
+    const tableSize = 2 + texts.length * 2;
+    const textSize = texts.reduce((sum, text) => sum + text.length, 0);
+    if (tableSize + textSize - (texts[texts.length - 1]?.length ?? 0) > 0xFFFF) {
+        throw new Error('Dialog text is too long to fit in the script section');
+    }
+    let blockSize = tableSize + textSize;
+    // Pad so the data that follows keeps its 4-byte alignment
+    while ((dialogOffset + blockSize - oldEnd) % 4 !== 0) blockSize++;
+    const delta = dialogOffset + blockSize - oldEnd;
+
+    const output = new Uint8Array(data.length + delta);
+    const out = new DataView(output.buffer);
+    output.set(data.subarray(0, dialogOffset));
+    out.setUint16(dialogOffset, texts.length, true);
+    let pos = tableSize;
+    texts.forEach((text, i) => {
+        out.setUint16(dialogOffset + 2 + i * 2, pos, true);
+        output.set(text, dialogOffset + pos);
+        pos += text.length;
+    });
+    output.set(data.subarray(oldEnd), dialogOffset + blockSize);
+
+    akaoOffsets.forEach((offset, i) => {
+        if (offset >= oldEnd) out.setUint32(akaoTableOffset + i * 4, offset + delta, true);
+    });
+    return output;
+}
+
+/**
+ * Rebuild script section data with the bytecode in [start, end) replaced by new code.
+ * Entity script pointers after the replaced code move along, as do the dialog block
+ * and the Akao/tuto blocks. The script data is padded with RET opcodes at its end so
+ * the data that follows keeps its 4-byte alignment.
+ */
+export function replaceScriptCode(data: Uint8Array, start: number, end: number, code: Uint8Array): Uint8Array {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const entityCount = view.getUint8(0x02);
+    const dialogOffset = view.getUint16(0x04, true);
+    const akaoBlockCount = view.getUint16(0x06, true);
+    const akaoTableOffset = 0x20 + entityCount * 8;
+    const scriptTableOffset = akaoTableOffset + akaoBlockCount * 4;
+    const scriptDataOffset = scriptTableOffset + entityCount * 64;
+    const scriptEnd = dialogOffset > 0 ? dialogOffset : data.length;
+    if (start < scriptDataOffset || end <= start || end > scriptEnd) {
+        throw new Error(`Script range 0x${start.toString(16)}-0x${end.toString(16)} is outside the script data`);
+    }
+
+    const codeDelta = code.length - (end - start);
+    let delta = codeDelta;
+    while (delta % 4 !== 0) delta++;
+    if (scriptEnd + delta > 0xFFFF) {
+        throw new Error('Scripts are too large for the script section');
+    }
+
+    const output = new Uint8Array(data.length + delta);
+    const out = new DataView(output.buffer);
+    output.set(data.subarray(0, start));
+    output.set(code, start);
+    output.set(data.subarray(end, scriptEnd), start + code.length);
+    // Padding between the scripts and the dialogs is left as zeros, RET opcodes
+    output.set(data.subarray(scriptEnd), scriptEnd + delta);
+
+    for (let i = 0; i < entityCount * 32; i++) {
+        const at = scriptTableOffset + i * 2;
+        const pointer = view.getUint16(at, true);
+        if (pointer >= end) out.setUint16(at, pointer + codeDelta, true);
+    }
+    if (dialogOffset > 0) out.setUint16(0x04, dialogOffset + delta, true);
+    for (let i = 0; i < akaoBlockCount; i++) {
+        const at = akaoTableOffset + i * 4;
+        const offset = view.getUint32(at, true);
+        if (offset >= scriptEnd) out.setUint32(at, offset + delta, true);
+    }
+    return output;
+}
+
+/**
+ * Rewrite the width and height of WINDOW opcodes in script section data.
+ * Offsets are those of the opcodes, as found in DialogWindow.offset.
+ */
+export function resizeScriptWindows(data: Uint8Array, windows: { offset: number; width: number; height: number }[]): Uint8Array {
+    const output = data.slice();
+    const view = new DataView(output.buffer);
+    for (const window of windows) {
+        if (output[window.offset] !== ScriptOpcode.WINDOW) {
+            throw new Error(`No WINDOW opcode at offset 0x${window.offset.toString(16)}`);
+        }
+        view.setUint16(window.offset + 6, window.width, true);
+        view.setUint16(window.offset + 8, window.height, true);
+    }
+    return output;
+}
+
 // ============================================================================
 // Palette Section Parser
 // ============================================================================
@@ -808,6 +1063,155 @@ export function calculateCameraFOV(zoom: number): number {
     return 2 * Math.atan(240.0 / (2.0 * zoom)) * (180.0 / Math.PI);
 }
 
+// ============================================================================
+// Model Loader Section Parser
+// ============================================================================
+
+const MODEL_LIGHT_SIZE = 9;  // RGB color, then a direction of 3 int16 values
+
+export function parseModelLoaderSection(data: Uint8Array): ModelLoaderSection {
+    if (data.length < 6) {
+        return { unknown: 0, scale: 0, models: [] };
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder('latin1');
+    const ascii = (start: number, length: number) =>
+        decoder.decode(data.subarray(start, start + length)).replace(/\0.*$/s, '');
+
+    const unknown = view.getUint16(0, true);
+    const modelCount = view.getUint16(2, true);
+    const scale = view.getUint16(4, true);
+    const models: FieldModel[] = [];
+    let pos = 6;
+
+    const need = (size: number, what: string) => {
+        if (pos + size > data.length) {
+            throw new Error(`Model loader section ends inside ${what} of model ${models.length}`);
+        }
+    };
+
+    for (let i = 0; i < modelCount; i++) {
+        need(2, 'the name length');
+        const nameLength = view.getUint16(pos, true);
+        // Name length and name, 16 bytes of model fields, three lights and the global light
+        need(nameLength + 48, 'the model header');
+        const name = ascii(pos + 2, nameLength);
+        pos += 2 + nameLength;
+
+        const modelUnknown = view.getUint16(pos, true);
+        const hrcName = ascii(pos + 2, 8);
+        const modelScale = parseInt(ascii(pos + 10, 4), 10) || 0;
+        const animationCount = view.getUint16(pos + 14, true);
+        pos += 16;
+
+        const lights = [0, 1, 2].map(l => {
+            const offset = pos + l * MODEL_LIGHT_SIZE;
+            return {
+                color: { r: data[offset], g: data[offset + 1], b: data[offset + 2] },
+                direction: {
+                    x: view.getInt16(offset + 3, true),
+                    y: view.getInt16(offset + 5, true),
+                    z: view.getInt16(offset + 7, true),
+                },
+            };
+        }) as [ModelLight, ModelLight, ModelLight];
+        pos += 3 * MODEL_LIGHT_SIZE;
+        const globalLight = { r: data[pos], g: data[pos + 1], b: data[pos + 2] };
+        pos += 3;
+
+        const animations: FieldModelAnimation[] = [];
+        for (let a = 0; a < animationCount; a++) {
+            need(2, 'an animation name length');
+            const animNameLength = view.getUint16(pos, true);
+            need(4 + animNameLength, 'an animation entry');
+            animations.push({
+                name: ascii(pos + 2, animNameLength),
+                unknown: view.getUint16(pos + 2 + animNameLength, true),
+            });
+            pos += 4 + animNameLength;
+        }
+
+        models.push({ name, unknown: modelUnknown, hrcName, scale: modelScale, lights, globalLight, animations });
+    }
+
+    return { unknown, scale, models };
+}
+
+/**
+ * Where a model's skeleton and animations are in char.lgp. The loader lists "AAAA.HRC" and
+ * animations such as "ACFE.yos", stored as aaaa.hrc and acfe.a. Animations are returned as
+ * the names without extension.
+ */
+export function getModelCharFiles(model: FieldModel): { hrc: string; animations: string[] } {
+    const baseName = (name: string) => name.toLowerCase().replace(/\.[^.]*$/, '');
+    return {
+        hrc: `${baseName(model.hrcName)}.hrc`,
+        animations: model.animations.map(animation => baseName(animation.name)),
+    };
+}
+
+// ============================================================================
+// Encounter Section Parser
+// ============================================================================
+
+const ENCOUNTER_TABLE_SIZE = 24;
+
+function readEncounter(view: DataView, offset: number): Encounter {
+    const value = view.getUint16(offset, true);
+    return { battleId: value & 0x03FF, probability: value >> 10 };
+}
+
+function writeEncounter(view: DataView, offset: number, encounter: Encounter): void {
+    view.setUint16(offset, (encounter.battleId & 0x03FF) | ((encounter.probability & 0x3F) << 10), true);
+}
+
+/**
+ * Parse the two encounter tables. Each is 24 bytes: enabled, rate, 6 normal formations,
+ * 2 back attacks, a side attack, a pincer attack and 2 bytes of padding.
+ * Formations are u16 values: battle ID in the low 10 bits, probability in the top 6.
+ */
+export function parseEncounterSection(data: Uint8Array): EncounterSection {
+    if (data.length < ENCOUNTER_TABLE_SIZE * 2) {
+        throw new Error(`Encounter section is ${data.length} bytes, expected ${ENCOUNTER_TABLE_SIZE * 2}`);
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const readTable = (offset: number): EncounterTable => ({
+        enabled: data[offset] !== 0,
+        rate: data[offset + 1],
+        normal: Array.from({ length: 6 }, (_, i) => readEncounter(view, offset + 2 + i * 2)),
+        backAttack: [readEncounter(view, offset + 14), readEncounter(view, offset + 16)],
+        sideAttack: readEncounter(view, offset + 18),
+        pincer: readEncounter(view, offset + 20),
+        padding: view.getUint16(offset + 22, true),
+    });
+
+    return { tables: [readTable(0), readTable(ENCOUNTER_TABLE_SIZE)] };
+}
+
+// Bytes of original past the two tables are kept
+export function serializeEncounterSection(section: EncounterSection, original?: Uint8Array): Uint8Array {
+    const output = new Uint8Array(Math.max(ENCOUNTER_TABLE_SIZE * 2, original?.length ?? 0));
+    if (original) output.set(original);
+    const view = new DataView(output.buffer);
+    section.tables.forEach((table, t) => {
+        const offset = t * ENCOUNTER_TABLE_SIZE;
+        if (table.normal.length !== 6) {
+            throw new Error(`Encounter table ${t + 1} has ${table.normal.length} normal formations, expected 6`);
+        }
+        output[offset] = table.enabled ? 1 : 0;
+        output[offset + 1] = table.rate & 0xFF;
+        table.normal.forEach((encounter, i) => writeEncounter(view, offset + 2 + i * 2, encounter));
+        writeEncounter(view, offset + 14, table.backAttack[0]);
+        writeEncounter(view, offset + 16, table.backAttack[1]);
+        writeEncounter(view, offset + 18, table.sideAttack);
+        writeEncounter(view, offset + 20, table.pincer);
+        view.setUint16(offset + 22, table.padding, true);
+    });
+    return output;
+}
+
 // ============================================================================
 // Background Section Parser
 // ============================================================================
@@ -1045,6 +1449,9 @@ export function parseBackgroundSection(data: Uint8Array): BackgroundSection {
 // Walkmesh Section Parser
 // ============================================================================
 
+const MAX_WALKMESH_TRIANGLES = 10000;
+export const WALKMESH_NO_ACCESS = 0xFFFF;
+
 export function parseWalkmeshSection(data: Uint8Array): WalkmeshSection {
     if (data.length < 4) {
         return { triangleCount: 0, triangles: [] };
@@ -1054,7 +1461,7 @@ export function parseWalkmeshSection(data: Uint8Array): WalkmeshSection {
 
     const triangleCount = view.getUint32(0, true);
 
-    if (triangleCount === 0 || triangleCount > 10000) {
+    if (triangleCount === 0 || triangleCount > MAX_WALKMESH_TRIANGLES) {
         return { triangleCount: 0, triangles: [] };
     }
 
@@ -1072,16 +1479,19 @@ export function parseWalkmeshSection(data: Uint8Array): WalkmeshSection {
                 x: view.getInt16(sectorOffset, true),
                 y: view.getInt16(sectorOffset + 2, true),
                 z: view.getInt16(sectorOffset + 4, true),
+                padding: view.getInt16(sectorOffset + 6, true),
             },
             {
                 x: view.getInt16(sectorOffset + 8, true),
                 y: view.getInt16(sectorOffset + 10, true),
                 z: view.getInt16(sectorOffset + 12, true),
+                padding: view.getInt16(sectorOffset + 14, true),
             },
             {
                 x: view.getInt16(sectorOffset + 16, true),
                 y: view.getInt16(sectorOffset + 18, true),
                 z: view.getInt16(sectorOffset + 20, true),
+                padding: view.getInt16(sectorOffset + 22, true),
             },
         ];
 
@@ -1097,46 +1507,187 @@ export function parseWalkmeshSection(data: Uint8Array): WalkmeshSection {
     return { triangleCount, triangles };
 }
 
+const vertexKey = (v: WalkmeshVertex) => `${v.x},${v.y},${v.z}`;
+
+/**
+ * Neighbour of each triangle edge, found by matching vertex positions. Edge i runs from
+ * vertex i to the next one; edges no other triangle shares are blocked.
+ */
+export function computeWalkmeshAccess(triangles: Pick<WalkmeshTriangle, 'vertices'>[]): [number, number, number][] {
+    const edges = new Map<string, number>();
+    const edgeKey = (a: WalkmeshVertex, b: WalkmeshVertex) => `${vertexKey(a)}|${vertexKey(b)}`;
+
+    const access = triangles.map(() => [WALKMESH_NO_ACCESS, WALKMESH_NO_ACCESS, WALKMESH_NO_ACCESS] as [number, number, number]);
+    triangles.forEach((triangle, t) => {
+        for (let e = 0; e < 3; e++) {
+            const a = triangle.vertices[e];
+            const b = triangle.vertices[(e + 1) % 3];
+            // Neighbours walk the shared edge the other way round, either winding is accepted
+            const match = edges.get(edgeKey(b, a)) ?? edges.get(edgeKey(a, b));
+            if (match !== undefined && access[match >> 2][match & 3] === WALKMESH_NO_ACCESS) {
+                access[t][e] = match >> 2;
+                access[match >> 2][match & 3] = t;
+            } else {
+                edges.set(edgeKey(a, b), (t << 2) | e);
+            }
+        }
+    });
+    return access;
+}
+
+export function serializeWalkmeshSection(section: WalkmeshSection): Uint8Array {
+    const count = section.triangles.length;
+    if (count === 0) {
+        throw new Error('Walkmesh has no triangles, the field needs at least one to stand on');
+    }
+    if (count > MAX_WALKMESH_TRIANGLES) {
+        throw new Error(`Walkmesh has ${count} triangles, at most ${MAX_WALKMESH_TRIANGLES} are supported`);
+    }
+
+    const output = new Uint8Array(4 + count * 24 + count * 6);
+    const view = new DataView(output.buffer);
+    view.setUint32(0, count, true);
+
+    const accessPoolOffset = 4 + count * 24;
+    section.triangles.forEach((triangle, i) => {
+        triangle.vertices.forEach((vertex, v) => {
+            const offset = 4 + i * 24 + v * 8;
+            view.setInt16(offset, vertex.x, true);
+            view.setInt16(offset + 2, vertex.y, true);
+            view.setInt16(offset + 4, vertex.z, true);
+            // Padding, the game's own walkmeshes mostly repeat z here
+            view.setInt16(offset + 6, vertex.padding ?? vertex.z, true);
+        });
+        triangle.access.forEach((neighbour, e) => {
+            view.setUint16(accessPoolOffset + i * 6 + e * 2, neighbour, true);
+        });
+    });
+    return output;
+}
+
 // ============================================================================
-// Triggers Section Parser (Gateways)
+// Triggers Section Parser
 // ============================================================================
 
-export function parseGateways(data: Uint8Array): Gateway[] {
-    if (data.length < 344) {
-        return [];
-    }
+const TRIGGER_SLOTS = 12;
+const GATEWAYS_OFFSET = 0x38;
+const DOORS_OFFSET = GATEWAYS_OFFSET + TRIGGER_SLOTS * 24;
+const ARROW_FLAGS_OFFSET = DOORS_OFFSET + TRIGGER_SLOTS * 16;
+const ARROWS_OFFSET = ARROW_FLAGS_OFFSET + TRIGGER_SLOTS;
+const TRIGGERS_PC_SIZE = ARROWS_OFFSET + TRIGGER_SLOTS * 16;
 
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+function readVertex(view: DataView, offset: number): WalkmeshVertex {
+    return {
+        x: view.getInt16(offset, true),
+        y: view.getInt16(offset + 2, true),
+        z: view.getInt16(offset + 4, true),
+    };
+}
 
+// Unused slots have no field ID or a line at the origin
+function readGateways(view: DataView): Gateway[] {
+    const hasArrows = view.byteLength >= TRIGGERS_PC_SIZE;
     const gateways: Gateway[] = [];
-    const gatewayOffset = 56;
 
-    for (let i = 0; i < 12; i++) {
-        const offset = gatewayOffset + i * 24;
+    for (let i = 0; i < TRIGGER_SLOTS; i++) {
+        const offset = GATEWAYS_OFFSET + i * 24;
 
         const fieldId = view.getUint16(offset + 18, true);
         if (fieldId === 0) continue;
 
-        const vertex1: WalkmeshVertex = {
-            x: view.getInt16(offset, true),
-            y: view.getInt16(offset + 2, true),
-            z: view.getInt16(offset + 4, true),
-        };
-
-        const vertex2: WalkmeshVertex = {
-            x: view.getInt16(offset + 6, true),
-            y: view.getInt16(offset + 8, true),
-            z: view.getInt16(offset + 10, true),
-        };
-
+        const vertex1 = readVertex(view, offset);
+        const vertex2 = readVertex(view, offset + 6);
         if (vertex1.x === 0 && vertex1.y === 0 && vertex2.x === 0 && vertex2.y === 0) continue;
 
-        gateways.push({ vertex1, vertex2, fieldId });
+        gateways.push({
+            vertex1,
+            vertex2,
+            fieldId,
+            destination: {
+                x: view.getInt16(offset + 12, true),
+                y: view.getInt16(offset + 14, true),
+                triangle: view.getUint16(offset + 16, true),
+            },
+            direction: view.getUint8(offset + 20),
+            showArrow: hasArrows && view.getUint8(ARROW_FLAGS_OFFSET + i) !== 0,
+        });
     }
 
     return gateways;
 }
 
+export function parseGateways(data: Uint8Array): Gateway[] {
+    if (data.length < DOORS_OFFSET) {
+        return [];
+    }
+
+    return readGateways(new DataView(data.buffer, data.byteOffset, data.byteLength));
+}
+
+/**
+ * Parse the whole triggers section. The PlayStation version ends after the door triggers,
+ * such sections have no arrows.
+ */
+export function parseTriggersSection(data: Uint8Array): TriggersSection {
+    if (data.length < ARROW_FLAGS_OFFSET) {
+        throw new Error(`Triggers section is ${data.length} bytes, expected ${TRIGGERS_PC_SIZE}`);
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    const doors: DoorTrigger[] = [];
+    for (let i = 0; i < TRIGGER_SLOTS; i++) {
+        const offset = DOORS_OFFSET + i * 16;
+        const vertex1 = readVertex(view, offset);
+        const vertex2 = readVertex(view, offset + 6);
+        if ([vertex1, vertex2].every(v => v.x === 0 && v.y === 0 && v.z === 0)) continue;
+
+        doors.push({
+            vertex1,
+            vertex2,
+            bgParam: data[offset + 12],
+            bgState: data[offset + 13],
+            behavior: data[offset + 14],
+            soundId: data[offset + 15],
+        });
+    }
+
+    const arrows: FieldArrow[] = [];
+    if (data.length >= TRIGGERS_PC_SIZE) {
+        for (let i = 0; i < TRIGGER_SLOTS; i++) {
+            const offset = ARROWS_OFFSET + i * 16;
+            const arrow = {
+                x: view.getInt32(offset, true),
+                y: view.getInt32(offset + 4, true),
+                z: view.getInt32(offset + 8, true),
+                type: view.getUint32(offset + 12, true),
+            };
+            if (arrow.type === 0 && arrow.x === 0 && arrow.y === 0 && arrow.z === 0) continue;
+            arrows.push(arrow);
+        }
+    }
+
+    return {
+        name: readFixedString(data, 0, 9),
+        controlDirection: data[0x09],
+        focusHeight: view.getInt16(0x0A, true),
+        cameraRange: {
+            left: view.getInt16(0x0C, true),
+            top: view.getInt16(0x0E, true),
+            right: view.getInt16(0x10, true),
+            bottom: view.getInt16(0x12, true),
+        },
+        layerFlags: Array.from(data.subarray(0x14, 0x18)),
+        scrollLayers: [
+            { width: view.getInt16(0x18, true), height: view.getInt16(0x1A, true) },
+            { width: view.getInt16(0x1C, true), height: view.getInt16(0x1E, true) },
+        ],
+        gateways: readGateways(view),
+        doors,
+        arrows,
+    };
+}
+
 // ============================================================================
 // Walkmesh Bounds Calculator
 // ============================================================================
@@ -1187,20 +1738,28 @@ export class FieldFile {
     // Cached parsed sections (lazy loading)
     private _scriptSection: ScriptSection | null = null;
     private _cameraSection: CameraSection | null = null;
+    private _modelLoaderSection: ModelLoaderSection | null = null;
+    private _encounterSection: EncounterSection | null = null;
+    private _triggersSection: TriggersSection | null = null;
     private _paletteSection: PaletteSection | null = null;
     private _backgroundSection: BackgroundSection | null = null;
     private _walkmeshSection: WalkmeshSection | null = null;
     private _gateways: Gateway[] | null = null;
 
-    constructor(buffer: Uint8Array) {
-        // Field files have a 4-byte header with the compressed size, then LZSS data
-        // Use slice() to create an independent copy - required for Tauri where
-        // the original buffer may be shared across multiple file reads
-        const compressedData = buffer.slice(4);
-
-        // Decompress LZSS data
-        const lzss = new Lzss();
-        this.rawData = lzss.decompress(compressedData);
+    // Pass the decompressed data when it was already produced elsewhere (e.g. in a worker)
+    constructor(buffer: Uint8Array, decompressed?: Uint8Array) {
+        if (decompressed) {
+            this.rawData = decompressed;
+        } else {
+            // Field files have a 4-byte header with the compressed size, then LZSS data
+            // Use slice() to create an independent copy - required for Tauri where
+            // the original buffer may be shared across multiple file reads
+            const compressedData = buffer.slice(4);
+
+            // Decompress LZSS data
+            const lzss = new Lzss();
+            this.rawData = lzss.decompress(compressedData);
+        }
 
         this.data = this.parse(this.rawData, buffer.length);
 
@@ -1265,6 +1824,27 @@ export class FieldFile {
         return this.rawData.slice(section.dataOffset, section.dataOffset + section.length);
     }
 
+    /**
+     * Build the decompressed field data with one section replaced. Sections stored
+     * after it move by the size difference and their header pointers are updated.
+     */
+    replaceSection(sectionName: keyof FieldData['sections'], sectionData: Uint8Array): Uint8Array {
+        const section = this.data.sections[sectionName];
+        const delta = sectionData.length - section.length;
+        const output = new Uint8Array(this.rawData.length + delta);
+        output.set(this.rawData.subarray(0, section.dataOffset));
+        output.set(sectionData, section.dataOffset);
+        output.set(this.rawData.subarray(section.dataOffset + section.length), section.dataOffset + sectionData.length);
+
+        const view = new DataView(output.buffer);
+        view.setUint32(section.offset, sectionData.length, true);
+        for (let i = 0; i < 9; i++) {
+            const pointer = view.getUint32(0x06 + i * 4, true);
+            if (pointer > section.offset) view.setUint32(0x06 + i * 4, pointer + delta, true);
+        }
+        return output;
+    }
+
     /** Get parsed script section (lazy loaded) */
     getScriptSection(): ScriptSection {
         if (!this._scriptSection) {
@@ -1281,6 +1861,22 @@ export class FieldFile {
         return this._cameraSection;
     }
 
+    /** Get parsed model loader section (lazy loaded) */
+    getModelLoaderSection(): ModelLoaderSection {
+        if (!this._modelLoaderSection) {
+            this._modelLoaderSection = parseModelLoaderSection(this.getSectionData('modelLoader'));
+        }
+        return this._modelLoaderSection;
+    }
+
+    /** Get parsed encounter section (lazy loaded) */
+    getEncounterSection(): EncounterSection {
+        if (!this._encounterSection) {
+            this._encounterSection = parseEncounterSection(this.getSectionData('encounter'));
+        }
+        return this._encounterSection;
+    }
+
     /** Get parsed palette section (lazy loaded) */
     getPaletteSection(): PaletteSection {
         if (!this._paletteSection) {
@@ -1305,6 +1901,14 @@ export class FieldFile {
         return this._walkmeshSection;
     }
 
+    /** Get parsed triggers section (lazy loaded) */
+    getTriggersSection(): TriggersSection {
+        if (!this._triggersSection) {
+            this._triggersSection = parseTriggersSection(this.getSectionData('triggers'));
+        }
+        return this._triggersSection;
+    }
+
     /** Get gateways from triggers section (lazy loaded) */
     getGateways(): Gateway[] {
         if (!this._gateways) {
@@ -0,0 +1,1075 @@
+// FF7 field script disassembler
+// Decodes the bytecode of the script section (section 1) into named instructions with typed
+// operands, one listing per entity script
+
+import { decodeText } from './fftext.ts';
+import type { ScriptSection } from './fieldfile.ts';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export type OperandKind =
+    | 'value'      // Literal number
+    | 'flags'      // Literal bit field, shown in hex
+    | 'var'        // Variable, Var[bank][address]
+    | 'jump'       // Jump destination
+    | 'compare'    // Comparison operator of IF opcodes
+    | 'entity'     // Entity index in this field
+    | 'party'      // Party slot (0-2)
+    | 'character'  // Character ID
+    | 'script'     // Script index of REQ-style opcodes
+    | 'priority'   // Priority of REQ-style opcodes
+    | 'field'      // Field ID
+    | 'dialog'     // Dialog index in this field
+    | 'window'     // Window ID
+    | 'model'      // Model ID in this field
+    | 'data';      // Undocumented bytes
+
+export interface ScriptOperand {
+    name: string;   // Parameter name, empty for operands that read fine without one
+    kind: OperandKind;
+    value: number;
+    bank: number;   // Variable bank, 0 when the operand is a literal
+    text: string;
+    access: 'read' | 'write' | null;  // How the opcode uses a variable operand, null for literals
+}
+
+export interface ScriptInstruction {
+    offset: number;          // Offset within the script section
+    opcode: number;
+    name: string;
+    length: number;
+    operands: ScriptOperand[];
+    target: number | null;   // Jump destination, offset within the script section
+    comment: string | null;  // Dialog text for MESSAGE/ASK, ...
+}
+
+export interface ScriptListing {
+    entityIndex: number;
+    slot: number;            // Display slot: 0 Init, 1 Main, N + 1 for Script N
+    name: string;
+    start: number;           // Offsets within the script section
+    end: number;
+    instructions: ScriptInstruction[];
+    labels: Map<number, string>;  // Jump destinations by offset
+}
+
+// ============================================================================
+// Opcode table
+// ============================================================================
+
+/*
+ * Operand layouts, one token per operand, in the order they are stored.
+ *   B                  Bank byte: two 4-bit banks, high nibble first. Banks are numbered from 1
+ *                      in read order across all bank bytes of the opcode.
+ *   u8 u16 u24 u32 s16 Literal value; with @n it is read from a variable when bank n is set
+ *   x8 x16 x32         Literal bit field
+ *   a8@n               Variable address in bank n, written by the opcode
+ *   jf8 jf16           Forward jump, relative to the jump operand
+ *   jb8 jb16           Backward jump, relative to the opcode
+ *   cmp                Comparison operator
+ *   ps                 Priority (top 3 bits) and script index (low 5 bits)
+ *   entity party char field dialog window model    IDs, u16 for field, u8 otherwise
+ *   dN                 N undocumented bytes
+ * A token may be followed by :name to name the parameter.
+ */
+const OPCODES: [string, string][] = [
+    /* 00 */ ['RET', ''],
+    /* 01 */ ['REQ', 'entity ps'],
+    /* 02 */ ['REQSW', 'entity ps'],
+    /* 03 */ ['REQEW', 'entity ps'],
+    /* 04 */ ['PREQ', 'party ps'],
+    /* 05 */ ['PRQSW', 'party ps'],
+    /* 06 */ ['PRQEW', 'party ps'],
+    /* 07 */ ['RETTO', 'ps'],
+    /* 08 */ ['JOIN', 'u8:speed'],
+    /* 09 */ ['SPLIT', 'B B B s16@1:x1 s16@2:y1 u8@3:dir1 s16@4:x2 s16@5:y2 u8@6:dir2 u8:speed'],
+    /* 0A */ ['SPTYE', 'B B u8@1:slot1 u8@2:slot2 u8@3:slot3'],
+    /* 0B */ ['GTPYE', 'B B a8@1:slot1 a8@2:slot2 a8@3:slot3'],
+    /* 0C */ ['UNUSED_0C', ''],
+    /* 0D */ ['UNUSED_0D', ''],
+    /* 0E */ ['DSKCG', 'u8:disc'],
+    /* 0F */ ['SPECIAL', ''],  // Sub opcode, see SPECIAL_OPCODES
+    /* 10 */ ['JMPF', 'jf8'],
+    /* 11 */ ['JMPFL', 'jf16'],
+    /* 12 */ ['JMPB', 'jb8'],
+    /* 13 */ ['JMPBL', 'jb16'],
+    /* 14 */ ['IFUB', 'B u8@1 u8@2 cmp jf8:else'],
+    /* 15 */ ['IFUBL', 'B u8@1 u8@2 cmp jf16:else'],
+    /* 16 */ ['IFSW', 'B s16@1 s16@2 cmp jf8:else'],
+    /* 17 */ ['IFSWL', 'B s16@1 s16@2 cmp jf16:else'],
+    /* 18 */ ['IFUW', 'B u16@1 u16@2 cmp jf8:else'],
+    /* 19 */ ['IFUWL', 'B u16@1 u16@2 cmp jf16:else'],
+    /* 1A */ ['UNKNOWN_1A', 'd9'],
+    /* 1B */ ['UNKNOWN_1B', 'd2'],
+    /* 1C */ ['UNKNOWN_1C', 'd5'],
+    /* 1D */ ['UNUSED_1D', ''],
+    /* 1E */ ['UNUSED_1E', ''],
+    /* 1F */ ['UNUSED_1F', ''],
+    /* 20 */ ['MINIGAME', 'field s16:x s16:y s16:z u8:param u8:game'],
+    /* 21 */ ['TUTOR', 'u8:tutorial'],
+    /* 22 */ ['BTMD2', 'x32:flags'],
+    /* 23 */ ['BTRLD', 'B a8@2:result'],
+    /* 24 */ ['WAIT', 'u16:frames'],
+    /* 25 */ ['NFADE', 'B B u8:type u8@1:r u8@2:g u8@3:b u8:speed u8:unused'],
+    /* 26 */ ['BLINK', 'u8:disabled'],
+    /* 27 */ ['BGMOVIE', 'u8:enabled'],
+    /* 28 */ ['KAWAI', ''],  // Size byte gives the instruction length, see decodeInstruction
+    /* 29 */ ['KAWIW', ''],
+    /* 2A */ ['PMOVA', 'party'],
+    /* 2B */ ['SLIP', 'u8:disabled'],
+    /* 2C */ ['BGPDH', 'B u8:layer s16@2:z'],
+    /* 2D */ ['BGSCR', 'B u8:layer s16@1:x s16@2:y'],
+    /* 2E */ ['WCLS', 'window'],
+    /* 2F */ ['WSIZW', 'window u16:x u16:y u16:width u16:height'],
+    /* 30 */ ['IFKEY', 'x16:keys jf8:else'],
+    /* 31 */ ['IFKEYON', 'x16:keys jf8:else'],
+    /* 32 */ ['IFKEYOFF', 'x16:keys jf8:else'],
+    /* 33 */ ['UC', 'u8:disabled'],
+    /* 34 */ ['PDIRA', 'party'],
+    /* 35 */ ['PTURA', 'party u8:speed u8:rotation'],
+    /* 36 */ ['WSPCL', 'window u8:type u8:x u8:y'],
+    /* 37 */ ['WNUMB', 'B window u16@1:low u16@2:high u8:digits'],
+    /* 38 */ ['STTIM', 'B B u8@1:hours u8@2:minutes u8@3:seconds'],
+    /* 39 */ ['GOLDu', 'B u32@2:amount'],
+    /* 3A */ ['GOLDd', 'B u32@2:amount'],
+    /* 3B */ ['CHGLD', 'B a8@1:low a8@2:high'],
+    /* 3C */ ['HMPMAX1', ''],
+    /* 3D */ ['HMPMAX2', ''],
+    /* 3E */ ['MHMMX', ''],
+    /* 3F */ ['HMPMAX3', ''],
+    /* 40 */ ['MESSAGE', 'window dialog'],
+    /* 41 */ ['MPARA', 'B window u8:index u8@2:value'],
+    /* 42 */ ['MPRA2', 'B window u8:index u16@2:value'],
+    /* 43 */ ['MPNAM', 'dialog'],
+    /* 44 */ ['UNUSED_44', ''],
+    /* 45 */ ['MPu', 'B party u16@2:amount'],
+    /* 46 */ ['UNUSED_46', ''],
+    /* 47 */ ['MPd', 'B party u16@2:amount'],
+    /* 48 */ ['ASK', 'B window dialog u8:first u8:last a8@2:answer'],
+    /* 49 */ ['MENU', 'B u8:menu u8@2:param'],
+    /* 4A */ ['MENU2', 'u8:disabled'],
+    /* 4B */ ['BTLTB', 'u8:table'],
+    /* 4C */ ['UNUSED_4C', ''],
+    /* 4D */ ['HPu', 'B party u16@2:amount'],
+    /* 4E */ ['UNUSED_4E', ''],
+    /* 4F */ ['HPd', 'B party u16@2:amount'],
+    /* 50 */ ['WINDOW', 'window u16:x u16:y u16:width u16:height'],
+    /* 51 */ ['WMOVE', 'window s16:x s16:y'],
+    /* 52 */ ['WMODE', 'window u8:mode u8:closable'],
+    /* 53 */ ['WREST', 'window'],
+    /* 54 */ ['WCLSE', 'window'],
+    /* 55 */ ['WROW', 'window u8:rows'],
+    /* 56 */ ['GWCOL', 'B B u8:corner a8@1:r a8@2:g a8@3:b'],
+    /* 57 */ ['SWCOL', 'B B u8:corner u8@1:r u8@2:g u8@3:b'],
+    /* 58 */ ['STITM', 'B u16@1:item u8@2:count'],
+    /* 59 */ ['DLITM', 'B u16@1:item u8@2:count'],
+    /* 5A */ ['CKITM', 'B u16@1:item a8@2:count'],
+    /* 5B */ ['SMTRA', 'B B u8@1:materia u24@2:ap'],
+    /* 5C */ ['DMTRA', 'B B u8@1:materia u24@2:ap u8:count'],
+    /* 5D */ ['CMTRA', 'B B B u8@1:materia u24@2:ap u8:unknown a8@6:count'],
+    /* 5E */ ['SHAKE', 'u8:unknown1 u8:unknown2 u8:type u8:xAmplitude u8:xFrames u8:yAmplitude u8:yFrames'],
+    /* 5F */ ['NOP', ''],
+    /* 60 */ ['MAPJUMP', 'field s16:x s16:y u16:triangle u8:direction'],
+    /* 61 */ ['SCRLO', 'u8:unknown'],
+    /* 62 */ ['SCRLC', 'B u16@2:speed u8:type'],
+    /* 63 */ ['SCRLA', 'B u16@2:speed entity u8:type'],
+    /* 64 */ ['SCR2D', 'B s16@1:x s16@2:y'],
+    /* 65 */ ['SCRCC', ''],
+    /* 66 */ ['SCR2DC', 'B B s16@1:x s16@2:y u16@4:speed'],
+    /* 67 */ ['SCRLW', ''],
+    /* 68 */ ['SCR2DL', 'B B s16@1:x s16@2:y u16@4:speed'],
+    /* 69 */ ['MPDSP', 'u8:visible'],
+    /* 6A */ ['VWOFT', 'B s16@1:y1 s16@2:y2 u8:type'],
+    /* 6B */ ['FADE', 'B B u8@1:r u8@2:g u8@3:b u8:speed u8:type u8:adjust'],
+    /* 6C */ ['FADEW', ''],
+    /* 6D */ ['IDLCK', 'u16:triangle u8:locked'],
+    /* 6E */ ['LSTMP', 'B a8@2:field'],
+    /* 6F */ ['SCRLP', 'B u16@2:speed party u8:type'],
+    /* 70 */ ['BATTLE', 'B u16@2:battle'],
+    /* 71 */ ['BTLON', 'u8:disabled'],
+    /* 72 */ ['BTLMD', 'x16:flags'],
+    /* 73 */ ['PGTDR', 'B party a8@2:direction'],
+    /* 74 */ ['GETPC', 'B party a8@2:character'],
+    /* 75 */ ['PXYZI', 'B B party a8@1:x a8@2:y a8@3:z a8@4:triangle'],
+    /* 76 */ ['PLUS!', 'B a8@1 u8@2'],
+    /* 77 */ ['PLUS2!', 'B a8@1 u16@2'],
+    /* 78 */ ['MINUS!', 'B a8@1 u8@2'],
+    /* 79 */ ['MINUS2!', 'B a8@1 u16@2'],
+    /* 7A */ ['INC!', 'B a8@2'],
+    /* 7B */ ['INC2!', 'B a8@2'],
+    /* 7C */ ['DEC!', 'B a8@2'],
+    /* 7D */ ['DEC2!', 'B a8@2'],
+    /* 7E */ ['TLKON', 'u8:disabled'],
+    /* 7F */ ['RDMSD', 'B u8@2:seed'],
+    /* 80 */ ['SETBYTE', 'B a8@1 u8@2'],
+    /* 81 */ ['SETWORD', 'B a8@1 u16@2'],
+    /* 82 */ ['BITON', 'B a8@1 u8@2:bit'],
+    /* 83 */ ['BITOFF', 'B a8@1 u8@2:bit'],
+    /* 84 */ ['BITXOR', 'B a8@1 u8@2:bit'],
+    /* 85 */ ['PLUS', 'B a8@1 u8@2'],
+    /* 86 */ ['PLUS2', 'B a8@1 u16@2'],
+    /* 87 */ ['MINUS', 'B a8@1 u8@2'],
+    /* 88 */ ['MINUS2', 'B a8@1 u16@2'],
+    /* 89 */ ['MUL', 'B a8@1 u8@2'],
+    /* 8A */ ['MUL2', 'B a8@1 u16@2'],
+    /* 8B */ ['DIV', 'B a8@1 u8@2'],
+    /* 8C */ ['DIV2', 'B a8@1 u16@2'],
+    /* 8D */ ['MOD', 'B a8@1 u8@2'],
+    /* 8E */ ['MOD2', 'B a8@1 u16@2'],
+    /* 8F */ ['AND', 'B a8@1 u8@2'],
+    /* 90 */ ['AND2', 'B a8@1 u16@2'],
+    /* 91 */ ['OR', 'B a8@1 u8@2'],
+    /* 92 */ ['OR2', 'B a8@1 u16@2'],
+    /* 93 */ ['XOR', 'B a8@1 u8@2'],
+    /* 94 */ ['XOR2', 'B a8@1 u16@2'],
+    /* 95 */ ['INC', 'B a8@2'],
+    /* 96 */ ['INC2', 'B a8@2'],
+    /* 97 */ ['DEC', 'B a8@2'],
+    /* 98 */ ['DEC2', 'B a8@2'],
+    /* 99 */ ['RANDOM', 'B a8@2'],
+    /* 9A */ ['LBYTE', 'B a8@1 u8@2'],
+    /* 9B */ ['HBYTE', 'B a8@1 u16@2'],
+    /* 9C */ ['2BYTE', 'B B a8@1 u8@2:low u8@3:high'],
+    /* 9D */ ['SETX', 'd6'],
+    /* 9E */ ['GETX', 'd6'],
+    /* 9F */ ['SEARCHX', 'B B B u8:bank u16@2:start u16@3:end u8@4:value a8@6:result'],
+    /* A0 */ ['PC', 'char'],
+    /* A1 */ ['CHAR', 'model'],
+    /* A2 */ ['DFANM', 'u8:animation u8:speed'],
+    /* A3 */ ['ANIME1', 'u8:animation u8:speed'],
+    /* A4 */ ['VISI', 'u8:visible'],
+    /* A5 */ ['XYZI', 'B B s16@1:x s16@2:y s16@3:z u16@4:triangle'],
+    /* A6 */ ['XYI', 'B B s16@1:x s16@2:y u16@3:triangle'],
+    /* A7 */ ['XYZ', 'B B s16@1:x s16@2:y s16@3:z'],
+    /* A8 */ ['MOVE', 'B s16@1:x s16@2:y'],
+    /* A9 */ ['CMOVE', 'B s16@1:x s16@2:y'],
+    /* AA */ ['MOVA', 'entity'],
+    /* AB */ ['TURA', 'entity u8:rotation u8:speed'],
+    /* AC */ ['ANIMW', ''],
+    /* AD */ ['FMOVE', 'B s16@1:x s16@2:y'],
+    /* AE */ ['ANIME2', 'u8:animation u8:speed'],
+    /* AF */ ['ANIM!1', 'u8:animation u8:speed'],
+    /* B0 */ ['CANIM1', 'u8:animation u8:first u8:last u8:speed'],
+    /* B1 */ ['CANM!1', 'u8:animation u8:first u8:last u8:speed'],
+    /* B2 */ ['MSPED', 'B u16@2:speed'],
+    /* B3 */ ['DIR', 'B u8@2:direction'],
+    /* B4 */ ['TURNGEN', 'B u8@2:direction u8:turns u8:speed u8:type'],
+    /* B5 */ ['TURN', 'B u8@2:direction u8:turns u8:speed u8:type'],
+    /* B6 */ ['DIRA', 'entity'],
+    /* B7 */ ['GETDIR', 'B entity a8@2:direction'],
+    /* B8 */ ['GETAXY', 'B entity a8@1:x a8@2:y'],
+    /* B9 */ ['GETAI', 'B entity a8@2:triangle'],
+    /* BA */ ['ANIM!2', 'u8:animation u8:speed'],
+    /* BB */ ['CANIM2', 'u8:animation u8:first u8:last u8:speed'],
+    /* BC */ ['CANM!2', 'u8:animation u8:first u8:last u8:speed'],
+    /* BD */ ['ASPED', 'B u16@2:speed'],
+    /* BE */ ['UNUSED_BE', ''],
+    /* BF */ ['CC', 'entity'],
+    /* C0 */ ['JUMP', 'B B s16@1:x s16@2:y u16@3:triangle u16@4:steps'],
+    /* C1 */ ['AXYZI', 'B B entity a8@1:x a8@2:y a8@3:z a8@4:triangle'],
+    /* C2 */ ['LADER', 'B B s16@1:x s16@2:y s16@3:z u16@4:triangle u8:keys u8:animation u8:direction u8:speed'],
+    /* C3 */ ['OFST', 'B B u8:type s16@1:x s16@2:y s16@3:z u16@4:speed'],
+    /* C4 */ ['OFSTW', ''],
+    /* C5 */ ['TALKR', 'B u8@2:range'],
+    /* C6 */ ['SLIDR', 'B u8@2:range'],
+    /* C7 */ ['SOLID', 'u8:disabled'],
+    /* C8 */ ['PRTYP', 'char'],
+    /* C9 */ ['PRTYM', 'char'],
+    /* CA */ ['PRTYE', 'char:slot1 char:slot2 char:slot3'],
+    /* CB */ ['IFPRTYQ', 'char jf8:else'],
+    /* CC */ ['IFMEMBQ', 'char jf8:else'],
+    /* CD */ ['MMBud', 'u8:available char'],
+    /* CE */ ['MMBLK', 'char'],
+    /* CF */ ['MMBUK', 'char'],
+    /* D0 */ ['LINE', 's16:x1 s16:y1 s16:z1 s16:x2 s16:y2 s16:z2'],
+    /* D1 */ ['LINON', 'u8:enabled'],
+    /* D2 */ ['MPJPO', 'u8:disabled'],
+    /* D3 */ ['SLINE', 'B B B s16@1:x1 s16@2:y1 s16@3:z1 s16@4:x2 s16@5:y2 s16@6:z2'],
+    /* D4 */ ['SIN', 'B B u16@1:multiplier u16@2:addend u16@3:value a8@4:result'],
+    /* D5 */ ['COS', 'B B u16@1:multiplier u16@2:addend u16@3:value a8@4:result'],
+    /* D6 */ ['TLKR2', 'B u16@2:range'],
+    /* D7 */ ['SLDR2', 'B u16@2:range'],
+    /* D8 */ ['PMJMP', 'field'],
+    /* D9 */ ['PMJMP2', ''],
+    /* DA */ ['AKAO2', 'B B B x8:op u16@1:p1 u16@2:p2 u16@3:p3 u16@4:p4 u16@6:p5'],
+    /* DB */ ['FCFIX', 'u8:disabled'],
+    /* DC */ ['CCANM', 'u8:animation u8:speed u8:type'],
+    /* DD */ ['ANIMB', ''],
+    /* DE */ ['TURNW', ''],
+    /* DF */ ['MPPAL', 'B B B u8:source u8:target u8@1:start u8@2:b u8@3:g u8@4:r u8@5:size'],
+    /* E0 */ ['BGON', 'B u8@1:area u8@2:layer'],
+    /* E1 */ ['BGOFF', 'B u8@1:area u8@2:layer'],
+    /* E2 */ ['BGROL', 'B u8@2:area'],
+    /* E3 */ ['BGROL2', 'B u8@2:area'],
+    /* E4 */ ['BGCLR', 'B u8@2:area'],
+    /* E5 */ ['STPAL', 'B u8@1:source u8@2:target u8:count'],
+    /* E6 */ ['LDPAL', 'B u8@1:source u8@2:target u8:count'],
+    /* E7 */ ['CPPAL', 'B u8@1:source u8@2:target u8:count'],
+    /* E8 */ ['RTPAL', 'B B u8@1:source u8@2:target u8@4:start u8:end'],
+    /* E9 */ ['ADPAL', 'B B B u8@1:source u8@2:target u8@3:b u8@4:g u8@5:r u8:size'],
+    /* EA */ ['MPPAL2', 'B B B u8@1:source u8@2:target u8@3:b u8@4:g u8@5:r u8:size'],
+    /* EB */ ['STPLS', 'u8:source u8:target u8:start u8:count'],
+    /* EC */ ['LDPLS', 'u8:source u8:target u8:start u8:count'],
+    /* ED */ ['CPPAL2', 'B B B u8@1:source u8@2:target u8@3:start u8@4:count'],
+    /* EE */ ['RTPAL2', 'B B B u8@1:source u8@2:target u8@3:start u8@4:end'],
+    /* EF */ ['ADPAL2', 'B B B u8@1:source u8@2:target u8@3:start u8@4:b u8@5:g u8@6:r u8:size'],
+    /* F0 */ ['MUSIC', 'u8:music'],
+    /* F1 */ ['SOUND', 'B u16@1:sound u8@2:pan'],
+    /* F2 */ ['AKAO', 'B B B x8:op u8@1:p1 u16@2:p2 u16@3:p3 u16@4:p4 u16@6:p5'],
+    /* F3 */ ['MUSVT', 'u8:music'],
+    /* F4 */ ['MUSVM', 'u8:music'],
+    /* F5 */ ['MULCK', 'u8:locked'],
+    /* F6 */ ['BMUSC', 'u8:music'],
+    /* F7 */ ['CHMPH', 'B u8:unknown a8@2:result'],
+    /* F8 */ ['PMVIE', 'u8:movie'],
+    /* F9 */ ['MOVIE', ''],
+    /* FA */ ['MVIEF', 'B a8@2:frame'],
+    /* FB */ ['MVCAM', 'u8:enabled'],
+    /* FC */ ['FMUSC', 'u8:unknown'],
+    /* FD */ ['CMUSC', 'u8:unknown B u16@1:p1 u16@2:p2 u8:p3'],
+    /* FE */ ['CHMST', 'B a8@2:result'],
+    /* FF */ ['GAMEOVER', ''],
+];
+
+/** SPECIAL (0x0F) sub opcodes, stored in the byte after the opcode */
+const SPECIAL_OPCODES: Record<number, [string, string]> = {
+    0xF5: ['ARROW', 'u8:visible'],
+    0xF6: ['PNAME', 'd4'],
+    0xF7: ['GMSPD', 'u8:speed'],
+    0xF8: ['SMSPD', 'u8:unknown u8:speed'],
+    0xF9: ['FLMAT', ''],
+    0xFA: ['FLITM', ''],
+    0xFB: ['BTLCK', 'u8:locked'],
+    0xFC: ['MVLCK', 'u8:locked'],
+    0xFD: ['SPCNM', 'char u8:text'],
+    0xFE: ['RSGLB', ''],
+    0xFF: ['CLITM', ''],
+};
+
+const COMPARE_OPERATORS = ['==', '!=', '>', '<', '>=', '<=', '&', '^', '|', 'bit on', 'bit off'];
+
+const CHARACTER_NAMES = [
+    'Cloud', 'Barret', 'Tifa', 'Aeris', 'Red XIII', 'Yuffie', 'Cait Sith', 'Vincent', 'Cid',
+    'Young Cloud', 'Sephiroth', 'Chocobo',
+];
+
+interface OperandSpec {
+    type: string;
+    bank: number;   // Bank slot for value/variable operands, 0 for literals
+    name: string;
+}
+
+const TYPE_SIZES: Record<string, number> = {
+    B: 1, u8: 1, x8: 1, a8: 1, jf8: 1, jb8: 1, cmp: 1, ps: 1,
+    entity: 1, party: 1, char: 1, dialog: 1, window: 1, model: 1,
+    u16: 2, s16: 2, x16: 2, jf16: 2, jb16: 2, field: 2,
+    u24: 3, u32: 4, x32: 4,
+};
+
+// Operands named after their type unless the layout names them
+const DEFAULT_NAMES: Record<string, string> = {
+    entity: 'entity', party: 'party', char: 'character', field: 'field',
+    dialog: 'dialog', window: 'window', model: 'model', d: 'data',
+};
+
+function parseLayout(layout: string): OperandSpec[] {
+    if (!layout) return [];
+    return layout.split(' ').map(token => {
+        const [typeAndBank, name] = token.split(':');
+        const [type, bank] = typeAndBank.split('@');
+        const baseType = /^d\d+$/.test(type) ? 'd' : type;
+        return {
+            type,
+            bank: bank ? Number(bank) : 0,
+            name: name ?? DEFAULT_NAMES[baseType] ?? '',
+        };
+    });
+}
+
+function layoutSize(specs: OperandSpec[]): number {
+    return specs.reduce((sum, spec) => sum + (TYPE_SIZES[spec.type] ?? Number(spec.type.slice(1))), 0);
+}
+
+const OPCODE_LAYOUTS = OPCODES.map(([name, layout]) => ({ name, operands: parseLayout(layout) }));
+const SPECIAL_LAYOUTS = new Map(Object.entries(SPECIAL_OPCODES).map(([sub, [name, layout]]) =>
+    [Number(sub), { name, operands: parseLayout(layout) }]
+));
+
+/** Mnemonic of an opcode, SPECIAL sub opcodes excluded */
+export function getOpcodeName(opcode: number): string {
+    return OPCODES[opcode][0];
+}
+
+/**
+ * Total length of the instruction at pos, including the opcode.
+ * Unlike a plain length table this follows SPECIAL sub opcodes and KAWAI's size byte.
+ */
+export function getInstructionLength(data: Uint8Array, pos: number): number {
+    const opcode = data[pos];
+    if (opcode === 0x0F) {
+        const special = SPECIAL_LAYOUTS.get(data[pos + 1]);
+        return 2 + (special ? layoutSize(special.operands) : 0);
+    }
+    if (opcode === 0x28) {
+        return Math.max(3, data[pos + 1] ?? 0);
+    }
+    return 1 + layoutSize(OPCODE_LAYOUTS[opcode].operands);
+}
+
+// ============================================================================
+// Disassembler
+// ============================================================================
+
+const hex = (value: number, digits: number) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+export function getLabelName(offset: number): string {
+    return `L_${hex(offset, 4)}`;
+}
+
+function readValue(data: Uint8Array, pos: number, size: number, signed: boolean): number {
+    let value = 0;
+    for (let i = size - 1; i >= 0; i--) {
+        value = value * 256 + (data[pos + i] ?? 0);
+    }
+    if (signed && size === 2 && value >= 0x8000) value -= 0x10000;
+    return value;
+}
+
+function dialogComment(section: ScriptSection, dialogId: number): string | null {
+    const dialog = section.dialogs[dialogId];
+    if (!dialog) return `dialog ${dialogId} does not exist`;
+    try {
+        const text = new TextDecoder().decode(decodeText(dialog.text)).replace(/\s*\n\s*/g, ' ');
+        return text.length > 48 ? `"${text.slice(0, 48)}…"` : `"${text}"`;
+    } catch {
+        return null;
+    }
+}
+
+function decodeOperands(
+    section: ScriptSection,
+    specs: OperandSpec[],
+    opcodePos: number,
+    startPos: number
+): { operands: ScriptOperand[]; target: number | null } {
+    const { scriptData, scriptDataOffset, entities } = section;
+    const operands: ScriptOperand[] = [];
+    const banks: number[] = [];
+    let target: number | null = null;
+    let pos = startPos;
+
+    for (const spec of specs) {
+        const size = TYPE_SIZES[spec.type] ?? Number(spec.type.slice(1));
+        const operand = (
+            kind: OperandKind, value: number, text: string, bank = 0, name = spec.name,
+            access: ScriptOperand['access'] = null
+        ) => operands.push({ name, kind, value, bank, text, access });
+
+        switch (spec.type) {
+            case 'B':
+                banks.push(scriptData[pos] >> 4, scriptData[pos] & 0x0F);
+                break;
+            case 'a8': {
+                const bank = banks[spec.bank - 1] ?? 0;
+                const address = scriptData[pos];
+                operand('var', address, `Var[${bank}][${address}]`, bank, spec.name, 'write');
+                break;
+            }
+            case 'jf8':
+            case 'jf16':
+            case 'jb8':
+            case 'jb16': {
+                const distance = readValue(scriptData, pos, size, false);
+                target = scriptDataOffset + (spec.type.startsWith('jf') ? pos + distance : opcodePos - distance);
+                operand('jump', target, getLabelName(target));
+                break;
+            }
+            case 'cmp': {
+                const op = scriptData[pos];
+                operand('compare', op, COMPARE_OPERATORS[op] ?? `op${op}`);
+                break;
+            }
+            case 'ps': {
+                const value = scriptData[pos];
+                operand('script', value & 0x1F, String(value & 0x1F), 0, 'script');
+                operand('priority', value >> 5, String(value >> 5), 0, 'priority');
+                break;
+            }
+            case 'entity': {
+                const index = scriptData[pos];
+                const name = entities[index]?.name;
+                operand('entity', index, name ? `${index} (${name})` : String(index));
+                break;
+            }
+            case 'char': {
+                const id = scriptData[pos];
+                const name = id === 0xFE || id === 0xFF ? 'none' : CHARACTER_NAMES[id];
+                operand('character', id, name ? `${id} (${name})` : String(id));
+                break;
+            }
+            case 'party':
+            case 'field':
+            case 'dialog':
+            case 'window':
+            case 'model': {
+                const value = readValue(scriptData, pos, size, false);
+                operand(spec.type as OperandKind, value, String(value));
+                break;
+            }
+            case 'x8':
+            case 'x16':
+            case 'x32': {
+                const value = readValue(scriptData, pos, size, false);
+                operand('flags', value, `0x${hex(value, size * 2)}`);
+                break;
+            }
+            case 'u8':
+            case 'u16':
+            case 'u24':
+            case 'u32':
+            case 's16': {
+                const bank = spec.bank ? banks[spec.bank - 1] ?? 0 : 0;
+                if (bank) {
+                    // Banked operands hold a variable address instead of the value
+                    const address = scriptData[pos];
+                    operand('var', address, `Var[${bank}][${address}]`, bank, spec.name, 'read');
+                } else {
+                    const value = readValue(scriptData, pos, size, spec.type === 's16');
+                    operand('value', value, String(value));
+                }
+                break;
+            }
+            default: {
+                // dN: raw bytes
+                const bytes = Array.from(scriptData.subarray(pos, pos + size), b => hex(b, 2));
+                operand('data', 0, bytes.join(' '));
+                break;
+            }
+        }
+        pos += size;
+    }
+
+    return { operands, target };
+}
+
+/**
+ * Decode the instruction at pos, an offset within the script bytecode
+ */
+export function decodeInstruction(section: ScriptSection, pos: number): ScriptInstruction {
+    const { scriptData, scriptDataOffset } = section;
+    const opcode = scriptData[pos];
+    const length = getInstructionLength(scriptData, pos);
+    let name = OPCODE_LAYOUTS[opcode].name;
+    let decoded: { operands: ScriptOperand[]; target: number | null };
+
+    if (opcode === 0x0F) {
+        const sub = scriptData[pos + 1];
+        const special = SPECIAL_LAYOUTS.get(sub);
+        if (special) {
+            name = special.name;
+            decoded = decodeOperands(section, special.operands, pos, pos + 2);
+        } else {
+            decoded = decodeOperands(section, parseLayout('x8:sub'), pos, pos + 1);
+        }
+    } else if (opcode === 0x28) {
+        // KAWAI: size (whole instruction), sub opcode, then size - 3 bytes of parameters
+        const specs = parseLayout(length > 3 ? `u8:size x8:op d${length - 3}` : 'u8:size x8:op');
+        decoded = decodeOperands(section, specs, pos, pos + 1);
+    } else {
+        decoded = decodeOperands(section, OPCODE_LAYOUTS[opcode].operands, pos, pos + 1);
+    }
+
+    const dialog = decoded.operands.find(o => o.kind === 'dialog');
+    return {
+        offset: scriptDataOffset + pos,
+        opcode,
+        name,
+        length,
+        operands: decoded.operands,
+        target: decoded.target,
+        comment: dialog ? dialogComment(section, dialog.value) : null,
+    };
+}
+
+/**
+ * Decode instructions between two offsets within the script section.
+ * An instruction running past the bytecode is kept, its missing bytes read as 0.
+ */
+export function disassembleRange(section: ScriptSection, start: number, end: number): ScriptInstruction[] {
+    const { scriptData, scriptDataOffset } = section;
+    const instructions: ScriptInstruction[] = [];
+    let pos = start - scriptDataOffset;
+    const relEnd = Math.min(end - scriptDataOffset, scriptData.length);
+    while (pos >= 0 && pos < relEnd) {
+        const instruction = decodeInstruction(section, pos);
+        instructions.push(instruction);
+        pos += instruction.length;
+    }
+    return instructions;
+}
+
+export function getScriptSlotName(slot: number): string {
+    return slot === 0 ? 'Init' : slot === 1 ? 'Main' : `Script ${slot - 1}`;
+}
+
+/**
+ * Script ranges of an entity by display slot, the same slots the Scripts tab shows.
+ * scripts[0] holds Init up to its first RET and Main after it. Other scripts run to the
+ * next script start of the entity. Empty scripts and slots sharing an earlier slot's
+ * offset are left out.
+ */
+export function getScriptRanges(section: ScriptSection, entityIndex: number): { slot: number; start: number; end: number }[] {
+    const { scriptData, scriptDataOffset, entities } = section;
+    const entity = entities[entityIndex];
+    const dataEnd = scriptDataOffset + scriptData.length;
+    const sortedOffsets = [...new Set(entity.scripts)].sort((a, b) => a - b);
+    const nextStart = (offset: number) => sortedOffsets.find(o => o > offset) ?? dataEnd;
+    const isCode = (offset: number) =>
+        offset >= scriptDataOffset && offset < dataEnd && scriptData[offset - scriptDataOffset] !== 0x00;
+
+    const ranges: { slot: number; start: number; end: number }[] = [];
+
+    const initStart = entity.scripts[0];
+    if (isCode(initStart)) {
+        const blockEnd = nextStart(initStart);
+        let pos = initStart;
+        while (pos < blockEnd && scriptData[pos - scriptDataOffset] !== 0x00) {
+            pos += getInstructionLength(scriptData, pos - scriptDataOffset);
+        }
+        const mainStart = Math.min(pos + 1, blockEnd);
+        ranges.push({ slot: 0, start: initStart, end: mainStart });
+        if (mainStart < blockEnd && isCode(mainStart)) {
+            ranges.push({ slot: 1, start: mainStart, end: blockEnd });
+        }
+    }
+
+    for (let i = 1; i < entity.scripts.length; i++) {
+        const start = entity.scripts[i];
+        if (!isCode(start) || entity.scripts.indexOf(start) !== i) continue;
+        ranges.push({ slot: i + 1, start, end: nextStart(start) });
+    }
+
+    return ranges;
+}
+
+function buildListing(section: ScriptSection, entityIndex: number, range: { slot: number; start: number; end: number }): ScriptListing {
+    const instructions = disassembleRange(section, range.start, range.end);
+    const labels = new Map<number, string>();
+    for (const instruction of instructions) {
+        if (instruction.target !== null) labels.set(instruction.target, getLabelName(instruction.target));
+    }
+    return {
+        entityIndex,
+        slot: range.slot,
+        name: getScriptSlotName(range.slot),
+        start: range.start,
+        end: range.end,
+        instructions,
+        labels,
+    };
+}
+
+/** Listing of one display slot of an entity, null when the slot has no code */
+export function disassembleScript(section: ScriptSection, entityIndex: number, slot: number): ScriptListing | null {
+    const range = getScriptRanges(section, entityIndex).find(r => r.slot === slot);
+    return range ? buildListing(section, entityIndex, range) : null;
+}
+
+/** Listings of every script with code, for each entity */
+export function disassembleEntity(section: ScriptSection, entityIndex: number): ScriptListing[] {
+    return getScriptRanges(section, entityIndex).map(range => buildListing(section, entityIndex, range));
+}
+
+// ============================================================================
+// Text output
+// ============================================================================
+
+/**
+ * Operands as one string. A comparison joins the two operands stored before it into a
+ * condition, e.g. "Var[1][12] == 3, else=L_01A4".
+ */
+export function formatOperands(instruction: ScriptInstruction): string {
+    const parts: string[] = [];
+    for (const operand of instruction.operands) {
+        if (operand.kind === 'compare' && parts.length >= 2) {
+            const right = parts.pop();
+            parts[parts.length - 1] += ` ${operand.text} ${right}`;
+        } else {
+            parts.push(operand.name ? `${operand.name}=${operand.text}` : operand.text);
+        }
+    }
+    return parts.join(', ');
+}
+
+export function formatListing(listing: ScriptListing): string {
+    const lines: string[] = [];
+    for (const instruction of listing.instructions) {
+        const label = listing.labels.get(instruction.offset);
+        if (label) lines.push(`${label}:`);
+        let line = `    ${hex(instruction.offset, 4)}  ${instruction.name.padEnd(9)} ${formatOperands(instruction)}`.trimEnd();
+        if (instruction.comment) line += `  ; ${instruction.comment}`;
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+/** Text listing of every script in the section */
+export function formatScriptSection(section: ScriptSection): string {
+    const { header, entities } = section;
+    const out = [`; Field ${header.name || '(unnamed)'}, ${entities.length} entities, ${section.dialogs.length} dialogs`];
+    entities.forEach((entity, entityIndex) => {
+        out.push('', `; ${'='.repeat(70)}`, `; Entity ${entityIndex}: ${entity.name || '(unnamed)'}`, `; ${'='.repeat(70)}`);
+        for (const listing of disassembleEntity(section, entityIndex)) {
+            out.push('', `; ${entity.name || `Entity ${entityIndex}`} / ${listing.name} (0x${hex(listing.start, 4)}-0x${hex(listing.end, 4)})`);
+            out.push(formatListing(listing));
+        }
+    });
+    return out.join('\n') + '\n';
+}
+
+// ============================================================================
+// Assembler
+// ============================================================================
+
+export interface AssemblyError {
+    line: number;   // 1-based line of the source text
+    message: string;
+}
+
+export interface AssemblyResult {
+    code: Uint8Array | null;   // null when any line failed to assemble
+    errors: AssemblyError[];
+}
+
+interface ParsedInstruction {
+    line: number;
+    bytes: number[];           // Opcode, and the sub opcode for SPECIAL
+    name: string;
+    specs: OperandSpec[];
+    parts: string[];           // Operand texts, conditions already split into left, right, operator
+    size: number;
+    origin: number | null;     // Offset the line was listed at, where the bits the text doesn't show are read from
+}
+
+const OPCODE_BY_NAME = new Map(OPCODES.map(([name], opcode) => [name.toUpperCase(), opcode]));
+const SPECIAL_BY_NAME = new Map([...SPECIAL_LAYOUTS].map(([sub, layout]) => [layout.name.toUpperCase(), sub]));
+const CONDITION_OPERATORS = [...COMPARE_OPERATORS].sort((a, b) => b.length - a.length);
+const INTEGER_RANGES: Record<string, [number, number]> = {
+    u8: [0, 0xFF], x8: [0, 0xFF], u16: [0, 0xFFFF], x16: [0, 0xFFFF], s16: [-0x8000, 0x7FFF],
+    u24: [0, 0xFFFFFF], u32: [0, 0xFFFFFFFF], x32: [0, 0xFFFFFFFF],
+    entity: [0, 0xFF], party: [0, 0xFF], char: [0, 0xFF], dialog: [0, 0xFF], window: [0, 0xFF],
+    model: [0, 0xFF], field: [0, 0xFFFF],
+};
+
+function isMnemonic(token: string): boolean {
+    const upper = token.toUpperCase();
+    return OPCODE_BY_NAME.has(upper) || SPECIAL_BY_NAME.has(upper);
+}
+
+function parseInteger(text: string, type: string): number {
+    const match = /^(-?)(0x[0-9a-f]+|\d+)$/i.exec(text.trim());
+    if (!match) throw new Error(`"${text}" is not a number`);
+    const value = Number(match[1] + '1') * Number(match[2]);
+    const [min, max] = INTEGER_RANGES[type] ?? [0, 0xFF];
+    if (value < min || value > max) throw new Error(`${text} is out of range (${min} to ${max})`);
+    return value;
+}
+
+function parseVariable(text: string): { bank: number; address: number } | null {
+    const match = /^Var\[(\d+)\]\[(\d+)\]$/i.exec(text.trim());
+    if (!match) return null;
+    const bank = Number(match[1]);
+    const address = Number(match[2]);
+    if (bank > 15) throw new Error(`Bank ${bank} is out of range (0 to 15)`);
+    if (address > 0xFF) throw new Error(`Address ${address} is out of range (0 to 255)`);
+    return { bank, address };
+}
+
+// IDs may be written as shown by the disassembler, "3 (cloud)", or by name alone
+function parseId(text: string, type: string, names: string[]): number {
+    const trimmed = text.trim();
+    const leading = /^(\d+|0x[0-9a-f]+)(\s*\(.*\))?$/i.exec(trimmed);
+    if (leading) return parseInteger(leading[1], type);
+    if (type === 'char' && trimmed.toLowerCase() === 'none') return 0xFF;
+    const index = names.findIndex(name => name.toLowerCase() === trimmed.toLowerCase());
+    if (index === -1) throw new Error(`Unknown ${DEFAULT_NAMES[type]} "${trimmed}"`);
+    return index;
+}
+
+function splitCondition(text: string): [string, string, string] {
+    // Operators the disassembler doesn't know are shown by number, e.g. op12
+    const operators = [...CONDITION_OPERATORS, /\bop\d+\b/.exec(text)?.[0]];
+    for (const op of operators) {
+        const at = op ? text.indexOf(` ${op} `) : -1;
+        if (at !== -1) return [text.slice(0, at), text.slice(at + op!.length + 2), op!];
+    }
+    throw new Error(`"${text}" is not a condition like "Var[1][2] == 3"`);
+}
+
+function parseLine(text: string, line: number): ParsedInstruction | string | null {
+    // Comments start at the first semicolon, operand texts never contain one
+    const code = text.split(';')[0].trim();
+    if (!code) return null;
+    const label = /^([A-Za-z_]\w*):$/.exec(code);
+    if (label) return label[1];
+
+    let body = code;
+    let origin: number | null = null;
+    const tokens = code.split(/\s+/);
+    // Listings start lines with the instruction offset, skip it unless it is the mnemonic (FADE)
+    if (/^[0-9a-f]{4,}$/i.test(tokens[0]) && tokens.length > 1 && isMnemonic(tokens[1])) {
+        body = body.slice(tokens[0].length).trim();
+        origin = parseInt(tokens[0], 16);
+    }
+    const name = body.split(/\s+/)[0];
+    const rest = body.slice(name.length).trim();
+    const upper = name.toUpperCase();
+
+    let bytes: number[];
+    let specs: OperandSpec[];
+    if (SPECIAL_BY_NAME.has(upper)) {
+        const sub = SPECIAL_BY_NAME.get(upper)!;
+        bytes = [0x0F, sub];
+        specs = SPECIAL_LAYOUTS.get(sub)!.operands;
+    } else if (OPCODE_BY_NAME.has(upper)) {
+        const opcode = OPCODE_BY_NAME.get(upper)!;
+        bytes = [opcode];
+        specs = opcode === 0x0F ? parseLayout('x8:sub') : OPCODE_LAYOUTS[opcode].operands;
+    } else {
+        throw new Error(`Unknown opcode "${name}"`);
+    }
+
+    let parts = rest ? rest.split(',').map(part => part.trim()) : [];
+    if (bytes[0] === 0x28) {
+        // KAWAI takes its data bytes as given, the size follows from them
+        const data = parts.find(part => /^data=/i.test(part))?.slice(5).trim() ?? '';
+        specs = parseLayout(data ? `u8:size x8:op d${data.split(/\s+/).length}` : 'u8:size x8:op');
+    }
+    if (specs.some(spec => spec.type === 'cmp')) {
+        if (parts.length === 0) throw new Error(`${name} needs a condition`);
+        const [left, right, op] = splitCondition(parts[0]);
+        parts = [left, right, op, ...parts.slice(1)];
+    }
+
+    return { line, bytes, name: name.toUpperCase(), specs, parts, size: bytes.length + layoutSize(specs), origin };
+}
+
+function encodeInstruction(
+    parsed: ParsedInstruction,
+    offset: number,
+    section: ScriptSection,
+    resolveLabel: (name: string) => number
+): number[] {
+    const { specs, bytes } = parsed;
+    const out = [...bytes];
+    const banks: number[] = [];
+    const bankBytes: number[] = [];  // Positions in out of the bank bytes
+    const hidden: { position: number; mask: number }[] = [];  // Bits the operand texts don't set
+    const entityNames = section.entities.map(entity => entity.name);
+    let partIndex = 0;
+
+    const nextPart = (spec: OperandSpec): string => {
+        const part = parsed.parts[partIndex++];
+        if (part === undefined) throw new Error(`Missing operand${spec.name ? ` "${spec.name}"` : ''}`);
+        const named = /^([A-Za-z]\w*)=(?!=)(.*)$/.exec(part);
+        if (!named) return part;
+        if (named[1].toLowerCase() !== spec.name.toLowerCase()) {
+            throw new Error(`Expected operand "${spec.name || 'value'}", got "${named[1]}"`);
+        }
+        return named[2].trim();
+    };
+    const pushValue = (value: number, size: number) => {
+        for (let i = 0; i < size; i++) {
+            out.push(value & 0xFF);
+            value = Math.floor(value / 256);
+        }
+    };
+
+    for (const spec of specs) {
+        const size = TYPE_SIZES[spec.type] ?? Number(spec.type.slice(1));
+        switch (spec.type) {
+            case 'B':
+                bankBytes.push(out.length);
+                out.push(0);
+                break;
+            case 'a8': {
+                const text = nextPart(spec);
+                const variable = parseVariable(text);
+                if (!variable) throw new Error(`"${text}" is not a variable like Var[1][2]`);
+                banks[spec.bank] = variable.bank;
+                out.push(variable.address);
+                break;
+            }
+            case 'jf8':
+            case 'jf16':
+            case 'jb8':
+            case 'jb16': {
+                const label = nextPart(spec);
+                const target = resolveLabel(label);
+                const distance = spec.type.startsWith('jf') ? target - (offset + out.length) : offset - target;
+                const max = size === 1 ? 0xFF : 0xFFFF;
+                if (distance < 0 || distance > max) {
+                    const direction = spec.type.startsWith('jf') ? 'forward' : 'backward';
+                    throw new Error(`${label} is out of reach of ${parsed.name}, which jumps ${direction} up to ${max} bytes`);
+                }
+                pushValue(distance, size);
+                break;
+            }
+            case 'cmp': {
+                const text = nextPart(spec);
+                const custom = /^op(\d+)$/.exec(text);
+                const op = custom ? Number(custom[1]) : COMPARE_OPERATORS.indexOf(text);
+                if (op === -1 || op > 0xFF) throw new Error(`Unknown comparison "${text}"`);
+                out.push(op);
+                break;
+            }
+            case 'ps': {
+                const script = parseInteger(nextPart({ ...spec, name: 'script' }), 'u8');
+                const priority = parseInteger(nextPart({ ...spec, name: 'priority' }), 'u8');
+                if (script > 0x1F) throw new Error(`Script ${script} is out of range (0 to 31)`);
+                if (priority > 7) throw new Error(`Priority ${priority} is out of range (0 to 7)`);
+                out.push((priority << 5) | script);
+                break;
+            }
+            case 'entity':
+            case 'char':
+                out.push(parseId(nextPart(spec), spec.type, spec.type === 'entity' ? entityNames : CHARACTER_NAMES));
+                break;
+            case 'party':
+            case 'field':
+            case 'dialog':
+            case 'window':
+            case 'model':
+            case 'x8':
+            case 'x16':
+            case 'x32':
+                pushValue(parseInteger(nextPart(spec), spec.type), size);
+                break;
+            case 'u8':
+            case 'u16':
+            case 'u24':
+            case 'u32':
+            case 's16': {
+                const text = nextPart(spec);
+                const variable = parseVariable(text);
+                if (variable) {
+                    if (!spec.bank) throw new Error(`Operand "${spec.name}" takes a value, not a variable`);
+                    banks[spec.bank] = variable.bank;
+                    // Only the low byte holds the address, the game ignores the rest
+                    if (variable.bank) {
+                        for (let i = 1; i < size; i++) hidden.push({ position: out.length + i, mask: 0xFF });
+                    }
+                    pushValue(variable.address, size);
+                } else {
+                    const value = parseInteger(text, spec.type);
+                    pushValue(spec.type === 's16' ? value & 0xFFFF : value, size);
+                }
+                break;
+            }
+            default: {
+                // dN: raw bytes
+                const values = nextPart(spec).split(/\s+/).filter(Boolean);
+                if (values.length !== size) throw new Error(`Expected ${size} data bytes, got ${values.length}`);
+                for (const value of values) {
+                    if (!/^[0-9a-f]{1,2}$/i.test(value)) throw new Error(`"${value}" is not a hex byte`);
+                    out.push(parseInt(value, 16));
+                }
+                break;
+            }
+        }
+    }
+
+    if (partIndex < parsed.parts.length) {
+        throw new Error(`Too many operands for ${parsed.name}`);
+    }
+    const usedBanks = new Set(specs.map(spec => spec.bank));
+    bankBytes.forEach((position, i) => {
+        out[position] = ((banks[i * 2 + 1] ?? 0) << 4) | (banks[i * 2 + 2] ?? 0);
+        if (!usedBanks.has(i * 2 + 1)) hidden.push({ position, mask: 0xF0 });
+        if (!usedBanks.has(i * 2 + 2)) hidden.push({ position, mask: 0x0F });
+    });
+    keepHiddenBits(out, hidden, parsed, section);
+    if (parsed.bytes[0] === 0x28 && out[1] !== out.length) {
+        throw new Error(`KAWAI size is ${out[1]} but the instruction is ${out.length} bytes`);
+    }
+    return out;
+}
+
+/**
+ * Copy the bits no operand text sets, unused bank nibbles and the high bytes of variable
+ * operands, from the instruction the line was listed from, so unedited lines assemble to
+ * the bytes they were disassembled from. Skipped when that instruction is a different one.
+ */
+function keepHiddenBits(
+    out: number[],
+    hidden: { position: number; mask: number }[],
+    parsed: ParsedInstruction,
+    section: ScriptSection
+): void {
+    if (parsed.origin === null || hidden.length === 0) return;
+    const { scriptData, scriptDataOffset } = section;
+    const pos = parsed.origin - scriptDataOffset;
+    if (pos < 0 || pos + out.length > scriptData.length) return;
+    if (getInstructionLength(scriptData, pos) !== out.length) return;
+    if (parsed.bytes.some((byte, i) => scriptData[pos + i] !== byte)) return;
+    for (const { position, mask } of hidden) {
+        out[position] = (out[position] & ~mask) | (scriptData[pos + position] & mask);
+    }
+}
+
+/**
+ * Assemble script text, in the format formatListing produces, into bytecode placed at
+ * the given offset of the script section. Labels defined in the text resolve to their
+ * new offsets. Other L_XXXX labels are original offsets outside the script being
+ * replaced, [start, end): those after it move with the size change. Bits the text
+ * doesn't show are kept from the instruction at each line's listed offset.
+ */
+export function assembleScript(text: string, section: ScriptSection, start: number, end: number): AssemblyResult {
+    const errors: AssemblyError[] = [];
+    const parsed: ParsedInstruction[] = [];
+    const labels = new Map<string, number>();
+
+    // First pass: instruction sizes are fixed by their layouts, which places every label
+    let size = 0;
+    text.split('\n').forEach((source, i) => {
+        try {
+            const result = parseLine(source, i + 1);
+            if (typeof result === 'string') {
+                if (labels.has(result)) throw new Error(`Label ${result} is defined twice`);
+                labels.set(result, start + size);
+            } else if (result) {
+                parsed.push(result);
+                size += result.size;
+            }
+        } catch (err) {
+            errors.push({ line: i + 1, message: (err as Error).message });
+        }
+    });
+
+    const delta = size - (end - start);
+    const resolveLabel = (name: string): number => {
+        const defined = labels.get(name);
+        if (defined !== undefined) return defined;
+        const original = /^L_([0-9a-f]+)$/i.exec(name);
+        if (!original) throw new Error(`Unknown label ${name}`);
+        const offset = parseInt(original[1], 16);
+        if (offset > start && offset < end) throw new Error(`Label ${name} is inside the replaced script but not defined`);
+        return offset >= end ? offset + delta : offset;
+    };
+
+    // Second pass: encode with the final label offsets
+    const code: number[] = [];
+    for (const instruction of parsed) {
+        try {
+            code.push(...encodeInstruction(instruction, start + code.length, section, resolveLabel));
+        } catch (err) {
+            errors.push({ line: instruction.line, message: (err as Error).message });
+            code.push(...new Array(instruction.size).fill(0));
+        }
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    return { code: errors.length === 0 ? new Uint8Array(code) : null, errors };
+}
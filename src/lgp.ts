@@ -3,6 +3,7 @@
 // https://github.com/niemasd/PyFF7
 
 import {Parser} from 'binary-parser';
+import {crc32} from './utils/checksum';
 
 const LOOKUP_VALUE_MAX = 30;
 const NUM_LOOKTAB_ENTRIES = LOOKUP_VALUE_MAX * LOOKUP_VALUE_MAX; // 900 entries
@@ -14,6 +15,13 @@ const PATH_ENTRY_SIZE = 130;
 const DEFAULT_TOC_TYPE = 0x0E;
 const DEFAULT_MAGIC = "SQUARESOFT";
 const DEFAULT_TERMINATOR = "FINAL FANTASY7";
+const MAX_PATH_LENGTH = 127;
+const CACHE_LIMIT = 64 * 1024 * 1024; // Max bytes of file bodies kept in memory for lazy archives
+const WRITE_CHUNK_SIZE = 4 * 1024 * 1024;
+const PATCH_MAGIC = "LGPPATCH";
+const PATCH_VERSION = 1;
+const PATCH_HEADER_SIZE = 24;
+const PATCH_OPS: PatchOperation[] = ['remove', 'replace', 'add'];
 
 const lgpPathEntry = new Parser()
     .string('folderName', {
@@ -29,6 +37,17 @@ const lgpPathGroup = new Parser()
         length: 'numPaths'
     })
 
+// TOC entry without the file size, which lives in the file header after the archive metadata.
+// Used when only the metadata has been read (lazy loading).
+const lgpLazyToc = new Parser()
+    .string('filename', {
+        length: 20,
+        stripNull: true
+    })
+    .uint32le('offset')
+    .uint8('type')
+    .uint16le('pathIndex')
+
 const lgpLookupEntry = new Parser()
     .uint16le('tocIndex')
     .uint16le('fileCount')
@@ -70,6 +89,28 @@ const lgpParser = new Parser()
         length: 'numPathGroups'
     })
 
+const lgpLazyParser = new Parser()
+    .uint16le('null1')
+    .string('magic', {
+        length: 10,
+        stripNull: true
+    })
+    .uint16le('numFiles')
+    .uint16le('null2')
+    .array('toc', {
+        type: lgpLazyToc,
+        length: 'numFiles'
+    })
+    .array('lookupEntries', {
+        type: lgpLookupEntry,
+        length: NUM_LOOKTAB_ENTRIES
+    })
+    .uint16le('numPathGroups')
+    .array('pathGroups', {
+        type: lgpPathGroup,
+        length: 'numPathGroups'
+    })
+
 declare global {
     interface String {
         charCode: () => number;
@@ -83,6 +124,7 @@ interface TOCEntry {
     filesize: number;
     type: number;
     pathIndex: number;
+    folder: string;
 }
 
 interface LookupEntry {
@@ -100,7 +142,56 @@ interface PathGroup {
     paths: PathEntry[];
 }
 
-interface LGPArchive {
+// Random access source of archive bytes, lets an archive be opened without reading it whole
+export interface LGPReader {
+    size: number;
+    read(offset: number, length: number): Promise<Uint8Array>;
+    close(): Promise<void>;
+}
+
+// Sequential destination for streaming an archive out
+export interface LGPWriter {
+    write(data: Uint8Array): Promise<void>;
+}
+
+export type IntegritySection = 'header' | 'toc' | 'hash' | 'path' | 'data' | 'footer';
+
+export interface IntegrityIssue {
+    severity: 'error' | 'warning';
+    section: IntegritySection;
+    offset: number;
+    message: string;
+}
+
+export interface IntegrityReport {
+    size: number;
+    numFiles: number;
+    issues: IntegrityIssue[];
+    // Paths of files whose data can't be read back, a rebuild has to leave them out
+    unreadable: string[];
+}
+
+export interface LGPSnapshot {
+    toc: TOCEntry[];
+    modified: {[key: string]: Uint8Array};
+}
+
+export type PatchOperation = 'remove' | 'replace' | 'add';
+
+export interface PatchRecord {
+    op: PatchOperation;
+    path: string;
+    data?: Uint8Array; // Contents for replace and add
+}
+
+// Changes to turn one archive into another, tied to the exact bytes of the base archive
+export interface LGPPatch {
+    baseSize: number;
+    baseChecksum: number;
+    records: PatchRecord[];
+}
+
+export interface LGPArchive {
     null1: number;
     magic: string;
     numFiles: number;
@@ -115,24 +206,184 @@ String.prototype.charCode = function(): number {
     return this.charCodeAt(0);
 }
 
+// Reader over an archive that is already in memory
+export function createMemoryReader(data: Uint8Array): LGPReader {
+    return {
+        size: data.length,
+        read: async (offset, length) => data.subarray(offset, offset + length),
+        close: async () => {},
+    };
+}
+
+// Read a null-padded string field, reporting whether the terminator was found
+function readFixedString(bytes: Uint8Array): {value: string, terminated: boolean} {
+    const end = bytes.indexOf(0);
+    const chars = end === -1 ? bytes : bytes.subarray(0, end);
+    return {value: String.fromCharCode(...chars), terminated: end !== -1};
+}
+
+function hex(value: number): string {
+    return '0x' + value.toString(16).toUpperCase();
+}
+
 export class LGP {
     archive: LGPArchive;
     data: Uint8Array;
     modified: {[key: string]: Uint8Array} = {};
     private tocLookup: Map<string, TOCEntry> = new Map();
+    // Original size and path of each file in the loaded archive, keyed by its offset
+    private originalSizes: Map<number, number> = new Map();
+    private originalPaths: Map<number, string> = new Map();
+    // Offsets of lazy archive files whose size was read from their header rather than estimated
+    private readSizes: Set<number> = new Set();
+    // Lazy archives read file bodies through the reader and keep recently used ones here
+    private reader: LGPReader | null = null;
+    private cache: Map<number, Uint8Array> = new Map();
+    private cacheBytes = 0;
 
-    constructor(data: ArrayBuffer | Uint8Array) {
-        this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
-        this.archive = lgpParser.parse(this.data);
+    /**
+     * Parse an archive held in memory. When a reader is given, data only needs to contain
+     * the archive metadata (header, TOC, hash and path tables) and file bodies are read on demand.
+     * An archive that was already parsed (e.g. in a worker) can be passed in to skip parsing.
+     */
+    constructor(data: ArrayBuffer | Uint8Array, reader: LGPReader | null = null, archive: LGPArchive | null = null) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (archive) {
+            this.data = bytes;
+            this.archive = archive;
+        } else if (reader) {
+            this.reader = reader;
+            this.data = new Uint8Array(0);
+            this.archive = lgpLazyParser.parse(bytes);
+        } else {
+            this.data = bytes;
+            this.archive = lgpParser.parse(this.data);
+        }
         if (this.archive.magic !== DEFAULT_MAGIC) {
             throw Error("Invalid LGP header: expected " + DEFAULT_MAGIC + ", got " + this.archive.magic);
         }
-        // Build lookup map for O(1) file access
+        if (reader) this.estimateFileSizes(reader.size);
+        for (const entry of this.archive.toc) {
+            this.originalSizes.set(entry.offset, entry.filesize);
+        }
+        if (!archive) this.resolveFolders();
+        for (const entry of this.archive.toc) {
+            this.originalPaths.set(entry.offset, this.getFilePath(entry));
+        }
+        this.rebuildLookup();
+    }
+
+    /**
+     * Open an archive lazily: only the metadata is read up front,
+     * file bodies are fetched from the reader when requested.
+     */
+    static async open(reader: LGPReader): Promise<LGP> {
+        const header = await reader.read(0, HEADER_SIZE);
+        const numFiles = new DataView(header.buffer, header.byteOffset).getUint16(12, true);
+        const toc = await reader.read(0, HEADER_SIZE + numFiles * TOC_ENTRY_SIZE);
+        const view = new DataView(toc.buffer, toc.byteOffset);
+
+        // Metadata ends where the first file header starts
+        let dataStart = reader.size - DEFAULT_TERMINATOR.length;
+        for (let i = 0; i < numFiles; i++) {
+            dataStart = Math.min(dataStart, view.getUint32(HEADER_SIZE + i * TOC_ENTRY_SIZE + 20, true));
+        }
+        return new LGP(await reader.read(0, dataStart), reader);
+    }
+
+    // Resolve each file's folder from the path table
+    private resolveFolders(): void {
+        for (const entry of this.archive.toc) {
+            entry.folder = '';
+        }
+        this.archive.pathGroups.forEach((group, groupIndex) => {
+            group.paths.forEach(path => {
+                const entry = this.archive.toc[path.tocIndex];
+                if (entry && entry.pathIndex === groupIndex + 1) {
+                    entry.folder = path.folderName;
+                }
+            });
+        });
+    }
+
+    // The bytes the archive was loaded from, regardless of any modifications made since
+    get source(): LGPReader {
+        return this.reader ?? createMemoryReader(this.data);
+    }
+
+    get isLazy(): boolean {
+        return this.reader !== null;
+    }
+
+    async close(): Promise<void> {
+        this.cache.clear();
+        this.cacheBytes = 0;
+        await this.reader?.close();
+    }
+
+    // Files are usually stored back to back, so sizes follow from the offsets.
+    // They're verified against the file headers once the bodies are read, or before saving.
+    private estimateFileSizes(archiveSize: number): void {
+        const sorted = [...this.archive.toc].sort((a, b) => a.offset - b.offset);
+        sorted.forEach((entry, i) => {
+            const end = i + 1 < sorted.length ? sorted[i + 1].offset : archiveSize - DEFAULT_TERMINATOR.length;
+            entry.filesize = Math.max(0, end - entry.offset - FILE_HEADER_SIZE);
+        });
+    }
+
+    // Rebuild the lookup map for O(1) file access. Files are keyed by their full path,
+    // plain filenames resolve to the first matching entry when no root file has that name.
+    private rebuildLookup(): void {
+        this.tocLookup.clear();
+        for (const entry of this.archive.toc) {
+            this.tocLookup.set(this.getFilePath(entry).toLowerCase(), entry);
+        }
         for (const entry of this.archive.toc) {
-            this.tocLookup.set(entry.filename.toLowerCase(), entry);
+            const nameLower = entry.filename.toLowerCase();
+            if (!this.tocLookup.has(nameLower)) this.tocLookup.set(nameLower, entry);
         }
     }
 
+    // Regenerate the path table from the folder of every TOC entry. Files sharing a name,
+    // or living in a folder, get a path group; path entries always point at current TOC indices.
+    private rebuildPathTable(): void {
+        const byName = new Map<string, number[]>();
+        this.archive.toc.forEach((entry, i) => {
+            const nameLower = entry.filename.toLowerCase();
+            const indices = byName.get(nameLower);
+            if (indices) indices.push(i);
+            else byName.set(nameLower, [i]);
+        });
+
+        const pathGroups: PathGroup[] = [];
+        for (const indices of byName.values()) {
+            const entries = indices.map(i => this.archive.toc[i]);
+            if (entries.length === 1 && !entries[0].folder) {
+                entries[0].pathIndex = 0;
+                continue;
+            }
+            const paths = indices.map(i => ({folderName: this.archive.toc[i].folder, tocIndex: i}));
+            pathGroups.push({numPaths: paths.length, paths});
+            entries.forEach(entry => entry.pathIndex = pathGroups.length);
+        }
+
+        this.archive.pathGroups = pathGroups;
+        this.archive.numPathGroups = pathGroups.length;
+        this.archive.numFiles = this.archive.toc.length;
+    }
+
+    normalizeFolder(folder: string): string {
+        const normalized = folder.replace(/\\/g, '/').replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+        if (normalized.length > MAX_PATH_LENGTH) {
+            throw Error("Folder path too long (max " + MAX_PATH_LENGTH + " characters): " + normalized);
+        }
+        return normalized;
+    }
+
+    getFilePath(entry: TOCEntry): string {
+        return entry.folder ? entry.folder + '/' + entry.filename : entry.filename;
+    }
+
     getCharLookupValue(char: string): number {
         if (char.length !== 1) throw Error("Invalid length for char lookup: " + char);
         if (char === '.') return -1;
@@ -196,11 +447,19 @@ export class LGP {
         return fileCount.map((count, index) => ({tocIndex: tocIndex[index], fileCount: count}));
     }
 
+    /**
+     * Get a file's contents. For lazy archives this only returns files that are modified
+     * or already cached, use loadFile() to read them from the reader.
+     */
     getFile(name: string): Uint8Array | null {
-        const nameLower = name.toLowerCase();
-        const entry = this.tocLookup.get(nameLower);
+        const entry = this.tocLookup.get(name.toLowerCase());
         if (!entry) return null;
-        if (this.modified[entry.filename]) return this.modified[entry.filename];
+        const path = this.getFilePath(entry);
+        if (this.modified[path]) return this.modified[path];
+        if (this.reader) {
+            const cached = this.cache.get(entry.offset);
+            return cached ? cached.slice() : null;
+        }
 
         const offset = entry.offset + FILE_HEADER_SIZE;
         // Return an independent copy of the file data
@@ -208,24 +467,75 @@ export class LGP {
         return this.data.slice(offset, offset + entry.filesize);
     }
 
+    // Get a file's contents, reading it from the reader if needed
+    async loadFile(name: string): Promise<Uint8Array | null> {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry) return null;
+        const data = this.getFile(name);
+        if (data || !this.reader) return data;
+
+        const body = await this.readBody(entry);
+        this.cache.set(entry.offset, body);
+        this.cacheBytes += body.length;
+        // Evict the oldest bodies once over the limit (Map keeps insertion order)
+        for (const [offset, cached] of this.cache) {
+            if (this.cacheBytes <= CACHE_LIMIT || this.cache.size === 1) break;
+            this.cache.delete(offset);
+            this.cacheBytes -= cached.length;
+        }
+        return body.slice();
+    }
+
+    // Read an unmodified file body through the reader, fixing up estimated sizes from its header
+    private async readBody(entry: TOCEntry): Promise<Uint8Array> {
+        const reader = this.reader!;
+        let block = await reader.read(entry.offset, FILE_HEADER_SIZE + this.originalSizes.get(entry.offset)!);
+        const size = new DataView(block.buffer, block.byteOffset).getUint32(20, true);
+        if (FILE_HEADER_SIZE + size !== block.length) {
+            block = await reader.read(entry.offset, FILE_HEADER_SIZE + size);
+        }
+        this.readSizes.add(entry.offset);
+        this.originalSizes.set(entry.offset, size);
+        if (!this.modified[this.getFilePath(entry)]) entry.filesize = size;
+        return block.subarray(FILE_HEADER_SIZE);
+    }
+
+    // Read the header of every file whose size is still estimated, so new offsets can be
+    // assigned before any body is written. Archives with padding, holes or files sharing
+    // an offset don't match the estimates.
+    private async readFileSizes(): Promise<void> {
+        const reader = this.reader;
+        if (!reader) return;
+        for (const entry of this.archive.toc) {
+            if (entry.offset === 0) continue;
+            if (!this.readSizes.has(entry.offset)) {
+                const header = await reader.read(entry.offset, FILE_HEADER_SIZE);
+                this.readSizes.add(entry.offset);
+                this.originalSizes.set(entry.offset, new DataView(header.buffer, header.byteOffset).getUint32(20, true));
+            }
+            if (!this.modified[this.getFilePath(entry)]) entry.filesize = this.originalSizes.get(entry.offset)!;
+        }
+    }
+
     setFile(name: string, data: Uint8Array): boolean {
-        const nameLower = name.toLowerCase();
-        const entry = this.tocLookup.get(nameLower);
+        const entry = this.tocLookup.get(name.toLowerCase());
         if (!entry) return false;
         entry.filesize = data.length;
-        this.modified[entry.filename] = data;
+        this.modified[this.getFilePath(entry)] = data;
         return true;
     }
 
-    insertFile(name: string, data: Uint8Array): boolean {
-        // Truncate filename to max 19 chars (20 bytes with null terminator)
-        const filename = name.slice(0, 19).toLowerCase();
+    /**
+     * Insert a new file, optionally inside a folder. The entry is placed at the end of
+     * its hash bucket so the lookup table stays contiguous.
+     * Returns false if a file with the same name already exists in that folder,
+     * throws for names that don't fit the TOC.
+     */
+    insertFile(name: string, data: Uint8Array, folder: string = ''): boolean {
+        const filename = name.toLowerCase();
+        this.validateFilename(filename);
+        const folderPath = this.normalizeFolder(folder);
 
-        // Check if file already exists (case-insensitive)
-        if (this.archive.toc.find(item => item.filename.toLowerCase() === filename)) {
-            return false;
-        }
-        
         const newEntry: TOCEntry = {
             filename,
             offset: 0,
@@ -233,31 +543,169 @@ export class LGP {
             filesize: data.length,
             type: DEFAULT_TOC_TYPE,
             pathIndex: 0,
+            folder: folderPath,
         };
-        
-        this.archive.toc.push(newEntry);
-        this.archive.numFiles = this.archive.toc.length;
-        this.modified[filename] = data;
+
+        // Check if file already exists (case-insensitive)
+        const path = this.getFilePath(newEntry);
+        if (this.findEntry(path)) return false;
+
+        this.archive.toc.splice(this.getBucketEndIndex(filename), 0, newEntry);
+        this.modified[path] = data;
+        this.rebuildPathTable();
+        this.rebuildLookup();
         return true;
     }
 
-    removeFile(name: string): boolean {
-        const nameLower = name.toLowerCase();
-        const index = this.archive.toc.findIndex(item => item.filename.toLowerCase() === nameLower);
-        if (index === -1) return false;
+    /**
+     * Move a file into another folder ('' for the archive root).
+     * Returns false if the file doesn't exist or the target folder already has a file with that name.
+     */
+    moveFile(name: string, folder: string): boolean {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry) return false;
+
+        const folderPath = this.normalizeFolder(folder);
+        if (folderPath.toLowerCase() === entry.folder.toLowerCase()) return true;
+
+        const targetPath = folderPath ? folderPath + '/' + entry.filename : entry.filename;
+        if (this.findEntry(targetPath)) return false;
+
+        const oldPath = this.getFilePath(entry);
+        entry.folder = folderPath;
+        if (this.modified[oldPath]) {
+            this.modified[targetPath] = this.modified[oldPath];
+            delete this.modified[oldPath];
+        }
+
+        this.rebuildPathTable();
+        this.rebuildLookup();
+        return true;
+    }
 
-        const actualFilename = this.archive.toc[index].filename;
+    /**
+     * Rename a file in place, keeping its folder, type byte and data.
+     * The entry keeps its TOC position unless the new name falls into a different hash bucket.
+     * Returns false if the file doesn't exist or the new name is already taken in the same folder.
+     */
+    renameFile(name: string, newName: string): boolean {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry) return false;
+
+        const filename = newName.toLowerCase();
+        this.validateFilename(filename);
+
+        const oldPath = this.getFilePath(entry);
+        const newPath = entry.folder ? entry.folder + '/' + filename : filename;
+        const existing = this.findEntry(newPath);
+        if (existing && existing !== entry) return false;
+
+        if (this.computeHash(filename) !== this.computeHash(entry.filename)) {
+            this.archive.toc.splice(this.archive.toc.indexOf(entry), 1);
+            this.archive.toc.splice(this.getBucketEndIndex(filename), 0, entry);
+        }
+        entry.filename = filename;
+
+        if (this.modified[oldPath]) {
+            const data = this.modified[oldPath];
+            delete this.modified[oldPath];
+            this.modified[newPath] = data;
+        }
+
+        this.rebuildPathTable();
+        this.rebuildLookup();
+        return true;
+    }
+
+    // Check a filename fits the 20-byte TOC field and only uses characters the hash table supports
+    validateFilename(filename: string): void {
+        if (filename.length === 0) throw Error("Filename cannot be empty");
+        if (new TextEncoder().encode(filename).length > 19) {
+            throw Error("Filename too long (max 19 characters): " + filename);
+        }
+        if (this.getFileStem(filename).length === 0) throw Error("Invalid filename: empty stem");
+        for (const char of filename) {
+            this.getCharLookupValue(char);
+        }
+    }
+
+    findIndex(name: string): number {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        return entry ? this.archive.toc.indexOf(entry) : -1;
+    }
+
+    removeFile(name: string): boolean {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry) return false;
 
         // Remove from TOC
-        this.archive.toc.splice(index, 1);
-        this.archive.numFiles = this.archive.toc.length;
+        this.archive.toc.splice(this.archive.toc.indexOf(entry), 1);
 
         // Remove from modified if present
-        delete this.modified[actualFilename];
+        delete this.modified[this.getFilePath(entry)];
+
+        this.rebuildPathTable();
+        this.rebuildLookup();
+        return true;
+    }
+
+    /**
+     * Restore a file to its original bytes from the loaded archive, dropping any replacement.
+     * Returns false for files that are unmodified or were inserted after loading.
+     */
+    revertFile(name: string): boolean {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry || entry.offset === 0) return false;
+
+        const path = this.getFilePath(entry);
+        if (!this.modified[path]) return false;
 
+        delete this.modified[path];
+        entry.filesize = this.originalSizes.get(entry.offset)!;
         return true;
     }
 
+    // Whether a file's contents differ from the loaded archive (replaced or newly inserted)
+    isModified(name: string): boolean {
+        const entry = this.tocLookup.get(name.toLowerCase());
+        if (!entry) return false;
+        return entry.offset === 0 || !!this.modified[this.getFilePath(entry)];
+    }
+
+    // Capture the TOC and modified data so the archive can be rolled back later.
+    // File data arrays are shared, they are never mutated in place. Sizes of unmodified
+    // files aren't taken from snapshots, lazy archives may have learned them since.
+    snapshot(): LGPSnapshot {
+        return {
+            toc: this.archive.toc.map(entry => ({...entry})),
+            modified: {...this.modified},
+        };
+    }
+
+    restore(snapshot: LGPSnapshot): void {
+        this.archive.toc = snapshot.toc.map(entry => ({...entry}));
+        this.modified = {...snapshot.modified};
+        for (const entry of this.archive.toc) {
+            const data = this.modified[this.getFilePath(entry)];
+            entry.filesize = data ? data.length : this.originalSizes.get(entry.offset) ?? entry.filesize;
+        }
+        this.rebuildPathTable();
+        this.rebuildLookup();
+    }
+
+    // TOC position after the last entry of the filename's hash bucket
+    private getBucketEndIndex(filename: string): number {
+        const hash = this.computeHash(filename);
+        const index = this.archive.toc.findIndex(entry => this.computeHash(entry.filename) > hash);
+        return index === -1 ? this.archive.toc.length : index;
+    }
+
+    // Exact full-path lookup, without falling back to plain filenames
+    private findEntry(path: string): TOCEntry | undefined {
+        const pathLower = path.toLowerCase();
+        return this.archive.toc.find(entry => this.getFilePath(entry).toLowerCase() === pathLower);
+    }
+
     writeString(view: DataView, pos: number, str: string, length: number): void {
         const encoder = new TextEncoder();
         const bytes = encoder.encode(str);
@@ -266,16 +714,18 @@ export class LGP {
         arr.set(bytes.slice(0, length));
     }
 
-    writeArchive(): ArrayBuffer {
-        let currentDataOffset = this.getDataOffset();
+    // Assign new offsets to every file and serialize everything before the file data:
+    // header, TOC, hash table and path table
+    private buildMetadata(): {metadata: Uint8Array, totalSize: number} {
+        const dataOffset = this.getDataOffset();
+        let currentDataOffset = dataOffset;
 
         this.archive.toc.forEach(entry => {
             entry.newOffset = currentDataOffset;
             currentDataOffset += FILE_HEADER_SIZE + entry.filesize;
         });
 
-        const totalSize = currentDataOffset + DEFAULT_TERMINATOR.length;
-        const out = new ArrayBuffer(totalSize);
+        const out = new ArrayBuffer(dataOffset);
         const view = new DataView(out);
         let pos = 0;
 
@@ -295,7 +745,7 @@ export class LGP {
             pos += 20;
             view.setUint32(pos, entry.newOffset, true);
             pos += 4;
-            view.setUint8(pos, DEFAULT_TOC_TYPE);
+            view.setUint8(pos, entry.type);
             pos += 1;
             view.setUint16(pos, entry.pathIndex, true);
             pos += 2;
@@ -324,10 +774,21 @@ export class LGP {
             });
         });
 
+        return {metadata: new Uint8Array(out), totalSize: currentDataOffset + DEFAULT_TERMINATOR.length};
+    }
+
+    writeArchive(): ArrayBuffer {
+        if (this.reader) throw Error("Archive is loaded lazily, use writeArchiveTo() instead");
+
+        const {metadata, totalSize} = this.buildMetadata();
+        const out = new ArrayBuffer(totalSize);
+        const view = new DataView(out);
+        new Uint8Array(out).set(metadata);
+
         // Write file data blocks
         this.archive.toc.forEach(entry => {
             let filePos = entry.newOffset;
-            const data = this.getFile(entry.filename);
+            const data = this.getFile(this.getFilePath(entry));
             if (!data) throw Error("Data not found for file: " + entry.filename);
 
             this.writeString(view, filePos, entry.filename, 20);
@@ -338,8 +799,440 @@ export class LGP {
         });
 
         // Write terminator
-        this.writeString(view, currentDataOffset, DEFAULT_TERMINATOR, DEFAULT_TERMINATOR.length);
+        this.writeString(view, totalSize - DEFAULT_TERMINATOR.length, DEFAULT_TERMINATOR, DEFAULT_TERMINATOR.length);
 
         return out;
     }
-}
\ No newline at end of file
+
+    /**
+     * Stream the archive to a writer without building it in memory.
+     * File bodies of lazy archives are read one at a time and not added to the cache.
+     */
+    async writeArchiveTo(writer: LGPWriter, onProgress?: (current: number, total: number) => void): Promise<void> {
+        await this.readFileSizes();
+        const {metadata} = this.buildMetadata();
+        const toc = this.archive.toc;
+        let chunks: Uint8Array[] = [metadata];
+        let chunkBytes = metadata.length;
+
+        const flush = async () => {
+            const chunk = new Uint8Array(chunkBytes);
+            let pos = 0;
+            for (const part of chunks) {
+                chunk.set(part, pos);
+                pos += part.length;
+            }
+            await writer.write(chunk);
+            chunks = [];
+            chunkBytes = 0;
+        };
+
+        for (let i = 0; i < toc.length; i++) {
+            const entry = toc[i];
+            const path = this.getFilePath(entry);
+            const data = this.modified[path]
+                ?? (this.reader ? (this.cache.get(entry.offset) ?? await this.readBody(entry)) : this.getFile(path));
+            if (!data) throw Error("Data not found for file: " + entry.filename);
+            // The offsets in the metadata were assigned from these sizes
+            if (data.length !== entry.filesize) {
+                throw Error("Unexpected size for " + entry.filename + ": the source archive changed while saving");
+            }
+
+            const header = new Uint8Array(FILE_HEADER_SIZE);
+            const view = new DataView(header.buffer);
+            this.writeString(view, 0, entry.filename, 20);
+            view.setUint32(20, entry.filesize, true);
+            chunks.push(header, data);
+            chunkBytes += FILE_HEADER_SIZE + data.length;
+
+            if (chunkBytes >= WRITE_CHUNK_SIZE) {
+                await flush();
+                onProgress?.(i + 1, toc.length);
+            }
+        }
+
+        chunks.push(new TextEncoder().encode(DEFAULT_TERMINATOR));
+        chunkBytes += DEFAULT_TERMINATOR.length;
+        await flush();
+        onProgress?.(toc.length, toc.length);
+    }
+
+    // CRC-32 of the bytes the archive was loaded from
+    async sourceChecksum(onProgress?: (current: number, total: number) => void): Promise<number> {
+        const source = this.source;
+        let crc = 0;
+        for (let offset = 0; offset < source.size; offset += WRITE_CHUNK_SIZE) {
+            crc = crc32(await source.read(offset, Math.min(WRITE_CHUNK_SIZE, source.size - offset)), crc);
+            onProgress?.(Math.min(offset + WRITE_CHUNK_SIZE, source.size), source.size);
+        }
+        return crc;
+    }
+
+    /**
+     * Describe the changes made since loading as a patch against the loaded archive.
+     * Renamed and moved files are recorded as a removal plus an addition.
+     */
+    async createPatch(onProgress?: (current: number, total: number) => void): Promise<LGPPatch> {
+        const removes: PatchRecord[] = [];
+        const replaces: PatchRecord[] = [];
+        const adds: PatchRecord[] = [];
+        const kept = new Set<number>();
+
+        for (const entry of this.archive.toc) {
+            const path = this.getFilePath(entry);
+            const originalPath = entry.offset === 0 ? undefined : this.originalPaths.get(entry.offset);
+            if (originalPath === path) {
+                kept.add(entry.offset);
+                if (this.modified[path]) replaces.push({op: 'replace', path, data: this.modified[path]});
+                continue;
+            }
+            const data = await this.loadFile(path);
+            if (!data) throw Error("Data not found for file: " + path);
+            adds.push({op: 'add', path, data});
+        }
+        for (const [offset, path] of this.originalPaths) {
+            if (!kept.has(offset)) removes.push({op: 'remove', path});
+        }
+
+        const size = this.source.size;
+        const baseChecksum = await this.sourceChecksum(onProgress);
+        return {baseSize: size, baseChecksum, records: [...removes, ...replaces, ...adds]};
+    }
+
+    // Throw unless the archive was loaded from the exact bytes the patch was made against
+    async checkPatchBase(patch: LGPPatch, onProgress?: (current: number, total: number) => void): Promise<void> {
+        if (this.source.size !== patch.baseSize) {
+            throw Error("Patch was made for an archive of " + patch.baseSize + " bytes, this one has " + this.source.size);
+        }
+        if (await this.sourceChecksum(onProgress) !== patch.baseChecksum) {
+            throw Error("Patch was made for a different version of this archive (checksum mismatch)");
+        }
+    }
+
+    /**
+     * Apply patch records in order: removals, replacements, then additions.
+     * Call checkPatchBase() first. Throws on the first record that doesn't fit the archive.
+     */
+    applyPatch(patch: LGPPatch): number {
+        for (const record of patch.records) {
+            if (record.op === 'remove') {
+                if (!this.findEntry(record.path) || !this.removeFile(record.path)) {
+                    throw Error("Patch removes a file that doesn't exist: " + record.path);
+                }
+            } else if (record.op === 'replace') {
+                if (!this.findEntry(record.path) || !this.setFile(record.path, record.data!)) {
+                    throw Error("Patch replaces a file that doesn't exist: " + record.path);
+                }
+            } else {
+                const slash = record.path.lastIndexOf('/');
+                const folder = slash === -1 ? '' : record.path.slice(0, slash);
+                if (!this.insertFile(record.path.slice(slash + 1), record.data!, folder)) {
+                    throw Error("Patch adds a file that already exists: " + record.path);
+                }
+            }
+        }
+        return patch.records.length;
+    }
+
+    /**
+     * Patch file layout (little-endian):
+     *   8 bytes   magic "LGPPATCH"
+     *   u16       version, u16 reserved
+     *   u32       base archive size, u32 base archive CRC-32
+     *   u32       record count
+     *   records   u8 operation (0 remove, 1 replace, 2 add), u16 path length, path,
+     *             and for replace/add u32 data length followed by the data
+     *   u32       CRC-32 of everything before it
+     */
+    static encodePatch(patch: LGPPatch): Uint8Array {
+        const encoder = new TextEncoder();
+        const paths = patch.records.map(record => encoder.encode(record.path));
+        let size = PATCH_HEADER_SIZE + 4;
+        patch.records.forEach((record, i) => {
+            size += 3 + paths[i].length + (record.op === 'remove' ? 0 : 4 + record.data!.length);
+        });
+
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        out.set(encoder.encode(PATCH_MAGIC), 0);
+        view.setUint16(8, PATCH_VERSION, true);
+        view.setUint32(12, patch.baseSize, true);
+        view.setUint32(16, patch.baseChecksum, true);
+        view.setUint32(20, patch.records.length, true);
+
+        let pos = PATCH_HEADER_SIZE;
+        patch.records.forEach((record, i) => {
+            view.setUint8(pos, PATCH_OPS.indexOf(record.op));
+            view.setUint16(pos + 1, paths[i].length, true);
+            out.set(paths[i], pos + 3);
+            pos += 3 + paths[i].length;
+            if (record.op !== 'remove') {
+                view.setUint32(pos, record.data!.length, true);
+                out.set(record.data!, pos + 4);
+                pos += 4 + record.data!.length;
+            }
+        });
+        view.setUint32(pos, crc32(out.subarray(0, pos)), true);
+        return out;
+    }
+
+    static decodePatch(bytes: Uint8Array): LGPPatch {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < PATCH_HEADER_SIZE + 4 || String.fromCharCode(...bytes.subarray(0, 8)) !== PATCH_MAGIC) {
+            throw Error("Not an LGP patch file");
+        }
+        const version = view.getUint16(8, true);
+        if (version !== PATCH_VERSION) throw Error("Unsupported patch version " + version);
+        if (view.getUint32(bytes.length - 4, true) !== crc32(bytes.subarray(0, bytes.length - 4))) {
+            throw Error("Patch file is corrupted (checksum mismatch)");
+        }
+
+        const decoder = new TextDecoder();
+        const count = view.getUint32(20, true);
+        const records: PatchRecord[] = [];
+        let pos = PATCH_HEADER_SIZE;
+        for (let i = 0; i < count; i++) {
+            const op = PATCH_OPS[view.getUint8(pos)];
+            if (!op) throw Error("Unknown patch operation " + view.getUint8(pos));
+            const pathLength = view.getUint16(pos + 1, true);
+            const path = decoder.decode(bytes.subarray(pos + 3, pos + 3 + pathLength));
+            pos += 3 + pathLength;
+            if (op === 'remove') {
+                records.push({op, path});
+                continue;
+            }
+            const length = view.getUint32(pos, true);
+            records.push({op, path, data: bytes.slice(pos + 4, pos + 4 + length)});
+            pos += 4 + length;
+        }
+        return {baseSize: view.getUint32(12, true), baseChecksum: view.getUint32(16, true), records};
+    }
+
+    /**
+     * Prepare a damaged archive for a clean rewrite: drop files whose data can't be read
+     * and reset TOC types and path indices to consistent values. writeArchive() regenerates
+     * everything else (offsets, file headers, hash table, terminator).
+     */
+    repair(unreadable: string[]): boolean {
+        let changed = false;
+        for (const path of unreadable) {
+            changed = this.removeFile(path) || changed;
+        }
+        const pathIndices = this.archive.toc.map(entry => entry.pathIndex);
+        this.rebuildPathTable();
+        this.archive.toc.forEach((entry, i) => {
+            if (entry.pathIndex !== pathIndices[i]) changed = true;
+            if (entry.type !== DEFAULT_TOC_TYPE) {
+                entry.type = DEFAULT_TOC_TYPE;
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Check raw archive bytes against every rule in LGP_FORMAT_SPECIFICATION.md.
+     * Doesn't rely on the parser, so it also works on archives that fail to open.
+     */
+    static async verify(source: LGPReader, onProgress?: (current: number, total: number) => void): Promise<IntegrityReport> {
+        const size = source.size;
+        const issues: IntegrityIssue[] = [];
+        const unreadable: string[] = [];
+        let numFiles = 0;
+        const add = (severity: IntegrityIssue['severity'], section: IntegritySection, offset: number, message: string) => {
+            issues.push({severity, section, offset, message});
+        };
+        const report = (): IntegrityReport => ({size, numFiles, issues, unreadable});
+        const read = (offset: number, length: number) => source.read(offset, Math.max(0, Math.min(length, size - offset)));
+
+        // Header
+        if (size < HEADER_SIZE) {
+            add('error', 'header', 0, `Archive is only ${size} bytes, the header alone is ${HEADER_SIZE}`);
+            return report();
+        }
+        const header = await read(0, HEADER_SIZE);
+        const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        if (headerView.getUint16(0, true) !== 0) add('warning', 'header', 0, 'Reserved field is not 0');
+        const magic = String.fromCharCode(...header.subarray(2, 12));
+        if (magic !== DEFAULT_MAGIC) add('error', 'header', 2, `Magic is "${magic.replace(/\0/g, '')}", expected "${DEFAULT_MAGIC}"`);
+        numFiles = headerView.getUint16(12, true);
+        if (headerView.getUint16(14, true) !== 0) add('warning', 'header', 14, 'Reserved field is not 0');
+
+        const tocEnd = HEADER_SIZE + numFiles * TOC_ENTRY_SIZE;
+        const hashEnd = tocEnd + HASH_TABLE_SIZE;
+        if (hashEnd + 2 > size) {
+            add('error', 'toc', HEADER_SIZE, `TOC of ${numFiles} files and the hash table extend past the end of the archive`);
+            return report();
+        }
+        const meta = await read(0, hashEnd + 2);
+        const metaView = new DataView(meta.buffer, meta.byteOffset, meta.byteLength);
+
+        // TOC
+        const toc: {filename: string, offset: number, pathIndex: number, hash: number}[] = [];
+        for (let i = 0; i < numFiles; i++) {
+            const pos = HEADER_SIZE + i * TOC_ENTRY_SIZE;
+            const name = readFixedString(meta.subarray(pos, pos + 20));
+            let hash = -1;
+            if (!name.terminated) {
+                add('error', 'toc', pos, `Filename "${name.value}" is not null-terminated`);
+            }
+            if (name.value.length === 0) {
+                add('error', 'toc', pos, `TOC entry ${i} has an empty filename`);
+            } else {
+                try {
+                    hash = LGP.prototype.computeHash(name.value);
+                } catch (err) {
+                    add('error', 'toc', pos, `Filename "${name.value}" can't be hashed: ${(err as Error).message}`);
+                }
+            }
+            const type = metaView.getUint8(pos + 24);
+            if (type !== DEFAULT_TOC_TYPE) {
+                add('warning', 'toc', pos + 24, `File type of "${name.value}" is ${hex(type)}, expected ${hex(DEFAULT_TOC_TYPE)}`);
+            }
+            toc.push({
+                filename: name.value,
+                offset: metaView.getUint32(pos + 20, true),
+                pathIndex: metaView.getUint16(pos + 25, true),
+                hash,
+            });
+        }
+
+        // Hash table, must match what the TOC order produces
+        const expectedFirst = new Array(NUM_LOOKTAB_ENTRIES).fill(0);
+        const expectedCount = new Array(NUM_LOOKTAB_ENTRIES).fill(0);
+        const lastIndex = new Array(NUM_LOOKTAB_ENTRIES).fill(-1);
+        toc.forEach((entry, i) => {
+            if (entry.hash < 0 || entry.hash >= NUM_LOOKTAB_ENTRIES) return;
+            if (expectedFirst[entry.hash] === 0) expectedFirst[entry.hash] = i + 1;
+            expectedCount[entry.hash]++;
+            lastIndex[entry.hash] = i;
+        });
+        for (let h = 0; h < NUM_LOOKTAB_ENTRIES; h++) {
+            const pos = tocEnd + h * 4;
+            const first = metaView.getUint16(pos, true);
+            const count = metaView.getUint16(pos + 2, true);
+            if (count !== expectedCount[h]) {
+                add('error', 'hash', pos + 2, `Bucket ${h} lists ${count} files, the TOC has ${expectedCount[h]}`);
+            }
+            if (expectedCount[h] > 0 && first !== expectedFirst[h]) {
+                add('error', 'hash', pos, `Bucket ${h} starts at TOC entry ${first}, expected ${expectedFirst[h]}`);
+            } else if (expectedCount[h] === 0 && first !== 0) {
+                add('warning', 'hash', pos, `Empty bucket ${h} points to TOC entry ${first}`);
+            }
+            // Lookups scan count entries from the first one, so a bucket's files have to be contiguous
+            if (expectedCount[h] > 0 && lastIndex[h] - expectedFirst[h] + 2 !== expectedCount[h]) {
+                add('error', 'toc', HEADER_SIZE + (expectedFirst[h] - 1) * TOC_ENTRY_SIZE, `Files of hash bucket ${h} are not next to each other in the TOC, lookups will miss some of them`);
+            }
+        }
+
+        // Path table
+        let pos = hashEnd;
+        const numPathGroups = metaView.getUint16(pos, true);
+        pos += 2;
+        const folders = new Map<number, string>();
+        for (let g = 0; g < numPathGroups; g++) {
+            if (pos + 2 > size) {
+                add('error', 'path', pos, `Path table is truncated after ${g} of ${numPathGroups} groups`);
+                return report();
+            }
+            const countBytes = await read(pos, 2);
+            const numPaths = countBytes[0] | (countBytes[1] << 8);
+            pos += 2;
+            const group = await read(pos, numPaths * PATH_ENTRY_SIZE);
+            if (group.length < numPaths * PATH_ENTRY_SIZE) {
+                add('error', 'path', pos, `Path group ${g + 1} is truncated`);
+                return report();
+            }
+            let groupName: string | null = null;
+            for (let p = 0; p < numPaths; p++) {
+                const entryPos = pos + p * PATH_ENTRY_SIZE;
+                const bytes = group.subarray(p * PATH_ENTRY_SIZE, (p + 1) * PATH_ENTRY_SIZE);
+                const folder = readFixedString(bytes.subarray(0, 128));
+                const tocIndex = bytes[128] | (bytes[129] << 8);
+                if (!folder.terminated) {
+                    add('error', 'path', entryPos, `Path "${folder.value}" is longer than ${MAX_PATH_LENGTH} characters`);
+                }
+                if (tocIndex >= numFiles) {
+                    add('error', 'path', entryPos + 128, `Path "${folder.value}" points to TOC entry ${tocIndex}, the archive has ${numFiles} files`);
+                    continue;
+                }
+                const entry = toc[tocIndex];
+                if (entry.pathIndex !== g + 1) {
+                    add('error', 'path', entryPos + 128, `Path "${folder.value}" is in group ${g + 1} but "${entry.filename}" has path index ${entry.pathIndex}`);
+                } else {
+                    folders.set(tocIndex, folder.value);
+                }
+                groupName ??= entry.filename.toLowerCase();
+                if (entry.filename.toLowerCase() !== groupName) {
+                    add('warning', 'path', entryPos, `Path group ${g + 1} mixes "${groupName}" and "${entry.filename}"`);
+                }
+            }
+            pos += numPaths * PATH_ENTRY_SIZE;
+        }
+        const dataStart = pos;
+        toc.forEach((entry, i) => {
+            const entryPos = HEADER_SIZE + i * TOC_ENTRY_SIZE;
+            if (entry.pathIndex > numPathGroups) {
+                add('error', 'toc', entryPos + 25, `Path index ${entry.pathIndex} of "${entry.filename}" is out of range, there are ${numPathGroups} path groups`);
+            } else if (entry.pathIndex > 0 && !folders.has(i)) {
+                add('error', 'toc', entryPos + 25, `"${entry.filename}" has path index ${entry.pathIndex} but no path entry in that group`);
+            }
+        });
+
+        // File data
+        const hasTerminator = size >= dataStart + DEFAULT_TERMINATOR.length
+            && String.fromCharCode(...await read(size - DEFAULT_TERMINATOR.length, DEFAULT_TERMINATOR.length)) === DEFAULT_TERMINATOR;
+        const dataEnd = hasTerminator ? size - DEFAULT_TERMINATOR.length : size;
+        const extents: {start: number, end: number, path: string}[] = [];
+        for (let i = 0; i < toc.length; i++) {
+            const entry = toc[i];
+            const entryPos = HEADER_SIZE + i * TOC_ENTRY_SIZE;
+            const folder = folders.get(i);
+            const path = folder ? folder + '/' + entry.filename : entry.filename;
+            if (entry.offset < dataStart) {
+                add('error', 'toc', entryPos + 20, `Offset ${hex(entry.offset)} of "${entry.filename}" points into the archive metadata, file data starts at ${hex(dataStart)}`);
+                unreadable.push(path);
+            } else if (entry.offset + FILE_HEADER_SIZE > dataEnd) {
+                add('error', 'toc', entryPos + 20, `Offset ${hex(entry.offset)} of "${entry.filename}" is past the end of the file data`);
+                unreadable.push(path);
+            } else {
+                const fileHeader = await read(entry.offset, FILE_HEADER_SIZE);
+                const name = readFixedString(fileHeader.subarray(0, 20));
+                const filesize = new DataView(fileHeader.buffer, fileHeader.byteOffset).getUint32(20, true);
+                if (name.value.toLowerCase() !== entry.filename.toLowerCase()) {
+                    add('error', 'data', entry.offset, `File header name "${name.value}" doesn't match TOC name "${entry.filename}"`);
+                }
+                const end = entry.offset + FILE_HEADER_SIZE + filesize;
+                if (end > dataEnd) {
+                    add('error', 'data', entry.offset + 20, `"${entry.filename}" is ${filesize} bytes and runs past the end of the file data`);
+                    unreadable.push(path);
+                } else {
+                    extents.push({start: entry.offset, end, path});
+                }
+            }
+            if ((i + 1) % 200 === 0) onProgress?.(i + 1, toc.length);
+        }
+
+        extents.sort((a, b) => a.start - b.start || a.end - b.end);
+        let prev: {start: number, end: number, path: string} | null = null;
+        for (const extent of extents) {
+            const prevEnd = prev ? prev.end : dataStart;
+            if (prev && extent.start < prev.end) {
+                add('error', 'data', extent.start, `"${extent.path}" overlaps "${prev.path}"`);
+            } else if (extent.start > prevEnd) {
+                add('warning', 'data', prevEnd, `${extent.start - prevEnd} unused bytes before "${extent.path}"`);
+            }
+            if (!prev || extent.end > prev.end) prev = extent;
+        }
+
+        // Footer
+        if (!hasTerminator) {
+            add('error', 'footer', Math.max(0, size - DEFAULT_TERMINATOR.length), `Missing "${DEFAULT_TERMINATOR}" terminator`);
+        } else if (prev && prev.end < dataEnd) {
+            add('warning', 'footer', prev.end, `${dataEnd - prev.end} unused bytes before the terminator`);
+        }
+
+        onProgress?.(toc.length, toc.length);
+        return report();
+    }
+}
@@ -159,10 +159,10 @@ export class Lzss {
             dictionary.add(new Uint8Array([...primeData, ...data.slice(0, i)]));
         }
 
-        let out: number[] = [];
+        const out: number[] = [];
         let i = 0;
         while (i < data.length) {
-            let chunk: number[] = [];
+            const chunk: number[] = [];
             let flags = 0;
             for (let bit = 0; bit < 8; bit++) {
                 if (i >= data.length)
@@ -171,7 +171,7 @@ export class Lzss {
                 const found = dictionary.find(data.slice(i, i + MAX_REF_LEN));
                 if (found) {
                     const [offset, length] = found;
-                    chunk = chunk.concat([offset & 0xFF, (((offset >> 4) & 0xF0) | (length - MIN_REF_LEN))]);
+                    chunk.push(offset & 0xFF, ((offset >> 4) & 0xF0) | (length - MIN_REF_LEN));
                     for (let j = 0; j < length; j++) {
                         dictionary.add(data.slice(i + j, i + j + MAX_REF_LEN));
                     }
@@ -183,8 +183,8 @@ export class Lzss {
                     i += 1;
                 }
             }
-            out.push(flags);
-            out = out.concat(chunk);
+            // Appending in place, concatenating copies the whole output for every group
+            out.push(flags, ...chunk);
         }
 
         return Uint8Array.from(out);
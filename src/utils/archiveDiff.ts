@@ -0,0 +1,76 @@
+// Compare two archives file by file
+import type { LGP } from '../lgp';
+import type { ProgressCallback } from './hierarchy';
+import { hashArchiveFiles } from './workerService';
+
+export type DiffStatus = 'added' | 'removed' | 'changed' | 'unchanged';
+
+export interface ArchiveDiffEntry {
+  path: string;
+  filename: string;
+  status: DiffStatus;
+  // null when the file isn't in that archive
+  baseSize: number | null;
+  otherSize: number | null;
+  baseHash: number | null;
+  otherHash: number | null;
+}
+
+/**
+ * Diff two archives. Files are matched by their full path (case-insensitive) and
+ * count as changed when their size or CRC-32 differs. Paths are reported as they
+ * appear in the base archive, or the other one for added files.
+ */
+export async function compareArchives(
+  base: LGP,
+  other: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<ArchiveDiffEntry[]> {
+  const basePaths = base.archive.toc.map(entry => base.getFilePath(entry));
+  const otherPaths = other.archive.toc.map(entry => other.getFilePath(entry));
+  const otherByKey = new Map(otherPaths.map((path, i) => [path.toLowerCase(), i]));
+
+  const scale = basePaths.length + otherPaths.length;
+  const baseHashes = await hashArchiveFiles(base, basePaths, progress => onProgress?.({
+    ...progress,
+    total: scale,
+  }), signal);
+  const otherHashes = await hashArchiveFiles(other, otherPaths, progress => onProgress?.({
+    ...progress,
+    current: basePaths.length + progress.current,
+    total: scale,
+  }), signal);
+
+  const entries: ArchiveDiffEntry[] = [];
+  const matched = new Set<number>();
+  base.archive.toc.forEach((entry, i) => {
+    const path = basePaths[i];
+    const baseHash = baseHashes.get(path) ?? null;
+    const j = otherByKey.get(path.toLowerCase());
+    if (j === undefined) {
+      entries.push({ path, filename: entry.filename, status: 'removed', baseSize: entry.filesize, otherSize: null, baseHash, otherHash: null });
+      return;
+    }
+    matched.add(j);
+    const otherEntry = other.archive.toc[j];
+    const otherHash = otherHashes.get(otherPaths[j]) ?? null;
+    const same = entry.filesize === otherEntry.filesize && baseHash !== null && baseHash === otherHash;
+    entries.push({
+      path,
+      filename: entry.filename,
+      status: same ? 'unchanged' : 'changed',
+      baseSize: entry.filesize,
+      otherSize: otherEntry.filesize,
+      baseHash,
+      otherHash,
+    });
+  });
+  other.archive.toc.forEach((entry, j) => {
+    if (matched.has(j)) return;
+    const path = otherPaths[j];
+    entries.push({ path, filename: entry.filename, status: 'added', baseSize: null, otherSize: entry.filesize, baseHash: null, otherHash: otherHashes.get(path) ?? null });
+  });
+
+  return entries.sort((a, b) => a.path.localeCompare(b.path));
+}
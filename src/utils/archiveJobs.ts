@@ -0,0 +1,340 @@
+// Archive jobs that can run inside the archive worker (or inline when workers aren't available)
+import { LGP, createMemoryReader, type IntegrityReport, type LGPArchive } from '../lgp';
+import { Lzss } from '../lzss';
+import { FieldFile, findDialogReferences, type EncounterTable } from '../fieldfile';
+import { decodeText } from '../fftext';
+import { disassembleEntity } from '../fieldscript';
+import { buildHierarchy, type BuildProgress, type HierarchySource, type ProgressCallback } from './hierarchy';
+import { crc32 } from './checksum';
+import { layoutFieldMap, type FieldConnection } from './fieldMap';
+
+// A file's contents handed to a job, paths are only used to label results
+export interface SearchFile {
+  path: string;
+  data: Uint8Array;
+}
+
+export interface SearchHit {
+  path: string;
+  offset: number;
+  // Offset points into the LZSS-decompressed contents rather than the stored bytes
+  decompressed: boolean;
+}
+
+// One line of field dialog, for the archive-wide dialog index
+export interface DialogEntry {
+  path: string;
+  field: string; // Field name from the script header
+  dialogId: number;
+  speakers: string[]; // Entities whose scripts show this dialog
+  text: string;
+}
+
+// One read or write of a game variable by a field script, for the archive-wide variable index
+export interface VariableUsage {
+  path: string;
+  field: string; // Field name from the script header
+  entityIndex: number;
+  entityName: string;
+  slot: number; // Display slot of the script: 0 Init, 1 Main, N + 1 for Script N
+  offset: number; // Instruction offset within the script section
+  opcode: string;
+  bank: number;
+  address: number;
+  access: 'read' | 'write';
+}
+
+// A field's random battle settings, for the archive-wide encounter report
+export interface FieldEncounters {
+  path: string;
+  field: string; // File name, the field's name in maplist
+  tables: EncounterTable[];
+}
+
+export type ArchiveJob =
+  | { type: 'parse'; data: ArrayBuffer }
+  | { type: 'hierarchy'; toc: HierarchySource['archive']['toc']; files: Record<string, Uint8Array> }
+  | { type: 'decompressField'; data: Uint8Array }
+  | { type: 'compressField'; data: Uint8Array }
+  | { type: 'search'; files: SearchFile[]; pattern: Uint8Array; decompress: boolean; limit: number }
+  | { type: 'hash'; files: SearchFile[] }
+  | { type: 'dialogs'; files: SearchFile[] }
+  | { type: 'variables'; files: SearchFile[] }
+  | { type: 'fieldLinks'; files: SearchFile[] }
+  | { type: 'encounters'; files: SearchFile[] }
+  | { type: 'fieldMapLayout'; nodeCount: number; edges: [number, number][] }
+  | { type: 'write'; data: Uint8Array; archive: LGPArchive; modified: Record<string, Uint8Array> };
+
+export type WorkerRequest =
+  | { id: number; type: 'run'; job: ArchiveJob }
+  | { id: number; type: 'cancel' };
+
+export type WorkerResponse =
+  | { id: number; type: 'progress'; progress: BuildProgress }
+  | { id: number; type: 'result'; result: unknown }
+  | { id: number; type: 'error'; message: string; report?: IntegrityReport };
+
+export interface JobOutput {
+  result: unknown;
+  // Buffers handed back to the caller without copying
+  transfer: Transferable[];
+}
+
+// Let queued messages (such as cancellation) through between chunks of work
+const yieldToEventLoop = () => new Promise<void>(resolve => setTimeout(resolve, 0));
+
+// Offsets of every occurrence of pattern in data
+export function findPattern(data: Uint8Array, pattern: Uint8Array, limit = Infinity): number[] {
+  const hits: number[] = [];
+  if (pattern.length === 0) return hits;
+  const last = data.length - pattern.length;
+  let pos = data.indexOf(pattern[0]);
+  while (pos !== -1 && pos <= last && hits.length < limit) {
+    let i = 1;
+    while (i < pattern.length && data[pos + i] === pattern[i]) i++;
+    if (i === pattern.length) hits.push(pos);
+    pos = data.indexOf(pattern[0], pos + 1);
+  }
+  return hits;
+}
+
+// LZSS files used by the game start with the compressed size
+function isLzssCompressed(data: Uint8Array): boolean {
+  if (data.length < 8) return false;
+  const size = new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true);
+  return size === data.length - 4;
+}
+
+function searchFiles(job: Extract<ArchiveJob, { type: 'search' }>): SearchHit[] {
+  const hits: SearchHit[] = [];
+  for (const file of job.files) {
+    for (const offset of findPattern(file.data, job.pattern, job.limit - hits.length)) {
+      hits.push({ path: file.path, offset, decompressed: false });
+    }
+    if (job.decompress && isLzssCompressed(file.data) && hits.length < job.limit) {
+      try {
+        const raw = new Lzss().decompress(file.data.subarray(4));
+        for (const offset of findPattern(raw, job.pattern, job.limit - hits.length)) {
+          hits.push({ path: file.path, offset, decompressed: true });
+        }
+      } catch { /* not LZSS after all */ }
+    }
+    if (hits.length >= job.limit) break;
+  }
+  return hits;
+}
+
+// Decode the dialogs of each field file, skipping files that don't parse as fields
+function indexDialogs(job: Extract<ArchiveJob, { type: 'dialogs' }>): DialogEntry[] {
+  const entries: DialogEntry[] = [];
+  const decoder = new TextDecoder();
+  for (const file of job.files) {
+    let scriptSection;
+    try {
+      scriptSection = new FieldFile(file.data).getScriptSection();
+    } catch {
+      continue;
+    }
+    const refs = findDialogReferences(scriptSection);
+    const field = scriptSection.header.name || file.path;
+    for (const dialog of scriptSection.dialogs) {
+      let text: string;
+      try {
+        text = decoder.decode(decodeText(dialog.text));
+      } catch {
+        text = '';
+      }
+      const speakers = [...new Set(refs.filter(ref => ref.dialogId === dialog.index).map(ref => ref.entityName))];
+      entries.push({ path: file.path, field, dialogId: dialog.index, speakers, text });
+    }
+  }
+  return entries;
+}
+
+// Collect the variable operands of every script instruction. Destination operands are writes,
+// banked value operands (IF* comparisons, the source of SETBYTE, ...) are reads.
+// Skips files that don't parse as fields.
+function indexVariables(job: Extract<ArchiveJob, { type: 'variables' }>): VariableUsage[] {
+  const usages: VariableUsage[] = [];
+  for (const file of job.files) {
+    let scriptSection;
+    try {
+      scriptSection = new FieldFile(file.data).getScriptSection();
+    } catch {
+      continue;
+    }
+    const field = scriptSection.header.name || file.path;
+    scriptSection.entities.forEach((entity, entityIndex) => {
+      let listings;
+      try {
+        listings = disassembleEntity(scriptSection, entityIndex);
+      } catch {
+        return;
+      }
+      for (const listing of listings) {
+        for (const instruction of listing.instructions) {
+          for (const operand of instruction.operands) {
+            if (!operand.access) continue;
+            usages.push({
+              path: file.path,
+              field,
+              entityIndex,
+              entityName: entity.name,
+              slot: listing.slot,
+              offset: instruction.offset,
+              opcode: instruction.name,
+              bank: operand.bank,
+              address: operand.value,
+              access: operand.access,
+            });
+          }
+        }
+      }
+    });
+  }
+  return usages;
+}
+
+// Field exits of each field file: gateway destinations and MAPJUMP opcodes in its scripts.
+// Disabled gateways (field ID 0x7FFF) are left out, as are files that don't parse as fields.
+function findFieldLinks(job: Extract<ArchiveJob, { type: 'fieldLinks' }>): FieldConnection[] {
+  const connections: FieldConnection[] = [];
+  for (const file of job.files) {
+    let field;
+    try {
+      field = new FieldFile(file.data);
+    } catch {
+      continue;
+    }
+    const seen = new Set<string>();
+    const add = (fieldId: number, source: FieldConnection['source']) => {
+      const key = `${source}:${fieldId}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      connections.push({ path: file.path, fieldId, source });
+    };
+
+    try {
+      for (const gateway of field.getGateways()) {
+        if (gateway.fieldId !== 0x7FFF) add(gateway.fieldId, 'gateway');
+      }
+    } catch {
+      // No usable triggers section, the scripts may still jump elsewhere
+    }
+
+    let scriptSection;
+    try {
+      scriptSection = field.getScriptSection();
+    } catch {
+      continue;
+    }
+    for (let entityIndex = 0; entityIndex < scriptSection.entities.length; entityIndex++) {
+      let listings;
+      try {
+        listings = disassembleEntity(scriptSection, entityIndex);
+      } catch {
+        continue;
+      }
+      for (const listing of listings) {
+        for (const instruction of listing.instructions) {
+          if (instruction.name !== 'MAPJUMP') continue;
+          const target = instruction.operands.find(operand => operand.kind === 'field');
+          if (target) add(target.value, 'mapjump');
+        }
+      }
+    }
+  }
+  return connections;
+}
+
+// Encounter tables of each field file, skipping files that don't parse as fields
+function readEncounters(job: Extract<ArchiveJob, { type: 'encounters' }>): FieldEncounters[] {
+  const results: FieldEncounters[] = [];
+  for (const file of job.files) {
+    try {
+      const { tables } = new FieldFile(file.data).getEncounterSection();
+      results.push({ path: file.path, field: file.path.slice(file.path.lastIndexOf('/') + 1), tables });
+    } catch {
+      continue;
+    }
+  }
+  return results;
+}
+
+async function writeArchive(job: Extract<ArchiveJob, { type: 'write' }>, onProgress: ProgressCallback, signal: AbortSignal): Promise<ArrayBuffer> {
+  const lgp = new LGP(job.data, null, job.archive);
+  lgp.modified = job.modified;
+
+  const out = new Uint8Array(lgp.getSize());
+  let pos = 0;
+  await lgp.writeArchiveTo({
+    write: async (chunk) => {
+      out.set(chunk, pos);
+      pos += chunk.length;
+      await yieldToEventLoop();
+      signal.throwIfAborted();
+    },
+  }, (current, total) => onProgress({
+    phase: 'save',
+    current,
+    total,
+    message: `Writing archive (${current}/${total})`,
+  }));
+  if (pos !== out.length) throw new Error(`Archive size mismatch: expected ${out.length} bytes, wrote ${pos}`);
+  return out.buffer;
+}
+
+export async function runJob(job: ArchiveJob, onProgress: ProgressCallback, signal: AbortSignal): Promise<JobOutput> {
+  switch (job.type) {
+    case 'parse': {
+      onProgress({ phase: 'parse', current: 0, total: 1, message: 'Parsing archive' });
+      let lgp: LGP;
+      try {
+        lgp = new LGP(job.data);
+      } catch (err) {
+        // Attach a full integrity report so the caller can show what's wrong with the archive
+        (err as Error & { report?: IntegrityReport }).report = await LGP.verify(createMemoryReader(new Uint8Array(job.data)));
+        throw err;
+      }
+      return { result: { archive: lgp.archive, data: job.data }, transfer: [job.data] };
+    }
+    case 'hierarchy': {
+      const source: HierarchySource = {
+        archive: { toc: job.toc },
+        loadFile: async (name) => job.files[name.toLowerCase()] ?? null,
+      };
+      return { result: await buildHierarchy(source, onProgress, signal), transfer: [] };
+    }
+    case 'decompressField': {
+      const raw = new Lzss().decompress(job.data.subarray(4));
+      return { result: raw, transfer: [raw.buffer] };
+    }
+    case 'compressField': {
+      const compressed = new Lzss().compress(job.data);
+      const output = new Uint8Array(compressed.length + 4);
+      new DataView(output.buffer).setUint32(0, compressed.length, true);
+      output.set(compressed, 4);
+      return { result: output, transfer: [output.buffer] };
+    }
+    case 'search':
+      return { result: searchFiles(job), transfer: [] };
+    case 'hash':
+      return { result: job.files.map(file => crc32(file.data)), transfer: [] };
+    case 'dialogs':
+      return { result: indexDialogs(job), transfer: [] };
+    case 'variables':
+      return { result: indexVariables(job), transfer: [] };
+    case 'fieldLinks':
+      return { result: findFieldLinks(job), transfer: [] };
+    case 'encounters':
+      return { result: readEncounters(job), transfer: [] };
+    case 'fieldMapLayout': {
+      const positions = layoutFieldMap(job.nodeCount, job.edges);
+      return { result: positions, transfer: [positions.buffer] };
+    }
+    case 'write': {
+      const buffer = await writeArchive(job, onProgress, signal);
+      return { result: buffer, transfer: [buffer] };
+    }
+  }
+}
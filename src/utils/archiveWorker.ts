@@ -0,0 +1,38 @@
+// Web Worker entry point, runs archive jobs off the main thread
+import type { IntegrityReport } from '../lgp';
+import { runJob, type WorkerRequest, type WorkerResponse } from './archiveJobs';
+
+const running = new Map<number, AbortController>();
+
+function post(message: WorkerResponse, transfer: Transferable[] = []) {
+  self.postMessage(message, { transfer });
+}
+
+self.onmessage = async (e: MessageEvent<WorkerRequest>) => {
+  const request = e.data;
+  if (request.type === 'cancel') {
+    running.get(request.id)?.abort();
+    return;
+  }
+
+  const { id, job } = request;
+  const controller = new AbortController();
+  running.set(id, controller);
+  try {
+    const { result, transfer } = await runJob(
+      job,
+      progress => post({ id, type: 'progress', progress }),
+      controller.signal
+    );
+    post({ id, type: 'result', result }, transfer);
+  } catch (err) {
+    post({
+      id,
+      type: 'error',
+      message: err instanceof Error ? err.message : String(err),
+      report: (err as { report?: IntegrityReport }).report,
+    });
+  } finally {
+    running.delete(id);
+  }
+};
@@ -0,0 +1,92 @@
+// char.lgp, opened once per session for previewing the models a field loads
+import { useSyncExternalStore } from 'react';
+import { LGP } from '../lgp';
+import { openArchive } from './fileService';
+import { parseArchiveData } from './workerService';
+
+let archive: LGP | null = null;
+// Bumped whenever files become readable, so previews ask for them again
+let version = 0;
+const listeners = new Set<() => void>();
+const pendingLoads = new Set<string>();
+// Files that couldn't be read from the open archive, not tried again until another is opened
+const failedLoads = new Set<string>();
+
+function notify() {
+  version++;
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener: () => void): () => void {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 0 until char.lgp is open, then changes each time more of its files can be read
+export function useCharArchiveVersion(): number {
+  return useSyncExternalStore(subscribe, () => version);
+}
+
+export function isCharArchiveOpen(): boolean {
+  return archive !== null;
+}
+
+export function hasCharFile(name: string): boolean {
+  return !!archive && archive.findIndex(name) !== -1;
+}
+
+/**
+ * Read a file from char.lgp. Lazily opened archives return null for files not read yet,
+ * they are read in the background and listeners are notified once they're ready.
+ * `version` is the useCharArchiveVersion() value being rendered; it isn't read, passing it
+ * makes memos that depend on it ask again once more files are ready.
+ */
+export function getCharFile(name: string, version: number): Uint8Array | null {
+  if (!archive) return null;
+  const data = archive.getFile(name);
+  if (data || !archive.isLazy || archive.findIndex(name) === -1) return data;
+  if (pendingLoads.has(name) || failedLoads.has(name)) return null;
+
+  const opened = archive;
+  pendingLoads.add(name);
+  opened.loadFile(name).catch(err => {
+    console.error(`Error loading ${name} from char.lgp:`, err);
+    if (archive === opened) failedLoads.add(name);
+  }).finally(() => {
+    pendingLoads.delete(name);
+    if (pendingLoads.size === 0 && archive === opened) notify();
+  });
+  return null;
+}
+
+/**
+ * Ask for char.lgp and keep it open for the rest of the session.
+ * Returns false when the user cancels the file picker.
+ */
+export async function openCharArchive(): Promise<boolean> {
+  const result = await openArchive([{ name: 'char.lgp', extensions: ['lgp'] }]);
+  if (!result) return false;
+
+  let lgp: LGP;
+  if (result.reader) {
+    try {
+      lgp = await LGP.open(result.reader);
+    } catch (err) {
+      await result.reader.close();
+      throw err;
+    }
+  } else {
+    lgp = await parseArchiveData(result.data!);
+  }
+
+  if (!lgp.archive.toc.some(entry => entry.filename.toLowerCase().endsWith('.hrc'))) {
+    await lgp.close();
+    throw new Error(`${result.name} has no field skeletons, open char.lgp`);
+  }
+
+  await archive?.close();
+  archive = lgp;
+  failedLoads.clear();
+  notify();
+  return true;
+}
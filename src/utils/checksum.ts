@@ -0,0 +1,26 @@
+// CRC-32 (IEEE 802.3), used to tell file versions apart when comparing and patching archives
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Pass the previous result as crc to continue a checksum over data split into chunks
+export function crc32(data: Uint8Array, crc: number = 0): number {
+  crc = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function formatChecksum(value: number): string {
+  return value.toString(16).toUpperCase().padStart(8, '0');
+}
@@ -0,0 +1,67 @@
+// Cache of parsed FieldFile objects shared by the field previews
+import { FieldFile } from '../fieldfile';
+import { compressFieldData, decompressFieldData } from './workerService';
+
+const fieldFileCache = new Map<string, FieldFile>();
+const MAX_CACHE_SIZE = 10;
+
+function getCacheKey(data: Uint8Array): string {
+  // Sample multiple bytes throughout the data so files with the same length
+  // and boundaries don't collide
+  const len = data.length;
+  const samples = [
+    data[0],
+    data[Math.floor(len * 0.25)],
+    data[Math.floor(len * 0.5)],
+    data[Math.floor(len * 0.75)],
+    data[len - 1],
+  ];
+  return `${len}-${samples.join('-')}`;
+}
+
+function addToCache(key: string, fieldFile: FieldFile): void {
+  if (fieldFileCache.size >= MAX_CACHE_SIZE) {
+    const firstKey = fieldFileCache.keys().next().value!;
+    fieldFileCache.delete(firstKey);
+  }
+  fieldFileCache.set(key, fieldFile);
+}
+
+// Get a parsed field file, decompressing it on the spot if it isn't cached
+export function getFieldFileCached(data: Uint8Array): FieldFile {
+  const key = getCacheKey(data);
+  const cached = fieldFileCache.get(key);
+  if (cached) {
+    // Move to the end so it's evicted last
+    fieldFileCache.delete(key);
+    fieldFileCache.set(key, cached);
+    return cached;
+  }
+
+  const fieldFile = new FieldFile(data);
+  addToCache(key, fieldFile);
+  return fieldFile;
+}
+
+/**
+ * Decompress a field file in the worker and cache the result, so a preview opened
+ * afterwards doesn't block on LZSS decompression. Parse errors are left for the preview to report.
+ */
+export async function preloadFieldFile(data: Uint8Array, signal?: AbortSignal): Promise<void> {
+  const key = getCacheKey(data);
+  if (fieldFileCache.has(key)) return;
+  try {
+    const raw = await decompressFieldData(data, signal);
+    if (!fieldFileCache.has(key)) addToCache(key, new FieldFile(data, raw));
+  } catch { /* the preview parses it again and shows the error */ }
+}
+
+/**
+ * Compress edited field data in the worker and cache the result under the new file
+ * contents, so the preview of the saved file doesn't decompress it all over again.
+ */
+export async function compressFieldFile(raw: Uint8Array, signal?: AbortSignal): Promise<Uint8Array> {
+  const data = await compressFieldData(raw, signal);
+  addToCache(getCacheKey(data), new FieldFile(data, raw));
+  return data;
+}
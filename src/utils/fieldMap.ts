@@ -0,0 +1,188 @@
+// Field-to-field connectivity of flevel.lgp, built from gateways and MAPJUMP opcodes.
+// Field IDs are indexes into the maplist file, which names every field of the game.
+
+export type FieldExitSource = 'gateway' | 'mapjump';
+
+// A field exit found in a field's gateways or scripts
+export interface FieldConnection {
+  path: string; // Field the exit leaves from
+  fieldId: number; // Destination field ID
+  source: FieldExitSource;
+}
+
+export interface FieldMapNode {
+  id: number; // Field ID, -1 for field files missing from maplist
+  name: string;
+  path: string | null; // Field file in the archive, null for IDs without one (such as world map entries)
+  x: number;
+  y: number;
+}
+
+export interface FieldMapEdge {
+  from: number; // Node indexes
+  to: number;
+  sources: FieldExitSource[];
+}
+
+export interface FieldMap {
+  nodes: FieldMapNode[];
+  edges: FieldMapEdge[];
+}
+
+const MAP_NAME_SIZE = 32;
+
+/**
+ * Parse maplist: a u16 count followed by 32-byte, zero padded field names in field ID order.
+ */
+export function parseMapList(data: Uint8Array): string[] {
+  if (data.length < 2) throw new Error('maplist is too short');
+  const count = data[0] | (data[1] << 8);
+  if (2 + count * MAP_NAME_SIZE > data.length) {
+    throw new Error(`maplist lists ${count} fields but holds only ${Math.floor((data.length - 2) / MAP_NAME_SIZE)}`);
+  }
+
+  const names: string[] = [];
+  for (let i = 0; i < count; i++) {
+    const start = 2 + i * MAP_NAME_SIZE;
+    let end = start;
+    while (end < start + MAP_NAME_SIZE && data[end] !== 0) end++;
+    names.push(String.fromCharCode(...data.subarray(start, end)));
+  }
+  return names;
+}
+
+/**
+ * Join field files and their exits into a graph. Field files named in maplist get a node, other
+ * files only when they have exits. Destinations without a file (world map entries) get one too.
+ * Nodes are left at the origin, see layoutFieldMap.
+ */
+export function buildFieldMap(names: string[], fieldPaths: string[], connections: FieldConnection[]): FieldMap {
+  const nodes: FieldMapNode[] = [];
+  const nodeById = new Map<number, number>();
+  const nodeByPath = new Map<string, number>();
+  const idByName = new Map(names.map((name, id) => [name.toLowerCase(), id]));
+
+  const addNode = (id: number, name: string, path: string | null) => {
+    nodes.push({ id, name, path, x: 0, y: 0 });
+    if (id >= 0) nodeById.set(id, nodes.length - 1);
+    if (path) nodeByPath.set(path, nodes.length - 1);
+    return nodes.length - 1;
+  };
+
+  const exitPaths = new Set(connections.map(connection => connection.path));
+  for (const path of fieldPaths) {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    const id = idByName.get(name.toLowerCase());
+    if (id === undefined) {
+      if (exitPaths.has(path)) addNode(-1, name, path);
+    } else if (!nodeById.has(id)) {
+      addNode(id, names[id], path); // The same field in two folders keeps the first
+    }
+  }
+
+  const edges = new Map<string, FieldMapEdge>();
+  for (const connection of connections) {
+    const from = nodeByPath.get(connection.path);
+    if (from === undefined) continue;
+    let to = nodeById.get(connection.fieldId);
+    if (to === undefined) to = addNode(connection.fieldId, names[connection.fieldId] ?? `#${connection.fieldId}`, null);
+    if (to === from) continue;
+
+    const key = `${from}:${to}`;
+    const edge = edges.get(key);
+    if (!edge) edges.set(key, { from, to, sources: [connection.source] });
+    else if (!edge.sources.includes(connection.source)) edge.sources.push(connection.source);
+  }
+
+  return { nodes, edges: [...edges.values()] };
+}
+
+const EDGE_LENGTH = 30; // Preferred distance between connected fields, in layout units
+const LAYOUT_ITERATIONS = 300;
+const GRAVITY = 0.02; // Pull towards the center that keeps unconnected groups of fields nearby
+
+/**
+ * Force-directed layout (Fruchterman-Reingold). Repulsion only applies between nodes closer
+ * than twice the edge length, found through a grid, so large maps stay fast.
+ * Returns x, y pairs by node index. The result only depends on the input.
+ */
+export function layoutFieldMap(nodeCount: number, edges: [number, number][]): Float32Array {
+  const positions = new Float32Array(nodeCount * 2);
+  const displacement = new Float32Array(nodeCount * 2);
+  const cellSize = EDGE_LENGTH * 2;
+  const k2 = EDGE_LENGTH * EDGE_LENGTH;
+
+  // Start on a spiral so no two nodes share a position
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < nodeCount; i++) {
+    const radius = EDGE_LENGTH * Math.sqrt(i + 1);
+    positions[i * 2] = Math.cos(i * goldenAngle) * radius;
+    positions[i * 2 + 1] = Math.sin(i * goldenAngle) * radius;
+  }
+
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    const temperature = EDGE_LENGTH * 4 * (1 - iteration / LAYOUT_ITERATIONS) + 0.5;
+    displacement.fill(0);
+
+    const grid = new Map<number, number[]>();
+    const cellKey = (cx: number, cy: number) => (cx + 0x8000) * 0x10000 + (cy + 0x8000);
+    for (let i = 0; i < nodeCount; i++) {
+      const key = cellKey(Math.floor(positions[i * 2] / cellSize), Math.floor(positions[i * 2 + 1] / cellSize));
+      const cell = grid.get(key);
+      if (cell) cell.push(i);
+      else grid.set(key, [i]);
+    }
+
+    for (let i = 0; i < nodeCount; i++) {
+      const x = positions[i * 2];
+      const y = positions[i * 2 + 1];
+      const cx = Math.floor(x / cellSize);
+      const cy = Math.floor(y / cellSize);
+      for (let ox = -1; ox <= 1; ox++) {
+        for (let oy = -1; oy <= 1; oy++) {
+          for (const j of grid.get(cellKey(cx + ox, cy + oy)) ?? []) {
+            if (j <= i) continue;
+            let dx = x - positions[j * 2];
+            let dy = y - positions[j * 2 + 1];
+            let d2 = dx * dx + dy * dy;
+            if (d2 >= cellSize * cellSize) continue;
+            if (d2 < 0.01) {
+              // Nudge overlapping nodes apart in a direction that depends on their indexes
+              dx = Math.cos(i + j);
+              dy = Math.sin(i + j);
+              d2 = 1;
+            }
+            const force = k2 / d2; // k² / d, applied to the unit vector (dx, dy) / d
+            displacement[i * 2] += dx * force;
+            displacement[i * 2 + 1] += dy * force;
+            displacement[j * 2] -= dx * force;
+            displacement[j * 2 + 1] -= dy * force;
+          }
+        }
+      }
+    }
+
+    for (const [a, b] of edges) {
+      const dx = positions[a * 2] - positions[b * 2];
+      const dy = positions[a * 2 + 1] - positions[b * 2 + 1];
+      const d = Math.sqrt(dx * dx + dy * dy);
+      const force = d / EDGE_LENGTH; // d² / k, applied to the unit vector (dx, dy) / d
+      displacement[a * 2] -= dx * force;
+      displacement[a * 2 + 1] -= dy * force;
+      displacement[b * 2] += dx * force;
+      displacement[b * 2 + 1] += dy * force;
+    }
+
+    for (let i = 0; i < nodeCount; i++) {
+      const dx = displacement[i * 2] - positions[i * 2] * GRAVITY;
+      const dy = displacement[i * 2 + 1] - positions[i * 2 + 1] * GRAVITY;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d === 0) continue;
+      const step = Math.min(d, temperature) / d;
+      positions[i * 2] += dx * step;
+      positions[i * 2 + 1] += dy * step;
+    }
+  }
+
+  return positions;
+}
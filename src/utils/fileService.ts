@@ -4,6 +4,9 @@
  */
 
 import { isTauri } from './platform'
+import type { LGP, LGPReader, LGPWriter } from '../lgp'
+import type { ProgressCallback } from './hierarchy'
+import { writeArchiveData } from './workerService'
 
 // Lazy-loaded Tauri modules (avoid import errors on web)
 let tauriDialog: typeof import('@tauri-apps/plugin-dialog') | null = null
@@ -34,6 +37,13 @@ export interface FileOpenResult {
   path?: string // Only available in Tauri
 }
 
+export interface ArchiveOpenResult {
+  name: string
+  data?: Uint8Array // Whole archive, web only
+  reader?: LGPReader // Random access to the archive on disk, Tauri only
+  path?: string // Only available in Tauri
+}
+
 export interface FileSaveOptions {
   defaultName?: string
   filters?: FileFilter[]
@@ -84,6 +94,119 @@ export async function openFile(
   }
 }
 
+/**
+ * Open a file on disk for random access reads (Tauri only)
+ * Reads are queued so concurrent callers don't interleave seeks
+ */
+async function createFileReader(path: string): Promise<LGPReader> {
+  const fs = await getTauriFs()
+  const file = await fs.open(path, { read: true })
+  const { size } = await file.stat()
+  let queue: Promise<unknown> = Promise.resolve()
+
+  const read = (offset: number, length: number): Promise<Uint8Array> => {
+    const task = queue.then(async () => {
+      await file.seek(offset, fs.SeekMode.Start)
+      const buffer = new Uint8Array(length)
+      let pos = 0
+      while (pos < length) {
+        const bytesRead = await file.read(buffer.subarray(pos))
+        if (!bytesRead) break
+        pos += bytesRead
+      }
+      if (pos < length) {
+        throw new Error(`Unexpected end of file at offset ${offset + pos}`)
+      }
+      return buffer
+    })
+    queue = task.catch(() => {})
+    return task
+  }
+
+  return { size, read, close: () => file.close() }
+}
+
+/**
+ * Open an LGP archive
+ * On Tauri only a reader is returned so the archive can be loaded lazily
+ * On web the whole file is read into memory
+ */
+export async function openArchive(
+  filters?: FileFilter[]
+): Promise<ArchiveOpenResult | null> {
+  if (isTauri()) {
+    const dialog = await getTauriDialog()
+
+    const path = await dialog.open({
+      multiple: false,
+      filters: filters || [{ name: 'LGP Archive', extensions: ['lgp'] }],
+    })
+
+    if (!path || Array.isArray(path)) return null
+
+    const reader = await createFileReader(path)
+    const name = path.split(/[/\\]/).pop() || 'archive.lgp'
+
+    return { name, reader, path }
+  }
+  return openFile(filters)
+}
+
+/**
+ * Save an LGP archive
+ * On Tauri the archive is streamed to a temporary file next to the target, which then
+ * replaces it, so a lazy archive can be saved over the file it's still reading from
+ * Aborting the signal stops the save, a partially written file is removed
+ */
+export async function saveArchive(
+  lgp: LGP,
+  options?: FileSaveOptions,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<boolean> {
+  if (isTauri()) {
+    const dialog = await getTauriDialog()
+    const fs = await getTauriFs()
+
+    const path = await dialog.save({
+      defaultPath: options?.defaultName,
+      filters: options?.filters || [
+        { name: 'LGP Archive', extensions: ['lgp'] },
+      ],
+    })
+
+    if (!path) return false
+
+    const tempPath = `${path}.saving`
+    const file = await fs.open(tempPath, { write: true, create: true, truncate: true })
+    const writer: LGPWriter = {
+      write: async (data) => {
+        signal?.throwIfAborted()
+        let pos = 0
+        while (pos < data.length) {
+          pos += await file.write(data.subarray(pos))
+        }
+      },
+    }
+    try {
+      await lgp.writeArchiveTo(writer, (current, total) => onProgress?.({
+        phase: 'save',
+        current,
+        total,
+        message: `Saving archive (${current}/${total})`,
+      }))
+    } catch (err) {
+      await file.close()
+      await fs.remove(tempPath)
+      throw err
+    }
+    await file.close()
+    await fs.rename(tempPath, path)
+    return true
+  }
+  return saveFile(await writeArchiveData(lgp, onProgress, signal), options)
+}
+
 /**
  * Save a file using native dialog (Tauri) or download (web)
  */
@@ -187,21 +310,154 @@ export async function extractMultipleFiles(
     return true
   } else {
     // Web: use JSZip
-    const JSZip = (await import('jszip')).default
-    const zip = new JSZip()
+    await downloadZip(
+      files.map((file) => ({ path: file.filename, data: file.data })),
+      `${archiveName.replace('.lgp', '')}_extract.zip`
+    )
+    return true
+  }
+}
 
+/**
+ * Bundle files into a ZIP and download it (web only)
+ * Paths may contain '/' to create folders inside the ZIP
+ */
+async function downloadZip(
+  files: Array<{ path: string; data: Uint8Array }>,
+  zipName: string
+): Promise<void> {
+  const JSZip = (await import('jszip')).default
+  const zip = new JSZip()
+
+  for (const file of files) {
+    zip.file(file.path, file.data)
+  }
+
+  const zipBlob = await zip.generateAsync({ type: 'blob' })
+  const url = URL.createObjectURL(zipBlob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = zipName
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Write files into a new folder, keeping their relative paths
+ * On Tauri: native folder picker, the folder is created inside the picked one
+ * On web: JSZip + download, with the folder at the root of the ZIP
+ */
+export async function saveFolder(
+  files: Array<{ path: string; data: Uint8Array }>,
+  folderName: string
+): Promise<boolean> {
+  if (isTauri()) {
+    const dialog = await getTauriDialog()
+    const fs = await getTauriFs()
+
+    const parent = await dialog.open({
+      directory: true,
+      title: 'Select destination folder',
+    })
+
+    if (!parent || Array.isArray(parent)) return false
+
+    const root = `${parent}/${folderName}`
+    const created = new Set<string>()
     for (const file of files) {
-      zip.file(file.filename, file.data)
+      const filePath = `${root}/${file.path}`
+      const dir = filePath.slice(0, filePath.lastIndexOf('/'))
+      if (!created.has(dir)) {
+        await fs.mkdir(dir, { recursive: true })
+        created.add(dir)
+      }
+      await fs.writeFile(filePath, file.data)
     }
 
-    const zipBlob = await zip.generateAsync({ type: 'blob' })
-    const url = URL.createObjectURL(zipBlob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `${archiveName.replace('.lgp', '')}_extract.zip`
-    a.click()
-    URL.revokeObjectURL(url)
     return true
+  } else {
+    await downloadZip(
+      files.map((file) => ({ path: `${folderName}/${file.path}`, data: file.data })),
+      `${folderName}.zip`
+    )
+    return true
+  }
+}
+
+// Whether a top-level entry of the picked folder should be read, see openFolder
+function getFolderFilter(name: string, onlyFolder?: string) {
+  const wanted = onlyFolder?.toLowerCase()
+  if (!wanted || name.toLowerCase() === wanted) return () => true
+  return (entry: string, isDirectory: boolean) => isDirectory && entry.toLowerCase() === wanted
+}
+
+/**
+ * Pick a folder and read every file inside it, recursively
+ * Paths are relative to the picked folder and '/' separated
+ * With onlyFolder set, only files under that subfolder are read, unless the picked
+ * folder is that folder itself (names compare case-insensitively)
+ */
+export async function openFolder(onlyFolder?: string): Promise<{
+  name: string
+  files: Array<{ path: string; data: Uint8Array }>
+} | null> {
+  if (isTauri()) {
+    const dialog = await getTauriDialog()
+    const fs = await getTauriFs()
+
+    const root = await dialog.open({
+      directory: true,
+      title: 'Select mod folder',
+    })
+
+    if (!root || Array.isArray(root)) return null
+    const name = root.split(/[/\\]/).filter(Boolean).pop() || 'folder'
+    const include = getFolderFilter(name, onlyFolder)
+
+    const files: Array<{ path: string; data: Uint8Array }> = []
+    const walk = async (dir: string, prefix: string) => {
+      for (const entry of await fs.readDir(dir)) {
+        const entryPath = `${dir}/${entry.name}`
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name
+        if (!prefix && !include(relative, entry.isDirectory)) continue
+        if (entry.isDirectory) {
+          await walk(entryPath, relative)
+        } else if (entry.isFile) {
+          files.push({ path: relative, data: await fs.readFile(entryPath) })
+        }
+      }
+    }
+    await walk(root, '')
+
+    return { name, files }
+  } else {
+    return new Promise((resolve) => {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.webkitdirectory = true
+      input.onchange = async (e) => {
+        const selected = (e.target as HTMLInputElement).files
+        if (!selected || selected.length === 0) {
+          resolve(null)
+          return
+        }
+
+        // webkitRelativePath starts with the picked folder's name
+        const files: Array<{ path: string; data: Uint8Array }> = []
+        const name = selected[0].webkitRelativePath.split('/')[0] || 'folder'
+        const include = getFolderFilter(name, onlyFolder)
+        for (const file of Array.from(selected)) {
+          const parts = file.webkitRelativePath.split('/')
+          if (!include(parts[1], parts.length > 2)) continue
+          files.push({
+            path: parts.slice(1).join('/'),
+            data: new Uint8Array(await file.arrayBuffer()),
+          })
+        }
+        resolve({ name, files })
+      }
+      input.click()
+    })
   }
 }
 
@@ -146,6 +146,31 @@ export function getFileType(filename: string): string {
   return extensionMap[ext] || 'Unknown';
 }
 
+export type PreviewType = 'tex' | 'p' | 'skeleton' | 'hrc' | 'rsd' | 'field';
+
+// Which specialised preview a file gets, or null if it's only viewable as hex
+export function getPreviewType(filename: string): PreviewType | null {
+  if (filename.toLowerCase().endsWith('.tex') || isBattleTexFile(filename) || isMagicTextureFile(filename)) return 'tex';
+  if (isPModelFile(filename)) return 'p';
+  if (isBattleSkeletonFile(filename) || isMagicSkeletonFile(filename)) return 'skeleton';
+  if (isHRCFile(filename)) return 'hrc';
+  if (isRSDFile(filename)) return 'rsd';
+  if (isFieldFile(filename)) return 'field';
+  return null;
+}
+
+export function getPreviewTypeName(filename: string): string {
+  switch (getPreviewType(filename)) {
+    case 'tex': return 'TEX Image';
+    case 'p': return '3D Model';
+    case 'skeleton': return isMagicSkeletonFile(filename) ? 'Magic Skeleton' : 'Battle Skeleton';
+    case 'hrc': return 'Field Skeleton';
+    case 'rsd': return 'Resource Definition';
+    case 'field': return 'Field';
+    default: return 'Hex View';
+  }
+}
+
 export function formatFileSize(bytes: number): string {
   if (bytes === 0) return '0 B';
   
@@ -0,0 +1,81 @@
+// The game's dialog font, read from menu_us.lgp once per session and shared by every dialog preview
+import { useSyncExternalStore } from 'react';
+import { LGP } from '../lgp';
+import { TexFile } from '../texfile';
+import { openArchive } from './fileService';
+import { parseArchiveData } from './workerService';
+
+const FONT_FILES = ['usfont_a_h.tex', 'usfont_a_l.tex']; // High resolution first
+const GLYPHS_PER_ROW = 21;
+const GLYPH_SIZE = 12; // Glyph cell size in game pixels
+
+export interface GameFont {
+  pixels: Uint8Array; // RGBA, from TexFile.getPixels
+  width: number;
+  height: number;
+  cellSize: number; // Texture pixels per glyph cell
+  scale: number; // Texture pixels per game pixel
+}
+
+let font: GameFont | null = null;
+const listeners = new Set<() => void>();
+
+function subscribe(listener: () => void): () => void {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useGameFont(): GameFont | null {
+  return useSyncExternalStore(subscribe, () => font);
+}
+
+// Source rectangle of a character code's glyph in the font texture
+export function getGlyphRect(font: GameFont, code: number): { x: number; y: number; size: number } {
+  return {
+    x: (code % GLYPHS_PER_ROW) * font.cellSize,
+    y: Math.floor(code / GLYPHS_PER_ROW) * font.cellSize,
+    size: font.cellSize,
+  };
+}
+
+/**
+ * Ask for menu_us.lgp and load the font texture from it.
+ * Returns false when the user cancels the file picker.
+ */
+export async function loadGameFont(): Promise<boolean> {
+  const result = await openArchive([{ name: 'menu_us.lgp', extensions: ['lgp'] }]);
+  if (!result) return false;
+
+  let lgp: LGP;
+  if (result.reader) {
+    try {
+      lgp = await LGP.open(result.reader);
+    } catch (err) {
+      await result.reader.close();
+      throw err;
+    }
+  } else {
+    lgp = await parseArchiveData(result.data!);
+  }
+
+  try {
+    for (const name of FONT_FILES) {
+      const data = await lgp.loadFile(name);
+      if (!data) continue;
+      const tex = new TexFile(data);
+      const cellSize = Math.floor(tex.data.width / GLYPHS_PER_ROW);
+      font = {
+        pixels: tex.getPixels(0),
+        width: tex.data.width,
+        height: tex.data.height,
+        cellSize,
+        scale: cellSize / GLYPH_SIZE,
+      };
+      listeners.forEach(listener => listener());
+      return true;
+    }
+  } finally {
+    await lgp.close();
+  }
+  throw new Error(`${result.name} has no font texture, open menu_us.lgp`);
+}
@@ -6,7 +6,6 @@ import { isBattleSkeletonFile, isMagicSkeletonFile } from './fileTypes';
 import modelAnimations from '../assets/model-animations.json';
 import charNames from '../assets/char-names.json';
 import battleNames from '../assets/battle-names.json';
-import type { LGP } from '../lgp';
 
 // Get display name for a file based on archive type
 function getDisplayName(filename: string, archiveType: string | null): string | null {
@@ -37,7 +36,7 @@ export interface FlatHierarchyItem {
 }
 
 export interface BuildProgress {
-  phase: 'hrc' | 'rsd' | 'skeleton' | 'building';
+  phase: 'hrc' | 'rsd' | 'skeleton' | 'building' | 'loading' | 'parse' | 'decompress' | 'search' | 'hash' | 'dialogs' | 'variables' | 'fieldMap' | 'encounters' | 'save';
   current: number;
   total: number;
   message: string;
@@ -45,6 +44,12 @@ export interface BuildProgress {
 
 export type ProgressCallback = (progress: BuildProgress) => void;
 
+// What the builders need from an archive, satisfied by LGP and by the worker's file set
+export interface HierarchySource {
+  archive: { toc: { filename: string; filesize: number }[] };
+  loadFile(name: string): Promise<Uint8Array | null>;
+}
+
 // Detect if archive uses battle naming conventions (4-letter files with *aa skeletons)
 export function isBattleArchive(filenames: string[]): boolean {
   const battlePattern = /^[a-z]{4}$/i;
@@ -70,7 +75,7 @@ const yieldToMain = () => new Promise<void>(resolve => {
 });
 
 // Build hierarchy for field archives (HRC → RSD → P/TEX)
-export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallback): Promise<HierarchyNode[]> {
+export async function buildFieldHierarchy(lgp: HierarchySource, onProgress?: ProgressCallback, signal?: AbortSignal): Promise<HierarchyNode[]> {
   const toc = lgp.archive.toc;
   const fileMap = new Map(
     toc.map((e, i) => [e.filename.toLowerCase(), { ...e, tocIndex: i }])
@@ -86,7 +91,7 @@ export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallbac
   for (let i = 0; i < hrcFiles.length; i++) {
     const entry = hrcFiles[i];
     try {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (data) {
         const tocEntry = fileMap.get(entry.filename.toLowerCase())!;
         parsedHRCs.set(entry.filename.toLowerCase(), {
@@ -105,6 +110,7 @@ export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallbac
         message: `Parsing HRC files (${i + 1}/${hrcFiles.length})`,
       });
       await yieldToMain();
+      signal?.throwIfAborted();
     }
   }
 
@@ -115,7 +121,7 @@ export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallbac
   for (let i = 0; i < rsdFiles.length; i++) {
     const entry = rsdFiles[i];
     try {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (data) {
         const tocEntry = fileMap.get(entry.filename.toLowerCase())!;
         parsedRSDs.set(entry.filename.toLowerCase(), {
@@ -134,6 +140,7 @@ export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallbac
         message: `Parsing RSD files (${i + 1}/${rsdFiles.length})`,
       });
       await yieldToMain();
+      signal?.throwIfAborted();
     }
   }
 
@@ -274,7 +281,7 @@ export async function buildFieldHierarchy(lgp: LGP, onProgress?: ProgressCallbac
 }
 
 // Build hierarchy for battle archives (Skeleton → Models/Textures/Animations)
-export async function buildBattleHierarchy(lgp: LGP, onProgress?: ProgressCallback): Promise<HierarchyNode[]> {
+export async function buildBattleHierarchy(lgp: HierarchySource, onProgress?: ProgressCallback, signal?: AbortSignal): Promise<HierarchyNode[]> {
   const toc = lgp.archive.toc;
   const fileMap = new Map(
     toc.map((e, i) => [e.filename.toLowerCase(), { ...e, tocIndex: i }])
@@ -289,7 +296,7 @@ export async function buildBattleHierarchy(lgp: LGP, onProgress?: ProgressCallba
   for (let i = 0; i < skeletonFiles.length; i++) {
     const entry = skeletonFiles[i];
     try {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (!data) continue;
 
       const skeleton = new SkeletonFile(data);
@@ -334,6 +341,7 @@ export async function buildBattleHierarchy(lgp: LGP, onProgress?: ProgressCallba
         message: `Parsing skeleton files (${i + 1}/${skeletonFiles.length})`,
       });
       await yieldToMain();
+      signal?.throwIfAborted();
     }
   }
 
@@ -361,7 +369,7 @@ export async function buildBattleHierarchy(lgp: LGP, onProgress?: ProgressCallba
 }
 
 // Build hierarchy for magic.lgp model archives (*.d Skeleton → *.pXX, *.tXX, *.aXX + RSD → P/TEX)
-export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCallback): Promise<HierarchyNode[]> {
+export async function buildMagicModelHierarchy(lgp: HierarchySource, onProgress?: ProgressCallback, signal?: AbortSignal): Promise<HierarchyNode[]> {
   const toc = lgp.archive.toc;
   const fileMap = new Map(
     toc.map((e, i) => [e.filename.toLowerCase(), { ...e, tocIndex: i }])
@@ -376,7 +384,7 @@ export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCa
   for (let i = 0; i < skeletonFiles.length; i++) {
     const entry = skeletonFiles[i];
     try {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (!data) continue;
 
       const skeleton = new SkeletonFile(data);
@@ -422,6 +430,7 @@ export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCa
         message: `Parsing magic skeleton files (${i + 1}/${skeletonFiles.length})`,
       });
       await yieldToMain();
+      signal?.throwIfAborted();
     }
   }
 
@@ -432,7 +441,7 @@ export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCa
   for (let i = 0; i < rsdFiles.length; i++) {
     const entry = rsdFiles[i];
     try {
-      const data = lgp.getFile(entry.filename);
+      const data = await lgp.loadFile(entry.filename);
       if (data) {
         const tocEntry = fileMap.get(entry.filename.toLowerCase())!;
         parsedRSDs.set(entry.filename.toLowerCase(), {
@@ -451,6 +460,7 @@ export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCa
         message: `Parsing RSD files (${i + 1}/${rsdFiles.length})`,
       });
       await yieldToMain();
+      signal?.throwIfAborted();
     }
   }
 
@@ -523,16 +533,27 @@ export async function buildMagicModelHierarchy(lgp: LGP, onProgress?: ProgressCa
 }
 
 // Build hierarchy (auto-detect archive type)
-export async function buildHierarchy(lgp: LGP, onProgress?: ProgressCallback): Promise<HierarchyNode[]> {
+export async function buildHierarchy(lgp: HierarchySource, onProgress?: ProgressCallback, signal?: AbortSignal): Promise<HierarchyNode[]> {
   const filenames = lgp.archive.toc.map(e => e.filename);
 
   if (isMagicModelArchive(filenames)) {
-    return buildMagicModelHierarchy(lgp, onProgress);
+    return buildMagicModelHierarchy(lgp, onProgress, signal);
+  }
+  if (isBattleArchive(filenames)) {
+    return buildBattleHierarchy(lgp, onProgress, signal);
+  }
+  return buildFieldHierarchy(lgp, onProgress, signal);
+}
+
+// Files buildHierarchy() will read, so they can be collected up front and handed to a worker
+export function getHierarchySourceFiles(filenames: string[]): string[] {
+  if (isMagicModelArchive(filenames)) {
+    return filenames.filter(f => isMagicSkeletonFile(f) || f.toLowerCase().endsWith('.rsd'));
   }
   if (isBattleArchive(filenames)) {
-    return buildBattleHierarchy(lgp, onProgress);
+    return filenames.filter(f => isBattleSkeletonFile(f));
   }
-  return buildFieldHierarchy(lgp, onProgress);
+  return filenames.filter(f => /\.(hrc|rsd)$/i.test(f));
 }
 
 // Flatten tree for virtual scrolling
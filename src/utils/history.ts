@@ -0,0 +1,102 @@
+// Undo/redo history for archive modifications
+// Each command stores archive snapshots taken before and after it ran
+import type { LGP, LGPSnapshot } from '../lgp';
+
+const MAX_HISTORY = 50;
+
+export type HistoryAction = 'replace' | 'insert' | 'remove' | 'rename' | 'move' | 'edit' | 'revert' | 'repair' | 'import' | 'patch';
+
+export interface HistoryCommand {
+  id: number;
+  action: HistoryAction;
+  label: string;
+  before: LGPSnapshot;
+  after: LGPSnapshot;
+}
+
+function snapshotsEqual(a: LGPSnapshot, b: LGPSnapshot): boolean {
+  if (a.toc.length !== b.toc.length) return false;
+  for (let i = 0; i < a.toc.length; i++) {
+    const x = a.toc[i];
+    const y = b.toc[i];
+    if (x.filename !== y.filename || x.folder !== y.folder || x.offset !== y.offset || x.filesize !== y.filesize || x.type !== y.type) {
+      return false;
+    }
+  }
+  const keysA = Object.keys(a.modified);
+  if (keysA.length !== Object.keys(b.modified).length) return false;
+  return keysA.every(key => a.modified[key] === b.modified[key]);
+}
+
+export class ArchiveHistory {
+  past: HistoryCommand[] = [];
+  future: HistoryCommand[] = [];
+  // Set once the oldest commands were dropped, undoing everything no longer reaches the original archive
+  truncated = false;
+  private nextId = 1;
+
+  get canUndo(): boolean {
+    return this.past.length > 0;
+  }
+
+  get canRedo(): boolean {
+    return this.future.length > 0;
+  }
+
+  // Run a modification against the archive and record it as a single undoable command.
+  // Nothing is recorded if the modification throws or leaves the archive unchanged.
+  record<T>(lgp: LGP, action: HistoryAction, label: string, modify: () => T): T {
+    const before = lgp.snapshot();
+    let result: T;
+    try {
+      result = modify();
+    } catch (err) {
+      lgp.restore(before);
+      throw err;
+    }
+
+    const after = lgp.snapshot();
+    if (snapshotsEqual(before, after)) return result;
+
+    this.past.push({ id: this.nextId++, action, label, before, after });
+    if (this.past.length > MAX_HISTORY) {
+      this.past.shift();
+      this.truncated = true;
+    }
+    this.future = [];
+    return result;
+  }
+
+  undo(lgp: LGP): HistoryCommand | null {
+    const command = this.past.pop();
+    if (!command) return null;
+    lgp.restore(command.before);
+    this.future.unshift(command);
+    return command;
+  }
+
+  redo(lgp: LGP): HistoryCommand | null {
+    const command = this.future.shift();
+    if (!command) return null;
+    lgp.restore(command.after);
+    this.past.push(command);
+    return command;
+  }
+
+  // Undo or redo until the given command is the most recent applied one.
+  // Pass 0 to undo everything.
+  jumpTo(lgp: LGP, id: number): void {
+    while (this.past.length > 0 && this.past[this.past.length - 1].id > id) {
+      this.undo(lgp);
+    }
+    while (this.future.length > 0 && this.future[0].id <= id) {
+      this.redo(lgp);
+    }
+  }
+
+  clear(): void {
+    this.past = [];
+    this.future = [];
+    this.truncated = false;
+  }
+}
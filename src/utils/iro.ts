@@ -0,0 +1,136 @@
+// 7th Heaven IRO mod packages: a flat archive of files keyed by backslash-separated paths
+// with a mod.xml describing the mod at the root.
+
+const IRO_SIGNATURE = 0x534F5249; // "IROS"
+const IRO_VERSION = 0x10001; // 64-bit data offsets
+const IRO_MIN_VERSION = 0x10000;
+const IRO_MAX_VERSION = 0x10002;
+const IRO_HEADER_SIZE = 16;
+const ARCHIVE_FLAG_PATCH = 0x1;
+
+export const MOD_XML = 'mod.xml';
+
+export interface IroEntry {
+  path: string; // '\' separated, as stored in the package
+  data: Uint8Array;
+}
+
+export interface ModInfo {
+  id: string;
+  name: string;
+  author: string;
+  version: string;
+  description: string;
+}
+
+function encodeUtf16(text: string): Uint8Array {
+  const bytes = new Uint8Array(text.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < text.length; i++) view.setUint16(i * 2, text.charCodeAt(i), true);
+  return bytes;
+}
+
+function decodeUtf16(bytes: Uint8Array): string {
+  return new TextDecoder('utf-16le').decode(bytes);
+}
+
+/**
+ * Build an uncompressed IRO package. Layout: header (signature, version, flags,
+ * directory offset), directory (count + variable-size entries), then file data.
+ */
+export function writeIro(entries: IroEntry[]): Uint8Array {
+  if (entries.length === 0) throw new Error('IRO package must contain at least one file');
+
+  const names = entries.map(entry => encodeUtf16(entry.path));
+  const directorySize = 4 + names.reduce((sum, name) => sum + 20 + name.length, 0);
+  const dataSize = entries.reduce((sum, entry) => sum + entry.data.length, 0);
+  const output = new Uint8Array(IRO_HEADER_SIZE + directorySize + dataSize);
+  const view = new DataView(output.buffer);
+
+  view.setUint32(0, IRO_SIGNATURE, true);
+  view.setUint32(4, IRO_VERSION, true);
+  view.setUint32(8, 0, true);
+  view.setUint32(12, IRO_HEADER_SIZE, true);
+  view.setUint32(IRO_HEADER_SIZE, entries.length, true);
+
+  let pos = IRO_HEADER_SIZE + 4;
+  let dataOffset = IRO_HEADER_SIZE + directorySize;
+  entries.forEach((entry, i) => {
+    const name = names[i];
+    view.setUint16(pos, 20 + name.length, true);
+    view.setUint16(pos + 2, name.length, true);
+    output.set(name, pos + 4);
+    pos += 4 + name.length;
+    view.setUint32(pos, 0, true); // No compression
+    view.setBigUint64(pos + 4, BigInt(dataOffset), true);
+    view.setUint32(pos + 12, entry.data.length, true);
+    pos += 16;
+
+    output.set(entry.data, dataOffset);
+    dataOffset += entry.data.length;
+  });
+
+  return output;
+}
+
+export function readIro(data: Uint8Array): IroEntry[] {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.length < IRO_HEADER_SIZE || view.getUint32(0, true) !== IRO_SIGNATURE) {
+    throw new Error('Not an IRO package');
+  }
+  const version = view.getUint32(4, true);
+  if (version < IRO_MIN_VERSION || version > IRO_MAX_VERSION) {
+    throw new Error(`Unsupported IRO version 0x${version.toString(16)}`);
+  }
+  if (view.getUint32(8, true) & ARCHIVE_FLAG_PATCH) {
+    throw new Error('IRO patch packages are not supported');
+  }
+
+  let pos = view.getUint32(12, true);
+  const count = view.getUint32(pos, true);
+  pos += 4;
+
+  const entries: IroEntry[] = [];
+  for (let i = 0; i < count; i++) {
+    const start = pos;
+    const entrySize = view.getUint16(pos, true);
+    const nameLength = view.getUint16(pos + 2, true);
+    const path = decodeUtf16(data.subarray(pos + 4, pos + 4 + nameLength));
+    pos += 4 + nameLength;
+    const flags = view.getUint32(pos, true);
+    let offset: number;
+    if (version === IRO_MIN_VERSION) {
+      offset = view.getUint32(pos + 4, true);
+      pos += 8;
+    } else {
+      offset = Number(view.getBigUint64(pos + 4, true));
+      pos += 12;
+    }
+    const length = view.getUint32(pos, true);
+    pos = Math.max(pos + 4, start + entrySize);
+
+    if (flags !== 0) throw new Error(`Compressed IRO entries are not supported: ${path}`);
+    if (offset + length > data.length) throw new Error(`IRO entry extends past the end of the package: ${path}`);
+    entries.push({ path, data: data.slice(offset, offset + length) });
+  }
+  return entries;
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+export function createModXml(info: ModInfo): string {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<ModInfo>',
+    `  <ID>${escapeXml(info.id)}</ID>`,
+    `  <Name>${escapeXml(info.name)}</Name>`,
+    `  <Author>${escapeXml(info.author)}</Author>`,
+    `  <Version>${escapeXml(info.version)}</Version>`,
+    `  <Description>${escapeXml(info.description)}</Description>`,
+    `  <ReleaseDate>${new Date().toISOString().slice(0, 10)}</ReleaseDate>`,
+    '</ModInfo>',
+    '',
+  ].join('\r\n');
+}
@@ -0,0 +1,70 @@
+// Moving archive changes in and out of mod packages laid out as <archive>/<path in archive>
+import type { LGP } from '../lgp';
+
+export interface ModFile {
+  path: string; // Path inside the archive, '/' separated
+  data: Uint8Array;
+}
+
+export interface ApplyModResult {
+  replaced: number;
+  inserted: number;
+  failed: string[];
+}
+
+// Folder name mods use for an archive, e.g. 'flevel' for 'FLEVEL.LGP'
+export function getArchiveFolderName(archiveName: string): string {
+  return archiveName.replace(/\.lgp$/i, '').toLowerCase();
+}
+
+// Every replaced or inserted file in the archive
+export function getModifiedFiles(lgp: LGP): ModFile[] {
+  const files: ModFile[] = [];
+  for (const entry of lgp.archive.toc) {
+    const path = lgp.getFilePath(entry);
+    if (!lgp.isModified(path)) continue;
+    const data = lgp.getFile(path);
+    if (data) files.push({ path, data });
+  }
+  return files;
+}
+
+/**
+ * Pick the files meant for an archive out of a mod's file list. Paths may use either
+ * separator and must start with the archive's folder; the folder is stripped.
+ */
+export function getModFilesForArchive(files: ModFile[], archiveName: string): ModFile[] {
+  const folder = getArchiveFolderName(archiveName);
+  const result: ModFile[] = [];
+  for (const file of files) {
+    const parts = file.path.split(/[/\\]/).filter(Boolean);
+    if (parts.length < 2 || parts[0].toLowerCase() !== folder) continue;
+    result.push({ path: parts.slice(1).join('/'), data: file.data });
+  }
+  return result;
+}
+
+// Overlay mod files onto the archive, replacing files that exist and inserting the rest
+export function applyModFiles(lgp: LGP, files: ModFile[]): ApplyModResult {
+  const result: ApplyModResult = { replaced: 0, inserted: 0, failed: [] };
+  for (const file of files) {
+    try {
+      if (lgp.findIndex(file.path) !== -1) {
+        lgp.setFile(file.path, file.data);
+        result.replaced++;
+        continue;
+      }
+      const slash = file.path.lastIndexOf('/');
+      const folder = slash === -1 ? '' : file.path.slice(0, slash);
+      if (lgp.insertFile(file.path.slice(slash + 1), file.data, folder)) {
+        result.inserted++;
+      } else {
+        result.failed.push(file.path);
+      }
+    } catch (err) {
+      console.error(`Error applying ${file.path}:`, err);
+      result.failed.push(file.path);
+    }
+  }
+  return result;
+}
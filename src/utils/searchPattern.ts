@@ -0,0 +1,33 @@
+// Turn content search queries into the byte patterns the search jobs look for
+import { encodeText } from '../fftext';
+
+export type SearchMode = 'hex' | 'ascii' | 'text';
+
+/**
+ * hex:   byte values like "0A 1B FF" or "0a1bff" (an optional 0x prefix per byte is allowed)
+ * ascii: plain ASCII characters, matched byte for byte
+ * text:  FF7 field text, encoded with encodeText() without the string terminator
+ */
+export function parseSearchPattern(query: string, mode: SearchMode): Uint8Array {
+  if (mode === 'hex') {
+    const digits = query.replace(/0x/gi, '').replace(/[\s,]/g, '');
+    if (!/^[0-9a-f]*$/i.test(digits)) throw new Error('Hex pattern can only contain 0-9 and A-F');
+    if (digits.length % 2 !== 0) throw new Error('Hex pattern has an odd number of digits');
+    const bytes = new Uint8Array(digits.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+    return bytes;
+  }
+
+  if (mode === 'ascii') {
+    const bytes = new Uint8Array(query.length);
+    for (let i = 0; i < query.length; i++) {
+      const code = query.charCodeAt(i);
+      if (code > 0x7F) throw new Error(`'${query[i]}' is not an ASCII character`);
+      bytes[i] = code;
+    }
+    return bytes;
+  }
+
+  const encoded = encodeText(query);
+  return encoded.subarray(0, encoded.length - 1);
+}
@@ -0,0 +1,124 @@
+// Drag to pan and scroll to zoom for SVG views laid out in their own units
+import { useRef, useState, type PointerEvent, type WheelEvent } from 'react';
+
+export interface ViewBox {
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+export interface PanZoomDrag {
+  x: number;
+  y: number;
+  moved: boolean;
+  [key: string]: unknown; // Whatever onPress remembered about the press
+}
+
+interface PanZoomOptions {
+  // Called on a left press, the pointer is captured so anything needed on release is remembered here
+  onPress?: (e: PointerEvent<SVGSVGElement>) => Record<string, unknown>;
+  // Called for each move past the click distance, return true when the move was handled and shouldn't pan
+  onDrag?: (drag: PanZoomDrag, e: PointerEvent<SVGSVGElement>) => boolean;
+  // Called on release when the pointer didn't move far enough to drag
+  onClick?: (drag: PanZoomDrag, e: PointerEvent<SVGSVGElement>) => void;
+}
+
+const CLICK_DISTANCE = 4; // Pixels the pointer may move for a press to still count as a click
+
+// Box around points with a margin in layout units, or the fallback when there are none
+export function fitViewBox(points: { x: number; y: number }[], margin: number, fallback: ViewBox): ViewBox {
+  if (!points.length) return fallback;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const point of points) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+  return { x: minX - margin, y: minY - margin, w: maxX - minX + margin * 2, h: maxY - minY + margin * 2 };
+}
+
+/**
+ * View box state and pointer handlers for an SVG. Spread the returned handlers on the svg
+ * and attach svgRef; the view fits bounds until the user pans or zooms.
+ */
+export function useSvgPanZoom(
+  bounds: ViewBox | null,
+  { onPress, onDrag, onClick }: PanZoomOptions = {},
+) {
+  const svgRef = useRef<SVGSVGElement>(null);
+  const dragRef = useRef<PanZoomDrag | null>(null); // Set while the pointer is down
+  const [view, setView] = useState<ViewBox | null>(null); // null fits bounds
+  const viewBox = view ?? bounds;
+
+  // Layout units per screen pixel
+  const getScale = () => {
+    const ctm = svgRef.current?.getScreenCTM();
+    return ctm ? 1 / ctm.a : 1;
+  };
+
+  const toLayoutPoint = (clientX: number, clientY: number): DOMPoint => {
+    const svg = svgRef.current!;
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(svg.getScreenCTM()!.inverse());
+  };
+
+  const onWheel = (e: WheelEvent<SVGSVGElement>) => {
+    if (!viewBox) return;
+    const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+    const point = toLayoutPoint(e.clientX, e.clientY);
+    setView({
+      x: point.x - (point.x - viewBox.x) * factor,
+      y: point.y - (point.y - viewBox.y) * factor,
+      w: viewBox.w * factor,
+      h: viewBox.h * factor,
+    });
+  };
+
+  const onPointerDown = (e: PointerEvent<SVGSVGElement>) => {
+    if (e.button !== 0) return;
+    dragRef.current = { ...onPress?.(e), x: e.clientX, y: e.clientY, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const onPointerMove = (e: PointerEvent<SVGSVGElement>) => {
+    const drag = dragRef.current;
+    if (!drag || !viewBox) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < CLICK_DISTANCE) return;
+
+    if (onDrag?.(drag, e)) {
+      drag.moved = true;
+      return;
+    }
+
+    drag.moved = true;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    const scale = getScale();
+    setView({ ...viewBox, x: viewBox.x - dx * scale, y: viewBox.y - dy * scale });
+  };
+
+  const onPointerUp = (e: PointerEvent<SVGSVGElement>) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && !drag.moved) onClick?.(drag, e);
+  };
+
+  // Sizes multiplied by unit keep the same size on screen whatever the zoom
+  const unit = viewBox ? Math.max(viewBox.w, viewBox.h) / 600 : 1;
+
+  return {
+    svgRef,
+    viewBox,
+    setView,
+    unit,
+    getScale,
+    toLayoutPoint,
+    handlers: { onWheel, onPointerDown, onPointerMove, onPointerUp },
+  };
+}
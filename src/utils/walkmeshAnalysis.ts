@@ -0,0 +1,242 @@
+// Walkmesh checks for the mistakes that soft-lock a field, and triangle pathfinding
+// over the access links the game moves characters along.
+import { WALKMESH_NO_ACCESS, type Gateway, type WalkmeshSection, type WalkmeshVertex } from '../fieldfile';
+
+export type WalkmeshIssueKind = 'broken-link' | 'one-way-link' | 'degenerate' | 'island' | 'gateway';
+
+export interface WalkmeshIssue {
+  kind: WalkmeshIssueKind;
+  severity: 'error' | 'warning';
+  message: string;
+  triangles: number[];
+  gateway?: number; // Index into the gateways checked
+}
+
+export interface WalkmeshPath {
+  triangles: number[];
+  points: WalkmeshVertex[]; // Start, the middle of each edge crossed, end
+  length: number;
+}
+
+type Point = { x: number; y: number };
+
+// Twice the signed area seen from above, zero for triangles that can't be stood on
+const cross = (a: Point, b: Point, c: Point) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+function pointInTriangle(p: Point, [a, b, c]: Point[]): boolean {
+  const d1 = cross(a, b, p);
+  const d2 = cross(b, c, p);
+  const d3 = cross(c, a, p);
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+}
+
+// Touching or overlapping segments count as intersecting
+function segmentsIntersect(p1: Point, p2: Point, q1: Point, q2: Point): boolean {
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+
+  const onSegment = (a: Point, b: Point, p: Point) =>
+    Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) && Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+  return (d1 === 0 && onSegment(q1, q2, p1))
+    || (d2 === 0 && onSegment(q1, q2, p2))
+    || (d3 === 0 && onSegment(p1, p2, q1))
+    || (d4 === 0 && onSegment(p1, p2, q2));
+}
+
+function segmentTouchesTriangle(p: Point, q: Point, vertices: Point[]): boolean {
+  if (pointInTriangle(p, vertices) || pointInTriangle(q, vertices)) return true;
+  return [0, 1, 2].some(e => segmentsIntersect(p, q, vertices[e], vertices[(e + 1) % 3]));
+}
+
+// Neighbours that exist, one-way links included
+function getLinks(walkmesh: WalkmeshSection, index: number): number[] {
+  return walkmesh.triangles[index].access.filter(n => n !== WALKMESH_NO_ACCESS && n < walkmesh.triangles.length);
+}
+
+const formatTriangles = (triangles: number[]) =>
+  triangles.length > 8 ? `${triangles.slice(0, 8).join(', ')}… (${triangles.length})` : triangles.join(', ');
+
+/**
+ * Report broken and one-way access links, triangles without area, parts of the walkmesh
+ * that can't be walked to from the largest part, and gateways no triangle reaches.
+ */
+export function analyzeWalkmesh(walkmesh: WalkmeshSection, gateways: Gateway[] = []): WalkmeshIssue[] {
+  const issues: WalkmeshIssue[] = [];
+  const count = walkmesh.triangles.length;
+
+  walkmesh.triangles.forEach((triangle, t) => {
+    const [a, b, c] = triangle.vertices;
+    if (cross(a, b, c) === 0) {
+      issues.push({ kind: 'degenerate', severity: 'error', message: `Triangle ${t} has no area`, triangles: [t] });
+    }
+
+    triangle.access.forEach((neighbour, e) => {
+      if (neighbour === WALKMESH_NO_ACCESS) return;
+      if (neighbour >= count) {
+        issues.push({
+          kind: 'broken-link',
+          severity: 'error',
+          message: `Triangle ${t} edge ${e + 1} links to triangle ${neighbour}, the walkmesh has ${count}`,
+          triangles: [t],
+        });
+      } else if (!walkmesh.triangles[neighbour].access.includes(t)) {
+        issues.push({
+          kind: 'one-way-link',
+          severity: 'error',
+          message: `Triangle ${t} edge ${e + 1} links to triangle ${neighbour}, which doesn't link back`,
+          triangles: [t, neighbour],
+        });
+      }
+    });
+  });
+
+  // Connected parts, links followed both ways
+  const undirected: number[][] = walkmesh.triangles.map(() => []);
+  for (let t = 0; t < count; t++) {
+    for (const n of getLinks(walkmesh, t)) {
+      undirected[t].push(n);
+      undirected[n].push(t);
+    }
+  }
+  const part = new Int32Array(count).fill(-1);
+  const parts: number[][] = [];
+  for (let start = 0; start < count; start++) {
+    if (part[start] !== -1) continue;
+    const members = [start];
+    part[start] = parts.length;
+    for (let i = 0; i < members.length; i++) {
+      for (const n of undirected[members[i]]) {
+        if (part[n] === -1) {
+          part[n] = parts.length;
+          members.push(n);
+        }
+      }
+    }
+    parts.push(members.sort((x, y) => x - y));
+  }
+  const main = parts.reduce((largest, p) => p.length > largest.length ? p : largest, [] as number[]);
+  for (const members of parts) {
+    if (members === main) continue;
+    issues.push({
+      kind: 'island',
+      severity: 'warning',
+      message: `Triangle${members.length === 1 ? '' : 's'} ${formatTriangles(members)} can't be walked to from the rest of the walkmesh`,
+      triangles: members,
+    });
+  }
+
+  gateways.forEach((gateway, g) => {
+    const touches = walkmesh.triangles.some(({ vertices }) =>
+      cross(vertices[0], vertices[1], vertices[2]) !== 0 && segmentTouchesTriangle(gateway.vertex1, gateway.vertex2, vertices));
+    if (!touches) {
+      issues.push({
+        kind: 'gateway',
+        severity: 'error',
+        message: `Gateway ${g + 1} to field ${gateway.fieldId} doesn't touch the walkmesh`,
+        triangles: [],
+        gateway: g,
+      });
+    }
+  });
+
+  return issues;
+}
+
+const distance = (a: WalkmeshVertex, b: WalkmeshVertex) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+const centroid = ({ vertices: [a, b, c] }: WalkmeshSection['triangles'][number]): WalkmeshVertex => ({
+  x: (a.x + b.x + c.x) / 3,
+  y: (a.y + b.y + c.y) / 3,
+  z: (a.z + b.z + c.z) / 3,
+});
+
+/**
+ * Shortest chain of triangles between two points by A* over the access links, or null when
+ * the end can't be reached. Links are followed the way the game does, from the triangle
+ * being left, so one-way links only lead one way.
+ */
+export function findWalkmeshPath(
+  walkmesh: WalkmeshSection,
+  start: { triangle: number; point: WalkmeshVertex },
+  end: { triangle: number; point: WalkmeshVertex },
+): WalkmeshPath | null {
+  const centers = walkmesh.triangles.map(centroid);
+  const cost = new Float64Array(walkmesh.triangles.length).fill(Infinity);
+  const previous = new Int32Array(walkmesh.triangles.length).fill(-1);
+  const closed = new Uint8Array(walkmesh.triangles.length);
+
+  // Binary heap of [estimate, triangle]
+  const open: [number, number][] = [];
+  const push = (item: [number, number]) => {
+    open.push(item);
+    for (let i = open.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (open[parent][0] <= open[i][0]) break;
+      [open[parent], open[i]] = [open[i], open[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = open[0];
+    const last = open.pop()!;
+    if (open.length) {
+      open[0] = last;
+      for (let i = 0; ;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < open.length && open[left][0] < open[smallest][0]) smallest = left;
+        if (right < open.length && open[right][0] < open[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [open[smallest], open[i]] = [open[i], open[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  cost[start.triangle] = 0;
+  push([distance(start.point, end.point), start.triangle]);
+  while (open.length) {
+    const [, current] = pop();
+    if (closed[current]) continue;
+    closed[current] = 1;
+    if (current === end.triangle) break;
+
+    const from = current === start.triangle ? start.point : centers[current];
+    for (const n of getLinks(walkmesh, current)) {
+      if (closed[n]) continue;
+      const step = cost[current] + distance(from, centers[n]);
+      if (step < cost[n]) {
+        cost[n] = step;
+        previous[n] = current;
+        push([step + distance(centers[n], end.point), n]);
+      }
+    }
+  }
+  if (!closed[end.triangle]) return null;
+
+  const triangles = [end.triangle];
+  while (triangles[0] !== start.triangle) triangles.unshift(previous[triangles[0]]);
+
+  // Cross each shared edge at its middle
+  const points = [start.point];
+  for (let i = 0; i < triangles.length - 1; i++) {
+    const triangle = walkmesh.triangles[triangles[i]];
+    const e = triangle.access.indexOf(triangles[i + 1]);
+    const a = triangle.vertices[e];
+    const b = triangle.vertices[(e + 1) % 3];
+    points.push({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 });
+  }
+  points.push(end.point);
+
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+
+  return { triangles, points, length };
+}
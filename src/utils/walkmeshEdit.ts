@@ -0,0 +1,117 @@
+// Walkmesh editing model: triangle corners welded into shared vertices, so moving a vertex
+// moves every triangle that touches it.
+import { computeWalkmeshAccess, type WalkmeshSection, type WalkmeshVertex } from '../fieldfile';
+
+type CornerPadding = [number | null, number | null, number | null];
+
+export interface EditableWalkmesh {
+  vertices: WalkmeshVertex[];
+  triangles: [number, number, number][]; // Indices into vertices
+  padding: CornerPadding[]; // Padding word of each triangle corner as loaded, null for corners written with z
+}
+
+const S16_MIN = -0x8000;
+const S16_MAX = 0x7FFF;
+
+export function clampCoordinate(value: number): number {
+  return Math.min(S16_MAX, Math.max(S16_MIN, Math.round(value)));
+}
+
+// Corners at the same position become one vertex
+export function toEditableWalkmesh(section: WalkmeshSection): EditableWalkmesh {
+  const vertices: WalkmeshVertex[] = [];
+  const indices = new Map<string, number>();
+  const triangles = section.triangles.map(triangle => triangle.vertices.map(vertex => {
+    const key = `${vertex.x},${vertex.y},${vertex.z}`;
+    let index = indices.get(key);
+    if (index === undefined) {
+      index = vertices.length;
+      indices.set(key, index);
+      vertices.push({ x: vertex.x, y: vertex.y, z: vertex.z });
+    }
+    return index;
+  }) as [number, number, number]);
+  const padding = section.triangles.map(triangle => triangle.vertices.map(vertex => vertex.padding ?? null) as CornerPadding);
+  return { vertices, triangles, padding };
+}
+
+// Back to the section layout with the access array recomputed from the edited geometry
+export function fromEditableWalkmesh(mesh: EditableWalkmesh): WalkmeshSection {
+  const triangles = mesh.triangles.map((triangle, t) => ({
+    vertices: triangle.map((index, c) => {
+      const padding = mesh.padding[t][c];
+      return padding === null ? { ...mesh.vertices[index] } : { ...mesh.vertices[index], padding };
+    }) as [WalkmeshVertex, WalkmeshVertex, WalkmeshVertex],
+  }));
+  const access = computeWalkmeshAccess(triangles);
+  return {
+    triangleCount: triangles.length,
+    triangles: triangles.map((triangle, i) => ({ ...triangle, access: access[i] })),
+  };
+}
+
+export function moveVertex(mesh: EditableWalkmesh, index: number, position: Partial<WalkmeshVertex>): EditableWalkmesh {
+  const vertex = mesh.vertices[index];
+  const moved = {
+    x: clampCoordinate(position.x ?? vertex.x),
+    y: clampCoordinate(position.y ?? vertex.y),
+    z: clampCoordinate(position.z ?? vertex.z),
+  };
+  const vertices = mesh.vertices.map((v, i) => i === index ? moved : v);
+  if (moved.z === vertex.z) return { ...mesh, vertices };
+  // The padding repeats z, a new height is written there too
+  const padding = mesh.padding.map((corners, t) =>
+    corners.map((p, c) => mesh.triangles[t][c] === index ? null : p) as CornerPadding);
+  return { ...mesh, vertices, padding };
+}
+
+/**
+ * Add a triangle from existing vertex indices or new positions. Returns null for triangles
+ * that repeat a vertex or have no area seen from above, they can't be walked on.
+ */
+export function addTriangle(
+  mesh: EditableWalkmesh,
+  corners: (number | WalkmeshVertex)[],
+): EditableWalkmesh | null {
+  const vertices = [...mesh.vertices];
+  const triangle = corners.map(corner => {
+    if (typeof corner === 'number') return corner;
+    vertices.push({ x: clampCoordinate(corner.x), y: clampCoordinate(corner.y), z: clampCoordinate(corner.z) });
+    return vertices.length - 1;
+  }) as [number, number, number];
+
+  if (new Set(triangle).size !== 3) return null;
+  const [a, b, c] = triangle.map(i => vertices[i]);
+  if ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) === 0) return null;
+
+  return { vertices, triangles: [...mesh.triangles, triangle], padding: [...mesh.padding, [null, null, null]] };
+}
+
+// Vertices no triangle uses any more are dropped, the rest keep their order
+export function deleteTriangles(mesh: EditableWalkmesh, indices: Set<number>): EditableWalkmesh {
+  return compact({
+    ...mesh,
+    triangles: mesh.triangles.filter((_, i) => !indices.has(i)),
+    padding: mesh.padding.filter((_, i) => !indices.has(i)),
+  });
+}
+
+export function deleteVertex(mesh: EditableWalkmesh, index: number): EditableWalkmesh {
+  const removed = new Set(mesh.triangles.flatMap((triangle, i) => triangle.includes(index) ? [i] : []));
+  return deleteTriangles(mesh, removed);
+}
+
+function compact(mesh: EditableWalkmesh): EditableWalkmesh {
+  const used = new Set(mesh.triangles.flat());
+  const remap = new Map<number, number>();
+  const vertices = mesh.vertices.filter((_, i) => {
+    if (!used.has(i)) return false;
+    remap.set(i, remap.size);
+    return true;
+  });
+  return {
+    ...mesh,
+    vertices,
+    triangles: mesh.triangles.map(triangle => triangle.map(i => remap.get(i)!) as [number, number, number]),
+  };
+}
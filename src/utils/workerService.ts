@@ -0,0 +1,362 @@
+// Runs expensive archive work in a Web Worker so the UI stays responsive.
+// Every call takes an optional ProgressCallback and AbortSignal; aborting rejects
+// the promise right away and tells the worker to stop at its next checkpoint.
+import { LGP, type LGPArchive } from '../lgp';
+import { runJob, type ArchiveJob, type DialogEntry, type FieldEncounters, type SearchFile, type SearchHit, type VariableUsage, type WorkerResponse } from './archiveJobs';
+import { getHierarchySourceFiles, type BuildProgress, type HierarchyNode, type ProgressCallback } from './hierarchy';
+import { isFieldFile } from './fileTypes';
+import { buildFieldMap, parseMapList, type FieldConnection, type FieldMap } from './fieldMap';
+
+export type { SearchHit, DialogEntry, VariableUsage, FieldEncounters } from './archiveJobs';
+export type { FieldMap, FieldMapNode } from './fieldMap';
+
+const SEARCH_BATCH_SIZE = 8 * 1024 * 1024; // Bytes of file data sent to the worker per search or hash job
+const DEFAULT_SEARCH_LIMIT = 1000;
+
+interface PendingJob {
+  resolve: (result: unknown) => void;
+  reject: (err: Error) => void;
+  onProgress?: ProgressCallback;
+}
+
+let worker: Worker | null = null;
+let nextJobId = 1;
+const pending = new Map<number, PendingJob>();
+
+function getWorker(): Worker | null {
+  if (typeof Worker === 'undefined') return null;
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./archiveWorker.ts', import.meta.url), { type: 'module' });
+  worker.onmessage = (e: MessageEvent<WorkerResponse>) => {
+    const message = e.data;
+    const job = pending.get(message.id);
+    if (!job) return; // Cancelled
+    if (message.type === 'progress') {
+      job.onProgress?.(message.progress);
+      return;
+    }
+    pending.delete(message.id);
+    if (message.type === 'result') job.resolve(message.result);
+    else job.reject(Object.assign(new Error(message.message), { report: message.report }));
+  };
+  worker.onerror = (e) => {
+    // The worker died or failed to load, fail everything in flight and start over next time
+    for (const job of pending.values()) job.reject(new Error(e.message || 'Archive worker failed'));
+    pending.clear();
+    worker?.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+function run<T>(job: ArchiveJob, onProgress?: ProgressCallback, signal?: AbortSignal, transfer: Transferable[] = []): Promise<T> {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  const target = getWorker();
+  if (!target) {
+    // No worker support, run the job inline
+    return runJob(job, onProgress ?? (() => {}), signal ?? new AbortController().signal)
+      .then(output => output.result as T);
+  }
+
+  const id = nextJobId++;
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => {
+      pending.delete(id);
+      target.postMessage({ id, type: 'cancel' });
+      reject(signal!.reason);
+    };
+    pending.set(id, {
+      resolve: result => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result as T);
+      },
+      reject: err => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(err);
+      },
+      onProgress,
+    });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    target.postMessage({ id, type: 'run', job }, transfer);
+  });
+}
+
+export function isAbortError(err: unknown): boolean {
+  return err instanceof DOMException && err.name === 'AbortError';
+}
+
+/**
+ * Parse an archive held in memory. The buffer is moved to the worker and back,
+ * so a Uint8Array that doesn't span its whole buffer is copied first.
+ * If the archive can't be parsed, the error carries an integrity report in `report`.
+ */
+export async function parseArchiveData(
+  data: ArrayBuffer | Uint8Array,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<LGP> {
+  const buffer = data instanceof ArrayBuffer ? data
+    : data.byteOffset === 0 && data.byteLength === data.buffer.byteLength ? data.buffer as ArrayBuffer
+    : data.slice().buffer;
+  const result = await run<{ archive: LGPArchive; data: ArrayBuffer }>(
+    { type: 'parse', data: buffer }, onProgress, signal, [buffer]
+  );
+  return new LGP(result.data, null, result.archive);
+}
+
+// Build the file hierarchy. Only the files the builders parse are read here and sent over.
+export async function buildArchiveHierarchy(
+  lgp: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<HierarchyNode[]> {
+  const toc = lgp.archive.toc.map(entry => ({ filename: entry.filename, filesize: entry.filesize }));
+  const sources = getHierarchySourceFiles(toc.map(entry => entry.filename));
+  const files: Record<string, Uint8Array> = {};
+
+  for (let i = 0; i < sources.length; i++) {
+    const key = sources[i].toLowerCase();
+    if (!files[key]) {
+      const data = await lgp.loadFile(sources[i]);
+      if (data) files[key] = data;
+    }
+    if ((i + 1) % 50 === 0 || i === sources.length - 1) {
+      signal?.throwIfAborted();
+      onProgress?.({
+        phase: 'loading',
+        current: i + 1,
+        total: sources.length,
+        message: `Reading files (${i + 1}/${sources.length})`,
+      });
+    }
+  }
+
+  return run<HierarchyNode[]>({ type: 'hierarchy', toc, files }, onProgress, signal);
+}
+
+// Decompress a field file's LZSS data (everything after the 4-byte size header)
+export function decompressFieldData(data: Uint8Array, signal?: AbortSignal): Promise<Uint8Array> {
+  return run<Uint8Array>({ type: 'decompressField', data }, undefined, signal);
+}
+
+// LZSS compress decompressed field data back into a field file, size header included
+export function compressFieldData(data: Uint8Array, signal?: AbortSignal): Promise<Uint8Array> {
+  return run<Uint8Array>({ type: 'compressField', data }, undefined, signal);
+}
+
+/**
+ * Send files to the worker in batches of about SEARCH_BATCH_SIZE bytes, so lazy archives are
+ * read progressively. merge gets each batch's result and returns false to stop early.
+ * Files that can't be read are left out.
+ */
+async function runBatchedJob<T>(
+  lgp: LGP,
+  paths: string[],
+  job: (files: SearchFile[]) => ArchiveJob,
+  merge: (result: T, files: SearchFile[]) => boolean | void,
+  progress: { phase: BuildProgress['phase']; label: string },
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<void> {
+  let batch: SearchFile[] = [];
+  let batchBytes = 0;
+
+  for (let i = 0; i < paths.length; i++) {
+    signal?.throwIfAborted();
+    const data = await lgp.loadFile(paths[i]);
+    if (data) {
+      batch.push({ path: paths[i], data });
+      batchBytes += data.length;
+    }
+
+    if (batchBytes >= SEARCH_BATCH_SIZE || i === paths.length - 1) {
+      const result = await run<T>(job(batch), undefined, signal);
+      if (merge(result, batch) === false) return;
+      batch = [];
+      batchBytes = 0;
+      onProgress?.({
+        phase: progress.phase,
+        current: i + 1,
+        total: paths.length,
+        message: `${progress.label} (${i + 1}/${paths.length})`,
+      });
+    }
+  }
+}
+
+// Paths of the field files in the archive
+function getFieldPaths(lgp: LGP): string[] {
+  return lgp.archive.toc
+    .filter(entry => isFieldFile(entry.filename))
+    .map(entry => lgp.getFilePath(entry));
+}
+
+/**
+ * Search every file in the archive for a byte pattern. Files are sent to the worker in
+ * batches so lazy archives are read progressively. With decompress set, LZSS compressed
+ * files are searched after decompression as well.
+ */
+export async function searchArchiveContent(
+  lgp: LGP,
+  pattern: Uint8Array,
+  options: { decompress?: boolean; limit?: number } = {},
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<SearchHit[]> {
+  const limit = options.limit ?? DEFAULT_SEARCH_LIMIT;
+  const hits: SearchHit[] = [];
+  await runBatchedJob<SearchHit[]>(
+    lgp,
+    lgp.archive.toc.map(entry => lgp.getFilePath(entry)),
+    files => ({ type: 'search', files, pattern, decompress: !!options.decompress, limit: limit - hits.length }),
+    result => {
+      hits.push(...result);
+      return hits.length < limit;
+    },
+    { phase: 'search', label: 'Searching files' },
+    onProgress,
+    signal
+  );
+  return hits;
+}
+
+/**
+ * CRC-32 of each of the given files (current contents, including modifications),
+ * keyed by path. Files that can't be read are left out.
+ */
+export async function hashArchiveFiles(
+  lgp: LGP,
+  paths: string[],
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<Map<string, number>> {
+  const hashes = new Map<string, number>();
+  await runBatchedJob<number[]>(
+    lgp,
+    paths,
+    files => ({ type: 'hash', files }),
+    (result, files) => files.forEach((file, j) => hashes.set(file.path, result[j])),
+    { phase: 'hash', label: 'Hashing files' },
+    onProgress,
+    signal
+  );
+  return hashes;
+}
+
+/**
+ * Index the dialog text of every field file in the archive. Fields are sent to the
+ * worker in batches, where they're decompressed and decoded.
+ */
+export async function indexArchiveDialogs(
+  lgp: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<DialogEntry[]> {
+  const entries: DialogEntry[] = [];
+  await runBatchedJob<DialogEntry[]>(
+    lgp,
+    getFieldPaths(lgp),
+    files => ({ type: 'dialogs', files }),
+    result => { entries.push(...result); },
+    { phase: 'dialogs', label: 'Reading field dialogs' },
+    onProgress,
+    signal
+  );
+  return entries;
+}
+
+/**
+ * Index every game variable read and written by the field scripts of the archive.
+ * Fields are disassembled in the worker, in batches like the dialog index.
+ */
+export async function indexArchiveVariables(
+  lgp: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<VariableUsage[]> {
+  const usages: VariableUsage[] = [];
+  await runBatchedJob<VariableUsage[]>(
+    lgp,
+    getFieldPaths(lgp),
+    files => ({ type: 'variables', files }),
+    result => { usages.push(...result); },
+    { phase: 'variables', label: 'Reading field scripts' },
+    onProgress,
+    signal
+  );
+  return usages;
+}
+
+/**
+ * Read the encounter tables of every field file in the archive, in batches like the dialog index.
+ */
+export async function readArchiveEncounters(
+  lgp: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<FieldEncounters[]> {
+  const results: FieldEncounters[] = [];
+  await runBatchedJob<FieldEncounters[]>(
+    lgp,
+    getFieldPaths(lgp),
+    files => ({ type: 'encounters', files }),
+    result => { results.push(...result); },
+    { phase: 'encounters', label: 'Reading field encounters' },
+    onProgress,
+    signal
+  );
+  return results;
+}
+
+/**
+ * Build the field connectivity map of flevel.lgp. Field exits are read in the worker in
+ * batches, field IDs are named with maplist and the graph is laid out in the worker too.
+ */
+export async function buildArchiveFieldMap(
+  lgp: LGP,
+  onProgress?: ProgressCallback,
+  signal?: AbortSignal
+): Promise<FieldMap> {
+  const mapListEntry = lgp.archive.toc.find(entry => entry.filename.toLowerCase() === 'maplist');
+  const mapListData = mapListEntry && await lgp.loadFile(lgp.getFilePath(mapListEntry));
+  if (!mapListData) throw new Error('No maplist in this archive, open flevel.lgp');
+  const names = parseMapList(mapListData);
+
+  const paths = lgp.archive.toc
+    .filter(entry => entry !== mapListEntry && isFieldFile(entry.filename))
+    .map(entry => lgp.getFilePath(entry));
+  const connections: FieldConnection[] = [];
+  await runBatchedJob<FieldConnection[]>(
+    lgp,
+    paths,
+    files => ({ type: 'fieldLinks', files }),
+    result => { connections.push(...result); },
+    { phase: 'fieldMap', label: 'Reading field exits' },
+    onProgress,
+    signal
+  );
+
+  const map = buildFieldMap(names, paths, connections);
+  const positions = await run<Float32Array>({
+    type: 'fieldMapLayout',
+    nodeCount: map.nodes.length,
+    edges: map.edges.map(edge => [edge.from, edge.to]),
+  }, undefined, signal);
+  map.nodes.forEach((node, i) => {
+    node.x = positions[i * 2];
+    node.y = positions[i * 2 + 1];
+  });
+  return map;
+}
+
+// Build the archive file for an in-memory archive. The archive data is copied to the worker.
+export function writeArchiveData(lgp: LGP, onProgress?: ProgressCallback, signal?: AbortSignal): Promise<ArrayBuffer> {
+  if (lgp.isLazy) return Promise.reject(new Error('Archive is loaded lazily, use writeArchiveTo() instead'));
+  return run<ArrayBuffer>(
+    { type: 'write', data: lgp.data, archive: lgp.archive, modified: lgp.modified },
+    onProgress,
+    signal
+  );
+}